@@ -0,0 +1,40 @@
+/**
+ * Catalog Cache Endpoint
+ *
+ *   POST /catalog-cache/invalidate - drop cached catalog data ({ tenant?, resource? } body;
+ *                                    an empty body drops everything)
+ *
+ * Enabled only when CATALOG_CACHE_ADMIN_TOKEN is set; callers send
+ * "Authorization: Bearer <CATALOG_CACHE_ADMIN_TOKEN>".
+ */
+
+import { invalidateCatalogCache, CATALOG_CACHE_RESOURCES } from "./services/catalogCacheService.js";
+import { logger } from "./utils/logger.js";
+import { secretMatches } from "./utils/secretCompare.js";
+
+export const CATALOG_CACHE_INVALIDATE_PATH = "/catalog-cache/invalidate";
+
+/**
+ * Setup the catalog cache invalidation route
+ * @param {express.Application} app - Express app instance (with express.json())
+ */
+export function setupCatalogCacheEndpoint(app) {
+  app.post(CATALOG_CACHE_INVALIDATE_PATH, (req, res) => {
+    const expectedToken = process.env.CATALOG_CACHE_ADMIN_TOKEN;
+    if (!expectedToken) {
+      return res.status(404).json({ error: "not_found" });
+    }
+    const provided = (req.get("authorization") || "").match(/^Bearer\s+(.+)$/i)?.[1];
+    if (!secretMatches(provided, expectedToken)) {
+      logger.warn("Catalog cache invalidation rejected", { reason: provided ? "invalid_token" : "missing_token" });
+      return res.status(401).set("WWW-Authenticate", 'Bearer realm="catalog-cache"').json({ error: "unauthorized" });
+    }
+
+    const { tenant = null, resource = null } = req.body || {};
+    if (resource && !CATALOG_CACHE_RESOURCES.includes(resource)) {
+      return res.status(400).json({ error: "invalid_resource", resources: CATALOG_CACHE_RESOURCES });
+    }
+    const invalidated = invalidateCatalogCache({ tenant, resource });
+    res.status(200).json({ invalidated, tenant, resource });
+  });
+}
@@ -1,76 +1,216 @@
-export const tenantConfig = {
-  reach: {
-    name: "Reach",
-    // Environment variables with fallbacks for development only
-    // In production/uat, environment variables are required (validated in getTenantConfig)
-    accountAccessKeyId: process.env.REACH_ACCOUNT_ACCESS_KEY_ID || "BQRP633ZPD4QTLOEBAX2",
-    accountAccessSecreteKey: process.env.REACH_ACCOUNT_ACCESS_SECRET_KEY || "hBv1WoCSvrrUbc8Ql7H6VVt7fT0gzHbOwllo9AVT",
-    xapiKey: process.env.REACH_XAPI_KEY || "prf6kKCjty8Hicjx2hGXz5TBBW9bHRLu7G384YST",
-    apiBaseUrl: process.env.REACH_API_BASE_URL || "https://api-rm-common-qa.reachmobileplatform.com",
-    partnerTenantId: process.env.REACH_PARTNER_TENANT_ID || "REACH@nu",
-    reachMvne: process.env.REACH_MVNE || "ATT",
-    reachSrc: process.env.REACH_SRC || "web|||customer|codex|node",
-    // Purchase API endpoints (configurable via environment variables)
-    purchaseEndpoints: {
-      quote: process.env.REACH_PURCHASE_QUOTE_ENDPOINT || '/apisvc/v0/product/quote',
-      purchase: process.env.REACH_PURCHASE_ENDPOINT || '/apisvc/v0/product',
-      status: process.env.REACH_PURCHASE_STATUS_ENDPOINT || '/apisvc/v0/product/status'
-    },
-    // Purchase defaults (configurable via environment variables)
-    purchaseDefaults: {
-      redirectUrl: process.env.PAYMENT_REDIRECT_URL || process.env.APP_BASE_URL || 'https://www.google.com/',
-      agentId: process.env.PURCHASE_AGENT_ID || (process.env.ENVIRONMENT ? `${process.env.ENVIRONMENT}_AGENT` : 'AGENT1234'),
-      shipmentType: process.env.DEFAULT_SHIPMENT_TYPE || 'usps_first_class_mail',
-      paymentType: process.env.DEFAULT_PAYMENT_TYPE || 'CARD',
-      acquisitionSrc: process.env.ACQUISITION_SOURCE || 'Online'
-    }
-  },
-};
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
 
 /**
- * Get tenant configuration with production validation
- * @param {string} tenant - Tenant name (defaults to "reach")
+ * Tenant configuration
+ *
+ * Tenants are defined as JSON files in the tenant config directory
+ * (TENANT_CONFIG_DIR, default: config/tenants). The file name is the tenant ID:
+ *
+ *   config/tenants/defaults.json           - Optional base merged into every tenant
+ *   config/tenants/<tenant>.json           - Tenant definition (apiBaseUrl, partnerTenantId, ...)
+ *   config/tenants/<tenant>.<env>.json     - Optional override for ENVIRONMENT/NODE_ENV (e.g. reach.uat.json)
+ *
+ * String values support environment interpolation: "${VAR}" or "${VAR:-fallback}".
+ * Secrets are referenced without fallbacks and listed in the tenant's "requiredEnv":
+ * loading fails when any of them is not set, in every environment.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// HTTP header carrying the tenant ID (also filled in from the /mcp/:tenant path)
+export const TENANT_HEADER = "x-tenant-id";
+
+const DEFAULTS_FILE = "defaults";
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const MAX_INTERPOLATION_DEPTH = 5;
+
+let tenantConfigs = null;
+
+export class UnknownTenantError extends Error {
+  constructor(tenant) {
+    super(`Unknown tenant: "${tenant}". Configured tenants: ${listTenants().join(", ")}`);
+    this.name = "UnknownTenantError";
+    this.tenant = tenant;
+    this.errorType = "UNKNOWN_TENANT";
+  }
+}
+
+/**
+ * Replace ${VAR} and ${VAR:-fallback} references with environment values
+ * @param {string} value - Raw string value from the config file
+ * @returns {string} Interpolated value
+ */
+function interpolateEnv(value) {
+  let result = value;
+  // Resolve innermost references first so fallbacks can nest: ${A:-${B:-default}}
+  for (let depth = 0; depth < MAX_INTERPOLATION_DEPTH && result.includes("${"); depth++) {
+    result = result.replace(/\$\{([A-Z0-9_]+)(?::-([^${}]*))?\}/g, (_, name, fallback) => {
+      const envValue = process.env[name];
+      return envValue !== undefined && envValue !== "" ? envValue : (fallback ?? "");
+    });
+  }
+  return result;
+}
+
+function resolveValues(value) {
+  if (typeof value === "string") return interpolateEnv(value);
+  if (Array.isArray(value)) return value.map(resolveValues);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, val]) => [key, resolveValues(val)]));
+  }
+  return value;
+}
+
+function deepMerge(base, override) {
+  if (!override || typeof override !== "object" || Array.isArray(override)) return override;
+  const merged = { ...(base && typeof base === "object" && !Array.isArray(base) ? base : {}) };
+  Object.entries(override).forEach(([key, val]) => {
+    merged[key] = val && typeof val === "object" && !Array.isArray(val)
+      ? deepMerge(merged[key], val)
+      : val;
+  });
+  return merged;
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (error) {
+    throw new Error(`Invalid tenant config file ${filePath}: ${error.message}`);
+  }
+}
+
+function getConfigDir() {
+  return process.env.TENANT_CONFIG_DIR || path.join(__dirname, "tenants");
+}
+
+function getEnvironmentName() {
+  return (process.env.ENVIRONMENT || process.env.NODE_ENV || "").toLowerCase();
+}
+
+/**
+ * Load (or reload) all tenant configurations from the config directory
+ * @param {Object} options - Options
+ * @param {string} options.dir - Config directory (defaults to TENANT_CONFIG_DIR or config/tenants)
+ * @returns {Map<string, Object>} Tenant ID -> resolved configuration
+ * @throws {Error} If the directory is missing, empty or contains invalid JSON, or a tenant's requiredEnv is not set
+ */
+export function loadTenantConfigs({ dir = getConfigDir() } = {}) {
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Tenant config directory not found: ${dir}`);
+  }
+
+  const environment = getEnvironmentName();
+  const files = fs.readdirSync(dir).filter(file => file.endsWith(".json"));
+  const defaultsFile = path.join(dir, `${DEFAULTS_FILE}.json`);
+  const defaults = fs.existsSync(defaultsFile) ? readJson(defaultsFile) : {};
+
+  const configs = new Map();
+  files
+    .map(file => path.basename(file, ".json"))
+    // Skip the shared defaults and environment overrides (<tenant>.<env>.json)
+    .filter(tenantId => tenantId !== DEFAULTS_FILE && !tenantId.includes("."))
+    .forEach((tenantId) => {
+      if (!TENANT_ID_PATTERN.test(tenantId)) {
+        throw new Error(`Invalid tenant ID "${tenantId}" (use lowercase letters, digits, "-" or "_")`);
+      }
+
+      let raw = deepMerge(defaults, readJson(path.join(dir, `${tenantId}.json`)));
+      const overrideFile = environment ? path.join(dir, `${tenantId}.${environment}.json`) : null;
+      if (overrideFile && fs.existsSync(overrideFile)) {
+        raw = deepMerge(raw, readJson(overrideFile));
+      }
+
+      const config = { ...resolveValues(raw), id: tenantId };
+      config.requiredEnv = Array.isArray(raw.requiredEnv) ? raw.requiredEnv : [];
+      if (!config.apiBaseUrl) {
+        throw new Error(`Tenant "${tenantId}" is missing apiBaseUrl`);
+      }
+      const missingVars = config.requiredEnv.filter(name => !process.env[name]);
+      if (missingVars.length > 0) {
+        throw new Error(
+          `Required environment variables not set for tenant "${tenantId}": ${missingVars.join(", ")}. ` +
+          `Set them in the environment (see .env.example) or AWS Secrets Manager.`
+        );
+      }
+      configs.set(tenantId, config);
+    });
+
+  if (configs.size === 0) {
+    throw new Error(`No tenant configurations found in ${dir}`);
+  }
+
+  tenantConfigs = configs;
+  return configs;
+}
+
+function getConfigs() {
+  return tenantConfigs || loadTenantConfigs();
+}
+
+/**
+ * @returns {string[]} Configured tenant IDs
+ */
+export function listTenants() {
+  return Array.from(getConfigs().keys());
+}
+
+/**
+ * @param {string} tenant - Tenant ID
+ * @returns {boolean} True if the tenant is configured
+ */
+export function hasTenant(tenant) {
+  return typeof tenant === "string" && getConfigs().has(tenant.trim().toLowerCase());
+}
+
+/**
+ * Tenant used when a request doesn't name one (DEFAULT_TENANT, default: "reach")
+ * @returns {string} Default tenant ID
+ */
+export function getDefaultTenant() {
+  return (process.env.DEFAULT_TENANT || "reach").toLowerCase();
+}
+
+/**
+ * Resolve the tenant for a request
+ * Precedence: explicit tenant (header, then /mcp/:tenant path) -> session attribute -> default tenant.
+ * @param {Object} sources - Candidate tenant sources
+ * @param {string} sources.headerTenant - Tenant from the x-tenant-id header
+ * @param {string} sources.pathTenant - Tenant from the /mcp/:tenant URL path
+ * @param {string} sources.sessionTenant - Tenant recorded on the session's flow context
+ * @returns {string} Tenant ID
+ * @throws {UnknownTenantError} If the requested tenant is not configured
+ * @throws {Error} If the request names a different tenant than the session belongs to
+ */
+export function resolveTenant({ headerTenant, pathTenant, sessionTenant } = {}) {
+  const normalize = value => (typeof value === "string" && value.trim() ? value.trim().toLowerCase() : null);
+  const requested = normalize(headerTenant) || normalize(pathTenant);
+  const session = normalize(sessionTenant);
+
+  if (requested && session && requested !== session) {
+    throw new Error(`Session belongs to tenant "${session}" and cannot be used with tenant "${requested}"`);
+  }
+
+  const tenant = requested || session || getDefaultTenant();
+  if (!hasTenant(tenant)) {
+    throw new UnknownTenantError(tenant);
+  }
+  return tenant;
+}
+
+/**
+ * Get tenant configuration (required environment variables are checked when loading)
+ * @param {string} tenant - Tenant ID (defaults to DEFAULT_TENANT)
  * @returns {Object} Tenant configuration object
- * @throws {Error} If required environment variables are missing in production/uat
+ * @throws {UnknownTenantError} If the tenant is not configured
  */
-export function getTenantConfig(tenant) {
-  const config = tenantConfig[tenant] || tenantConfig.reach;
-  
-  // Validation logic: Check if we should enforce environment variables
-  // 1. If REQUIRE_ENV_VARS is explicitly set, use that
-  // 2. Otherwise, check NODE_ENV for production environments
-  const requireEnvVars = process.env.REQUIRE_ENV_VARS === 'true';
-  const nodeEnv = (process.env.NODE_ENV || '').toLowerCase();
-  
-  // Production environments that require env vars
-  const productionEnvs = ['production', 'prod', 'uat', 'staging', 'staging-uat'];
-  const isProduction = requireEnvVars || productionEnvs.includes(nodeEnv);
-  
-  // Allow fallbacks only in development
-  const isDevelopment = nodeEnv === 'dev' || nodeEnv === 'development' || (!nodeEnv && !requireEnvVars);
-  
-  if (isProduction && !isDevelopment) {
-    const missingVars = [];
-    
-    // Check if environment variables are actually set (not using fallbacks)
-    if (!process.env.REACH_ACCOUNT_ACCESS_KEY_ID) {
-      missingVars.push('REACH_ACCOUNT_ACCESS_KEY_ID');
-    }
-    if (!process.env.REACH_ACCOUNT_ACCESS_SECRET_KEY) {
-      missingVars.push('REACH_ACCOUNT_ACCESS_SECRET_KEY');
-    }
-    if (!process.env.REACH_XAPI_KEY) {
-      missingVars.push('REACH_XAPI_KEY');
-    }
-    
-    if (missingVars.length > 0) {
-      throw new Error(
-        `Required environment variables not set: ${missingVars.join(', ')}. ` +
-        `Please set these in AWS Secrets Manager or environment configuration. ` +
-        `Current NODE_ENV: ${nodeEnv || 'not set'}, REQUIRE_ENV_VARS: ${process.env.REQUIRE_ENV_VARS || 'not set'}`
-      );
-    }
+export function getTenantConfig(tenant = getDefaultTenant()) {
+  const tenantId = typeof tenant === "string" ? tenant.trim().toLowerCase() : tenant;
+  const config = getConfigs().get(tenantId);
+  if (!config) {
+    throw new UnknownTenantError(tenant);
   }
-  
   return config;
 }
@@ -17,7 +17,9 @@ import { fetchDevices } from "./services/deviceService.js";
 import { getPlans } from "./services/plansService.js";
 import { fetchOffers, fetchServices } from "./services/productService.js";
 import { getCartMultiLine, getMostRecentSession } from "./services/cartService.js";
+import { isMultiUserMode } from "./services/sessionService.js";
 import { getAuthToken } from "./services/authService.js";
+import { getDefaultTenant } from "./config/tenantConfig.js";
 import { logger } from "./utils/logger.js";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -171,7 +173,8 @@ export function setupDevServer(app) {
       logger.info(`Loading template with API data: ${templateName}`);
 
       // Ensure we have auth token before making API calls
-      await getAuthToken("reach");
+      const tenant = getDefaultTenant();
+      await getAuthToken(tenant);
 
       // Fetch real data from API based on template type
       let apiData = {};
@@ -179,7 +182,7 @@ export function setupDevServer(app) {
       switch (templateName) {
         case "devices":
           logger.info("Fetching devices from API...");
-          const devices = await fetchDevices(8, null, "reach");
+          const devices = await fetchDevices(8, null, tenant);
           // Format devices the same way get_devices tool does
           apiData = {
             devices: devices.map(device => ({
@@ -220,7 +223,7 @@ export function setupDevServer(app) {
 
         case "plans":
           logger.info("Fetching plans from API...");
-          const plans = await getPlans(null, "reach");
+          const plans = await getPlans(null, tenant);
           apiData = { plans: plans };
           logger.info(`Fetched ${plans.length} plans`);
           break;
@@ -228,7 +231,8 @@ export function setupDevServer(app) {
         case "cart":
           logger.info("Fetching cart data...");
           // Get cart from most recent session or create empty structure
-          const sessionId = getMostRecentSession();
+          // (multi-user mode has no most recent session to preview: carts belong to their clients)
+          const sessionId = isMultiUserMode() ? null : getMostRecentSession();
           const cart = sessionId ? getCartMultiLine(sessionId) : null;
           apiData = cart || {
             lines: [],
@@ -240,14 +244,14 @@ export function setupDevServer(app) {
 
         case "offers":
           logger.info("Fetching offers from API...");
-          const offers = await fetchOffers(null, "reach");
+          const offers = await fetchOffers(null, tenant);
           apiData = { offers: offers || [] };
           logger.info(`Fetched ${apiData.offers.length} offers`);
           break;
 
         case "services":
           logger.info("Fetching services from API...");
-          const services = await fetchServices(null, "reach");
+          const services = await fetchServices(null, tenant);
           apiData = { services: services || [] };
           logger.info(`Fetched ${apiData.services.length} services`);
           break;
@@ -0,0 +1,173 @@
+/**
+ * Health Endpoints
+ *
+ *   GET /health       - summary for people and existing monitors (200 while the process runs)
+ *   GET /health/live  - liveness: the process is up and serving requests (always 200)
+ *   GET /health/ready - readiness: 200 when the instance can sell, 503 when a check fails
+ *
+ * Readiness checks report "pass", "warn" or "fail":
+ *   - storage:         the storage backend; with MONGODB_URI set, MongoDB must answer a ping
+ *   - authTokens:      each tenant's Reach auth token; a tenant fails when it has no valid token
+ *                      and its last refresh failed (no token yet is only a warning). The check
+ *                      fails only when every tenant fails; otherwise the other tenants still
+ *                      sell and it warns
+ *   - purchaseJobs:    the background purchase-status worker must be running
+ *   - catalogCache:    warns while expired catalog data is being served
+ *   - circuitBreakers: warns while a Reach endpoint's breaker is open or half-open. Not a
+ *                      failure: a Reach outage would take every instance out of rotation,
+ *                      including the ones still serving saved catalog data
+ * A ready instance with warnings reports "degraded".
+ */
+
+import { isMongoEnabled, getStorageDir } from "./utils/storage.js";
+import * as mongoStorage from "./utils/mongodbStorage.js";
+import { getCronStatus } from "./services/tokenRefreshCron.js";
+import { getCatalogCacheStatus } from "./services/catalogCacheService.js";
+import { getCircuitBreakerStates } from "./services/circuitBreakerService.js";
+import { getPurchaseJobStats } from "./services/purchaseJobService.js";
+import { getMcpSessionCount } from "./mcpHttpSessions.js";
+import { logger } from "./utils/logger.js";
+
+export const HEALTH_PATH = "/health";
+export const LIVENESS_PATH = "/health/live";
+export const READINESS_PATH = "/health/ready";
+
+const CHECK_STATUS = { PASS: "pass", WARN: "warn", FAIL: "fail" };
+const MONGO_PING_TIMEOUT_MS = 2000;
+const startedAt = Date.now();
+// Readiness changes are logged, not every probe
+let lastReady = null;
+
+function worstStatus(statuses) {
+  if (statuses.includes(CHECK_STATUS.FAIL)) return CHECK_STATUS.FAIL;
+  if (statuses.includes(CHECK_STATUS.WARN)) return CHECK_STATUS.WARN;
+  return CHECK_STATUS.PASS;
+}
+
+async function checkStorage() {
+  if (!process.env.MONGODB_URI) {
+    return { status: CHECK_STATUS.PASS, backend: "json", dir: getStorageDir() };
+  }
+  // MongoDB is configured: an instance that fell back to JSON files does not share sessions
+  const ping = await mongoStorage.pingMongo(MONGO_PING_TIMEOUT_MS);
+  return {
+    status: isMongoEnabled() && ping.ok ? CHECK_STATUS.PASS : CHECK_STATUS.FAIL,
+    backend: isMongoEnabled() ? "mongodb" : "json",
+    mongodb: mongoStorage.isMongoConnected() ? "connected" : "disconnected",
+    latencyMs: ping.latencyMs,
+    ...(ping.error ? { error: ping.error } : {})
+  };
+}
+
+function checkAuthTokens() {
+  const tenants = Object.fromEntries(Object.entries(getCronStatus().tokens).map(([tenant, token]) => {
+    let status = CHECK_STATUS.PASS;
+    if (!token.valid) {
+      // No token yet (or expired while idle) is fetched on the next tool call
+      status = token.lastCheck?.outcome === "failed" ? CHECK_STATUS.FAIL : CHECK_STATUS.WARN;
+    }
+    return [tenant, { status, ...token }];
+  }));
+  const statuses = Object.values(tenants).map(tenant => tenant.status);
+  const allFailed = statuses.length > 0 && statuses.every(status => status === CHECK_STATUS.FAIL);
+  return {
+    status: allFailed ? CHECK_STATUS.FAIL : worstStatus(statuses.map(status => status === CHECK_STATUS.FAIL ? CHECK_STATUS.WARN : status)),
+    tenants
+  };
+}
+
+function checkPurchaseJobs() {
+  const stats = getPurchaseJobStats();
+  let status = CHECK_STATUS.PASS;
+  if (!stats.workerRunning) {
+    status = CHECK_STATUS.FAIL;
+  } else if (stats.timedOut > 0) {
+    // Purchases flagged for follow-up; selling still works
+    status = CHECK_STATUS.WARN;
+  }
+  return { status, ...stats };
+}
+
+function checkCatalogCache() {
+  const resources = getCatalogCacheStatus();
+  return {
+    status: resources.some(resource => resource.expired > 0) ? CHECK_STATUS.WARN : CHECK_STATUS.PASS,
+    resources
+  };
+}
+
+function checkCircuitBreakers() {
+  const states = getCircuitBreakerStates();
+  return {
+    status: states.open > 0 || states.halfOpen > 0 ? CHECK_STATUS.WARN : CHECK_STATUS.PASS,
+    ...states
+  };
+}
+
+/**
+ * Run the readiness checks
+ * @returns {Promise<Object>} { ready, status (ready, degraded, not_ready), checks }
+ */
+export async function getReadiness() {
+  const checks = {
+    storage: await checkStorage(),
+    authTokens: checkAuthTokens(),
+    purchaseJobs: checkPurchaseJobs(),
+    catalogCache: checkCatalogCache(),
+    circuitBreakers: checkCircuitBreakers()
+  };
+  const overall = worstStatus(Object.values(checks).map(check => check.status));
+  return {
+    ready: overall !== CHECK_STATUS.FAIL,
+    status: { pass: "ready", warn: "degraded", fail: "not_ready" }[overall],
+    checks
+  };
+}
+
+/**
+ * Setup the /health, /health/live and /health/ready routes
+ * @param {express.Application} app - Express app instance
+ */
+export function setupHealthEndpoints(app) {
+  app.get(HEALTH_PATH, (req, res) => {
+    try {
+      const circuitBreakers = getCircuitBreakerStates();
+      res.status(200).json({
+        // Degraded: some Reach endpoints fail fast (or serve saved catalog data) until their breaker closes
+        status: circuitBreakers.open > 0 ? "degraded" : "healthy",
+        timestamp: new Date().toISOString(),
+        mongodb: mongoStorage.isMongoConnected() ? "connected" : "disconnected",
+        mcpSessions: getMcpSessionCount(),
+        circuitBreakers
+      });
+    } catch (error) {
+      res.status(503).json({
+        status: "unhealthy",
+        error: error.message
+      });
+    }
+  });
+
+  app.get(LIVENESS_PATH, (req, res) => {
+    res.status(200).json({
+      status: "ok",
+      timestamp: new Date().toISOString(),
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000)
+    });
+  });
+
+  app.get(READINESS_PATH, async (req, res) => {
+    try {
+      const readiness = await getReadiness();
+      if (readiness.ready !== lastReady) {
+        const failing = Object.keys(readiness.checks).filter(name => readiness.checks[name].status === CHECK_STATUS.FAIL);
+        logger[readiness.ready ? "info" : "warn"](readiness.ready ? "Instance is ready" : "Instance is not ready", { failing });
+        lastReady = readiness.ready;
+      }
+      res.status(readiness.ready ? 200 : 503).json({ ...readiness, timestamp: new Date().toISOString() });
+    } catch (error) {
+      logger.error("Readiness check error", { error: error.message });
+      res.status(503).json({ ready: false, status: "not_ready", error: error.message });
+    }
+  });
+}
@@ -0,0 +1,182 @@
+/**
+ * MCP Authentication Routes
+ *
+ * Authentication for the MCP endpoint (services/clientAuthService.js) per the MCP
+ * authorization spec:
+ *
+ *   GET  /.well-known/oauth-protected-resource[/mcp]  - protected resource metadata (RFC 9728):
+ *                                                       the /mcp resource and its authorization servers
+ *   GET  /.well-known/oauth-authorization-server      - local token issuer metadata  } only with
+ *   GET  /oauth/jwks.json                             - local token issuer keys      } MCP_LOCAL_TOKEN_ISSUER
+ *   POST /oauth/token                                 - client_credentials grant     } =true
+ *
+ * requireMcpAuth guards the MCP routes: requests without valid credentials get 401 with
+ * a WWW-Authenticate header pointing at the resource metadata. The principal is attached
+ * as req.auth, which the Streamable HTTP transport hands to tool calls (extra.authInfo).
+ */
+
+import express from "express";
+import {
+  authenticateRequest,
+  verifyClientSecret,
+  isAuthRequired,
+  AuthenticationError
+} from "./services/clientAuthService.js";
+import {
+  isLocalTokenIssuerEnabled,
+  issueLocalToken,
+  getLocalJwks,
+  getLocalIssuerMetadata,
+  LOCAL_ISSUER_PATHS
+} from "./services/localTokenIssuer.js";
+import { grantClientScopes, ALL_TOOL_SCOPES } from "./services/toolScopeService.js";
+import { getServerBaseUrl } from "./tools/helpers.js";
+import { logger } from "./utils/logger.js";
+
+export const PROTECTED_RESOURCE_METADATA_PATH = "/.well-known/oauth-protected-resource";
+
+function getBaseUrl(req) {
+  return getServerBaseUrl() || `${req.protocol}://${req.get("host")}`;
+}
+
+function getResourceUrl(baseUrl) {
+  return process.env.MCP_RESOURCE_URL || `${baseUrl}/mcp`;
+}
+
+function getAuthorizationServers(baseUrl) {
+  return [
+    process.env.MCP_OAUTH_ISSUER,
+    isLocalTokenIssuerEnabled() ? baseUrl : null
+  ].filter(Boolean);
+}
+
+function sendOAuthError(res, status, error, description) {
+  res.set("Cache-Control", "no-store");
+  res.status(status).json({ error, error_description: description });
+}
+
+// Client credentials from HTTP Basic auth (client_secret_basic) or the form (client_secret_post)
+function getClientCredentials(req) {
+  const [scheme, encoded] = (req.get("authorization") || "").split(" ");
+  if (scheme?.toLowerCase() === "basic" && encoded) {
+    const decoded = Buffer.from(encoded, "base64").toString("utf8");
+    const separator = decoded.indexOf(":");
+    return {
+      clientId: decodeURIComponent(decoded.slice(0, separator)),
+      clientSecret: decodeURIComponent(decoded.slice(separator + 1))
+    };
+  }
+  return { clientId: req.body?.client_id, clientSecret: req.body?.client_secret };
+}
+
+/**
+ * Setup the authorization metadata routes (and the local token issuer when enabled)
+ * @param {express.Application} app - Express app instance (with express.json())
+ */
+export function setupMcpAuth(app) {
+  const sendResourceMetadata = (req, res) => {
+    const baseUrl = getBaseUrl(req);
+    res.json({
+      resource: getResourceUrl(baseUrl),
+      authorization_servers: getAuthorizationServers(baseUrl),
+      bearer_methods_supported: ["header"],
+      scopes_supported: ALL_TOOL_SCOPES,
+      resource_name: "Reach Mobile MCP Server"
+    });
+  };
+  app.get(PROTECTED_RESOURCE_METADATA_PATH, sendResourceMetadata);
+  app.get(`${PROTECTED_RESOURCE_METADATA_PATH}/mcp`, sendResourceMetadata);
+
+  if (!isLocalTokenIssuerEnabled()) {
+    return;
+  }
+  logger.warn("Local token issuer enabled - for development and tests only");
+
+  app.get(LOCAL_ISSUER_PATHS.METADATA, (req, res) => {
+    res.json(getLocalIssuerMetadata(getBaseUrl(req)));
+  });
+
+  app.get(LOCAL_ISSUER_PATHS.JWKS, (req, res) => {
+    res.json(getLocalJwks());
+  });
+
+  app.post(LOCAL_ISSUER_PATHS.TOKEN, express.urlencoded({ extended: false }), (req, res) => {
+    if (req.body?.grant_type !== "client_credentials") {
+      return sendOAuthError(res, 400, "unsupported_grant_type", "Only the client_credentials grant is supported");
+    }
+
+    const { clientId, clientSecret } = getClientCredentials(req);
+    if (!verifyClientSecret(clientId, clientSecret)) {
+      logger.warn("Token request rejected: invalid client credentials", { clientId: clientId || null });
+      return sendOAuthError(res, 401, "invalid_client", "Invalid client credentials");
+    }
+
+    const baseUrl = getBaseUrl(req);
+    const resourceUrl = getResourceUrl(baseUrl);
+    if (req.body.resource && req.body.resource !== resourceUrl) {
+      return sendOAuthError(res, 400, "invalid_target", `Tokens can only be issued for ${resourceUrl}`);
+    }
+
+    // Requested scopes are limited to the client's allowed set (all of them if none are requested)
+    const requestedScopes = String(req.body.scope || "").split(" ").filter(Boolean);
+    const scopes = grantClientScopes(clientId, requestedScopes);
+    if (requestedScopes.length > 0 && scopes.length === 0) {
+      return sendOAuthError(res, 400, "invalid_scope", "None of the requested scopes is allowed for this client");
+    }
+    const { accessToken, expiresIn } = issueLocalToken({ issuer: baseUrl, clientId, audience: resourceUrl, scopes });
+    res.set("Cache-Control", "no-store");
+    res.json({
+      access_token: accessToken,
+      token_type: "Bearer",
+      expires_in: expiresIn,
+      scope: scopes.join(" ")
+    });
+  });
+}
+
+/**
+ * Middleware authenticating MCP requests (sets req.auth to the transport's AuthInfo)
+ * Requests without credentials pass only when authentication is not required.
+ * @param {express.Request} req - Request
+ * @param {express.Response} res - Response
+ * @param {Function} next - Next middleware
+ */
+export async function requireMcpAuth(req, res, next) {
+  const baseUrl = getBaseUrl(req);
+  const resourceMetadataUrl = `${baseUrl}${PROTECTED_RESOURCE_METADATA_PATH}/mcp`;
+  const challenge = (error = null) => [
+    "Bearer",
+    error ? ` error="${error.errorCode}", error_description="${error.message}",` : "",
+    ` resource_metadata="${resourceMetadataUrl}"`
+  ].join("");
+
+  try {
+    const principal = await authenticateRequest(req.headers, {
+      resourceUrl: getResourceUrl(baseUrl),
+      localIssuer: isLocalTokenIssuerEnabled() ? baseUrl : null
+    });
+
+    if (!principal) {
+      if (!isAuthRequired()) return next();
+      res.set("WWW-Authenticate", challenge());
+      return sendOAuthError(res, 401, "invalid_token", "Authentication required");
+    }
+
+    req.auth = {
+      token: null,
+      clientId: principal.clientId,
+      scopes: principal.scopes,
+      expiresAt: principal.expiresAt ?? undefined,
+      extra: { principal }
+    };
+    next();
+  } catch (error) {
+    if (!(error instanceof AuthenticationError)) {
+      logger.error("MCP authentication failed", { error: error.message });
+      return sendOAuthError(res, 500, "server_error", "Authentication failed");
+    }
+    logger.warn("MCP request rejected: invalid credentials", { error: error.message, path: req.path });
+    res.set("WWW-Authenticate", challenge(error));
+    sendOAuthError(res, error.errorCode === "invalid_request" ? 400 : 401, error.errorCode, error.message);
+  }
+}
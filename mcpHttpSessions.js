@@ -0,0 +1,330 @@
+/**
+ * MCP HTTP Sessions
+ *
+ * Streamable HTTP transport with MCP session management. Each MCP session has its own
+ * transport and MCP server, so concurrent clients (ChatGPT, Claude, ...) never share
+ * protocol state:
+ *
+ *   POST   /mcp  - an initialize request without Mcp-Session-Id creates a session (the ID
+ *                  is returned in the Mcp-Session-Id response header); every other request
+ *                  must carry the header and is handled by that session's transport
+ *   GET    /mcp  - the session's server-to-client SSE stream (server-initiated notifications)
+ *   DELETE /mcp  - terminates the session
+ *
+ * A session belongs to the authenticated client that initialized it (req.auth, see
+ * mcpAuth.js); other clients cannot use its ID. Sessions without requests for
+ * MCP_SESSION_IDLE_TIMEOUT ms (default 30 minutes) are closed. Requests for an unknown,
+ * terminated or evicted session get 404, which tells the client to initialize a new session.
+ * Requests over the client's rate limit (RATE_LIMIT_HTTP) get 429 with Retry-After.
+ */
+
+import { randomUUID } from "crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { createMcpServer } from "./mcpServer.js";
+import { checkHttpRateLimit } from "./services/rateLimitService.js";
+import { createGauge } from "./services/metricsService.js";
+import { createProblem, PROBLEM_TYPES } from "./utils/errorHandler.js";
+import { logger } from "./utils/logger.js";
+
+export const MCP_SESSION_HEADER = "mcp-session-id";
+
+const IDLE_TIMEOUT_MS = parseInt(process.env.MCP_SESSION_IDLE_TIMEOUT || "1800000", 10);
+const EVICTION_INTERVAL_MS = Math.min(IDLE_TIMEOUT_MS, 60000);
+// POST requests must answer before ngrok/ALB time out (60s); SSE streams (GET) are exempt
+const REQUEST_TIMEOUT_MS = 25000;
+const TRANSPORT_TIMEOUT_MS = 20000;
+
+// Open sessions: sessionId -> { sessionId, transport, server, owner, createdAt, lastActivityAt, openRequests }
+const sessions = new Map();
+let evictionTimer = null;
+
+createGauge("mcp_sessions_open", "Open MCP HTTP sessions", [], () => sessions.size);
+
+// Authenticated client of a request (null without MCP auth)
+function getRequestOwner(req) {
+  if (!req.auth) return null;
+  const principal = req.auth.extra?.principal;
+  return [principal?.issuer || "", req.auth.clientId, principal?.subject || ""].join("|");
+}
+
+function sendJsonRpcError(res, status, code, message, id = null) {
+  res.status(status).json({
+    jsonrpc: "2.0",
+    id,
+    error: { code, message }
+  });
+}
+
+// Errors after the response started are reported in SSE format (clients expect text/event-stream)
+function sendSseError(res, id, data) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write(`data: ${JSON.stringify({
+    jsonrpc: "2.0",
+    id: id || null,
+    error: {
+      code: -32603,
+      message: "Internal error",
+      data
+    }
+  })}\n\n`);
+  res.end();
+}
+
+/**
+ * Create a session for an initialize request (registered once the transport assigns its ID)
+ * @param {string|null} owner - Authenticated client initializing the session
+ * @returns {Promise<Object>} Session
+ */
+async function createSession(owner) {
+  const session = {
+    sessionId: null,
+    transport: null,
+    server: createMcpServer(),
+    owner,
+    createdAt: Date.now(),
+    lastActivityAt: Date.now(),
+    openRequests: 0
+  };
+
+  session.transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: () => randomUUID(),
+    enableJsonResponse: false,  // SSE responses (ChatGPT connector)
+    onsessioninitialized: (sessionId) => {
+      session.sessionId = sessionId;
+      sessions.set(sessionId, session);
+      logger.info("MCP session created", { sessionId, openSessions: sessions.size });
+    }
+  });
+  // Set before connect: the server chains its own close handling onto it
+  session.transport.onclose = () => {
+    if (session.sessionId && sessions.get(session.sessionId) === session) {
+      sessions.delete(session.sessionId);
+      logger.info("MCP session closed", { sessionId: session.sessionId, openSessions: sessions.size });
+    }
+  };
+
+  await session.server.connect(session.transport);
+  return session;
+}
+
+/**
+ * Close a session (its transport, SSE streams and MCP server)
+ * @param {string} sessionId - MCP session ID
+ * @param {string} reason - Why it is closed (logged)
+ * @returns {Promise<boolean>} Whether the session was open
+ */
+export async function closeMcpSession(sessionId, reason = "closed") {
+  const session = sessions.get(sessionId);
+  if (!session) return false;
+  sessions.delete(sessionId);
+  logger.info("Closing MCP session", { sessionId, reason, idleMs: Date.now() - session.lastActivityAt });
+  try {
+    await session.server.close();
+  } catch (error) {
+    logger.warn("Error closing MCP session", { sessionId, error: error.message });
+  }
+  return true;
+}
+
+/**
+ * Close sessions that have had no request for idleTimeoutMs
+ * Sessions with an open request (including a GET SSE stream) are kept.
+ * @param {number} idleTimeoutMs - Idle time before a session is closed (default: MCP_SESSION_IDLE_TIMEOUT)
+ * @returns {Promise<number>} Number of sessions closed
+ */
+export async function evictIdleMcpSessions(idleTimeoutMs = IDLE_TIMEOUT_MS) {
+  const cutoff = Date.now() - idleTimeoutMs;
+  const idle = [...sessions.values()].filter(session => session.openRequests === 0 && session.lastActivityAt <= cutoff);
+  for (const session of idle) {
+    await closeMcpSession(session.sessionId, "idle");
+  }
+  return idle.length;
+}
+
+/**
+ * Close every session (shutdown)
+ * @returns {Promise<void>}
+ */
+export async function closeAllMcpSessions() {
+  if (evictionTimer) {
+    clearInterval(evictionTimer);
+    evictionTimer = null;
+  }
+  for (const sessionId of [...sessions.keys()]) {
+    await closeMcpSession(sessionId, "shutdown");
+  }
+}
+
+/**
+ * Number of open MCP sessions (health)
+ * @returns {number}
+ */
+export function getMcpSessionCount() {
+  return sessions.size;
+}
+
+// Clients must accept both JSON and SSE on POST; connectors that send neither are given both
+function normalizeAcceptHeader(req) {
+  const accept = req.headers.accept || "";
+  if (accept.includes("application/json") && accept.includes("text/event-stream")) return;
+  req.headers.accept = "application/json, text/event-stream";
+  logger.debug("Accept header completed for Streamable HTTP", { original: accept || "(missing)" });
+}
+
+async function handleSessionRequest(session, req, res) {
+  if (req.method !== "POST") {
+    await session.transport.handleRequest(req, res, req.body);
+    return;
+  }
+
+  const timeout = setTimeout(() => {
+    if (!res.headersSent) {
+      logger.error("Request timeout", { sessionId: session.sessionId, method: req.body?.method, id: req.body?.id, elapsed: `${REQUEST_TIMEOUT_MS / 1000}s` });
+      sendSseError(res, req.body?.id, "Request timeout");
+    }
+  }, REQUEST_TIMEOUT_MS);
+  res.on("close", () => clearTimeout(timeout));
+
+  let transportTimer = null;
+  try {
+    await Promise.race([
+      session.transport.handleRequest(req, res, req.body),
+      new Promise((_, reject) => {
+        transportTimer = setTimeout(() => reject(new Error("Transport timeout")), TRANSPORT_TIMEOUT_MS);
+      })
+    ]);
+  } catch (transportError) {
+    logger.error("Transport error", { sessionId: session.sessionId, error: transportError.message });
+    if (!res.headersSent) {
+      sendSseError(res, req.body?.id, transportError.message);
+    }
+  } finally {
+    clearTimeout(transportTimer);
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Middleware limiting MCP requests per client (authenticated client, else IP address)
+ * @param {express.Request} req - Request (after authentication)
+ * @param {express.Response} res - Response
+ * @param {Function} next - Next middleware
+ */
+export function rateLimitMcpRequests(req, res, next) {
+  const clientKey = req.auth?.clientId ? `client:${req.auth.clientId}` : `ip:${req.ip}`;
+  const error = checkHttpRateLimit(clientKey);
+  if (!error) return next();
+
+  res.set("Retry-After", String(error.retryAfterSeconds));
+  res.status(429).json({
+    jsonrpc: "2.0",
+    id: req.body?.id ?? null,
+    error: {
+      code: -32000,
+      message: "Too many requests",
+      data: createProblem(PROBLEM_TYPES.THROTTLED, error.message, true, { retryAfterSeconds: error.retryAfterSeconds, limit: error.limit })
+    }
+  });
+}
+
+/**
+ * Handle an MCP request (POST, GET or DELETE)
+ * @param {express.Request} req - Request (body parsed by express.json())
+ * @param {express.Response} res - Response
+ */
+export async function handleMcpRequest(req, res) {
+  const sessionId = req.get(MCP_SESSION_HEADER);
+  let session = sessionId ? sessions.get(sessionId) : null;
+
+  // Another client's session is reported as unknown
+  if (session && session.owner !== getRequestOwner(req)) {
+    logger.warn("MCP request for a session of another client", { sessionId, method: req.method, clientId: req.auth?.clientId || null });
+    session = null;
+  }
+  if (sessionId && !session) {
+    logger.info("MCP request for unknown session", { sessionId, method: req.method });
+    return sendJsonRpcError(res, 404, -32001, "Session not found", req.body?.id ?? null);
+  }
+
+  if (req.method === "POST") {
+    normalizeAcceptHeader(req);
+  }
+
+  logger.info("📥 MCP request received", {
+    httpMethod: req.method,
+    method: req.body?.method,
+    id: req.body?.id,
+    sessionId: sessionId || null
+  });
+
+  try {
+    if (!session) {
+      if (req.method !== "POST" || !isInitializeRequest(req.body)) {
+        return sendJsonRpcError(res, 400, -32000, "Bad Request: Mcp-Session-Id header is required (send an initialize request first)", req.body?.id ?? null);
+      }
+      session = await createSession(getRequestOwner(req));
+    }
+
+    session.openRequests += 1;
+    session.lastActivityAt = Date.now();
+    try {
+      await handleSessionRequest(session, req, res);
+    } finally {
+      // SSE streams stay open after handleRequest returns; the session is idle once they close
+      const finish = () => {
+        session.openRequests = Math.max(session.openRequests - 1, 0);
+        session.lastActivityAt = Date.now();
+      };
+      if (res.writableEnded) finish();
+      else res.once("close", finish);
+    }
+
+    // An initialize request that failed never got a session ID
+    if (!session.sessionId) {
+      await session.server.close();
+    }
+  } catch (error) {
+    logger.error("MCP request error", {
+      error: error.message,
+      stack: error.stack,
+      method: req.body?.method,
+      id: req.body?.id
+    });
+    if (!res.headersSent) {
+      sendSseError(res, req.body?.id, error.message);
+    }
+  }
+}
+
+/**
+ * Setup the MCP routes and idle session eviction
+ * @param {express.Application} app - Express app instance (with express.json())
+ * @param {Object} options - Options
+ * @param {Array<string>} options.paths - Paths serving POST, GET and DELETE (default: ["/mcp"])
+ * @param {Array<string>} options.postOnlyPaths - Paths serving POST only (e.g. "/" for connectors that post to the root)
+ * @param {Array<Function>} options.middleware - Middleware run before every MCP request (e.g. tenant selection)
+ *   Rate limiting runs after it, so authenticated clients are limited by client rather than IP.
+ */
+export function setupMcpRoutes(app, { paths = ["/mcp"], postOnlyPaths = [], middleware = [] } = {}) {
+  const handlers = [...middleware, rateLimitMcpRequests, handleMcpRequest];
+  paths.forEach((routePath) => {
+    app.post(routePath, ...handlers);
+    app.get(routePath, ...handlers);
+    app.delete(routePath, ...handlers);
+  });
+  postOnlyPaths.forEach((routePath) => {
+    app.post(routePath, ...handlers);
+  });
+
+  if (!evictionTimer) {
+    evictionTimer = setInterval(() => {
+      evictIdleMcpSessions().catch(error => logger.error("MCP session eviction failed", { error: error.message }));
+    }, EVICTION_INTERVAL_MS);
+    evictionTimer.unref?.();
+  }
+}
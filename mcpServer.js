@@ -0,0 +1,654 @@
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  InitializeRequestSchema,
+  ListResourcesRequestSchema,
+  ReadResourceRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+
+import { getAuthToken } from "./services/authService.js";
+import { logger } from "./utils/logger.js";
+import { ensureTokenOnToolCall } from "./services/tokenRefreshCron.js";
+import { toolRegistry } from "./tools/index.js";
+import { validateToolArguments, formatValidationErrors } from "./utils/schemaValidator.js";
+import { createProblem, createProblemResult, mapErrorToProblem, PROBLEM_TYPES } from "./utils/errorHandler.js";
+import { WIDGET_VERSION } from "./tools/helpers.js";
+import { resolveTenant, getTenantConfig, UnknownTenantError, TENANT_HEADER } from "./config/tenantConfig.js";
+import { getSessionTenant, bindSessionTenant } from "./services/flowContextService.js";
+import { getClientIdentity, resolveCallSession, SessionAccessError } from "./services/sessionService.js";
+import { getEffectiveScopes, isToolAllowed } from "./services/toolScopeService.js";
+import { checkToolRateLimit, checkTenantApiBudget, RateLimitError } from "./services/rateLimitService.js";
+import { CircuitOpenError } from "./services/circuitBreakerService.js";
+import { withCatalogStalenessNotice } from "./services/catalogCacheService.js";
+import { runWithLogContext, getLogContext, addLogContext, createCorrelationId } from "./utils/logContext.js";
+import { createCounter, createHistogram } from "./services/metricsService.js";
+import { withSpan, getActiveSpan, parseTraceparent, SPAN_KIND, SPAN_STATUS } from "./services/tracingService.js";
+
+// ================================================================================
+// SYSTEM-LEVEL INSTRUCTIONS: WEB SEARCH IS STRICTLY PROHIBITED
+// ================================================================================
+/**
+ * CRITICAL SYSTEM RULE: WEB SEARCH IS COMPLETELY DISABLED
+ * 
+ * This MCP server operates EXCLUSIVELY with:
+ * - Reach Mobile API data
+ * - Tool responses from this server
+ * - Flow context and cart data
+ * 
+ * WEB SEARCH IS NOT ALLOWED UNDER ANY CIRCUMSTANCES:
+ * - No internet browsing
+ * - No web search APIs
+ * - No external data fetching (except Reach Mobile API)
+ * - No general knowledge from training data
+ * - No Wikipedia, Google, or any other external sources
+ * 
+ * All information must come from:
+ * 1. Reach Mobile API responses
+ * 2. Tool responses from this MCP server
+ * 3. Flow context and session data
+ * 
+ * If information is not available from these sources, the system must:
+ * - Inform the user that the information is not available
+ * - Suggest using available tools to get the information
+ * - NOT attempt to search the web or use general knowledge
+ */
+const SYSTEM_INSTRUCTIONS = {
+  WEB_SEARCH_DISABLED: true,
+  ALLOWED_DATA_SOURCES: [
+    'Reach Mobile API',
+    'MCP Tool Responses',
+    'Flow Context',
+    'Cart Data',
+    'Session Data'
+  ],
+  PROHIBITED_ACTIONS: [
+    'Web browsing',
+    'Internet search',
+    'External API calls (except Reach Mobile)',
+    'Using general knowledge from training data',
+    'Wikipedia lookups',
+    'Google searches',
+    'Any external data fetching'
+  ]
+};
+
+// Track which tenants have been initialized (first tool call per tenant)
+// This ensures we always create a fresh auth token on first initialization
+const initializedTenants = new Set();
+
+const toolCallsTotal = createCounter("mcp_tool_calls_total", "Tool calls by tool and status (ok, a problem type, or error)", ["tool", "status"]);
+const toolCallDuration = createHistogram("mcp_tool_call_duration_seconds", "Tool call latency in seconds", ["tool"]);
+
+// Metrics status of a tool result: ok, the problem type (NOT_ELIGIBLE, THROTTLED, ...) or error
+function getToolCallStatus(result) {
+  if (!result?.isError) return "ok";
+  return result.structuredContent?.problem?.type || "error";
+}
+
+// Principal authenticated by mcpAuth.js (HTTP), null for anonymous callers
+function getPrincipal(extra) {
+  return extra?.authInfo?.extra?.principal || null;
+}
+
+/**
+ * Create an MCP Server with the initialize, tools, and resources handlers registered
+ * Transports (stdio, Streamable HTTP, in-memory for tests) are connected by the caller.
+ * @returns {Server} MCP server instance
+ */
+export function createMcpServer() {
+  const server = new Server(
+    {
+      name: "reach-mobile-mcp-server",
+      version: "1.0.0",
+    },
+    {
+      capabilities: {
+        tools: {
+          list: true,
+          call: true,
+        },
+        resources: {
+          subscribe: false,
+          listChanged: false,
+        },
+      },
+    }
+  );
+
+  // Handle Initialize Request (required by MCP protocol)
+  server.setRequestHandler(InitializeRequestSchema, async (request) => {
+    const requestedVersion = request.params?.protocolVersion || "2024-11-05";
+
+    logger.info("Initialize request received", {
+      protocolVersion: requestedVersion,
+      clientInfo: request.params?.clientInfo
+    });
+
+    // Support multiple protocol versions that ChatGPT might request
+    // Return the version ChatGPT requested, or default to latest supported
+    const supportedVersions = ["2024-11-05", "2025-03-26", "2025-06-18"];
+    const protocolVersion = supportedVersions.includes(requestedVersion)
+      ? requestedVersion
+      : "2024-11-05";
+
+    return {
+      protocolVersion: protocolVersion,
+      capabilities: {
+        tools: {
+          list: true,
+          call: true,
+        },
+        resources: {
+          subscribe: false,
+          listChanged: false,
+        },
+      },
+      serverInfo: {
+        name: "reach-mobile-mcp-server",
+        version: "1.0.0",
+        // System-level instruction: Web search is completely disabled
+        instructions: "CRITICAL: WEB SEARCH IS STRICTLY PROHIBITED. Use ONLY Reach Mobile API data and tool responses. DO NOT search the web, use general knowledge, or fetch external data. All information must come from Reach Mobile API or this MCP server's tools. When displaying email addresses to users (e.g. in checkout summaries, collected details, or contact info), always show them as plain text using inline code: wrap the email in backticks, e.g. `user@example.com`, so they are not rendered as mailto links.",
+      },
+    };
+  });
+
+  // Define MCP Tools (generated from the tool registry)
+  // Only the tools the caller's scopes allow are advertised
+  server.setRequestHandler(ListToolsRequestSchema, async (request, extra) => {
+    const scopes = getEffectiveScopes(getPrincipal(extra));
+    return {
+      tools: toolRegistry.listTools(tool => isToolAllowed(tool, scopes)),
+    };
+  });
+
+  // Register Resources (for Apps SDK widgets)
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return {
+      resources: [
+        {
+          uri: `ui://widget/plans.html?v=${WIDGET_VERSION}`,
+          name: "Plans Widget",
+          description: "Widget for displaying mobile plans with interactive buttons",
+          mimeType: "text/html+skybridge",
+        },
+        {
+          uri: "ui://widget/cart.html",
+          name: "Cart Widget",
+          description: "Widget for displaying shopping cart with checkout button",
+          mimeType: "text/html+skybridge",
+        },
+        {
+          uri: "ui://widget/hello.html",
+          name: "Hello Widget",
+          description: "Minimal test widget",
+          mimeType: "text/html+skybridge",
+        },
+        {
+          uri: "ui://widget/offers.html",
+          name: "Offers Widget",
+          description: "Widget for displaying coupons and offers",
+          mimeType: "text/html+skybridge",
+        },
+        {
+          uri: "ui://widget/devices.html",
+          name: "Devices Widget",
+          description: "Widget for displaying devices with pricing and Add to Cart",
+          mimeType: "text/html+skybridge",
+        },
+        {
+          uri: "ui://widget/sim.html",
+          name: "SIM Types Widget",
+          description: "DEPRECATED: Widget for SIM type selection (SIM selection is no longer needed - eSIM is automatically set when plans are added)",
+          mimeType: "text/html+skybridge",
+        },
+      ],
+    };
+  });
+
+  // Handle Resource Reads (for Apps SDK widgets)
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    try {
+      const { uri } = request.params;
+
+      logger.info("🔍 Resource read requested", { uri });
+
+      // Handle ui:// URIs for Apps SDK widgets
+      if (uri.startsWith("ui://widget/")) {
+        // Handle minimal hello widget test (inline)
+        if (uri === "ui://widget/hello.html") {
+          return {
+            contents: [
+              {
+                uri: uri,
+                mimeType: "text/html+skybridge",
+                text: `
+                  <!DOCTYPE html>
+                  <html>
+                  <head>
+                    <meta charset="UTF-8">
+                    <style>
+                      body {
+                        margin: 0;
+                        padding: 16px;
+                        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                        background: #f5f5f5;
+                      }
+                      #root {
+                        background: white;
+                        padding: 20px;
+                        border-radius: 8px;
+                        box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+                        min-height: 50px;
+                      }
+                    </style>
+                  </head>
+                  <body>
+                    <div id="root">Loading...</div>
+                    <script type="module">
+                      // Try immediately first
+                      const root = document.getElementById("root");
+                      const output = window.openai?.toolOutput ?? {};
+                      const message = output.message || "Hello from widget!";
+                    
+                      if (root && message) {
+                        root.innerHTML = \`<h3 style="margin: 0; color: #1976d2;">✅ \${message}</h3><p style="margin: 8px 0 0 0; color: #666;">Widget is working correctly!</p>\`;
+                      }
+                    
+                      // Also listen for load event as fallback
+                      window.addEventListener("load", () => {
+                        const rootEl = document.getElementById("root");
+                        if (rootEl && !rootEl.textContent.includes("✅")) {
+                          const outputData = window.openai?.toolOutput ?? {};
+                          const msg = outputData.message || "Hello from widget!";
+                          rootEl.innerHTML = \`<h3 style="margin: 0; color: #1976d2;">✅ \${msg}</h3><p style="margin: 8px 0 0 0; color: #666;">Widget is working correctly!</p>\`;
+                        }
+                      });
+                    
+                      // Log for debugging
+                      logger.debug("Hello widget loaded", {
+                        hasOpenAI: !!window.openai,
+                        toolOutput: window.openai?.toolOutput,
+                        message: output.message
+                      });
+                    </script>
+                  </body>
+                  </html>
+                `.trim(),
+                _meta: {
+                  "openai/widgetPrefersBorder": true
+                }
+              },
+            ],
+          };
+        }
+
+        // Extract template name from ui:// URI for file-based widgets
+        // Extract template name from ui:// URI for file-based widgets
+        // Format: ui://widget/plans.html or ui://widget/plans.html?v=123
+        const match = uri.match(/ui:\/\/widget\/([^\/?]+)/);
+        if (!match) {
+          throw new Error(`Invalid widget URI: ${uri}`);
+        }
+        const templateName = match[1].replace('.html', '');
+
+        const __filename = fileURLToPath(import.meta.url);
+        const __dirname = path.dirname(__filename);
+        const templatesPath = path.join(__dirname, "templates");
+        const templatePath = path.join(templatesPath, `${templateName}.html`);
+
+        logger.info("📁 Template lookup", {
+          templateName,
+          templatePath,
+          exists: fs.existsSync(templatePath)
+        });
+
+        if (!fs.existsSync(templatePath)) {
+          throw new Error(`Template not found: ${templateName} at ${templatePath}`);
+        }
+
+        const templateContent = fs.readFileSync(templatePath, "utf-8");
+
+        const response = {
+          contents: [
+            {
+              uri: uri,
+              mimeType: "text/html+skybridge",
+              text: templateContent,
+              _meta: {
+                "openai/widgetPrefersBorder": true
+              }
+            },
+          ],
+        };
+
+        logger.info("📤 Resource read response", {
+          uri,
+          mimeType: response.contents[0].mimeType,
+          contentLength: templateContent.length,
+          hasText: !!response.contents[0].text,
+          hasMeta: !!response.contents[0]._meta,
+          responsePreview: JSON.stringify(response, null, 2).substring(0, 500)
+        });
+
+        return response;
+      } else if (uri.includes('/templates/')) {
+        // Fallback for HTTP URLs (backward compatibility)
+        const templateMatch = uri.match(/\/templates\/([^\/]+)$/);
+        if (!templateMatch) {
+          throw new Error(`Invalid template URI: ${uri}`);
+        }
+        const templateName = templateMatch[1];
+
+        const __filename = fileURLToPath(import.meta.url);
+        const __dirname = path.dirname(__filename);
+        const templatesPath = path.join(__dirname, "templates");
+        const templatePath = path.join(templatesPath, `${templateName}.html`);
+
+        if (!fs.existsSync(templatePath)) {
+          throw new Error(`Template not found: ${templateName} at ${templatePath}`);
+        }
+
+        const templateContent = fs.readFileSync(templatePath, "utf-8");
+
+        return {
+          contents: [
+            {
+              uri: uri,
+              mimeType: "text/html+skybridge",
+              text: templateContent,
+              _meta: {
+                "openai/widgetPrefersBorder": true
+              }
+            },
+          ],
+        };
+      } else {
+        throw new Error(`Unsupported URI format: ${uri}`);
+      }
+    } catch (error) {
+      logger.error("❌ Resource read error", {
+        error: error.message,
+        stack: error.stack,
+        uri: request.params?.uri
+      });
+      throw error;
+    }
+  });
+
+  // Handle Tool Calls
+  // CRITICAL: All tool handlers must use ONLY API data - NO WEB SEARCH
+  const handleToolCall = async (request, extra) => {
+    const { name: rawName, arguments: args } = request.params;
+    // Normalize tool name (trim whitespace, handle edge cases)
+    const name = typeof rawName === 'string' ? rawName.trim() : rawName;
+
+    // System-level enforcement: Log that web search is disabled (DEBUG level to reduce noise)
+    logger.debug(`🔧 Tool called: ${name}`, {
+      args,
+      webSearchDisabled: SYSTEM_INSTRUCTIONS.WEB_SEARCH_DISABLED,
+      allowedDataSources: SYSTEM_INSTRUCTIONS.ALLOWED_DATA_SOURCES,
+      note: "WEB SEARCH IS STRICTLY PROHIBITED - Use ONLY Reach Mobile API and tool responses"
+    });
+
+    // Debug: Log tool name details for add_to_cart specifically
+    if (name === "add_to_cart" || name?.includes("add_to_cart")) {
+      logger.info("🔍 add_to_cart tool call detected", {
+        name,
+        nameType: typeof name,
+        nameLength: name?.length,
+        nameValue: JSON.stringify(name),
+        argsKeys: Object.keys(args || {})
+      });
+    }
+
+    try {
+
+      // Check if Apps SDK format is requested
+      const returnFormat = args?.returnFormat || request.params.returnFormat || 'markdown';
+      const isAppsSDK = returnFormat === 'json' || returnFormat === 'apps-sdk';
+
+      const tool = toolRegistry.get(name);
+
+      // Authenticated caller (HTTP with MCP auth), for scopes, tools and the audit log
+      const principal = getPrincipal(extra);
+
+      // Tools outside the caller's scopes are refused before anything else runs
+      if (tool && !isToolAllowed(tool, getEffectiveScopes(principal))) {
+        logger.warn("Tool call rejected: scope not granted", {
+          tool: name,
+          requiredScope: tool.scope,
+          clientId: principal?.clientId || null
+        });
+        return createProblemResult(
+          createProblem(
+            PROBLEM_TYPES.NOT_ELIGIBLE,
+            `This client is not allowed to use ${name} (requires the "${tool.scope}" scope)`,
+            false,
+            { tool: name, requiredScope: tool.scope }
+          ),
+          name
+        );
+      }
+
+      // Enforce the tool's declared inputSchema before doing any work (coerces "2" -> 2 where safe)
+      let toolArgs = args;
+      if (tool) {
+        const validation = validateToolArguments(tool.inputSchema, args);
+        if (!validation.valid) {
+          logger.warn("Tool arguments failed schema validation", {
+            tool: name,
+            errors: validation.errors
+          });
+          return createProblemResult(
+            createProblem(
+              PROBLEM_TYPES.BAD_INPUT,
+              `Invalid arguments for ${name}: ${formatValidationErrors(validation.errors)}`,
+              false,
+              { errors: validation.errors }
+            ),
+            name
+          );
+        }
+        toolArgs = validation.value;
+      }
+
+      // Bind the call to its client's session: another client's sessionId is rejected, and
+      // calls without one get the client's own session (never another client's)
+      const identity = getClientIdentity(extra);
+      try {
+        const sessionId = resolveCallSession(toolArgs?.sessionId || null, identity);
+        if (sessionId && sessionId !== toolArgs?.sessionId) {
+          toolArgs = { ...(toolArgs || {}), sessionId };
+        }
+        addLogContext({ sessionId: toolArgs?.sessionId || null });
+        getActiveSpan()?.setAttribute("mcp.session.id", toolArgs?.sessionId || null);
+      } catch (error) {
+        if (!(error instanceof SessionAccessError)) throw error;
+        logger.warn("Tool call rejected: session belongs to another client", {
+          tool: name,
+          sessionId: error.sessionId,
+          identity
+        });
+        return createProblemResult(
+          createProblem(
+            PROBLEM_TYPES.MISSING,
+            `${error.message}. Call the tool without a sessionId to use this client's session, or start_session to begin a new one.`,
+            false,
+            { sessionId: error.sessionId }
+          ),
+          name
+        );
+      }
+
+      // Per-session and per-tool limits (e.g. a runaway loop calling check_coverage)
+      if (tool) {
+        const rateLimitError = checkToolRateLimit({ tool: name, sessionId: toolArgs?.sessionId || null, caller: identity });
+        if (rateLimitError) {
+          return createProblemResult(mapErrorToProblem(rateLimitError), name);
+        }
+      }
+
+      // Resolve tenant: x-tenant-id header (or /mcp/:tenant path) -> session's tenant -> DEFAULT_TENANT
+      let tenant;
+      try {
+        tenant = resolveTenant({
+          headerTenant: extra?.requestInfo?.headers?.[TENANT_HEADER],
+          sessionTenant: getSessionTenant(toolArgs?.sessionId)
+        });
+      } catch (error) {
+        logger.warn("Tool call rejected: tenant could not be resolved", {
+          tool: name,
+          error: error.message
+        });
+        return createProblemResult(
+          createProblem(
+            error instanceof UnknownTenantError ? PROBLEM_TYPES.BAD_INPUT : PROBLEM_TYPES.NOT_ELIGIBLE,
+            error.message,
+            false,
+            { tenant: error.tenant || null }
+          ),
+          name
+        );
+      }
+
+      // Auto-authenticate when user initiates conversation (tool call)
+      // FIRST INITIALIZATION: Always create a fresh auth token on the first tool call for a tenant
+      // This ensures token is created and ready for all subsequent tools
+      if (!initializedTenants.has(tenant)) {
+        try {
+          logger.info("First initialization detected - creating fresh auth token", {
+            tool: name,
+            tenant
+          });
+          // Force create a fresh token on first initialization
+          await getAuthToken(tenant, true); // forceRefresh = true to ensure fresh token
+          logger.info("Fresh auth token created successfully on first initialization", {
+            tenant,
+            tool: name
+          });
+          initializedTenants.add(tenant); // Mark as initialized
+        } catch (error) {
+          logger.error("Failed to create auth token on first initialization", {
+            tool: name,
+            error: error.message,
+            errorType: error.errorType || error.name,
+            tenant
+          });
+          // Re-throw to prevent tools from running without authentication
+          throw error;
+        }
+      }
+
+      // Tools calling the Reach API are refused up front once the tenant's budget is used up
+      if (tool && tool.requiresReachAuth !== false) {
+        const budgetError = checkTenantApiBudget(tenant, getTenantConfig(tenant).apiRateLimit);
+        if (budgetError) {
+          return createProblemResult(mapErrorToProblem(budgetError), name);
+        }
+      }
+
+      // Auth generation on each tool call - ensures token exists and is valid
+      // Optimization: skip Reach auth for tools that don't need it (Devices/Protection)
+      if (tool?.requiresReachAuth === false) {
+        logger.debug("Tool does not require Reach API authentication", { tool: name });
+      } else {
+        // For all other tools (default), ensure token exists and is valid
+        try {
+          await ensureTokenOnToolCall(tenant);
+          logger.debug("Auth token verified for tool", { tool: name, tenant });
+        } catch (error) {
+          logger.error(`Failed to get auth token for tool call: ${name}`, {
+            error: error.message,
+            errorType: error.errorType || error.name
+          });
+          throw error;
+        }
+      }
+
+      if (!tool) {
+        // Debug logging before throwing unknown tool error
+        logger.error(`Unknown tool reached - no handler matched`, {
+          toolName: name,
+          nameType: typeof name,
+          nameLength: name?.length,
+          availableHandlers: toolRegistry.names()
+        });
+      }
+
+      // Audit log of authenticated calls
+      if (principal) {
+        logger.info("Tool call by authenticated client", {
+          tool: name,
+          clientId: principal.clientId,
+          subject: principal.subject,
+          authType: principal.authType,
+          sessionId: toolArgs?.sessionId || null,
+          tenant
+        });
+      }
+
+      const result = await toolRegistry.dispatch(name, toolArgs, { tenant, returnFormat, isAppsSDK, request, principal });
+
+      // Record the tenant on the session so later calls without a tenant header stay on it
+      bindSessionTenant(toolArgs?.sessionId || result?._meta?.sessionId, tenant);
+
+      return result;
+    } catch (error) {
+      logger.error(`Tool error: ${name}`, { error: error.message });
+      if (error instanceof RateLimitError || error instanceof CircuitOpenError) {
+        return createProblemResult(mapErrorToProblem(error), name);
+      }
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              { success: false, error: error.message },
+              null,
+              2
+            ),
+          },
+        ],
+        isError: true,
+      };
+    }
+  };
+
+  // Each tool call logs under the HTTP request's correlation ID (a new one for stdio),
+  // is counted and timed per tool (unregistered names are counted as "unknown") and is
+  // the root span of its trace (continuing the HTTP request's traceparent, if any).
+  // Answers built from outdated catalog data (Reach unavailable) carry a staleness notice
+  server.setRequestHandler(CallToolRequestSchema, (request, extra) => {
+    const name = typeof request.params?.name === "string" ? request.params.name.trim() : null;
+    const tool = toolRegistry.has(name) ? name : "unknown";
+    return runWithLogContext({
+      correlationId: getLogContext()?.correlationId || createCorrelationId(),
+      tool: name
+    }, () => withSpan(`tools/call ${tool}`, {
+      kind: SPAN_KIND.SERVER,
+      root: true,
+      parent: parseTraceparent(extra?.requestInfo?.headers?.traceparent),
+      attributes: { "mcp.method.name": "tools/call", "mcp.tool.name": tool }
+    }, async (span) => {
+      if (span.traceId) addLogContext({ traceId: span.traceId });
+      const endTimer = toolCallDuration.startTimer({ tool });
+      let status = "error";
+      try {
+        const result = await withCatalogStalenessNotice(() => handleToolCall(request, extra));
+        status = getToolCallStatus(result);
+        return result;
+      } finally {
+        endTimer();
+        toolCallsTotal.inc({ tool, status });
+        span.setAttribute("mcp.tool.status", status);
+        if (status !== "ok") span.setStatus(SPAN_STATUS.ERROR, status);
+      }
+    }));
+  });
+
+  return server;
+}
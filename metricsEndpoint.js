@@ -0,0 +1,38 @@
+/**
+ * Metrics Endpoint
+ *
+ *   GET /metrics - every metric in services/metricsService.js, in the Prometheus text format
+ *
+ * When METRICS_TOKEN is set, scrapers must send "Authorization: Bearer <METRICS_TOKEN>".
+ */
+
+import { renderMetrics } from "./services/metricsService.js";
+import { logger } from "./utils/logger.js";
+import { secretMatches } from "./utils/secretCompare.js";
+
+export const METRICS_PATH = "/metrics";
+const CONTENT_TYPE = "text/plain; version=0.0.4";
+
+/**
+ * Setup the /metrics route
+ * @param {express.Application} app - Express app instance
+ */
+export function setupMetricsEndpoint(app) {
+  app.get(METRICS_PATH, (req, res) => {
+    const expectedToken = process.env.METRICS_TOKEN;
+    if (expectedToken) {
+      const provided = (req.get("authorization") || "").match(/^Bearer\s+(.+)$/i)?.[1];
+      if (!secretMatches(provided, expectedToken)) {
+        logger.warn("Metrics scrape rejected", { reason: provided ? "invalid_token" : "missing_token" });
+        return res.status(401).set("WWW-Authenticate", 'Bearer realm="metrics"').type("text").send("Unauthorized\n");
+      }
+    }
+
+    try {
+      res.status(200).set("Content-Type", CONTENT_TYPE).send(renderMetrics());
+    } catch (error) {
+      logger.error("Failed to render metrics", { error: error.message });
+      res.status(500).type("text").send("Failed to render metrics\n");
+    }
+  });
+}
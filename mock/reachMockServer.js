@@ -0,0 +1,555 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Reach API Server
+ *
+ * Local stand-in for the Reach platform (and the Shopware / protection catalog
+ * backends) so the MCP server runs offline and in CI.
+ *
+ * Usage:
+ *   npm run mock:reach                          # listens on MOCK_REACH_PORT (default 4010)
+ *   REACH_MOCK_URL=http://localhost:4010 npm start
+ *
+ * REACH_MOCK_URL points the reach tenant's apiBaseUrl and catalog backends at the mock
+ * (see config/tenants/reach.json).
+ *
+ * Responses come from mock/fixtures/*.json. Failures are scripted with rules, either
+ * programmatically (mock.script(rule)) or over HTTP (POST /__mock/rules):
+ *
+ *   { "method": "GET", "path": "/authsvc/v0/reachplans/active", "failure": "modifiedDate", "times": 1 }
+ *   { "path": "/apisvc/v0/product/quote", "status": 200, "body": { ... } }
+ *   { "path": "/apisvc/v0/network/*", "failure": "timeout", "delayMs": 35000 }
+ *
+ * Admin endpoints:
+ *   GET    /__mock/requests                 - Recorded requests (method, path, body)
+ *   POST   /__mock/rules                    - Add rule(s): a rule or { rules: [...] }
+ *   DELETE /__mock/rules                    - Remove all rules
+ *   POST   /__mock/reset                    - Remove rules, orders, tokens and recorded requests
+ *   POST   /__mock/orders/:transactionId    - Set order paymentStatus/status
+ *   GET    /__mock/pay/:transactionId       - "Pay" an order (the payment link served by status), then
+ *                                             redirect to the order's redirectUrl like the real payment page
+ */
+
+import express from "express";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { logger } from "../utils/logger.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+
+const DEFAULT_PORT = 4010;
+const TOKEN_TTL_MS = 60 * 60 * 1000;
+const MAX_RECORDED_REQUESTS = 500;
+
+/**
+ * Canned failure modes for scripted rules
+ */
+export const MOCK_FAILURES = {
+  // Reach bug that apiClient.js detects and refuses to retry (SERVER_BUG)
+  modifiedDate: {
+    status: 500,
+    body: {
+      status: "FAILURE",
+      message: "Could not unconvert modifiedDate of com.reach.plan.ReachPlanDTO",
+      errorCode: "INTERNAL_SERVER_ERROR"
+    }
+  },
+  serverError: { status: 500, body: { status: "FAILURE", message: "Internal server error" } },
+  unauthorized: { status: 401, body: { status: "FAILURE", message: "Invalid or expired authorization token" } },
+  forbidden: { status: 403, body: { status: "FAILURE", message: "Access forbidden for this account" } },
+  notFound: { status: 404, body: { status: "FAILURE", message: "Resource not found" } },
+  badRequest: { status: 400, body: { status: "FAILURE", message: "Invalid request" } },
+  throttled: { status: 429, body: { status: "FAILURE", message: "Rate limit exceeded" } },
+  unavailable: { status: 503, body: { status: "FAILURE", message: "Service unavailable" } },
+  // Responds after delayMs (default longer than apiClient's 30s timeout)
+  timeout: { status: 504, body: { status: "FAILURE", message: "Gateway timeout" }, delayMs: 35000 }
+};
+
+function readFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), "utf-8"));
+}
+
+/**
+ * Load the canned responses from mock/fixtures
+ * @returns {Object} { plans, products, devices, coverage, protection, quotes }
+ */
+export function loadFixtures() {
+  return {
+    plans: readFixture("plans"),
+    products: readFixture("products"),
+    devices: readFixture("devices"),
+    coverage: readFixture("coverage"),
+    protection: readFixture("protection"),
+    quotes: readFixture("quotes")
+  };
+}
+
+function success(data, message) {
+  return message ? { status: "SUCCESS", message, data } : { status: "SUCCESS", data };
+}
+
+function failure(res, status, message) {
+  return res.status(status).json({ status: "FAILURE", message });
+}
+
+/**
+ * Plan names as sent by buildLines (data amounts stripped, e.g. "Unlimited Plus (100GB)" -> "Unlimited Plus")
+ */
+function normalizePlanName(name) {
+  return String(name || "")
+    .replace(/^REACH@nu@/i, "")
+    .replace(/\([\d.]+[\s]*[GMK]?B\)/gi, "")
+    .replace(/[\s]*[\d.]+[\s]*[GMK]?B/gi, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Check whether a scripted rule matches a request
+ * Paths match exactly, or by prefix when the rule path ends with "*".
+ */
+function ruleMatches(rule, req) {
+  if (rule.method && rule.method.toUpperCase() !== req.method) return false;
+  if (!rule.path) return true;
+  return rule.path.endsWith("*")
+    ? req.path.startsWith(rule.path.slice(0, -1))
+    : req.path === rule.path;
+}
+
+/**
+ * Create the mock Reach API application
+ * @param {Object} options - Options
+ * @param {Object} options.fixtures - Canned data (defaults to mock/fixtures)
+ * @param {number} options.pendingStatusPolls - Status calls that return no payment link yet (default: 1)
+ * @param {number} options.tokenTtlMs - Lifetime of issued auth tokens
+ * @returns {Object} { app, script, clearRules, reset, setOrderStatus, requests, orders }
+ */
+export function createReachMockApp({
+  fixtures = loadFixtures(),
+  pendingStatusPolls = 1,
+  tokenTtlMs = TOKEN_TTL_MS
+} = {}) {
+  const app = express();
+  const rules = [];
+  const tokens = new Map();
+  const orders = new Map();
+  const requests = [];
+  const pendingTimers = new Set();
+
+  app.use(express.json({ limit: "1mb" }));
+
+  // Record every request (admin endpoints excluded)
+  app.use((req, res, next) => {
+    if (!req.path.startsWith("/__mock")) {
+      requests.push({
+        method: req.method,
+        path: req.path,
+        query: req.query,
+        body: req.body,
+        at: new Date().toISOString()
+      });
+      if (requests.length > MAX_RECORDED_REQUESTS) requests.shift();
+    }
+    next();
+  });
+
+  // ---------------------------------------------------------------------------
+  // Admin endpoints
+  // ---------------------------------------------------------------------------
+
+  app.get("/__mock/requests", (req, res) => res.json({ requests }));
+
+  app.post("/__mock/rules", (req, res) => {
+    const added = (Array.isArray(req.body?.rules) ? req.body.rules : [req.body]).map(script);
+    res.json({ rules: added });
+  });
+
+  app.delete("/__mock/rules", (req, res) => {
+    clearRules();
+    res.json({ rules: [] });
+  });
+
+  app.post("/__mock/reset", (req, res) => {
+    reset();
+    res.json({ reset: true });
+  });
+
+  app.post("/__mock/orders/:transactionId", (req, res) => {
+    const order = setOrderStatus(req.params.transactionId, req.body || {});
+    if (!order) return failure(res, 404, `Unknown transaction: ${req.params.transactionId}`);
+    res.json({ order });
+  });
+
+  app.get("/__mock/pay/:transactionId", (req, res) => {
+    const order = setOrderStatus(req.params.transactionId, { paymentStatus: "SUCCESS", status: "DONE" });
+    if (!order) return failure(res, 404, `Unknown transaction: ${req.params.transactionId}`);
+    // Like the real payment page, send the user back to the purchase's redirectUrl
+    if (order.redirectUrl) {
+      const returnUrl = new URL(order.redirectUrl);
+      returnUrl.searchParams.set("transactionId", order.transactionId);
+      return res.redirect(302, returnUrl.toString());
+    }
+    res.type("html").send(`<html><body><h1>Mock payment complete</h1><p>Transaction ${order.transactionId}</p></body></html>`);
+  });
+
+  // ---------------------------------------------------------------------------
+  // Scripted rules (applied before the canned handlers)
+  // ---------------------------------------------------------------------------
+
+  app.use((req, res, next) => {
+    const index = rules.findIndex(rule => ruleMatches(rule, req));
+    if (index === -1) return next();
+
+    const rule = rules[index];
+    // remaining is null for rules without a "times" limit
+    if (rule.remaining !== null) {
+      rule.remaining -= 1;
+      if (rule.remaining <= 0) rules.splice(index, 1);
+    }
+
+    const preset = rule.failure ? MOCK_FAILURES[rule.failure] : null;
+    const status = rule.status ?? preset?.status ?? 200;
+    const body = rule.body ?? preset?.body ?? {};
+    const delayMs = rule.delayMs ?? preset?.delayMs ?? 0;
+
+    const respond = () => {
+      if (!res.headersSent) res.status(status).json(body);
+    };
+    if (delayMs > 0) {
+      const timer = setTimeout(() => {
+        pendingTimers.delete(timer);
+        respond();
+      }, delayMs);
+      pendingTimers.add(timer);
+    } else {
+      respond();
+    }
+  });
+
+  // ---------------------------------------------------------------------------
+  // Reach: auth
+  // ---------------------------------------------------------------------------
+
+  app.post("/apisvc/v0/account/generateauth", (req, res) => {
+    if (!req.get("x-api-key")) {
+      return failure(res, 403, "Missing x-api-key");
+    }
+    if (!req.body?.accountAccessKeyId || !req.body?.accountAccessSecreteKey) {
+      return failure(res, 401, "Invalid account access keys");
+    }
+
+    const authorizationToken = `mock-${crypto.randomUUID()}`;
+    const expiresAt = Date.now() + tokenTtlMs;
+    tokens.set(authorizationToken, expiresAt);
+    res.json(success({ authorizationToken, expiresAt: new Date(expiresAt).toISOString() }));
+  });
+
+  // Everything else on the Reach API requires a token issued above
+  const requireReachToken = (req, res, next) => {
+    const token = (req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+    const expiresAt = tokens.get(token);
+    if (!expiresAt || expiresAt < Date.now()) {
+      return failure(res, 401, "Invalid or expired authorization token");
+    }
+    next();
+  };
+  app.use(["/apisvc", "/nbi", "/authsvc"], requireReachToken);
+
+  // ---------------------------------------------------------------------------
+  // Reach: catalog
+  // ---------------------------------------------------------------------------
+
+  app.get("/authsvc/v0/reachplans/active", (req, res) => {
+    res.json(success(fixtures.plans));
+  });
+
+  app.get("/apisvc/v0/product/fetch", (req, res) => {
+    res.json(success({ plans: fixtures.plans, ...fixtures.products }));
+  });
+
+  const itemHandler = key => (req, res) => {
+    const items = fixtures.products[key] || [];
+    const { serviceCode } = req.query;
+    res.json(success(serviceCode ? items.filter(item => item.serviceCode === serviceCode) : items));
+  };
+  ["/apisvc/v0/product/fetch", "/nbi/v0/product/fetch"].forEach((base) => {
+    app.get(`${base}/offer`, itemHandler("offers"));
+    app.get(`${base}/service`, itemHandler("services"));
+  });
+
+  app.get("/protectionsvc/v0/device/protection/eligible/states", (req, res) => {
+    res.json(success(fixtures.protection.states));
+  });
+
+  // Shopware store-api (devices catalog)
+  app.post("/store-api/product", (req, res) => {
+    if (!req.get("sw-access-key")) {
+      return res.status(401).json({ errors: [{ status: "401", code: "FRAMEWORK__API_INVALID_ACCESS_KEY" }] });
+    }
+    const queries = req.body?.filter?.[0]?.queries || [];
+    const nameFilter = queries.find(query => query.type === "contains" && query.field === "name")?.value;
+    const limit = Number(req.body?.limit) || fixtures.devices.length;
+
+    const elements = fixtures.devices
+      .filter(device => !nameFilter || device.name.toLowerCase().includes(String(nameFilter).toLowerCase()))
+      .slice(0, limit);
+    res.json({ elements, total: elements.length, apiAlias: "product_listing" });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Reach: coverage, device, SIM
+  // ---------------------------------------------------------------------------
+
+  app.post("/apisvc/v0/network/coverage", (req, res) => {
+    const zip = String(req.body?.zip || "").trim();
+    if (!/^\d{5}$/.test(zip)) {
+      return failure(res, 400, "Invalid zip code");
+    }
+    const { noCoverageZips = [], noCoverage, default: covered } = fixtures.coverage;
+    const coverage = noCoverageZips.includes(zip) ? noCoverage : covered;
+    res.json(success({ mno_X: { ...coverage, zip } }));
+  });
+
+  app.get("/apisvc/v0/device/imei/:imei", (req, res) => {
+    const { imei } = req.params;
+    if (!/^\d{15}$/.test(imei)) {
+      return failure(res, 400, "IMEI must be 15 digits");
+    }
+    // IMEIs ending in 0000 are treated as locked/incompatible devices
+    const compatible = !imei.endsWith("0000");
+    res.json(success({
+      imei,
+      isValid: compatible,
+      make: "Apple",
+      model: "iPhone 15",
+      mode: compatible ? "UNLOCKED" : "LOCKED",
+      isLocked: !compatible,
+      lteCompatible: compatible,
+      compatibility5G: compatible,
+      volteCompatible: compatible,
+      wfcCompatible: compatible,
+      esimAvailable: compatible,
+      lostOrStolen: false
+    }));
+  });
+
+  app.post("/apisvc/v0/iccid/swap", (req, res) => {
+    const { customerId, newIccId, simType } = req.body || {};
+    if (!customerId || !/^\d{19,20}$/.test(String(newIccId || ""))) {
+      return failure(res, 400, "customerId and a 19-20 digit newIccId are required");
+    }
+    res.json(success({ customerId, iccId: newIccId, simType, swapStatus: "INITIATED" }, "SIM swap initiated"));
+  });
+
+  // ---------------------------------------------------------------------------
+  // Reach: purchase (quote -> product -> status)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Quote a purchase request. The mock does not price carts: the amounts come from
+   * mock/fixtures/quotes.json, hardcoded per cart (plans, device SKUs, protection and
+   * coupons), so scenarios check the server's cart pricing against fixed numbers rather
+   * than a second copy of its formula. The request is still validated like the quote API
+   * does (known plans, devices and coupons, protection only with a device); a valid cart
+   * without a recorded quote is refused, so add one to the fixture to buy a new cart.
+   */
+  function lineMatches(line, recorded) {
+    return normalizePlanName(line.planId) === normalizePlanName(recorded.planId)
+      && (line.device?.sku || null) === (recorded.deviceSku || null)
+      && !!line.protection === !!recorded.protection;
+  }
+
+  function priceRequest(body) {
+    const lines = Array.isArray(body?.lines) ? body.lines : [];
+    if (lines.length === 0) {
+      return { error: "lines are required" };
+    }
+
+    const coupons = (Array.isArray(body?.coupons) ? body.coupons : []).map(coupon => String(coupon).toUpperCase());
+    for (const coupon of coupons) {
+      const offer = (fixtures.products.offers || []).find(candidate => String(candidate.coupon).toUpperCase() === coupon);
+      if (!offer) {
+        return { error: `Invalid coupon: ${coupon}` };
+      }
+      if (offer.expired || (offer.endDate && new Date(offer.endDate).getTime() < Date.now())) {
+        return { error: `Coupon expired: ${coupon}` };
+      }
+    }
+
+    for (const [index, line] of lines.entries()) {
+      const plan = fixtures.plans.find(candidate =>
+        [candidate.displayName, candidate.displayNameWeb, candidate.name]
+          .some(name => normalizePlanName(name) === normalizePlanName(line.planId)));
+      if (!plan) {
+        return { error: `Invalid planId: ${line.planId}` };
+      }
+      if (line.device && !fixtures.devices.some(candidate =>
+        candidate.productNumber === line.device.sku || candidate.id === line.device.sku)) {
+        return { error: `Invalid device sku: ${line.device.sku}` };
+      }
+      if (line.protection && !line.device) {
+        return { error: `Line ${index + 1} protection requires a device` };
+      }
+    }
+
+    const recorded = fixtures.quotes.find(candidate =>
+      candidate.lines.length === lines.length
+      && candidate.lines.every((recordedLine, index) => lineMatches(lines[index], recordedLine))
+      && [...(candidate.coupons || [])].sort().join(",") === [...coupons].sort().join(","));
+    if (!recorded) {
+      return { error: "Mock has no recorded quote for this cart (see mock/fixtures/quotes.json)" };
+    }
+    return recorded.quote;
+  }
+
+  app.post("/apisvc/v0/product/quote", (req, res) => {
+    const pricing = priceRequest(req.body);
+    if (pricing.error) return failure(res, 400, pricing.error);
+    res.json(success(pricing, "Quote is Prepared"));
+  });
+
+  app.post("/apisvc/v0/product", (req, res) => {
+    const pricing = priceRequest(req.body);
+    if (pricing.error) return failure(res, 400, pricing.error);
+
+    const clientAccountId = req.body?.accountInfo?.clientAccountId;
+    if (!clientAccountId) {
+      return failure(res, 400, "accountInfo.clientAccountId is required");
+    }
+
+    const transactionId = `MOCK-TXN-${crypto.randomUUID()}`;
+    orders.set(transactionId, {
+      transactionId,
+      clientAccountId,
+      customerId: `MOCK-CUST-${crypto.randomUUID().slice(0, 8)}`,
+      redirectUrl: req.body?.redirectUrl || null,
+      amount: pricing.estimatedMonthlyCost,
+      totalTax: pricing.totalTax,
+      totalAmount: pricing.total,
+      paymentStatus: "PENDING",
+      status: "PENDING",
+      statusCalls: 0,
+      createdAt: new Date().toISOString()
+    });
+
+    res.json(success({ transactionId, clientAccountId }, "Order is in Progress"));
+  });
+
+  app.get("/apisvc/v0/product/status/:transactionId", (req, res) => {
+    const order = orders.get(req.params.transactionId);
+    if (!order) return failure(res, 404, `Unknown transaction: ${req.params.transactionId}`);
+
+    order.statusCalls += 1;
+    const linkReady = order.statusCalls > pendingStatusPolls;
+    const baseUrl = `${req.protocol}://${req.get("host")}`;
+
+    res.json(success({
+      clientAccountId: order.clientAccountId,
+      customerId: order.customerId,
+      onBoardingStatus: order.status === "DONE" ? "COMPLETED" : "PENDING",
+      paymentStatus: order.paymentStatus,
+      status: order.status,
+      shipmentStatus: null,
+      amount: order.amount,
+      totalTax: order.totalTax,
+      totalAmount: order.totalAmount,
+      supportUrl: `${baseUrl}/__mock/support`,
+      link: {
+        type: linkReady ? 1 : 0,
+        typeName: linkReady ? "PAYMENT" : "PENDING",
+        url: linkReady ? `${baseUrl}/__mock/pay/${order.transactionId}` : null,
+        createdDate: order.createdAt,
+        expireDate: new Date(Date.parse(order.createdAt) + 24 * 60 * 60 * 1000).toISOString()
+      }
+    }));
+  });
+
+  app.use((req, res) => failure(res, 404, `Mock has no handler for ${req.method} ${req.path}`));
+
+  /**
+   * Add a scripted response rule
+   * @param {Object} rule - { method, path, status, body, failure, delayMs, times }
+   * @returns {Object} Stored rule
+   */
+  function script(rule = {}) {
+    if (rule.failure && !MOCK_FAILURES[rule.failure]) {
+      throw new Error(`Unknown mock failure "${rule.failure}". Available: ${Object.keys(MOCK_FAILURES).join(", ")}`);
+    }
+    const stored = { ...rule, remaining: Number(rule.times) > 0 ? Number(rule.times) : null };
+    rules.push(stored);
+    return stored;
+  }
+
+  function clearRules() {
+    rules.length = 0;
+  }
+
+  function reset() {
+    clearRules();
+    tokens.clear();
+    orders.clear();
+    requests.length = 0;
+    pendingTimers.forEach(timer => clearTimeout(timer));
+    pendingTimers.clear();
+  }
+
+  function setOrderStatus(transactionId, { paymentStatus, status } = {}) {
+    const order = orders.get(transactionId);
+    if (!order) return null;
+    if (paymentStatus) order.paymentStatus = paymentStatus;
+    if (status) order.status = status;
+    return order;
+  }
+
+  return { app, script, clearRules, reset, setOrderStatus, requests, orders, pendingTimers };
+}
+
+/**
+ * Start the mock Reach API server
+ * @param {Object} options - createReachMockApp options plus port/host
+ * @param {number} options.port - Port (0 picks a free port)
+ * @param {string} options.host - Interface to bind (default: 127.0.0.1)
+ * @returns {Promise<Object>} Mock handle with url and close()
+ */
+export function startReachMockServer({ port = DEFAULT_PORT, host = "127.0.0.1", ...options } = {}) {
+  const mock = createReachMockApp(options);
+
+  return new Promise((resolve, reject) => {
+    const server = mock.app.listen(port, host, () => {
+      const url = `http://${host}:${server.address().port}`;
+      logger.info("Mock Reach API listening", { url });
+      resolve({
+        ...mock,
+        server,
+        url,
+        close: () => new Promise((done) => {
+          mock.reset();
+          server.closeAllConnections?.();
+          server.close(() => done());
+        })
+      });
+    });
+    server.on("error", reject);
+  });
+}
+
+// Run standalone: node mock/reachMockServer.js
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.env.MOCK_REACH_PORT || String(DEFAULT_PORT), 10);
+  startReachMockServer({ port, host: process.env.MOCK_REACH_HOST || "127.0.0.1" })
+    .then(({ url, close }) => {
+      console.log(`Mock Reach API running at ${url}`);
+      console.log(`Start the MCP server with REACH_MOCK_URL=${url}`);
+      const shutdown = () => close().then(() => process.exit(0));
+      process.on("SIGINT", shutdown);
+      process.on("SIGTERM", shutdown);
+    })
+    .catch((error) => {
+      console.error(`Failed to start mock Reach API: ${error.message}`);
+      process.exit(1);
+    });
+}
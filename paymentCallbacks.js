@@ -0,0 +1,84 @@
+/**
+ * Payment Callback Routes
+ *
+ * Payment completion is recorded against the purchase's transactionId instead of
+ * being polled for inside a tool call:
+ *
+ *   GET  /payments/callback/:token  - the payment redirectUrl; confirms the status with
+ *                                     one status API call, records it and redirects the
+ *                                     user to the purchase's returnUrl
+ *   POST /payments/callback         - payment webhook ({ transactionId, paymentStatus, status, ... }).
+ *                                     Recorded as-is when X-Payment-Callback-Secret matches
+ *                                     PAYMENT_CALLBACK_SECRET, otherwise confirmed with the status API.
+ */
+
+import { findSessionByPurchase, getPurchaseState } from "./services/flowContextService.js";
+import { handlePaymentCallback, PAYMENT_CALLBACK_PATH } from "./services/paymentStatusService.js";
+import { DEFAULT_CONFIG } from "./utils/purchaseConstants.js";
+import { logger } from "./utils/logger.js";
+import { secretMatches } from "./utils/secretCompare.js";
+
+export const PAYMENT_CALLBACK_SECRET_HEADER = "x-payment-callback-secret";
+
+/**
+ * Setup payment callback routes
+ * @param {express.Application} app - Express app instance (with express.json())
+ */
+export function setupPaymentCallbacks(app) {
+  app.get(`${PAYMENT_CALLBACK_PATH}/:token`, async (req, res) => {
+    const callbackToken = req.params.token;
+    const sessionId = findSessionByPurchase({ callbackToken });
+    if (!sessionId) {
+      logger.warn("Payment return for unknown callback token");
+      return res.status(404).type("html").send("<html><body><h1>Payment link not recognised</h1></body></html>");
+    }
+
+    const returnUrl = getPurchaseState(sessionId)?.returnUrl || DEFAULT_CONFIG.REDIRECT_URL;
+    try {
+      const result = await handlePaymentCallback({ callbackToken, payload: req.query || {} });
+      logger.info("Payment return recorded", {
+        sessionId,
+        transactionId: result?.purchase?.transactionId || null,
+        paymentStatus: result?.purchase?.paymentStatus || null
+      });
+    } catch (error) {
+      // The user still goes back; check_purchase_status refreshes the status later
+      logger.error("Payment return could not be confirmed", { sessionId, error: error.message });
+    }
+    res.redirect(302, returnUrl);
+  });
+
+  app.post(PAYMENT_CALLBACK_PATH, async (req, res) => {
+    const payload = req.body || {};
+    const transactionId = payload.transactionId || payload.data?.transactionId;
+    if (!transactionId) {
+      return res.status(400).json({ received: false, error: "transactionId is required" });
+    }
+
+    const providedSecret = req.get(PAYMENT_CALLBACK_SECRET_HEADER);
+    const verified = secretMatches(providedSecret, DEFAULT_CONFIG.PAYMENT_CALLBACK_SECRET);
+    if (providedSecret && !verified) {
+      logger.warn("Payment webhook rejected: invalid secret", { transactionId });
+      return res.status(401).json({ received: false, error: "Invalid callback secret" });
+    }
+
+    try {
+      const result = await handlePaymentCallback({ payload, verified });
+      if (!result) {
+        return res.status(404).json({ received: false, error: `Unknown transaction: ${transactionId}` });
+      }
+      res.json({
+        received: true,
+        transactionId,
+        state: result.purchase.state,
+        paymentStatus: result.purchase.paymentStatus,
+        verified
+      });
+    } catch (error) {
+      logger.error("Payment webhook could not be confirmed", { transactionId, error: error.message });
+      res.status(502).json({ received: false, error: "Payment status could not be confirmed" });
+    }
+  });
+
+  logger.info("Payment callback routes enabled", { path: PAYMENT_CALLBACK_PATH });
+}
@@ -2,6 +2,8 @@
 
 /**
  * Migration script to upload JSON data to MongoDB
+ * Reads the per-document session store files (data/<collection>/<id>.json) and any legacy
+ * whole-map files (data/<collection>.json or .json.migrated). DATA_DIR overrides data/.
  * Usage: node scripts/migrateToMongoDB.js <mongodb_connection_string> [database_name]
  */
 
@@ -13,7 +15,7 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const DATA_DIR = path.join(__dirname, '..', 'data');
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
 
 // Get connection string from command line or environment
 const connectionString = process.argv[2] || process.env.MONGODB_URI;
@@ -27,50 +29,77 @@ if (!connectionString) {
 }
 
 /**
- * Read and parse JSON file
+ * Read and parse a JSON file in the data directory
  */
 function readJSONFile(filename) {
-  const filePath = path.join(DATA_DIR, `${filename}.json`);
+  const filePath = path.join(DATA_DIR, filename);
   if (!fs.existsSync(filePath)) {
-    console.warn(`Warning: ${filePath} does not exist, skipping...`);
     return null;
   }
 
   try {
     const content = fs.readFileSync(filePath, 'utf8');
     if (content.trim() === '' || content === '{}') {
-      console.log(`${filename}.json is empty, skipping...`);
+      console.log(`${filename} is empty, skipping...`);
       return null;
     }
     return JSON.parse(content);
   } catch (error) {
-    console.error(`Error parsing ${filename}.json:`, error.message);
+    console.error(`Error parsing ${filename}:`, error.message);
     return null;
   }
 }
 
 /**
- * Migrate flowContext data
+ * Read a session-store collection: the legacy whole-map file (<collection>.json, or
+ * <collection>.json.migrated once the server has split it) and the per-document files
+ * (<collection>/<id>.json), which are newer and win
+ * @returns {Object} Documents keyed by ID
  */
-async function migrateFlowContext(db) {
-  const data = readJSONFile('flowContext');
-  if (!data || typeof data !== 'object') {
-    console.log('No flowContext data to migrate');
+function readCollection(collection) {
+  const documents = {
+    ...(readJSONFile(`${collection}.json.migrated`) || {}),
+    ...(readJSONFile(`${collection}.json`) || {})
+  };
+
+  const directory = path.join(DATA_DIR, collection);
+  if (fs.existsSync(directory)) {
+    fs.readdirSync(directory)
+      .filter(file => file.endsWith('.json'))
+      .forEach((file) => {
+        const document = readJSONFile(path.join(collection, file));
+        if (document) documents[decodeURIComponent(path.basename(file, '.json'))] = document;
+      });
+  }
+  return documents;
+}
+
+/**
+ * Migrate the documents of a session-store collection
+ * @param {Db} db - MongoDB database
+ * @param {string} collectionName - Collection name (data/<collectionName>)
+ * @param {string} idField - Field holding the document ID
+ * @param {Array<Object>} indexes - Extra indexes to create
+ */
+async function migrateDocuments(db, collectionName, idField, indexes = []) {
+  const data = readCollection(collectionName);
+  const ids = Object.keys(data);
+  if (ids.length === 0) {
+    console.log(`No ${collectionName} data to migrate`);
     return;
   }
 
-  const collection = db.collection('flowContext');
-  const sessionIds = Object.keys(data);
+  const collection = db.collection(collectionName);
   
-  console.log(`Migrating ${sessionIds.length} flow contexts...`);
+  console.log(`Migrating ${ids.length} ${collectionName} documents...`);
   
-  const operations = sessionIds.map(sessionId => ({
+  const operations = ids.map(id => ({
     updateOne: {
-      filter: { sessionId },
+      filter: { [idField]: id },
       update: { 
         $set: { 
-          ...data[sessionId],
-          sessionId 
+          ...(typeof data[id] === 'object' ? data[id] : {}),
+          [idField]: id 
         } 
       },
       upsert: true
@@ -78,61 +107,20 @@ async function migrateFlowContext(db) {
   }));
 
   const result = await collection.bulkWrite(operations);
-  console.log(`✓ Migrated ${result.upsertedCount + result.modifiedCount} flow contexts`);
+  console.log(`✓ Migrated ${result.upsertedCount + result.modifiedCount} ${collectionName} documents`);
   
-  // Create index
-  await collection.createIndex({ sessionId: 1 }, { unique: true });
-  await collection.createIndex({ lastUpdated: 1 });
-}
-
-/**
- * Migrate carts data
- */
-async function migrateCarts(db) {
-  const data = readJSONFile('carts');
-  if (!data || typeof data !== 'object') {
-    console.log('No carts data to migrate');
-    return;
+  // Create indexes
+  await collection.createIndex({ [idField]: 1 }, { unique: true });
+  for (const index of indexes) {
+    await collection.createIndex(index);
   }
-
-  const collection = db.collection('carts');
-  const sessionIds = Object.keys(data);
-  
-  if (sessionIds.length === 0) {
-    console.log('No carts data to migrate');
-    return;
-  }
-
-  console.log(`Migrating ${sessionIds.length} carts...`);
-  
-  const operations = sessionIds.map(sessionId => {
-    const cartData = data[sessionId];
-    return {
-      updateOne: {
-        filter: { sessionId },
-        update: { 
-          $set: { 
-            ...(typeof cartData === 'object' ? cartData : {}),
-            sessionId 
-          } 
-        },
-        upsert: true
-      }
-    };
-  });
-
-  const result = await collection.bulkWrite(operations);
-  console.log(`✓ Migrated ${result.upsertedCount + result.modifiedCount} carts`);
-  
-  // Create index
-  await collection.createIndex({ sessionId: 1 }, { unique: true });
 }
 
 /**
  * Migrate state data
  */
 async function migrateState(db) {
-  const data = readJSONFile('state');
+  const data = readJSONFile('state.json');
   if (!data) {
     console.log('No state data to migrate');
     return;
@@ -167,8 +155,9 @@ async function main() {
     const db = client.db(dbName);
 
     // Migrate each collection
-    await migrateFlowContext(db);
-    await migrateCarts(db);
+    await migrateDocuments(db, 'flowContext', 'sessionId', [{ lastUpdated: 1 }]);
+    await migrateDocuments(db, 'carts', 'sessionId');
+    await migrateDocuments(db, 'purchaseJobs', 'jobId', [{ createdAt: 1 }]);
     await migrateState(db);
 
     console.log('\n✓ Migration completed successfully!');
@@ -1,6 +1,10 @@
 import { getTenantConfig } from "../config/tenantConfig.js";
 import { getAuthToken, getAuthTokensMap } from "./authService.js";
 import { ensureTokenOnToolCall } from "./tokenRefreshCron.js";
+import { takeTenantApiBudget } from "./rateLimitService.js";
+import { getCircuitBreaker } from "./circuitBreakerService.js";
+import { createCounter, createHistogram } from "./metricsService.js";
+import { withSpan, getActiveSpan, getTraceparent, SPAN_KIND } from "./tracingService.js";
 import { logger } from "../utils/logger.js";
 
 // Default configuration
@@ -12,6 +16,10 @@ const DEFAULT_CONFIG = {
   retryableStatusCodes: [408, 429, 500, 502, 503, 504], // Status codes that should be retried
 };
 
+const apiRequestsTotal = createCounter("reach_api_requests_total", "Reach API requests (attempts) by endpoint, method and status code (or timeout/network_error)", ["endpoint", "method", "status"]);
+const apiRequestDuration = createHistogram("reach_api_request_duration_seconds", "Reach API request latency in seconds", ["endpoint", "method"]);
+const apiRetriesTotal = createCounter("reach_api_retries_total", "Reach API request retries by endpoint", ["endpoint", "method"]);
+
 // Custom error classes for better error handling
 export class APIError extends Error {
   constructor(message, statusCode, statusText, responseBody, errorType = 'API_ERROR') {
@@ -188,14 +196,67 @@ async function makeRequest(url, options, timeoutMs) {
   }
 }
 
+/**
+ * Endpoint label for metrics: the path with IDs (transaction IDs, IMEIs, ...) replaced by ":id"
+ * @param {string} endpoint - Endpoint path or absolute URL
+ * @returns {string}
+ */
+function getMetricEndpoint(endpoint) {
+  let pathname = String(endpoint || "").split("?")[0];
+  if (/^https?:\/\//.test(pathname)) {
+    pathname = new URL(pathname).pathname;
+  }
+  return pathname
+    .split("/")
+    .map(segment => ((/\d/.test(segment) && segment.length >= 6) || segment.length >= 24 ? ":id" : segment))
+    .join("/");
+}
+
+/**
+ * makeRequest, counted in reach_api_requests_total and timed in reach_api_request_duration_seconds
+ * @param {string} url - Full URL
+ * @param {Object} options - Fetch options
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @param {Object} labels - { endpoint, method } metric labels
+ * @returns {Promise<Response>}
+ */
+async function makeMeasuredRequest(url, options, timeoutMs, labels) {
+  const endTimer = apiRequestDuration.startTimer(labels);
+  try {
+    const response = await makeRequest(url, options, timeoutMs);
+    apiRequestsTotal.inc({ ...labels, status: String(response.status) });
+    getActiveSpan()?.setAttribute("http.response.status_code", response.status);
+    return response;
+  } catch (error) {
+    apiRequestsTotal.inc({ ...labels, status: error instanceof TimeoutError ? "timeout" : "network_error" });
+    throw error;
+  } finally {
+    endTimer();
+  }
+}
+
 /**
  * Call Reach API with retry logic, timeout, and error mapping
  * @param {string} endpoint - API endpoint
  * @param {Object} options - Fetch options
  * @param {string} tenant - Tenant name
  * @param {Object} config - Override default retry/timeout config
+ * @throws {RateLimitError} If the tenant's Reach API budget (apiRateLimit) is used up
+ * @throws {CircuitOpenError} If the endpoint's circuit breaker is open (Reach keeps failing)
  */
 export async function callReachAPI(endpoint, options = {}, tenant = "reach", config = {}) {
+  const method = (options.method || "GET").toUpperCase();
+  const endpointLabel = getMetricEndpoint(endpoint);
+  return withSpan(`Reach ${method} ${endpointLabel}`, {
+    kind: SPAN_KIND.CLIENT,
+    attributes: { "http.request.method": method, "url.path": endpointLabel, "reach.tenant": tenant }
+  }, () => requestReachAPI(endpoint, options, tenant, config));
+}
+
+/**
+ * callReachAPI without the span
+ */
+async function requestReachAPI(endpoint, options, tenant, config) {
   const finalConfig = { ...DEFAULT_CONFIG, ...config };
   const config_tenant = getTenantConfig(tenant);
   
@@ -239,7 +300,6 @@ export async function callReachAPI(endpoint, options = {}, tenant = "reach", con
   logger.debug("API call authorization header", {
     endpoint,
     hasToken: !!authToken,
-    tokenPrefix: authToken ? authToken.substring(0, 20) : "none",
   });
 
 
@@ -258,16 +318,25 @@ export async function callReachAPI(endpoint, options = {}, tenant = "reach", con
       ...options.headers,
     },
   };
+  const traceparent = getTraceparent();
+  if (traceparent) requestOptions.headers.traceparent = traceparent;
   
   let lastError;
   let lastStatusCode;
   let lastResponseBody;
+  const metricLabels = { endpoint: getMetricEndpoint(endpoint), method: (requestOptions.method || "GET").toUpperCase() };
+  const breaker = getCircuitBreaker(tenant, `${metricLabels.method} ${metricLabels.endpoint}`);
   
   // Retry loop
   for (let attempt = 0; attempt <= finalConfig.retries; attempt++) {
+    // Every attempt spends the tenant's outbound budget (throws RateLimitError when used up)
+    takeTenantApiBudget(tenant, config_tenant.apiRateLimit);
+    // ...and fails fast while the endpoint's breaker is open (throws CircuitOpenError)
+    breaker.acquire();
+
     try {
       // Make request with timeout
-      const response = await makeRequest(url, requestOptions, finalConfig.timeout);
+      const response = await makeMeasuredRequest(url, requestOptions, finalConfig.timeout, metricLabels);
       
       // Try to read response body (for error handling)
       let responseBody;
@@ -282,6 +351,10 @@ export async function callReachAPI(endpoint, options = {}, tenant = "reach", con
       } else {
         responseBody = await response.text();
       }
+
+      // Reach answered; 5xx and 408 count against the breaker once classified below
+      const answered = response.status < 500 && response.status !== 408;
+      if (answered) breaker.record();
       
       // Auto-refresh token on 401 and retry once
       if (response.status === 401 && attempt === 0) {
@@ -306,6 +379,8 @@ export async function callReachAPI(endpoint, options = {}, tenant = "reach", con
           requestOptions.headers.authorization = authHeader;
           
           // Retry immediately with new token
+          apiRetriesTotal.inc(metricLabels);
+          getActiveSpan()?.addEvent("retry", { attempt: attempt + 1, "http.response.status_code": response.status });
           continue;
         } catch (refreshError) {
           logger.error("Failed to refresh token after 401", {
@@ -324,9 +399,8 @@ export async function callReachAPI(endpoint, options = {}, tenant = "reach", con
           statusCode: response.status,
           statusText: response.statusText,
           responseBody: typeof responseBody === 'string' ? responseBody.substring(0, 500) : JSON.stringify(responseBody).substring(0, 500),
-          authHeaderPrefix: authHeader ? authHeader.substring(0, 30) : "none",
+          hasAuthHeader: !!authHeader,
           hasXApiKey: !!config_tenant.xapiKey,
-          xApiKeyPrefix: config_tenant.xapiKey ? config_tenant.xapiKey.substring(0, 10) : "none",
           attempt: attempt + 1
         });
       }
@@ -354,6 +428,7 @@ export async function callReachAPI(endpoint, options = {}, tenant = "reach", con
         
         // If it's the modifiedDate error, don't retry - it's a server-side bug
         if (isModifiedDateError) {
+          breaker.record();
           logger.error("Server-side bug detected (modifiedDate unconversion error) - not retrying", {
             endpoint,
             statusCode: response.status,
@@ -371,9 +446,10 @@ export async function callReachAPI(endpoint, options = {}, tenant = "reach", con
         }
         
         const error = new APIError(message, response.status, response.statusText, responseBody, errorType);
+        if (!answered) breaker.record(error);
         
-        // Check if we should retry
-        if (attempt < finalConfig.retries && isRetryableError(error, response.status)) {
+        // Check if we should retry (not into an open breaker)
+        if (attempt < finalConfig.retries && isRetryableError(error, response.status) && !breaker.isOpen()) {
           const delay = calculateRetryDelay(attempt, finalConfig.retryDelay, finalConfig.retryBackoff);
           logger.warn(`API request failed, retrying...`, {
             endpoint,
@@ -386,6 +462,8 @@ export async function callReachAPI(endpoint, options = {}, tenant = "reach", con
           
           await new Promise(resolve => setTimeout(resolve, delay));
           lastError = error;
+          apiRetriesTotal.inc(metricLabels);
+          getActiveSpan()?.addEvent("retry", { attempt: attempt + 1, "http.response.status_code": response.status });
           continue;
         }
         
@@ -405,9 +483,10 @@ export async function callReachAPI(endpoint, options = {}, tenant = "reach", con
       
     } catch (error) {
       lastError = error;
+      if (error instanceof TimeoutError || error instanceof NetworkError) breaker.record(error);
       
-      // Check if we should retry
-      if (attempt < finalConfig.retries && isRetryableError(error, lastStatusCode)) {
+      // Check if we should retry (not into an open breaker)
+      if (attempt < finalConfig.retries && isRetryableError(error, lastStatusCode) && !breaker.isOpen()) {
         const delay = calculateRetryDelay(attempt, finalConfig.retryDelay, finalConfig.retryBackoff);
         logger.warn(`API request failed, retrying...`, {
           endpoint,
@@ -419,6 +498,8 @@ export async function callReachAPI(endpoint, options = {}, tenant = "reach", con
         });
         
         await new Promise(resolve => setTimeout(resolve, delay));
+        apiRetriesTotal.inc(metricLabels);
+        getActiveSpan()?.addEvent("retry", { attempt: attempt + 1, "error.type": error.errorType || error.name });
         continue;
       }
       
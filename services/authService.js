@@ -1,6 +1,8 @@
 import { getTenantConfig } from "../config/tenantConfig.js";
 import { logger } from "../utils/logger.js";
 import { TimeoutError, NetworkError, APIError } from "./apiClient.js";
+import { createCounter } from "./metricsService.js";
+import { withSpan } from "./tracingService.js";
 
 // Store auth tokens per tenant
 const authTokens = new Map();
@@ -26,6 +28,8 @@ const TOKEN_REFRESH_BUFFER = 20 * 60 * 1000; // 20 minutes
 // Track ongoing token refresh to prevent race conditions
 const refreshPromises = new Map();
 
+const tokenRefreshesTotal = createCounter("auth_token_refreshes_total", "Reach auth token requests by tenant, reason (missing, expired, forced, background) and result", ["tenant", "reason", "result"]);
+
 /**
  * Create a timeout promise that rejects after specified milliseconds
  */
@@ -92,6 +96,15 @@ function calculateRetryDelay(attempt, baseDelay, backoffMultiplier) {
  * @returns {Promise<string>} Auth token
  */
 export async function getAuthToken(tenant = "reach", forceRefresh = false) {
+  return withSpan("reach.auth.get_token", {
+    attributes: { "reach.tenant": tenant, "reach.auth.force_refresh": forceRefresh }
+  }, () => resolveAuthToken(tenant, forceRefresh));
+}
+
+/**
+ * getAuthToken without the span
+ */
+async function resolveAuthToken(tenant, forceRefresh) {
   // Check for existing refresh in progress to prevent race conditions
   const refreshKey = `refresh_${tenant}`;
   if (refreshPromises.has(refreshKey)) {
@@ -104,6 +117,8 @@ export async function getAuthToken(tenant = "reach", forceRefresh = false) {
     }
   }
 
+  let reason = "forced";
+
   // Check cached token if not forcing refresh
   if (!forceRefresh) {
     const cached = authTokens.get(tenant);
@@ -138,11 +153,13 @@ export async function getAuthToken(tenant = "reach", forceRefresh = false) {
       }
 
       // Token expired
+      reason = "expired";
       logger.info("Cached token expired, fetching new token", {
         tenant,
         expiredAt: new Date(cached.expiresAt).toISOString(),
       });
     } else {
+      reason = "missing";
       logger.info("No cached token found, fetching new token", { tenant });
     }
   } else {
@@ -150,7 +167,7 @@ export async function getAuthToken(tenant = "reach", forceRefresh = false) {
   }
 
   // Create refresh promise to prevent concurrent refreshes
-  const refreshPromise = fetchNewToken(tenant);
+  const refreshPromise = fetchNewToken(tenant, reason);
   refreshPromises.set(refreshKey, refreshPromise);
 
   try {
@@ -162,9 +179,28 @@ export async function getAuthToken(tenant = "reach", forceRefresh = false) {
 }
 
 /**
- * Fetch a new token from the API
+ * Fetch a new token from the API, counted in auth_token_refreshes_total
+ * @param {string} tenant - Tenant name
+ * @param {string} reason - missing | expired | forced | background
+ * @returns {Promise<string>} Auth token
+ */
+async function fetchNewToken(tenant, reason) {
+  try {
+    const token = await withSpan("reach.auth.generate_token", {
+      attributes: { "reach.tenant": tenant, "reach.auth.reason": reason }
+    }, () => requestNewToken(tenant));
+    tokenRefreshesTotal.inc({ tenant, reason, result: "success" });
+    return token;
+  } catch (error) {
+    tokenRefreshesTotal.inc({ tenant, reason, result: "failure" });
+    throw error;
+  }
+}
+
+/**
+ * Request a new token from generateauth (with retries) and cache it
  */
-async function fetchNewToken(tenant) {
+async function requestNewToken(tenant) {
   const config = getTenantConfig(tenant);
   const url = `${config.apiBaseUrl}/apisvc/v0/account/generateauth`;
 
@@ -368,7 +404,7 @@ async function fetchNewToken(tenant) {
  */
 async function refreshTokenInBackground(tenant) {
   try {
-    await fetchNewToken(tenant);
+    await fetchNewToken(tenant, "background");
     logger.info("Background token refresh completed", { tenant });
   } catch (error) {
     logger.error("Background token refresh failed", { tenant, error: error.message });
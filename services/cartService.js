@@ -1,16 +1,31 @@
+import { randomUUID } from 'crypto';
 import { save, load, loadAsync } from '../utils/storage.js';
+import { createSessionStore } from '../utils/sessionStore.js';
 import { logger } from '../utils/logger.js';
+import { calculateCartPricing } from './pricingService.js';
+import { createGauge } from './metricsService.js';
 
 // Initialize from storage or default
 const initialCarts = {};
 const carts = new Map(Object.entries(initialCarts));
+// Carts are aged by expiresAt (refreshed on every change) for expiry cleanup
+const store = createSessionStore('carts', { timestampField: 'expiresAt' });
 const DEFAULT_SESSION_ID = "default_session";
 const SESSION_TTL = 2 * 60 * 60 * 1000; // 2 hours in milliseconds
 
 // Track the most recent session ID (for when get_cart is called without sessionId)
 let mostRecentSessionId = null;
+let savedMostRecentSessionId = null;
 let initialized = false;
 
+createGauge('carts_active', 'Carts held in memory, by whether they have lines', ['has_items'], () => {
+  const withItems = [...carts.values()].filter(cart => Array.isArray(cart?.lines) && cart.lines.length > 0).length;
+  return [
+    { labels: { has_items: 'true' }, value: withItems },
+    { labels: { has_items: 'false' }, value: carts.size - withItems }
+  ];
+});
+
 /**
  * Initialize cart service from MongoDB or JSON storage
  * Call this after MongoDB connection is established
@@ -19,17 +34,16 @@ export async function initializeCartService() {
   if (initialized) return;
 
   try {
-    const loadedCarts = await loadAsync('carts');
-    if (loadedCarts) {
-      carts.clear();
-      Object.entries(loadedCarts).forEach(([key, value]) => {
-        carts.set(key, value);
-      });
-    }
+    const loadedCarts = await store.loadAll();
+    carts.clear();
+    Object.entries(loadedCarts).forEach(([key, value]) => {
+      carts.set(key, value);
+    });
 
     const loadedState = await loadAsync('state');
     if (loadedState?.mostRecentSessionId) {
       mostRecentSessionId = loadedState.mostRecentSessionId;
+      savedMostRecentSessionId = mostRecentSessionId;
     }
 
     initialized = true;
@@ -40,10 +54,6 @@ export async function initializeCartService() {
   } catch (error) {
     logger.warn('Error initializing cart service, using defaults:', error.message);
     // Fallback to synchronous load if async fails
-    const fallbackCarts = load('carts') || {};
-    Object.entries(fallbackCarts).forEach(([key, value]) => {
-      carts.set(key, value);
-    });
     const fallbackState = load('state');
     if (fallbackState?.mostRecentSessionId) {
       mostRecentSessionId = fallbackState.mostRecentSessionId;
@@ -52,33 +62,39 @@ export async function initializeCartService() {
   }
 }
 
-// Helper to persist state
-function persist() {
-  save('carts', Object.fromEntries(carts));
-  save('state', { mostRecentSessionId });
+// Helper to persist one session's cart (only that document is written) and the most recent session
+function persist(sessionId = null) {
+  if (sessionId) {
+    if (carts.has(sessionId)) {
+      store.put(sessionId, carts.get(sessionId));
+    } else {
+      store.delete(sessionId);
+    }
+  }
+  if (mostRecentSessionId !== savedMostRecentSessionId) {
+    save('state', { mostRecentSessionId });
+    savedMostRecentSessionId = mostRecentSessionId;
+  }
 }
 
-// Generate a unique session ID
+// Generate a unique session ID (unguessable: the ID is all that guards a session not bound to a client)
 export function generateSessionId() {
-  return `session_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  return `session_${randomUUID()}`;
 }
 
 // Clean up expired sessions
 function cleanupExpiredSessions() {
-  const now = Date.now();
-  let changed = false;
-  for (const [sessionId, cartData] of carts.entries()) {
-    if (cartData.expiresAt && now > cartData.expiresAt) {
-      carts.delete(sessionId);
-      // If this was the most recent session, clear it
-      if (sessionId === mostRecentSessionId) {
-        mostRecentSessionId = null;
-      }
-      logger.debug(`Cleaned up expired session: ${sessionId}`);
-      changed = true;
+  // Carts without expiresAt (timestamp 0) never expire
+  const expired = store.listByAge({ olderThan: Date.now() }).filter(({ timestamp }) => timestamp > 0);
+  expired.forEach(({ id: sessionId }) => {
+    carts.delete(sessionId);
+    // If this was the most recent session, clear it
+    if (sessionId === mostRecentSessionId) {
+      mostRecentSessionId = null;
     }
-  }
-  if (changed) persist();
+    persist(sessionId);
+    logger.debug(`Cleaned up expired session: ${sessionId}`);
+  });
 }
 
 // Run cleanup every 30 minutes
@@ -128,6 +144,17 @@ export function updateMostRecentSession(sessionId) {
   persist();
 }
 
+/**
+ * Cart total: monthly charges after multi-line pricing and discounts plus device
+ * upfront costs. Tax and shipping depend on the tenant and are added by
+ * pricingService.priceCart (get_cart, review_cart).
+ * @param {Object} cart - Multi-line cart
+ * @returns {number} Cart subtotal
+ */
+function calculateCartTotal(cart) {
+  return calculateCartPricing(cart).totals.subtotal;
+}
+
 /**
  * Check if cart uses new multi-line structure
  */
@@ -183,8 +210,7 @@ function migrateCartToMultiLine(cartData) {
     lines.push(line);
   });
 
-  // Calculate total from all items
-  const total = cartData.items.reduce((sum, item) => sum + (item.price || 0), 0);
+  const total = calculateCartTotal({ lines });
 
   return {
     lines,
@@ -264,6 +290,7 @@ export function getCartMultiLine(sessionId = null) {
     if (isMultiLineCart(cartData)) {
       return {
         lines: cartData.lines || [],
+        offers: cartData.offers || [],
         total: cartData.total || 0,
         sessionId: id,
         expiresAt: cartData.expiresAt,
@@ -277,7 +304,7 @@ export function getCartMultiLine(sessionId = null) {
         ...cartData,
         ...migrated
       });
-      persist();
+      persist(id);
       return {
         lines: migrated.lines,
         total: migrated.total,
@@ -346,14 +373,7 @@ export function addToCart(sessionId = null, item, lineNumber = null) {
       }
     }
 
-    // Calculate total
-    cart.total = cart.lines.reduce((sum, l) => {
-      return sum +
-        (l.plan?.price || 0) +
-        (l.device?.price || 0) +
-        (l.protection?.price || 0) +
-        (l.sim?.price || 0);
-    }, 0);
+    cart.total = calculateCartTotal(cart);
 
     carts.set(id, {
       ...cart,
@@ -362,7 +382,7 @@ export function addToCart(sessionId = null, item, lineNumber = null) {
     });
 
     mostRecentSessionId = id;
-    persist();
+    persist(id);
 
     return { cart, sessionId: id };
   } else {
@@ -381,7 +401,7 @@ export function addToCart(sessionId = null, item, lineNumber = null) {
     });
 
     mostRecentSessionId = id;
-    persist();
+    persist(id);
 
     return { cart, sessionId: id };
   }
@@ -399,7 +419,7 @@ export function clearCart(sessionId) {
   if (sessionId === mostRecentSessionId) {
     mostRecentSessionId = null;
   }
-  persist();
+  persist(sessionId);
 }
 
 /**
@@ -441,13 +461,7 @@ export function removeFromCartLine(sessionId, lineNumber, itemType) {
   }
 
   // Recalculate total
-  cart.total = cart.lines.reduce((sum, l) => {
-    return sum +
-      (l.plan?.price || 0) +
-      (l.device?.price || 0) +
-      (l.protection?.price || 0) +
-      (l.sim?.price || 0);
-  }, 0);
+  cart.total = calculateCartTotal(cart);
 
   // Update cart storage
   const expiresAt = Date.now() + SESSION_TTL;
@@ -460,7 +474,7 @@ export function removeFromCartLine(sessionId, lineNumber, itemType) {
   });
 
   mostRecentSessionId = sessionId;
-  persist();
+  persist(sessionId);
 
   return { cart, sessionId };
 }
@@ -485,6 +499,7 @@ export function removeAllFromCart(sessionId) {
       line.sim = { type: 'sim', simType: null, iccId: null, price: 0 };
     });
 
+    cart.offers = [];
     cart.total = 0;
 
     const expiresAt = Date.now() + SESSION_TTL;
@@ -497,9 +512,39 @@ export function removeAllFromCart(sessionId) {
     });
 
     mostRecentSessionId = sessionId;
-    persist();
+    persist(sessionId);
   }
 
   return { cart: cart || { lines: [], total: 0, sessionId }, sessionId };
 }
 
+
+/**
+ * Replace the offers (coupons) applied to a multi-line cart
+ * Offers are priced by pricingService and passed to the purchase quote.
+ * @param {string} sessionId - Session ID
+ * @param {Array} offers - Offers to store (see offerService.toCartOffer)
+ */
+export function setCartOffers(sessionId, offers) {
+  if (!sessionId) {
+    throw new Error('Session ID is required');
+  }
+
+  const cart = getCartMultiLine(sessionId);
+  cart.offers = offers || [];
+  cart.total = calculateCartTotal(cart);
+
+  const expiresAt = Date.now() + SESSION_TTL;
+  const createdAt = cart.createdAt || Date.now();
+
+  carts.set(sessionId, {
+    ...cart,
+    expiresAt,
+    createdAt
+  });
+
+  mostRecentSessionId = sessionId;
+  persist(sessionId);
+
+  return { cart, sessionId };
+}
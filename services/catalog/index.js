@@ -0,0 +1,86 @@
+import { getTenantConfig } from "../../config/tenantConfig.js";
+import { createReachAdapter } from "./reachAdapter.js";
+import { createShopwareAdapter } from "./shopwareAdapter.js";
+
+/**
+ * Catalog adapters
+ *
+ * Each catalog resource is served by an adapter chosen per tenant in the
+ * tenant config, e.g.:
+ *
+ *   "catalog": {
+ *     "plans":      { "adapter": "reach", "endpoint": "/authsvc/v0/reachplans/active" },
+ *     "devices":    { "adapter": "shopware", "baseUrl": "...", "accessKey": "..." },
+ *     "protection": { "adapter": "reach", "baseUrl": "...", "authorization": "..." },
+ *     "offers":     { "adapter": "reach" }
+ *   }
+ *
+ * Adapter interface (a given adapter implements the methods for the resources it serves):
+ *   fetchPlans({ serviceCode })       -> Array of raw plans
+ *   fetchDevices({ limit, brand })    -> Array of raw devices
+ *   fetchProtectionPlans()            -> Array of protection data
+ *   fetchOffers({ serviceCode })      -> Array of offers
+ */
+
+export const CATALOG_RESOURCES = {
+  plans: "fetchPlans",
+  devices: "fetchDevices",
+  protection: "fetchProtectionPlans",
+  offers: "fetchOffers"
+};
+
+// Resources not configured on a tenant use these adapters
+const DEFAULT_ADAPTERS = {
+  plans: "reach",
+  devices: "shopware",
+  protection: "reach",
+  offers: "reach"
+};
+
+const adapterFactories = {
+  reach: createReachAdapter,
+  shopware: createShopwareAdapter
+};
+
+// Adapters are cached per tenant config object so a config reload creates new ones
+const adapterCache = new WeakMap();
+
+/**
+ * Get the catalog adapter serving a resource for a tenant
+ * @param {string} tenant - Tenant ID
+ * @param {string} resource - Catalog resource (plans, devices, protection, offers)
+ * @returns {Object} Adapter implementing the resource's method
+ * @throws {Error} If the resource is unknown, the adapter type is not registered
+ *                 or the adapter doesn't support the resource
+ */
+export function getCatalogAdapter(tenant, resource) {
+  const method = CATALOG_RESOURCES[resource];
+  if (!method) {
+    throw new Error(`Unknown catalog resource: ${resource}`);
+  }
+
+  const tenantCfg = getTenantConfig(tenant);
+  let adapters = adapterCache.get(tenantCfg);
+  if (!adapters) {
+    adapters = new Map();
+    adapterCache.set(tenantCfg, adapters);
+  }
+  if (adapters.has(resource)) {
+    return adapters.get(resource);
+  }
+
+  const config = tenantCfg.catalog?.[resource] || {};
+  const adapterType = config.adapter || DEFAULT_ADAPTERS[resource];
+  const factory = adapterFactories[adapterType];
+  if (!factory) {
+    throw new Error(`Unknown catalog adapter "${adapterType}" for ${resource} (tenant "${tenantCfg.id}")`);
+  }
+
+  const adapter = factory({ tenant: tenantCfg.id, config });
+  if (typeof adapter[method] !== "function") {
+    throw new Error(`Catalog adapter "${adapterType}" does not support ${resource} (tenant "${tenantCfg.id}")`);
+  }
+
+  adapters.set(resource, adapter);
+  return adapter;
+}
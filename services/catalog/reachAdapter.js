@@ -0,0 +1,269 @@
+import crypto from "crypto";
+import { callReachAPI } from "../apiClient.js";
+import { getTenantConfig } from "../../config/tenantConfig.js";
+import { logger } from "../../utils/logger.js";
+
+/**
+ * Reach catalog adapter
+ *
+ * Serves plans, offers and device protection from the Reach platform. Configured
+ * per tenant under catalog.<resource> with adapter: "reach":
+ *   endpoint      - Path (or absolute URL) of the resource
+ *   baseUrl       - Optional host override (default: the tenant's apiBaseUrl)
+ *   origin        - Optional origin/referer header for the request
+ *   authorization - Protection only: static partner token. When omitted the
+ *                   tenant's Reach auth token is used (via callReachAPI)
+ *   partnerTenantId / reachMvne - Optional header overrides
+ */
+
+const DEFAULT_ENDPOINTS = {
+  plans: "/authsvc/v0/reachplans/active",
+  protection: "/protectionsvc/v0/device/protection/eligible/states"
+};
+
+const PROTECTION_TIMEOUT_MS = 30000;
+
+/**
+ * Resolve a catalog endpoint against its base URL
+ * @param {Object} config - catalog.<resource> settings
+ * @param {string} defaultEndpoint - Endpoint used when none is configured
+ * @returns {string} Absolute URL, or a path for callReachAPI to prefix with apiBaseUrl
+ */
+function resolveEndpoint(config, defaultEndpoint) {
+  const endpoint = config.endpoint || defaultEndpoint;
+  if (endpoint.startsWith("http") || !config.baseUrl) {
+    return endpoint;
+  }
+  return `${config.baseUrl.replace(/\/+$/, "")}${endpoint}`;
+}
+
+function buildOriginHeaders(origin) {
+  if (!origin) return {};
+  return {
+    "origin": origin,
+    "referer": `${origin.replace(/\/+$/, "")}/`
+  };
+}
+
+/**
+ * Fetch the unified product catalog (plans, offers, services) for a tenant
+ * @param {string} tenant - Tenant ID
+ * @returns {Promise<Object>} { plans, offers, services }
+ */
+export async function fetchReachProducts(tenant = "reach") {
+  const response = await callReachAPI("/apisvc/v0/product/fetch", {
+    method: "GET",
+  }, tenant);
+
+  // Check if response has a status field - only validate if it exists
+  // Some API responses may not have a status field and are successful by default
+  if (response.status !== undefined && response.status !== "SUCCESS") {
+    logger.error("Products API returned non-SUCCESS status", {
+      status: response.status,
+      message: response.message,
+      tenant
+    });
+    throw new Error(`Failed to fetch products: ${response.message || "Unknown error"}`);
+  }
+
+  // Response structure: { status: "SUCCESS", data: { plans: [], offers: [], services: [] } }
+  // OR: { data: { plans: [], offers: [], services: [] } } (if status field is missing)
+
+  // Handle different response structures
+  if (response.data) {
+    return response.data;
+  } else if (response.plans !== undefined || response.offers !== undefined || response.services !== undefined) {
+    // Response itself is the data object
+    return response;
+  } else {
+    logger.error("Products API returned unexpected response structure", {
+      hasStatus: response.status !== undefined,
+      hasData: response.data !== undefined,
+      hasPlans: response.plans !== undefined,
+      hasOffers: response.offers !== undefined,
+      hasServices: response.services !== undefined,
+      responseKeys: Object.keys(response),
+      tenant
+    });
+    throw new Error("Products API returned unexpected response structure");
+  }
+}
+
+/**
+ * Create a Reach catalog adapter
+ * @param {Object} options - Adapter options
+ * @param {string} options.tenant - Tenant ID
+ * @param {Object} options.config - catalog.<resource> settings from the tenant config
+ * @returns {Object} Catalog adapter implementing fetchPlans, fetchOffers and fetchProtectionPlans
+ */
+export function createReachAdapter({ tenant, config = {} }) {
+  return {
+    name: "reach",
+
+    /**
+     * Fetch active plans
+     * @param {Object} params - Query
+     * @param {string|null} params.serviceCode - Optional service code filter
+     * @returns {Promise<Array>} Raw Reach plans
+     */
+    async fetchPlans({ serviceCode = null } = {}) {
+      const tenantCfg = getTenantConfig(tenant);
+      const endpoint = resolveEndpoint(config, DEFAULT_ENDPOINTS.plans);
+
+      const response = await callReachAPI(endpoint, {
+        method: "GET",
+        headers: {
+          "accept": "application/json, text/plain, */*",
+          ...buildOriginHeaders(config.origin),
+          "x-partner-tenant-id": config.partnerTenantId || tenantCfg.partnerTenantId,
+          "x-reach-date": Date.now().toString(),
+          "x-reach-mvne": config.reachMvne || tenantCfg.reachMvne,
+          "x-reach-src": tenantCfg.reachSrc,
+          "txnid": crypto.randomUUID()
+        }
+      }, tenant);
+
+      if (response.status !== "SUCCESS" || !Array.isArray(response.data)) {
+        logger.error("Plans API returned unexpected response", {
+          status: response.status,
+          hasDataArray: Array.isArray(response.data),
+          tenant
+        });
+        throw new Error(response.message || "Failed to fetch plans from reachplans/active");
+      }
+
+      let plans = response.data;
+      if (serviceCode) {
+        plans = plans.filter(plan => plan.serviceCode === serviceCode);
+      }
+
+      logger.info("Successfully fetched plans from reachplans/active", {
+        planCount: plans.length,
+        serviceCode,
+        tenant
+      });
+
+      return plans;
+    },
+
+    /**
+     * Fetch offers/coupons, trying the unified catalog first and falling back to item-wise endpoints
+     * @param {Object} params - Query
+     * @param {string|null} params.serviceCode - Optional service code filter
+     * @returns {Promise<Array>} Offers
+     */
+    async fetchOffers({ serviceCode = null } = {}) {
+      let response;
+      let offers = [];
+
+      try {
+        // First try unified endpoint
+        const allProducts = await fetchReachProducts(tenant);
+        if (allProducts && allProducts.offers && Array.isArray(allProducts.offers)) {
+          offers = allProducts.offers;
+        }
+      } catch (error) {
+        // If unified endpoint fails, try item-wise endpoint
+        let endpoint;
+        if (serviceCode) {
+          endpoint = `/nbi/v0/product/fetch/offer?serviceCode=${serviceCode}`;
+        } else {
+          endpoint = `/nbi/v0/product/fetch/offer`;
+        }
+
+        try {
+          response = await callReachAPI(endpoint, {
+            method: "GET",
+          }, tenant);
+
+          if (response.status === "SUCCESS") {
+            offers = response.data.offers || response.data || [];
+          }
+        } catch (nbiError) {
+          // Final fallback to apisvc item-wise endpoint
+          endpoint = serviceCode
+            ? `/apisvc/v0/product/fetch/offer?serviceCode=${serviceCode}`
+            : `/apisvc/v0/product/fetch/offer`;
+
+          response = await callReachAPI(endpoint, {
+            method: "GET",
+          }, tenant);
+
+          if (response.status === "SUCCESS") {
+            offers = response.data.offers || response.data || [];
+          }
+        }
+      }
+
+      // Filter by serviceCode if provided
+      if (serviceCode && offers.length > 0) {
+        offers = offers.filter(offer => offer.serviceCode === serviceCode);
+      }
+
+      if (offers.length === 0 && response && response.status !== "SUCCESS") {
+        throw new Error(`Failed to fetch offers: ${response?.message || "Unknown error"}`);
+      }
+
+      return offers;
+    },
+
+    /**
+     * Fetch device protection eligibility (eligible states)
+     * @returns {Promise<Array>} Eligible states / protection data
+     */
+    async fetchProtectionPlans() {
+      const tenantCfg = getTenantConfig(tenant);
+      const endpoint = resolveEndpoint(config, DEFAULT_ENDPOINTS.protection);
+      const headers = {
+        "accept": "application/json",
+        ...buildOriginHeaders(config.origin),
+        "x-partner-tenant-id": config.partnerTenantId || tenantCfg.partnerTenantId,
+        "x-reach-mvne": config.reachMvne || tenantCfg.reachMvne
+      };
+
+      let data;
+      if (config.authorization) {
+        // Protection service with its own partner token (no Reach auth token needed)
+        const url = endpoint.startsWith("http") ? endpoint : `${tenantCfg.apiBaseUrl}${endpoint}`;
+        const response = await fetch(url, {
+          method: "GET",
+          headers: { ...headers, "authorization": config.authorization },
+          signal: AbortSignal.timeout(Number(config.timeoutMs) || PROTECTION_TIMEOUT_MS)
+        });
+
+        if (!response.ok) {
+          const errorText = await response.text();
+          throw new Error(`Protection Plan API Error: ${response.status} ${response.statusText} - ${errorText}`);
+        }
+        data = await response.json();
+      } else {
+        data = await callReachAPI(endpoint, { method: "GET", headers }, tenant);
+      }
+
+      // Log the actual response structure for debugging
+      logger.info("🛡️ Protection Plans API Response", {
+        tenant,
+        responseType: typeof data,
+        isArray: Array.isArray(data),
+        hasData: !!data.data,
+        hasStates: !!(data.states && Array.isArray(data.states)),
+        keys: typeof data === 'object' && !Array.isArray(data) ? Object.keys(data) : [],
+        sampleData: Array.isArray(data) ? data.slice(0, 3) : (data.data ? data.data.slice(0, 3) : data),
+        fullResponse: JSON.stringify(data, null, 2).substring(0, 500)
+      });
+
+      // The API endpoint returns eligible states for protection plans
+      // This is not detailed plan information (pricing, coverage, plan IDs, etc.)
+      // Return the raw data - could be array of states or object with states array
+      if (data.data) {
+        return data.data;
+      } else if (Array.isArray(data)) {
+        return data;
+      } else if (data.states && Array.isArray(data.states)) {
+        return data.states;
+      } else {
+        return [data];
+      }
+    }
+  };
+}
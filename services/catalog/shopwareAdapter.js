@@ -0,0 +1,211 @@
+import { logger } from "../../utils/logger.js";
+
+/**
+ * Shopware catalog adapter
+ *
+ * Serves devices from a Shopware store-api. Configured per tenant under
+ * catalog.<resource> with adapter: "shopware":
+ *   baseUrl          - Shopware host (store-api is appended)
+ *   accessKey        - sw-access-key of the sales channel
+ *   contextToken     - Optional sw-context-token
+ *   storefrontOrigin - Optional origin/referer expected by the sales channel
+ *   timeoutMs        - Request timeout (default: 30000)
+ *
+ * AUTHENTICATION NOTES:
+ * - Uses the Shopware access key (NO Reach auth token needed)
+ */
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// Catalog items that are not devices (data add-ons, device protection SKUs)
+const EXCLUDED_PRODUCT_PREFIXES = ["DATA-", "DEVPROTECT-"];
+
+/**
+ * Map a brand query ("iphone", "galaxy", ...) to the name fragment used in Shopware
+ * @param {string} brand - Brand as requested by the user
+ * @returns {string} Product name fragment
+ */
+function getBrandNameFilter(brand) {
+  const brandLower = brand.toLowerCase();
+  if (brandLower.includes('iphone') || brandLower.includes('apple')) {
+    return 'iPhone';
+  }
+  if (brandLower.includes('samsung') || brandLower.includes('galaxy')) {
+    return 'Samsung';
+  }
+  if (brandLower.includes('pixel') || brandLower.includes('google')) {
+    return 'Pixel';
+  }
+  return brand;
+}
+
+function buildDeviceSearchBody(limit, brand) {
+  const filterQueries = [
+    {
+      type: "range",
+      field: "stock",
+      parameters: {
+        gte: 1,
+        lte: 1000000
+      }
+    },
+    {
+      type: "not",
+      operator: "or",
+      queries: EXCLUDED_PRODUCT_PREFIXES.map(prefix => ({
+        type: "prefix",
+        field: "productNumber",
+        value: prefix
+      }))
+    }
+  ];
+
+  // Add brand filter if provided - search in product name (contains)
+  if (brand) {
+    filterQueries.push({
+      type: "contains",
+      field: "name",
+      value: getBrandNameFilter(brand)
+    });
+  }
+
+  return {
+    limit: limit,
+    order: "topseller",
+    filter: [
+      {
+        type: "multi",
+        operator: "and",
+        queries: filterQueries
+      }
+    ],
+    sort: [
+      {
+        field: "categories.customFields.priority",
+        order: "desc",
+        naturalSorting: false
+      }
+    ],
+    associations: {
+      productReviews: {},
+      categories: {},
+      properties: {
+        associations: {
+          group: {}
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Create a Shopware catalog adapter
+ * @param {Object} options - Adapter options
+ * @param {string} options.tenant - Tenant ID (for logging)
+ * @param {Object} options.config - catalog.<resource> settings from the tenant config
+ * @returns {Object} Catalog adapter implementing fetchDevices
+ */
+export function createShopwareAdapter({ tenant, config = {} }) {
+  if (!config.baseUrl || !config.accessKey) {
+    throw new Error(`Shopware catalog adapter for tenant "${tenant}" requires baseUrl and accessKey`);
+  }
+
+  const productUrl = `${config.baseUrl.replace(/\/+$/, "")}/store-api/product`;
+  const timeoutMs = Number(config.timeoutMs) || DEFAULT_TIMEOUT_MS;
+
+  function buildHeaders() {
+    const headers = {
+      "accept": "application/json, text/plain, */*",
+      "accept-language": "en-GB,en;q=0.9",
+      "content-type": "application/json",
+      "sw-access-key": config.accessKey,
+      "sw-include-seo-urls": "true"
+    };
+    if (config.contextToken) {
+      headers["sw-context-token"] = config.contextToken;
+    }
+    if (config.storefrontOrigin) {
+      headers.origin = config.storefrontOrigin;
+      headers.referer = `${config.storefrontOrigin.replace(/\/+$/, "")}/`;
+    }
+    return headers;
+  }
+
+  return {
+    name: "shopware",
+
+    /**
+     * Fetch in-stock devices
+     * @param {Object} params - Query
+     * @param {number} params.limit - Maximum number of devices
+     * @param {string|null} params.brand - Optional brand filter
+     * @returns {Promise<Array>} Shopware products
+     */
+    async fetchDevices({ limit = 8, brand = null } = {}) {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+      try {
+        const response = await fetch(productUrl, {
+          method: "POST",
+          headers: buildHeaders(),
+          body: JSON.stringify(buildDeviceSearchBody(limit, brand)),
+          signal: controller.signal
+        });
+
+        clearTimeout(timeoutId);
+
+        if (!response.ok) {
+          const errorText = await response.text();
+          logger.error("Shopware API Error", {
+            tenant,
+            status: response.status,
+            statusText: response.statusText,
+            errorText: errorText.substring(0, 500)
+          });
+          throw new Error(`Shopware API Error: ${response.status} ${response.statusText} - ${errorText.substring(0, 200)}`);
+        }
+
+        const data = await response.json();
+        const devices = data.data || data.elements || [];
+
+        logger.info("Devices fetched successfully", {
+          tenant,
+          count: devices.length,
+          limit: limit,
+          brand: brand || 'all',
+          hasData: !!data.data,
+          hasElements: !!data.elements,
+          responseKeys: Object.keys(data)
+        });
+
+        // If no devices found, log warning with more context
+        if (devices.length === 0) {
+          logger.warn("No devices returned from Shopware API", {
+            tenant,
+            limit: limit,
+            brand: brand || 'all',
+            responseStructure: {
+              hasData: !!data.data,
+              hasElements: !!data.elements,
+              total: data.total,
+              keys: Object.keys(data)
+            }
+          });
+        }
+
+        return devices;
+      } catch (error) {
+        clearTimeout(timeoutId);
+
+        if (error.name === 'AbortError') {
+          logger.error("Devices API timeout", { tenant, timeout: timeoutMs });
+          throw new Error(`Devices API request timed out after ${timeoutMs / 1000} seconds. Please try again.`);
+        }
+
+        logger.error("Devices API error", { tenant, error: error.message });
+        throw error;
+      }
+    }
+  };
+}
@@ -0,0 +1,219 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { getTenantConfig } from "../config/tenantConfig.js";
+import { createCounter } from "./metricsService.js";
+import { isUpstreamUnavailable } from "./circuitBreakerService.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Catalog Cache Service
+ *
+ * Shared per-tenant cache for catalog reads (plans, devices, protection, offers, services):
+ *   - fresh for the resource's TTL: served from memory
+ *   - stale (expired less than the stale TTL ago): served from memory while one background
+ *     request refreshes it (stale-while-revalidate)
+ *   - missing or too old: loaded, and concurrent identical requests share that one load; if
+ *     Reach is unavailable (open circuit breaker, timeouts, 5xx) the last known good entry is
+ *     served however old it is, and the tool answer says so (withCatalogStalenessNotice)
+ * TTLs in seconds: CATALOG_CACHE_TTL ("plans=600,devices=300,..."), overridden per tenant by
+ * catalog.<resource>.cacheTtl in the tenant config; CATALOG_CACHE_STALE_TTL (default 3600).
+ * CATALOG_CACHE=off disables caching (loads are still coalesced). Entries are dropped with
+ * invalidateCatalogCache (POST /catalog-cache/invalidate, see catalogCacheEndpoint.js).
+ * Callers get copies, so mutating a result never changes the cache.
+ */
+
+export const CATALOG_CACHE_RESOURCES = ["plans", "devices", "protection", "offers", "services"];
+
+const DEFAULT_TTL_SECONDS = {
+  plans: 600,
+  devices: 300,
+  protection: 3600,
+  offers: 300,
+  services: 600
+};
+const DEFAULT_STALE_TTL_SECONDS = 3600;
+
+// "<tenant>|<resource>|<params>" -> { tenant, resource, value, fetchedAt, expiresAt, staleUntil }
+const entries = new Map();
+// Same keys -> { promise, generation } of the load in progress
+const inflight = new Map();
+// Bumped by invalidation so loads started before it are not stored
+let generation = 0;
+// Outdated entries served during the current tool call: [{ tenant, resource, fetchedAt, ageSeconds }]
+const staleReads = new AsyncLocalStorage();
+
+const cacheRequestsTotal = createCounter("catalog_cache_requests_total", "Catalog cache lookups by tenant, resource and result (hit, stale, miss, coalesced)", ["tenant", "resource", "result"]);
+const fallbacksTotal = createCounter("catalog_cache_fallbacks_total", "Outdated catalog entries served because Reach was unavailable", ["tenant", "resource"]);
+
+function isCacheEnabled() {
+  return (process.env.CATALOG_CACHE || "on").toLowerCase() !== "off";
+}
+
+function parseSeconds(value) {
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds : null;
+}
+
+/**
+ * TTL of a tenant's catalog resource
+ * @param {string} tenant - Tenant ID
+ * @param {string} resource - Catalog resource
+ * @returns {number} Seconds
+ */
+export function getCatalogCacheTtl(tenant, resource) {
+  let tenantTtl = null;
+  try {
+    tenantTtl = parseSeconds(getTenantConfig(tenant).catalog?.[resource]?.cacheTtl);
+  } catch {
+    // Unknown tenants fall back to the global TTLs
+  }
+  if (tenantTtl !== null) return tenantTtl;
+
+  const configured = (process.env.CATALOG_CACHE_TTL || "").split(",")
+    .map(entry => entry.split("=").map(part => part.trim()))
+    .find(([name]) => name === resource);
+  return parseSeconds(configured?.[1]) ?? DEFAULT_TTL_SECONDS[resource] ?? DEFAULT_TTL_SECONDS.plans;
+}
+
+function getStaleTtl() {
+  return parseSeconds(process.env.CATALOG_CACHE_STALE_TTL) ?? DEFAULT_STALE_TTL_SECONDS;
+}
+
+function copy(value) {
+  return value === undefined ? value : structuredClone(value);
+}
+
+// One load per key at a time; the result is cached unless the cache was invalidated meanwhile
+function load(key, tenant, resource, loader) {
+  const pending = inflight.get(key);
+  if (pending && pending.generation === generation) return pending.promise;
+
+  const loadGeneration = generation;
+  const promise = (async () => {
+    try {
+      const value = await loader();
+      if (isCacheEnabled() && loadGeneration === generation) {
+        const now = Date.now();
+        const expiresAt = now + getCatalogCacheTtl(tenant, resource) * 1000;
+        entries.set(key, { tenant, resource, value, fetchedAt: now, expiresAt, staleUntil: expiresAt + getStaleTtl() * 1000 });
+      }
+      return value;
+    } finally {
+      if (inflight.get(key)?.promise === promise) inflight.delete(key);
+    }
+  })();
+  inflight.set(key, { promise, generation: loadGeneration });
+  return promise;
+}
+
+/**
+ * Read a catalog resource through the cache
+ * @param {string} tenant - Tenant ID
+ * @param {string} resource - Catalog resource (plans, devices, protection, offers, services)
+ * @param {Object} params - Request parameters (part of the cache key, e.g. { serviceCode })
+ * @param {Function} loader - () => Promise of the upstream value
+ * @returns {Promise<*>} Copy of the cached or loaded value
+ */
+export async function getCachedCatalog(tenant, resource, params, loader) {
+  const key = `${tenant}|${resource}|${JSON.stringify(params ?? null)}`;
+  const now = Date.now();
+  const entry = isCacheEnabled() ? entries.get(key) : null;
+
+  if (entry && now < entry.expiresAt) {
+    cacheRequestsTotal.inc({ tenant, resource, result: "hit" });
+    return copy(entry.value);
+  }
+
+  if (entry && now < entry.staleUntil) {
+    cacheRequestsTotal.inc({ tenant, resource, result: "stale" });
+    if (!inflight.has(key)) {
+      logger.debug("Refreshing stale catalog entry", { tenant, resource, ageSeconds: Math.round((now - entry.fetchedAt) / 1000) });
+    }
+    load(key, tenant, resource, loader).catch((error) => {
+      logger.warn("Catalog refresh failed, serving stale data", { tenant, resource, error: error.message });
+    });
+    return copy(entry.value);
+  }
+
+  const coalesced = inflight.get(key)?.generation === generation;
+  cacheRequestsTotal.inc({ tenant, resource, result: coalesced ? "coalesced" : "miss" });
+  try {
+    return copy(await load(key, tenant, resource, loader));
+  } catch (error) {
+    const lastKnownGood = isCacheEnabled() ? entries.get(key) : null;
+    if (!lastKnownGood || !isUpstreamUnavailable(error)) throw error;
+
+    const ageSeconds = Math.round((Date.now() - lastKnownGood.fetchedAt) / 1000);
+    fallbacksTotal.inc({ tenant, resource });
+    logger.warn("Reach unavailable, serving last known good catalog data", { tenant, resource, ageSeconds, error: error.message });
+    staleReads.getStore()?.push({ tenant, resource, fetchedAt: new Date(lastKnownGood.fetchedAt).toISOString(), ageSeconds });
+    return copy(lastKnownGood.value);
+  }
+}
+
+function formatAge(seconds) {
+  if (seconds < 120) return `${seconds} seconds`;
+  if (seconds < 7200) return `${Math.round(seconds / 60)} minutes`;
+  return `${Math.round(seconds / 3600)} hours`;
+}
+
+/**
+ * Run a tool call, adding a staleness notice to its result if it used outdated catalog data
+ * The notice is a text block plus _meta.catalogStaleness ([{ tenant, resource, fetchedAt, ageSeconds }]).
+ * @param {Function} fn - () => Promise of the tool result
+ * @returns {Promise<Object>} The tool result
+ */
+export async function withCatalogStalenessNotice(fn) {
+  const reads = [];
+  const result = await staleReads.run(reads, fn);
+  if (reads.length === 0 || !result || typeof result !== "object") return result;
+
+  const oldest = reads.reduce((a, b) => (b.ageSeconds > a.ageSeconds ? b : a));
+  const resources = [...new Set(reads.map(read => read.resource))].join(", ");
+  const notice = `⚠️ The Reach catalog is temporarily unavailable, so this answer uses saved ${resources} data from ${oldest.fetchedAt} (${formatAge(oldest.ageSeconds)} old). Prices and availability may have changed and will be confirmed at checkout.`;
+  return {
+    ...result,
+    content: [...(Array.isArray(result.content) ? result.content : []), { type: "text", text: notice }],
+    _meta: { ...(result._meta || {}), catalogStaleness: reads }
+  };
+}
+
+/**
+ * Freshness of the cached catalog data (see healthEndpoint.js)
+ * Expired entries are past the stale TTL and only served while Reach is unavailable.
+ * @returns {Array<Object>} [{ tenant, resource, fresh, stale, expired, oldestAgeSeconds }]
+ */
+export function getCatalogCacheStatus() {
+  const now = Date.now();
+  const groups = new Map();
+  entries.forEach((entry) => {
+    const key = `${entry.tenant}|${entry.resource}`;
+    if (!groups.has(key)) {
+      groups.set(key, { tenant: entry.tenant, resource: entry.resource, fresh: 0, stale: 0, expired: 0, oldestAgeSeconds: 0 });
+    }
+    const group = groups.get(key);
+    const freshness = now < entry.expiresAt ? "fresh" : now < entry.staleUntil ? "stale" : "expired";
+    group[freshness] += 1;
+    group.oldestAgeSeconds = Math.max(group.oldestAgeSeconds, Math.round((now - entry.fetchedAt) / 1000));
+  });
+  return [...groups.values()];
+}
+
+/**
+ * Drop cached catalog entries
+ * @param {Object} filter - Optional filter
+ * @param {string} filter.tenant - Only this tenant's entries
+ * @param {string} filter.resource - Only this resource's entries
+ * @returns {number} Number of entries dropped
+ */
+export function invalidateCatalogCache({ tenant = null, resource = null } = {}) {
+  let dropped = 0;
+  entries.forEach((entry, key) => {
+    if ((!tenant || entry.tenant === tenant) && (!resource || entry.resource === resource)) {
+      entries.delete(key);
+      dropped += 1;
+    }
+  });
+  generation += 1;
+  logger.info("Catalog cache invalidated", { tenant, resource, dropped });
+  return dropped;
+}
@@ -0,0 +1,230 @@
+import { createCounter, createGauge } from "./metricsService.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Circuit Breaker Service
+ *
+ * One breaker per tenant and Reach endpoint ("GET /apisvc/v0/device/imei/:id"), used by
+ * callReachAPI around every attempt:
+ *   - closed:    requests pass; CIRCUIT_BREAKER_FAILURES (default 5) unavailability failures
+ *                in a row (timeouts, network errors, 5xx, 408) open the breaker
+ *   - open:      requests fail fast with CircuitOpenError (no request, no retry backoff)
+ *                for CIRCUIT_BREAKER_RESET_SECONDS (default 30)
+ *   - half-open: one trial request is let through; success closes the breaker, failure
+ *                opens it again
+ * Any other answer from Reach (2xx, 4xx, the modifiedDate bug) counts as success.
+ * CIRCUIT_BREAKER=off disables the breakers. States are reported on /health and as
+ * circuit_breaker_state.
+ */
+
+export const CIRCUIT_STATES = { CLOSED: "closed", OPEN: "open", HALF_OPEN: "half_open" };
+
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_RESET_SECONDS = 30;
+const STATE_VALUES = { [CIRCUIT_STATES.CLOSED]: 0, [CIRCUIT_STATES.HALF_OPEN]: 1, [CIRCUIT_STATES.OPEN]: 2 };
+
+// Error types of failures that mean Reach (or the route to it) is unavailable
+const UNAVAILABLE_ERROR_TYPES = ["CIRCUIT_OPEN", "TIMEOUT", "TIMEOUT_ERROR", "NETWORK", "SERVER_ERROR"];
+
+// "<tenant>|<endpoint>" -> breaker
+const breakers = new Map();
+
+const rejectionsTotal = createCounter("circuit_breaker_rejections_total", "Reach API requests refused by an open circuit breaker", ["tenant", "endpoint"]);
+const transitionsTotal = createCounter("circuit_breaker_transitions_total", "Circuit breaker state changes by the state entered", ["tenant", "endpoint", "state"]);
+createGauge("circuit_breaker_state", "Circuit breaker state per Reach endpoint (0 closed, 1 half-open, 2 open)", ["tenant", "endpoint"], () =>
+  [...breakers.values()].map(breaker => ({
+    labels: { tenant: breaker.tenant, endpoint: breaker.endpoint },
+    value: STATE_VALUES[breaker.getState()]
+  })));
+
+/**
+ * Error thrown instead of calling an endpoint whose breaker is open
+ */
+export class CircuitOpenError extends Error {
+  constructor(message, { tenant, endpoint, retryAfterMs }) {
+    super(message);
+    this.name = "CircuitOpenError";
+    this.errorType = "CIRCUIT_OPEN";
+    // Tools that branch on the upstream status treat it like a 503
+    this.statusCode = 503;
+    this.tenant = tenant;
+    this.endpoint = endpoint;
+    this.retryAfterMs = retryAfterMs;
+    this.retryAfterSeconds = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+  }
+}
+
+/**
+ * Whether an error means Reach is unavailable (as opposed to Reach answering with an error)
+ * @param {Error} error - Error from callReachAPI
+ * @returns {boolean}
+ */
+export function isUpstreamUnavailable(error) {
+  return Boolean(error) && UNAVAILABLE_ERROR_TYPES.includes(error.errorType);
+}
+
+function isBreakerEnabled() {
+  return (process.env.CIRCUIT_BREAKER || "on").toLowerCase() !== "off";
+}
+
+function parsePositive(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+function getFailureThreshold() {
+  return Math.ceil(parsePositive(process.env.CIRCUIT_BREAKER_FAILURES, DEFAULT_FAILURE_THRESHOLD));
+}
+
+function getResetMs() {
+  return parsePositive(process.env.CIRCUIT_BREAKER_RESET_SECONDS, DEFAULT_RESET_SECONDS) * 1000;
+}
+
+/**
+ * Create a circuit breaker
+ * @param {string} tenant - Tenant ID
+ * @param {string} endpoint - "<METHOD> <endpoint label>"
+ * @returns {Object} Breaker with acquire/record/isOpen/getState/describe
+ */
+export function createCircuitBreaker(tenant, endpoint) {
+  let state = CIRCUIT_STATES.CLOSED;
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let lastFailure = null;
+  let probeStartedAt = null;
+
+  function transition(next, details = {}) {
+    if (state === next) return;
+    state = next;
+    transitionsTotal.inc({ tenant, endpoint, state: next });
+    logger[next === CIRCUIT_STATES.OPEN ? "warn" : "info"](`Circuit breaker ${next.replace("_", "-")}`, { tenant, endpoint, ...details });
+  }
+
+  // Open breakers turn half-open once the reset time has passed
+  function refreshState(now) {
+    if (state === CIRCUIT_STATES.OPEN && now - openedAt >= getResetMs()) {
+      transition(CIRCUIT_STATES.HALF_OPEN);
+      probeStartedAt = null;
+    }
+    return state;
+  }
+
+  return {
+    tenant,
+    endpoint,
+
+    /**
+     * Ask to send a request
+     * @throws {CircuitOpenError} While the breaker is open, or half-open with its trial request in flight
+     */
+    acquire() {
+      const now = Date.now();
+      refreshState(now);
+      if (state === CIRCUIT_STATES.CLOSED) return;
+      // A trial request that never reported back (e.g. crashed) is replaced after the reset time
+      if (state === CIRCUIT_STATES.HALF_OPEN && (probeStartedAt === null || now - probeStartedAt >= getResetMs())) {
+        probeStartedAt = now;
+        return;
+      }
+
+      const retryAfterMs = state === CIRCUIT_STATES.OPEN ? openedAt + getResetMs() - now : getResetMs() - (now - probeStartedAt);
+      rejectionsTotal.inc({ tenant, endpoint });
+      throw new CircuitOpenError(
+        `Reach API is temporarily unavailable (${endpoint} failed ${consecutiveFailures} times in a row). Retry in ${Math.max(Math.ceil(retryAfterMs / 1000), 1)}s.`,
+        { tenant, endpoint, retryAfterMs }
+      );
+    },
+
+    /**
+     * Record the outcome of a request let through by acquire
+     * @param {Error|null} error - The request's error (null when Reach answered successfully)
+     */
+    record(error = null) {
+      if (!isUpstreamUnavailable(error)) {
+        consecutiveFailures = 0;
+        probeStartedAt = null;
+        transition(CIRCUIT_STATES.CLOSED);
+        return;
+      }
+
+      consecutiveFailures += 1;
+      lastFailure = { at: Date.now(), errorType: error.errorType, message: error.message };
+      if (state === CIRCUIT_STATES.HALF_OPEN || consecutiveFailures >= getFailureThreshold()) {
+        openedAt = Date.now();
+        probeStartedAt = null;
+        transition(CIRCUIT_STATES.OPEN, { consecutiveFailures, errorType: error.errorType });
+      }
+    },
+
+    /**
+     * Whether requests are refused right now (a retry would fail fast)
+     * @returns {boolean}
+     */
+    isOpen() {
+      return refreshState(Date.now()) === CIRCUIT_STATES.OPEN;
+    },
+
+    getState() {
+      return refreshState(Date.now());
+    },
+
+    /**
+     * State for /health
+     * @returns {Object} { tenant, endpoint, state, consecutiveFailures, openedAt, retryAt, lastFailure }
+     */
+    describe() {
+      const current = refreshState(Date.now());
+      return {
+        tenant,
+        endpoint,
+        state: current,
+        consecutiveFailures,
+        openedAt: current === CIRCUIT_STATES.CLOSED || !openedAt ? null : new Date(openedAt).toISOString(),
+        retryAt: current === CIRCUIT_STATES.OPEN ? new Date(openedAt + getResetMs()).toISOString() : null,
+        lastFailure: lastFailure ? { ...lastFailure, at: new Date(lastFailure.at).toISOString() } : null
+      };
+    }
+  };
+}
+
+// Breaker that lets everything through (CIRCUIT_BREAKER=off)
+const DISABLED_BREAKER = {
+  acquire() {},
+  record() {},
+  isOpen() { return false; }
+};
+
+/**
+ * Breaker of a tenant's Reach endpoint
+ * @param {string} tenant - Tenant ID
+ * @param {string} endpoint - "<METHOD> <endpoint label>" (IDs already replaced by ":id")
+ * @returns {Object} Breaker (a pass-through one when CIRCUIT_BREAKER=off)
+ */
+export function getCircuitBreaker(tenant, endpoint) {
+  if (!isBreakerEnabled()) return DISABLED_BREAKER;
+  const key = `${tenant}|${endpoint}`;
+  if (!breakers.has(key)) breakers.set(key, createCircuitBreaker(tenant, endpoint));
+  return breakers.get(key);
+}
+
+/**
+ * Every breaker's state (for /health)
+ * @returns {Object} { open, halfOpen, breakers } - breakers are describe() results, open ones first
+ */
+export function getCircuitBreakerStates() {
+  const described = [...breakers.values()].map(breaker => breaker.describe());
+  const order = [CIRCUIT_STATES.OPEN, CIRCUIT_STATES.HALF_OPEN, CIRCUIT_STATES.CLOSED];
+  described.sort((a, b) => order.indexOf(a.state) - order.indexOf(b.state));
+  return {
+    open: described.filter(breaker => breaker.state === CIRCUIT_STATES.OPEN).length,
+    halfOpen: described.filter(breaker => breaker.state === CIRCUIT_STATES.HALF_OPEN).length,
+    breakers: described
+  };
+}
+
+/**
+ * Forget every breaker (all endpoints start closed again)
+ */
+export function resetCircuitBreakers() {
+  breakers.clear();
+}
@@ -0,0 +1,295 @@
+import crypto from "crypto";
+import { getLocalPublicKey, isLocalTokenIssuerEnabled } from "./localTokenIssuer.js";
+import { getClientScopes } from "./toolScopeService.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Client Auth Service
+ *
+ * Authenticates MCP clients (not to be confused with authService, which holds this
+ * server's tokens for the Reach API). Two pluggable methods:
+ *   - static API keys per client (MCP_API_KEYS="clientId:key,clientId2:key2"), sent as
+ *     "Authorization: Bearer <key>" or "X-Api-Key: <key>"
+ *   - OAuth 2.1 bearer tokens (MCP authorization spec): JWT access tokens signed by the
+ *     authorization server MCP_OAUTH_ISSUER (keys from its JWKS) or by the local token
+ *     issuer, issued for this resource (aud = the /mcp URL, or MCP_OAUTH_AUDIENCE)
+ * The result is a principal: { authType, clientId, subject, scopes, issuer, expiresAt }.
+ */
+
+export const AUTH_TYPE = {
+  API_KEY: "api_key",
+  OAUTH: "oauth"
+};
+
+export const API_KEY_HEADER = "x-api-key";
+
+// Verification settings per JWS algorithm
+const JWT_ALGORITHMS = {
+  RS256: { hash: "sha256" },
+  RS384: { hash: "sha384" },
+  RS512: { hash: "sha512" },
+  PS256: { hash: "sha256", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: "sha256", dsaEncoding: "ieee-p1363" },
+  ES384: { hash: "sha384", dsaEncoding: "ieee-p1363" }
+};
+
+const CLOCK_SKEW_SECONDS = 30;
+const JWKS_CACHE_TTL = 10 * 60 * 1000;
+const JWKS_REFRESH_MIN_INTERVAL = 60 * 1000;
+const DISCOVERY_TIMEOUT_MS = 5000;
+
+// issuer -> { keys: Map<kid, KeyObject>, fetchedAt }
+const jwksCache = new Map();
+let apiKeys = null;
+let apiKeysSource = null;
+
+/**
+ * Error thrown for missing, unknown or invalid client credentials
+ */
+export class AuthenticationError extends Error {
+  constructor(message, errorCode = "invalid_token") {
+    super(message);
+    this.name = "AuthenticationError";
+    this.errorCode = errorCode;
+    this.errorType = "UNAUTHENTICATED";
+  }
+}
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+// API keys by SHA-256 hash, so lookups do not compare secrets directly
+function getApiKeys() {
+  const source = process.env.MCP_API_KEYS || "";
+  if (apiKeys && apiKeysSource === source) return apiKeys;
+
+  apiKeys = new Map();
+  apiKeysSource = source;
+  source.split(",").map(entry => entry.trim()).filter(Boolean).forEach((entry) => {
+    const separator = entry.indexOf(":");
+    const clientId = entry.slice(0, separator).trim();
+    const key = entry.slice(separator + 1).trim();
+    if (separator <= 0 || !key) {
+      logger.warn("Ignoring malformed MCP_API_KEYS entry (expected clientId:key)", { clientId: clientId || null });
+      return;
+    }
+    apiKeys.set(hashKey(key), clientId);
+  });
+  return apiKeys;
+}
+
+/**
+ * Clients with an API key
+ * @returns {Array<string>} Client IDs
+ */
+export function listApiKeyClients() {
+  return [...new Set(getApiKeys().values())];
+}
+
+/**
+ * Whether /mcp requires authentication
+ * MCP_AUTH_REQUIRED=true|false overrides the default: required as soon as API keys,
+ * an OAuth issuer or the local token issuer are configured.
+ * @returns {boolean}
+ */
+export function isAuthRequired() {
+  const setting = process.env.MCP_AUTH_REQUIRED;
+  if (setting === "true" || setting === "false") {
+    return setting === "true";
+  }
+  return getApiKeys().size > 0 || !!process.env.MCP_OAUTH_ISSUER || isLocalTokenIssuerEnabled();
+}
+
+/**
+ * Authenticate a static API key (granted the client's allowed scopes)
+ * @param {string} key - API key
+ * @returns {Object|null} Principal or null if the key is unknown
+ */
+export function authenticateApiKey(key) {
+  if (!key) return null;
+  const clientId = getApiKeys().get(hashKey(key));
+  if (!clientId) return null;
+  return { authType: AUTH_TYPE.API_KEY, clientId, subject: null, scopes: getClientScopes(clientId), issuer: null, expiresAt: null };
+}
+
+/**
+ * Verify a client's API key as a client secret (local token issuer)
+ * @param {string} clientId - Client ID
+ * @param {string} clientSecret - Client's API key
+ * @returns {boolean}
+ */
+export function verifyClientSecret(clientId, clientSecret) {
+  return !!clientId && authenticateApiKey(clientSecret)?.clientId === clientId;
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch {
+    throw new AuthenticationError("Malformed access token");
+  }
+}
+
+async function fetchJson(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(DISCOVERY_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`GET ${url} returned ${response.status}`);
+  }
+  return response.json();
+}
+
+async function discoverJwksUrl(issuer) {
+  if (process.env.MCP_OAUTH_JWKS_URL) return process.env.MCP_OAUTH_JWKS_URL;
+  const base = issuer.replace(/\/$/, "");
+  for (const wellKnown of ["/.well-known/oauth-authorization-server", "/.well-known/openid-configuration"]) {
+    try {
+      const metadata = await fetchJson(`${base}${wellKnown}`);
+      if (metadata?.jwks_uri) return metadata.jwks_uri;
+    } catch (error) {
+      logger.debug("Authorization server metadata not available", { url: `${base}${wellKnown}`, error: error.message });
+    }
+  }
+  throw new Error(`No jwks_uri found for issuer ${issuer}`);
+}
+
+async function loadJwks(issuer) {
+  const jwks = await fetchJson(await discoverJwksUrl(issuer));
+  const keys = new Map();
+  (jwks.keys || []).filter(jwk => !jwk.use || jwk.use === "sig").forEach((jwk) => {
+    try {
+      keys.set(jwk.kid || "", crypto.createPublicKey({ key: jwk, format: "jwk" }));
+    } catch (error) {
+      logger.warn("Ignoring unusable JWKS key", { issuer, kid: jwk.kid, error: error.message });
+    }
+  });
+  jwksCache.set(issuer, { keys, fetchedAt: Date.now() });
+  logger.info("Authorization server keys loaded", { issuer, keys: keys.size });
+  return keys;
+}
+
+async function getIssuerKey(issuer, kid = "") {
+  const cached = jwksCache.get(issuer);
+  const age = cached ? Date.now() - cached.fetchedAt : Infinity;
+  if (cached && age < JWKS_CACHE_TTL && cached.keys.has(kid)) {
+    return cached.keys.get(kid);
+  }
+  // Unknown kid: the issuer may have rotated its keys (refetched at most once a minute)
+  if (cached && age < JWKS_REFRESH_MIN_INTERVAL) {
+    return cached.keys.get(kid) || null;
+  }
+  try {
+    return (await loadJwks(issuer)).get(kid) || null;
+  } catch (error) {
+    logger.error("Failed to load authorization server keys", { issuer, error: error.message });
+    return cached?.keys.get(kid) || null;
+  }
+}
+
+function getScopes(payload) {
+  if (typeof payload.scope === "string") return payload.scope.split(" ").filter(Boolean);
+  if (Array.isArray(payload.scp)) return payload.scp;
+  if (typeof payload.scp === "string") return payload.scp.split(" ").filter(Boolean);
+  return [];
+}
+
+/**
+ * Verify an OAuth 2.1 JWT access token
+ * @param {string} token - Access token
+ * @param {Object} options - Options
+ * @param {string} options.resourceUrl - This server's /mcp URL (expected audience unless MCP_OAUTH_AUDIENCE is set)
+ * @param {string|null} options.localIssuer - Issuer URL of the local token issuer (if enabled)
+ * @returns {Promise<Object>} Principal
+ * @throws {AuthenticationError} If the token is malformed, untrusted, expired or for another resource
+ */
+export async function verifyAccessToken(token, { resourceUrl, localIssuer = null } = {}) {
+  const segments = String(token).split(".");
+  if (segments.length !== 3) {
+    throw new AuthenticationError("Malformed access token");
+  }
+  const [encodedHeader, encodedPayload, encodedSignature] = segments;
+  const header = decodeSegment(encodedHeader);
+  const payload = decodeSegment(encodedPayload);
+
+  const algorithm = JWT_ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new AuthenticationError(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  let key = null;
+  if (localIssuer && payload.iss === localIssuer && isLocalTokenIssuerEnabled()) {
+    key = getLocalPublicKey(header.kid);
+  } else if (process.env.MCP_OAUTH_ISSUER && payload.iss === process.env.MCP_OAUTH_ISSUER) {
+    key = await getIssuerKey(payload.iss, header.kid || "");
+  } else {
+    throw new AuthenticationError("Token issuer is not trusted");
+  }
+  if (!key) {
+    throw new AuthenticationError("Token signing key is not known");
+  }
+
+  const { hash, ...keyOptions } = algorithm;
+  const valid = crypto.verify(
+    hash,
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    { key, ...keyOptions },
+    Buffer.from(encodedSignature, "base64url")
+  );
+  if (!valid) {
+    throw new AuthenticationError("Invalid token signature");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== "number") {
+    throw new AuthenticationError("Token has no expiration time");
+  }
+  if (payload.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new AuthenticationError("Token has expired");
+  }
+  if (typeof payload.nbf === "number" && payload.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw new AuthenticationError("Token is not valid yet");
+  }
+
+  // Tokens must be issued for this server (RFC 8707 resource indicators)
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud].filter(Boolean);
+  const expectedAudiences = process.env.MCP_OAUTH_AUDIENCE
+    ? process.env.MCP_OAUTH_AUDIENCE.split(",").map(value => value.trim())
+    : [resourceUrl].filter(Boolean);
+  if (!audiences.some(audience => expectedAudiences.includes(audience))) {
+    throw new AuthenticationError("Token was not issued for this resource");
+  }
+
+  return {
+    authType: AUTH_TYPE.OAUTH,
+    clientId: payload.client_id || payload.azp || payload.sub,
+    subject: payload.sub || null,
+    scopes: getScopes(payload),
+    issuer: payload.iss,
+    expiresAt: payload.exp
+  };
+}
+
+/**
+ * Authenticate a request from its headers
+ * A bearer value is tried as an API key first, then as an OAuth access token.
+ * @param {Object} headers - Request headers (lower-case names)
+ * @param {Object} options - verifyAccessToken options
+ * @returns {Promise<Object|null>} Principal, or null when the request carries no credentials
+ * @throws {AuthenticationError} If the credentials are invalid
+ */
+export async function authenticateRequest(headers, options = {}) {
+  const apiKey = headers[API_KEY_HEADER];
+  if (apiKey) {
+    const principal = authenticateApiKey(apiKey);
+    if (!principal) throw new AuthenticationError("Invalid API key");
+    return principal;
+  }
+
+  const authorization = headers.authorization;
+  if (!authorization) return null;
+  const [scheme, credential] = authorization.split(" ");
+  if (scheme?.toLowerCase() !== "bearer" || !credential) {
+    throw new AuthenticationError("Invalid Authorization header format, expected 'Bearer TOKEN'", "invalid_request");
+  }
+  return authenticateApiKey(credential) || verifyAccessToken(credential, options);
+}
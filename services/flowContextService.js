@@ -1,10 +1,28 @@
-import { save, load, loadAsync } from '../utils/storage.js';
+import { createSessionStore } from '../utils/sessionStore.js';
 import { logger } from '../utils/logger.js';
+import { createGauge } from './metricsService.js';
 
 // Load all flow contexts from storage
 const flowContexts = new Map();
+const store = createSessionStore('flowContext');
+// Client identity -> IDs of the sessions bound to it (kept by indexOwner/unindexOwner)
+const sessionsByOwner = new Map();
+// Transaction ID / payment callback token -> ID of the session whose current purchase
+// carries it (kept by indexPurchase/unindexPurchase), so unauthenticated payment
+// callbacks don't scan every flow context
+const sessionsByTransaction = new Map();
+const sessionsByCallbackToken = new Map();
 let initialized = false;
 
+createGauge('flow_sessions', 'Sessions with a flow context, by flowStage', ['flow_stage'], () => {
+  const counts = new Map();
+  flowContexts.forEach((context) => {
+    const stage = context?.flowStage || 'initial';
+    counts.set(stage, (counts.get(stage) || 0) + 1);
+  });
+  return [...counts].map(([stage, value]) => ({ labels: { flow_stage: stage }, value }));
+});
+
 /**
  * Initialize flow context service from MongoDB or JSON storage
  * Call this after MongoDB connection is established
@@ -13,13 +31,16 @@ export async function initializeFlowContextService() {
   if (initialized) return;
   
   try {
-    const loadedContexts = await loadAsync('flowContext');
-    if (loadedContexts) {
-      flowContexts.clear();
-      Object.entries(loadedContexts).forEach(([sessionId, context]) => {
-  flowContexts.set(sessionId, context);
-});
-    }
+    const loadedContexts = await store.loadAll();
+    flowContexts.clear();
+    sessionsByOwner.clear();
+    sessionsByTransaction.clear();
+    sessionsByCallbackToken.clear();
+    Object.entries(loadedContexts).forEach(([sessionId, context]) => {
+      flowContexts.set(sessionId, context);
+      indexOwner(sessionId, context?.owner);
+      indexPurchase(sessionId, context?.purchase);
+    });
     
     initialized = true;
     logger.info('Flow context service initialized', { 
@@ -27,18 +48,42 @@ export async function initializeFlowContextService() {
     });
   } catch (error) {
     logger.warn('Error initializing flow context service, using defaults:', error.message);
-    // Fallback to synchronous load if async fails
-    const fallbackContexts = load('flowContext') || {};
-    Object.entries(fallbackContexts).forEach(([sessionId, context]) => {
-      flowContexts.set(sessionId, context);
-    });
     initialized = true;
   }
 }
 
-// Helper to persist all contexts
-function persist() {
-  save('flowContext', Object.fromEntries(flowContexts));
+// Helpers to keep the owner index in step with context.owner
+function indexOwner(sessionId, owner) {
+  if (!owner) return;
+  if (!sessionsByOwner.has(owner)) sessionsByOwner.set(owner, new Set());
+  sessionsByOwner.get(owner).add(sessionId);
+}
+
+function unindexOwner(sessionId, owner) {
+  const sessionIds = sessionsByOwner.get(owner);
+  if (!sessionIds) return;
+  sessionIds.delete(sessionId);
+  if (sessionIds.size === 0) sessionsByOwner.delete(owner);
+}
+
+// Helpers to keep the purchase indexes in step with context.purchase
+function indexPurchase(sessionId, purchase) {
+  if (purchase?.transactionId) sessionsByTransaction.set(purchase.transactionId, sessionId);
+  if (purchase?.callbackToken) sessionsByCallbackToken.set(purchase.callbackToken, sessionId);
+}
+
+function unindexPurchase(sessionId, purchase) {
+  if (purchase?.transactionId && sessionsByTransaction.get(purchase.transactionId) === sessionId) {
+    sessionsByTransaction.delete(purchase.transactionId);
+  }
+  if (purchase?.callbackToken && sessionsByCallbackToken.get(purchase.callbackToken) === sessionId) {
+    sessionsByCallbackToken.delete(purchase.callbackToken);
+  }
+}
+
+// Helper to persist one session's context (only that document is written)
+function persist(sessionId) {
+  store.put(sessionId, flowContexts.get(sessionId));
 }
 
 /**
@@ -59,6 +104,8 @@ export function getFlowContext(sessionId) {
     context = {
       // Session metadata (session tracking)
       sessionId,
+      tenant: null, // Tenant the session belongs to (bound on first tool call)
+      owner: null, // Client identity the session belongs to (bound on first identified tool call)
       flowStage: 'initial',
       resumeStep: null, // Step to return to after answering questions
       lastIntent: null, // Last detected intent (entryIntent/returnTo/lastHandledIntent)
@@ -92,6 +139,9 @@ export function getFlowContext(sessionId) {
       shippingAddress: null, // Shipping address object { firstName, lastName, street, city, state, zipCode, country, phone, email }
       shippingAddressStep: null, // Current step: 'name' | 'contact' | 'address' | 'complete'
       checkoutDataCollected: false, // true when shipping address is collected (all steps complete)
+      quote: null, // Quote shown by get_quote { quoteId, status, totals, expectedTotals, diff, cartFingerprint, quotedAt, expiresAt, acceptedAt }
+      orderNumber: 1, // Incremented by start_new_order; part of the derived purchase idempotency key
+      previousOrders: [], // Orders closed by start_new_order { orderNumber, transactionId, state, paymentStatus, completedAt }
       
       // Purchase/payment tracking (purchase section)
       purchase: {
@@ -109,6 +159,13 @@ export function getFlowContext(sessionId) {
         completedAt: null,             // Timestamp when purchase completed
         lastPollAt: null,              // Timestamp of last status poll
         pollAttempts: 0,               // Number of poll attempts made
+        statusSource: null,            // Where the last payment status came from (FLOW, API, CALLBACK)
+        statusUpdatedAt: null,         // Timestamp of the last recorded payment status
+        callbackToken: null,           // Token in the payment redirectUrl (/payments/callback/:token)
+        callbackReceivedAt: null,      // Timestamp of the last payment callback
+        returnUrl: null,               // Where the payment callback sends the user afterwards
+        followUpRequired: false,       // Payment status never became final (POLLING_TIMEOUT); needs follow-up
+        idempotencyKey: null,          // Key of the purchase_plans call that created this purchase (retries replay it)
         error: null,                   // Error message if purchase failed
         errorType: null                // Error type (QUOTE_ERROR, PURCHASE_ERROR, STATUS_ERROR, VALIDATION_ERROR)
       },
@@ -124,7 +181,7 @@ export function getFlowContext(sessionId) {
       linesConfigured: false      // true if lineCount is set and > 0
     };
     flowContexts.set(sessionId, context);
-    persist();
+    persist(sessionId);
   }
   
   // Ensure backward compatibility: migrate old structure if needed
@@ -140,7 +197,7 @@ export function getFlowContext(sessionId) {
                   !context.hasOwnProperty('linesConfigured'))) {
     updateGlobalFlags(context);
     flowContexts.set(sessionId, context);
-    persist();
+    persist(sessionId);
   } else if (context) {
     // Always recompute flags to ensure they're current
     updateGlobalFlags(context);
@@ -217,7 +274,7 @@ export function updateFlowContext(sessionId, updates) {
   }
 
   flowContexts.set(sessionId, context);
-  persist();
+  persist(sessionId);
   
   logger.info('Flow context updated', { 
     sessionId, 
@@ -235,6 +292,7 @@ export function updateFlowContext(sessionId, updates) {
 
 /**
  * Reset flow context for a session
+ * A session bound to a client stays bound to it (and to its tenant).
  * @param {string} sessionId - Session ID
  */
 export function resetFlowContext(sessionId) {
@@ -242,12 +300,123 @@ export function resetFlowContext(sessionId) {
     throw new Error('Session ID is required');
   }
 
+  const { tenant = null, owner = null, purchase = null } = flowContexts.get(sessionId) || {};
   flowContexts.delete(sessionId);
-  persist();
+  store.delete(sessionId);
+  unindexOwner(sessionId, owner);
+  unindexPurchase(sessionId, purchase);
+  if (owner) {
+    const context = getFlowContext(sessionId);
+    context.tenant = tenant;
+    context.owner = owner;
+    indexOwner(sessionId, owner);
+    persist(sessionId);
+  }
   
   logger.info('Flow context reset', { sessionId });
 }
 
+/**
+ * Get the tenant a session belongs to (does not create a flow context)
+ * @param {string} sessionId - Session ID
+ * @returns {string|null} Tenant ID or null if the session is unknown or unbound
+ */
+export function getSessionTenant(sessionId) {
+  if (!sessionId) {
+    return null;
+  }
+  return flowContexts.get(sessionId)?.tenant || null;
+}
+
+/**
+ * Bind a session to a tenant (first binding wins)
+ * @param {string} sessionId - Session ID
+ * @param {string} tenant - Tenant ID
+ */
+export function bindSessionTenant(sessionId, tenant) {
+  if (!sessionId || !tenant) {
+    return;
+  }
+  const context = flowContexts.get(sessionId);
+  if (!context || context.tenant) {
+    return;
+  }
+  context.tenant = tenant;
+  persist(sessionId);
+  logger.info('Session bound to tenant', { sessionId, tenant });
+}
+
+/**
+ * Get the client identity a session belongs to (does not create a flow context)
+ * @param {string} sessionId - Session ID
+ * @returns {string|null} Client identity or null if the session is unknown or unbound
+ */
+export function getSessionOwner(sessionId) {
+  if (!sessionId) {
+    return null;
+  }
+  return flowContexts.get(sessionId)?.owner || null;
+}
+
+/**
+ * Whether a session holds customer data: lines, checkout details, a quote or a purchase
+ * (does not create a flow context)
+ * @param {string} sessionId - Session ID
+ * @returns {boolean}
+ */
+export function sessionHasData(sessionId) {
+  const context = flowContexts.get(sessionId);
+  if (!context) {
+    return false;
+  }
+  return Boolean(
+    context.lineCount ||
+    context.shippingAddress ||
+    context.quote ||
+    context.purchase?.transactionId
+  );
+}
+
+/**
+ * Bind a session to a client identity (first binding wins)
+ * @param {string} sessionId - Session ID
+ * @param {string} owner - Client identity (see sessionService.getClientIdentity)
+ */
+export function bindSessionOwner(sessionId, owner) {
+  if (!sessionId || !owner) {
+    return;
+  }
+  const context = flowContexts.get(sessionId);
+  if (!context || context.owner) {
+    return;
+  }
+  context.owner = owner;
+  indexOwner(sessionId, owner);
+  persist(sessionId);
+  logger.info('Session bound to client', { sessionId, owner });
+}
+
+/**
+ * Find the most recently updated session of a client identity
+ * @param {string} owner - Client identity
+ * @returns {string|null} Session ID or null if the client has no session
+ */
+export function findSessionByOwner(owner) {
+  if (!owner) {
+    return null;
+  }
+
+  // Only this client's sessions are compared (usually one)
+  let latest = null;
+  for (const sessionId of sessionsByOwner.get(owner) || []) {
+    const context = flowContexts.get(sessionId);
+    if (!latest || (context?.lastUpdated || 0) > latest.lastUpdated) {
+      latest = { sessionId, lastUpdated: context?.lastUpdated || 0 };
+    }
+  }
+  return latest?.sessionId || null;
+}
+
 /**
  * Check prerequisites for an action (improved gate logic)
  * @param {string} sessionId - Session ID
@@ -459,7 +628,7 @@ export function setResumeStep(sessionId, step) {
     context.resumeStep = step;
     context.lastUpdated = Date.now();
     flowContexts.set(sessionId, context);
-    persist();
+    persist(sessionId);
     
     logger.info('Resume step set', { sessionId, step });
   }
@@ -489,7 +658,7 @@ export function clearResumeStep(sessionId) {
     context.resumeStep = null;
     context.lastUpdated = Date.now();
     flowContexts.set(sessionId, context);
-    persist();
+    persist(sessionId);
   }
 }
 
@@ -508,7 +677,7 @@ export function updateLastIntent(sessionId, intent, action) {
     context.lastAction = action;
     context.lastUpdated = Date.now();
     flowContexts.set(sessionId, context);
-    persist();
+    persist(sessionId);
   }
 }
 
@@ -542,7 +711,7 @@ export function addConversationHistory(sessionId, entry) {
     
     context.lastUpdated = Date.now();
     flowContexts.set(sessionId, context);
-    persist();
+    persist(sessionId);
   }
 }
 
@@ -574,7 +743,7 @@ export function updateMissingPrerequisites(sessionId, missing) {
     context.missingPrerequisites = missing || [];
     context.lastUpdated = Date.now();
     flowContexts.set(sessionId, context);
-    persist();
+    persist(sessionId);
   }
 }
 
@@ -649,21 +818,30 @@ export function updatePurchaseState(sessionId, purchaseData) {
       completedAt: null,
       lastPollAt: null,
       pollAttempts: 0,
+      statusSource: null,
+      statusUpdatedAt: null,
+      callbackToken: null,
+      callbackReceivedAt: null,
+      returnUrl: null,
+      followUpRequired: false,
+      idempotencyKey: null,
       error: null,
       errorType: null
     };
   }
   
   // Merge purchase data with existing purchase object
+  unindexPurchase(sessionId, context.purchase);
   Object.assign(context.purchase, purchaseData, {
     lastPollAt: purchaseData.lastPollAt || (purchaseData.pollAttempts ? Date.now() : context.purchase.lastPollAt)
   });
+  indexPurchase(sessionId, context.purchase);
   
   // Update lastUpdated timestamp
   context.lastUpdated = Date.now();
   
   flowContexts.set(sessionId, context);
-  persist();
+  persist(sessionId);
   
   logger.debug('Purchase state updated', {
     sessionId,
@@ -693,6 +871,41 @@ export function getPurchaseState(sessionId) {
   return context.purchase;
 }
 
+/**
+ * Find the session a purchase belongs to (payment callbacks carry no session ID)
+ * @param {Object} match - Purchase identifiers (either is enough)
+ * @param {string} match.transactionId - Transaction ID from the purchase API
+ * @param {string} match.callbackToken - Token from the payment redirectUrl
+ * @returns {string|null} Session ID or null if no purchase matches
+ */
+export function findSessionByPurchase({ transactionId = null, callbackToken = null } = {}) {
+  if (!transactionId && !callbackToken) {
+    return null;
+  }
+
+  // A callback token identifies the purchase on its own; the transaction ID is only
+  // used when no token was given
+  return (callbackToken
+    ? sessionsByCallbackToken.get(callbackToken)
+    : sessionsByTransaction.get(transactionId)) || null;
+}
+
+/**
+ * List purchases in the given states (e.g. purchases left mid-flow by a restart)
+ * @param {Array<string>} states - Purchase states
+ * @returns {Array<Object>} [{ sessionId, tenant, purchase }] for purchases with a transaction ID
+ */
+export function findPurchasesInState(states) {
+  const purchases = [];
+  for (const [sessionId, context] of flowContexts) {
+    const purchase = context?.purchase;
+    if (purchase?.transactionId && states.includes(purchase.state)) {
+      purchases.push({ sessionId, tenant: context.tenant || null, purchase });
+    }
+  }
+  return purchases;
+}
+
 /**
  * Clear purchase state (for retry scenarios)
  * @param {string} sessionId - Session ID
@@ -704,6 +917,7 @@ export function clearPurchaseState(sessionId) {
   }
 
   const context = getFlowContext(sessionId);
+  unindexPurchase(sessionId, context.purchase);
   
   // Reset purchase object to initial state
   context.purchase = {
@@ -721,6 +935,13 @@ export function clearPurchaseState(sessionId) {
     completedAt: null,
     lastPollAt: null,
     pollAttempts: 0,
+    statusSource: null,
+    statusUpdatedAt: null,
+    callbackToken: null,
+    callbackReceivedAt: null,
+    returnUrl: null,
+    followUpRequired: false,
+    idempotencyKey: null,
     error: null,
     errorType: null
   };
@@ -728,7 +949,7 @@ export function clearPurchaseState(sessionId) {
   context.lastUpdated = Date.now();
   
   flowContexts.set(sessionId, context);
-  persist();
+  persist(sessionId);
   
   logger.debug('Purchase state cleared', { sessionId });
   
@@ -562,6 +562,7 @@ export function getCheckoutGuidance(context) {
 
   // Check shipping address
   const hasShippingAddress = context.shippingAddress && context.checkoutDataCollected;
+  const shippingStep = context.shippingAddressStep;
   if (!hasShippingAddress && missing.length === 0) {
     // Cart is ready but shipping address not collected
     missing.push('shipping_address');
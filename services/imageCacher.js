@@ -3,6 +3,7 @@ import path from 'path';
 import https from 'https';
 import { fileURLToPath } from 'url';
 import { logger } from '../utils/logger.js';
+import { withSpan, SPAN_KIND } from './tracingService.js';
 import http from 'http';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -86,7 +87,10 @@ export async function cacheImage(url, filename) {
     }
 
     try {
-        await downloadFile(url, targetPath);
+        await withSpan('image.download', {
+            kind: SPAN_KIND.CLIENT,
+            attributes: { 'url.full': url, 'image.filename': filename }
+        }, () => downloadFile(url, targetPath));
         logger.info(`Successfully cached image: ${filename}`);
         return filename;
     } catch (err) {
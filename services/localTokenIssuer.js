@@ -0,0 +1,118 @@
+import crypto from "crypto";
+import { ALL_TOOL_SCOPES } from "./toolScopeService.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Local Token Issuer
+ *
+ * Self-contained OAuth 2.1 authorization server for development and tests
+ * (MCP_LOCAL_TOKEN_ISSUER=true). It signs RS256 access tokens with a key pair generated
+ * at startup, so tokens do not survive a restart. Clients get tokens with the
+ * client_credentials grant, authenticating with their API key (MCP_API_KEYS) as the
+ * client secret. Do not enable it in production: use a real authorization server
+ * (MCP_OAUTH_ISSUER).
+ */
+
+export const LOCAL_ISSUER_PATHS = {
+  TOKEN: "/oauth/token",
+  JWKS: "/oauth/jwks.json",
+  METADATA: "/.well-known/oauth-authorization-server"
+};
+
+const TOKEN_TTL_SECONDS = parseInt(process.env.MCP_LOCAL_TOKEN_TTL || "3600", 10);
+
+let keyPair = null;
+
+function base64url(value) {
+  return Buffer.from(value).toString("base64url");
+}
+
+function getKeyPair() {
+  if (!keyPair) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    const jwk = publicKey.export({ format: "jwk" });
+    keyPair = {
+      kid: crypto.createHash("sha256").update(jwk.n).digest("base64url").slice(0, 16),
+      publicKey,
+      privateKey,
+      jwk
+    };
+    logger.info("Local token issuer key generated", { kid: keyPair.kid });
+  }
+  return keyPair;
+}
+
+/**
+ * Whether the local token issuer is enabled
+ * @returns {boolean}
+ */
+export function isLocalTokenIssuerEnabled() {
+  return process.env.MCP_LOCAL_TOKEN_ISSUER === "true";
+}
+
+/**
+ * Public keys of the local issuer (JWKS)
+ * @returns {Object} { keys: [jwk] }
+ */
+export function getLocalJwks() {
+  const { kid, jwk } = getKeyPair();
+  return { keys: [{ ...jwk, kid, alg: "RS256", use: "sig" }] };
+}
+
+/**
+ * Public key of the local issuer for a key ID
+ * @param {string} kid - Key ID from the token header
+ * @returns {crypto.KeyObject|null} Public key or null if the kid is not the local key
+ */
+export function getLocalPublicKey(kid) {
+  const { kid: localKid, publicKey } = getKeyPair();
+  return kid === localKid ? publicKey : null;
+}
+
+/**
+ * Authorization server metadata (RFC 8414) of the local issuer
+ * @param {string} issuer - Issuer URL (the server base URL)
+ * @returns {Object} Metadata
+ */
+export function getLocalIssuerMetadata(issuer) {
+  return {
+    issuer,
+    token_endpoint: `${issuer}${LOCAL_ISSUER_PATHS.TOKEN}`,
+    jwks_uri: `${issuer}${LOCAL_ISSUER_PATHS.JWKS}`,
+    grant_types_supported: ["client_credentials"],
+    scopes_supported: ALL_TOOL_SCOPES,
+    token_endpoint_auth_methods_supported: ["client_secret_post", "client_secret_basic"],
+    response_types_supported: []
+  };
+}
+
+/**
+ * Issue an access token
+ * @param {Object} params - Token claims
+ * @param {string} params.issuer - Issuer URL
+ * @param {string} params.clientId - Client ID (client_id and sub claims)
+ * @param {string|Array<string>} params.audience - Resource the token is for (aud claim)
+ * @param {Array<string>} params.scopes - Granted scopes
+ * @param {number} params.expiresIn - Lifetime in seconds (default: MCP_LOCAL_TOKEN_TTL)
+ * @returns {Object} { accessToken, expiresIn }
+ */
+export function issueLocalToken({ issuer, clientId, audience, scopes = [], expiresIn = TOKEN_TTL_SECONDS }) {
+  const { kid, privateKey } = getKeyPair();
+  const now = Math.floor(Date.now() / 1000);
+  const header = { alg: "RS256", typ: "at+jwt", kid };
+  const payload = {
+    iss: issuer,
+    sub: clientId,
+    client_id: clientId,
+    aud: audience,
+    scope: scopes.join(" "),
+    iat: now,
+    exp: now + expiresIn,
+    jti: crypto.randomUUID()
+  };
+  const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+  const signature = crypto.sign("sha256", Buffer.from(signingInput), privateKey).toString("base64url");
+
+  logger.info("Local access token issued", { clientId, scopes, expiresIn });
+  return { accessToken: `${signingInput}.${signature}`, expiresIn };
+}
@@ -0,0 +1,187 @@
+/**
+ * Metrics Service
+ *
+ * In-process metrics rendered in the Prometheus text format (GET /metrics, see
+ * metricsEndpoint.js). Modules create the metrics they record at import time:
+ *
+ *   const toolCalls = createCounter("mcp_tool_calls_total", "Tool calls", ["tool", "status"]);
+ *   toolCalls.inc({ tool: "get_plans", status: "ok" });
+ *
+ * Counters only go up; histograms count observations into cumulative buckets; gauges are
+ * set directly or read from a collect function when /metrics is scraped. Label values
+ * must come from small fixed sets (tool names, normalized endpoints, states) - never IDs.
+ */
+
+// Latency buckets in seconds (tool calls and Reach API requests)
+export const DEFAULT_DURATION_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+// name -> metric, in registration order
+const registry = new Map();
+const startedAt = Date.now();
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return Number.isNaN(value) ? "NaN" : String(value);
+}
+
+// Series key and normalized labels (only the metric's label names, missing ones empty)
+function getSeries(labelNames, labels = {}) {
+  const normalized = Object.fromEntries(labelNames.map(name => [name, labels[name] ?? ""]));
+  return { key: JSON.stringify(labelNames.map(name => normalized[name])), labels: normalized };
+}
+
+function register(metric) {
+  if (!METRIC_NAME_PATTERN.test(metric.name)) {
+    throw new Error(`Invalid metric name: ${metric.name}`);
+  }
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric already registered: ${metric.name}`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+/**
+ * Create a counter
+ * @param {string} name - Metric name (suffix _total by convention)
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @returns {Object} Counter with inc(labels, value)
+ */
+export function createCounter(name, help, labelNames = []) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: "counter",
+    inc(labels = {}, value = 1) {
+      const { key, labels: normalized } = getSeries(labelNames, labels);
+      const entry = series.get(key) || { labels: normalized, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+    get(labels = {}) {
+      return series.get(getSeries(labelNames, labels).key)?.value || 0;
+    },
+    collect() {
+      return [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+  });
+}
+
+/**
+ * Create a gauge
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @param {Function} collect - Optional () => number | Array<{ labels, value }>, read on every scrape
+ * @returns {Object} Gauge with set(labels, value)
+ */
+export function createGauge(name, help, labelNames = [], collect = null) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: "gauge",
+    set(labels = {}, value = 0) {
+      const { key, labels: normalized } = getSeries(labelNames, labels);
+      series.set(key, { labels: normalized, value });
+    },
+    collect() {
+      if (collect) {
+        series.clear();
+        const collected = collect();
+        const values = typeof collected === "number" ? [{ labels: {}, value: collected }] : collected;
+        values.forEach(({ labels, value }) => this.set(labels, value));
+      }
+      return [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+  });
+}
+
+/**
+ * Create a histogram
+ * @param {string} name - Metric name (e.g. *_duration_seconds)
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @param {Array<number>} buckets - Upper bounds (default: DEFAULT_DURATION_BUCKETS)
+ * @returns {Object} Histogram with observe(labels, value) and startTimer(labels)
+ */
+export function createHistogram(name, help, labelNames = [], buckets = DEFAULT_DURATION_BUCKETS) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: "histogram",
+    observe(labels = {}, value) {
+      const { key, labels: normalized } = getSeries(labelNames, labels);
+      const entry = series.get(key) || { labels: normalized, counts: bounds.map(() => 0), sum: 0, count: 0 };
+      bounds.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+      series.set(key, entry);
+    },
+    /**
+     * @param {Object} labels - Labels known at the start
+     * @returns {Function} end(extraLabels) - Observes the elapsed seconds and returns them
+     */
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        this.observe({ ...labels, ...extraLabels }, seconds);
+        return seconds;
+      };
+    },
+    collect() {
+      return [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...bounds.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+        `${name}_count${formatLabels(labels)} ${count}`
+      ]);
+    }
+  });
+}
+
+/**
+ * Render every registered metric in the Prometheus text exposition format (0.0.4)
+ * @returns {string}
+ */
+export function renderMetrics() {
+  const lines = [];
+  registry.forEach((metric) => {
+    let samples;
+    try {
+      samples = metric.collect();
+    } catch {
+      // A failing gauge must not break the scrape
+      samples = [];
+    }
+    lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...samples);
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+// Process metrics
+createGauge("process_uptime_seconds", "Seconds since the server started", [], () => (Date.now() - startedAt) / 1000);
+createGauge("process_resident_memory_bytes", "Resident memory size in bytes", [], () => process.memoryUsage().rss);
+createGauge("nodejs_heap_used_bytes", "V8 heap used in bytes", [], () => process.memoryUsage().heapUsed);
@@ -0,0 +1,137 @@
+import { fetchOffers } from "./productService.js";
+import { DEFAULT_CONFIG } from "../utils/purchaseConstants.js";
+
+/**
+ * Offer Service
+ *
+ * Looks up coupons from the tenant's offers catalog and checks whether they can
+ * be applied to a cart. Besides validity (expired flag, status, start/end dates),
+ * an offer may restrict:
+ *   - serviceCode: every plan in the cart must belong to the service
+ *   - minLines / maxLines: number of lines with a plan
+ *   - planTypes: allowed plan types (e.g. ["UNLIMITED"])
+ * Offers with a secondaryDiscount only apply to additional lines, so they need
+ * at least two lines unless minLines says otherwise.
+ */
+
+/**
+ * Fields kept when an offer is stored on the cart (what pricing and the purchase
+ * quote need, plus the eligibility rules so the cart can be re-checked)
+ */
+const STORED_OFFER_FIELDS = [
+  "coupon",
+  "name",
+  "type",
+  "subType",
+  "serviceCode",
+  "discountInDollar",
+  "planDiscount",
+  "secondaryDiscount",
+  "validityInMonths",
+  "minLines",
+  "maxLines",
+  "planTypes",
+  "startDate",
+  "endDate"
+];
+
+/**
+ * Normalize a coupon code for comparison
+ * @param {string} code - Coupon code
+ * @returns {string} Upper-cased, trimmed code
+ */
+export function normalizeCouponCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+/**
+ * Find an offer by coupon code (case-insensitive)
+ * @param {string} code - Coupon code
+ * @param {string} tenant - Tenant ID
+ * @returns {Promise<Object|null>} Raw offer, or null when the tenant has no such coupon
+ */
+export async function findOffer(code, tenant = DEFAULT_CONFIG.TENANT) {
+  const coupon = normalizeCouponCode(code);
+  const offers = await fetchOffers(null, tenant);
+  return (offers || []).find(offer => normalizeCouponCode(offer.coupon) === coupon) || null;
+}
+
+function isOfferActive(offer, now) {
+  if (offer.expired === true) return false;
+  if (offer.status && !["ACTIVE", "LIVE"].includes(String(offer.status).toUpperCase())) return false;
+  if (offer.startDate && new Date(offer.startDate).getTime() > now) return false;
+  if (offer.endDate && new Date(offer.endDate).getTime() < now) return false;
+  return true;
+}
+
+/**
+ * Check whether an offer can be applied to a cart
+ * @param {Object} offer - Offer (raw catalog offer or one stored on the cart)
+ * @param {Object} cart - Multi-line cart
+ * @param {Object} options - Options
+ * @param {number} options.now - Current time in ms (default: Date.now())
+ * @returns {Object} { eligible, reasons: [{ code, message }] }
+ */
+export function checkOfferEligibility(offer, cart, { now = Date.now() } = {}) {
+  const reasons = [];
+  const plans = (cart?.lines || []).filter(line => line && line.plan).map(line => line.plan);
+
+  if (!isOfferActive(offer, now)) {
+    reasons.push({ code: "EXPIRED", message: `Coupon ${offer.coupon} has expired or is not active yet.` });
+  }
+
+  if (plans.length === 0) {
+    reasons.push({ code: "NO_PLANS", message: "Add a plan to the cart before applying a coupon." });
+  } else {
+    if (offer.serviceCode && plans.some(plan => plan.serviceCode && plan.serviceCode !== offer.serviceCode)) {
+      reasons.push({ code: "SERVICE_CODE", message: `Coupon ${offer.coupon} is only valid for ${offer.serviceCode} plans.` });
+    }
+
+    const minLines = Number(offer.minLines) || (Number(offer.secondaryDiscount) > 0 ? 2 : 1);
+    if (plans.length < minLines) {
+      reasons.push({ code: "MIN_LINES", message: `Coupon ${offer.coupon} requires at least ${minLines} lines with a plan.` });
+    }
+    if (offer.maxLines && plans.length > Number(offer.maxLines)) {
+      reasons.push({ code: "MAX_LINES", message: `Coupon ${offer.coupon} is valid for up to ${offer.maxLines} lines.` });
+    }
+
+    if (Array.isArray(offer.planTypes) && offer.planTypes.length > 0) {
+      const allowed = offer.planTypes.map(type => String(type).toUpperCase());
+      const notAllowed = plans.filter(plan => !allowed.includes(String(plan.planType || "").toUpperCase()));
+      if (notAllowed.length > 0) {
+        reasons.push({
+          code: "PLAN_TYPE",
+          message: `Coupon ${offer.coupon} is only valid for ${offer.planTypes.join("/")} plans (not ${notAllowed.map(plan => plan.name || plan.id).join(", ")}).`
+        });
+      }
+    }
+  }
+
+  return { eligible: reasons.length === 0, reasons };
+}
+
+/**
+ * Build the offer record stored on the cart
+ * @param {Object} offer - Raw catalog offer
+ * @returns {Object} Stored offer (coupon normalized, appliedAt set)
+ */
+export function toCartOffer(offer) {
+  const stored = {};
+  STORED_OFFER_FIELDS.forEach(field => {
+    if (offer[field] !== undefined && offer[field] !== null) stored[field] = offer[field];
+  });
+  stored.coupon = normalizeCouponCode(offer.coupon);
+  stored.appliedAt = Date.now();
+  return stored;
+}
+
+/**
+ * Re-check the offers applied to a cart (the cart may have changed since apply_offer)
+ * @param {Object} cart - Multi-line cart with offers
+ * @returns {Array} [{ coupon, reasons }] for every applied offer that is no longer eligible
+ */
+export function findIneligibleOffers(cart) {
+  return (cart?.offers || [])
+    .map(offer => ({ coupon: offer.coupon, reasons: checkOfferEligibility(offer, cart).reasons }))
+    .filter(result => result.reasons.length > 0);
+}
@@ -0,0 +1,202 @@
+import crypto from "crypto";
+import { getFlowContext, getPurchaseState, updatePurchaseState, findSessionByPurchase } from "./flowContextService.js";
+import { purchaseStatus } from "./purchaseService.js";
+import { getTenantConfig } from "../config/tenantConfig.js";
+import { PAYMENT_STATUS, FLOW_STATE, DEFAULT_CONFIG } from "../utils/purchaseConstants.js";
+import { createCounter } from "./metricsService.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Payment Status Service
+ *
+ * Records payment progress on the session's purchase state so check_purchase_status
+ * can answer without calling the status API every time:
+ *   - payment callbacks: the payment redirectUrl points at /payments/callback/:token
+ *     and Reach can POST status updates to /payments/callback (see paymentCallbacks.js)
+ *   - status API: at most one call per DEFAULT_CONFIG.STATUS_REFRESH_INTERVAL while the
+ *     payment is not final
+ */
+
+export const PAYMENT_CALLBACK_PATH = '/payments/callback';
+
+export const STATUS_SOURCE = {
+  FLOW: 'FLOW',         // purchase_plans polling
+  API: 'API',           // check_purchase_status refresh
+  JOB: 'JOB',           // background purchase-status job (purchaseJobService)
+  CALLBACK: 'CALLBACK'  // payment redirect / webhook
+};
+
+const purchaseStateChangesTotal = createCounter("purchase_state_changes_total", "Purchase state changes recorded from payment status updates, by new state and source", ["state", "source"]);
+
+/**
+ * Map a payment status to the purchase state
+ * @param {string} paymentStatus - Payment status from the API or a callback
+ * @returns {string} COMPLETED | PENDING | FAILED | POLLING
+ */
+export function getPurchaseStateForPayment(paymentStatus) {
+  if (paymentStatus === PAYMENT_STATUS.SUCCESS || paymentStatus === PAYMENT_STATUS.APPROVED) return FLOW_STATE.COMPLETED;
+  if (paymentStatus === PAYMENT_STATUS.PENDING) return 'PENDING';
+  if (paymentStatus === PAYMENT_STATUS.FAILED) return FLOW_STATE.FAILED;
+  return FLOW_STATE.POLLING;
+}
+
+/**
+ * Whether the payment reached a final status (no further updates expected)
+ * @param {Object|null} purchase - Purchase state
+ * @returns {boolean}
+ */
+export function isPaymentFinal(purchase) {
+  return [PAYMENT_STATUS.SUCCESS, PAYMENT_STATUS.APPROVED, PAYMENT_STATUS.FAILED].includes(purchase?.paymentStatus);
+}
+
+/**
+ * Whether check_purchase_status should call the status API instead of answering from the recorded state
+ * @param {Object|null} purchase - Purchase state
+ * @param {Object} options - Options
+ * @param {boolean} options.force - Refresh unless the payment is final
+ * @returns {boolean}
+ */
+export function shouldRefreshPaymentStatus(purchase, { force = false } = {}) {
+  if (!purchase) return true;
+  if (isPaymentFinal(purchase)) return false;
+  if (force) return true;
+  const lastUpdate = purchase.statusUpdatedAt || purchase.lastPollAt;
+  return !lastUpdate || Date.now() - lastUpdate >= DEFAULT_CONFIG.STATUS_REFRESH_INTERVAL;
+}
+
+/**
+ * Record a payment status update on the session's purchase state
+ * @param {string} sessionId - Session ID
+ * @param {Object} update - { transactionId, paymentStatus, status, paymentUrl, paymentUrlExpiry, customerId, supportUrl }
+ * @param {string} source - STATUS_SOURCE value
+ * @returns {Object} Updated purchase state
+ */
+export function recordPaymentStatus(sessionId, update, source) {
+  const now = Date.now();
+  const existing = getPurchaseState(sessionId) || {};
+  const state = getPurchaseStateForPayment(update.paymentStatus);
+  const changes = {
+    state,
+    paymentStatus: update.paymentStatus ?? existing.paymentStatus ?? null,
+    status: update.status ?? existing.status ?? null,
+    statusSource: source,
+    statusUpdatedAt: now
+  };
+  ['transactionId', 'paymentUrl', 'paymentUrlExpiry', 'customerId', 'supportUrl'].forEach((field) => {
+    if (update[field] !== undefined && update[field] !== null) changes[field] = update[field];
+  });
+  if (source === STATUS_SOURCE.API || source === STATUS_SOURCE.JOB) changes.lastPollAt = now;
+  if (source === STATUS_SOURCE.CALLBACK) changes.callbackReceivedAt = now;
+  if (state === FLOW_STATE.COMPLETED && !existing.completedAt) changes.completedAt = now;
+  if (isPaymentFinal(changes)) changes.followUpRequired = false;
+
+  const context = updatePurchaseState(sessionId, changes);
+  if (existing.state !== state) purchaseStateChangesTotal.inc({ state, source });
+  logger.info('Payment status recorded', {
+    sessionId,
+    transactionId: context.purchase.transactionId,
+    source,
+    state,
+    paymentStatus: changes.paymentStatus,
+    status: changes.status
+  });
+  return context.purchase;
+}
+
+/**
+ * Fetch the payment status from the status API once and record it
+ * @param {string} sessionId - Session ID
+ * @param {string} transactionId - Transaction ID
+ * @param {string} tenant - Tenant ID
+ * @returns {Promise<Object>} Updated purchase state
+ */
+export async function refreshPaymentStatus(sessionId, transactionId, tenant) {
+  const statusResponse = await purchaseStatus(transactionId, tenant);
+  return recordPaymentStatus(sessionId, { transactionId, ...statusResponse }, STATUS_SOURCE.API);
+}
+
+/**
+ * Public base URL of this server for payment callbacks: the tenant's
+ * purchaseDefaults.callbackBaseUrl, else SERVER_URL. Never derived from request headers,
+ * where a forged Host would send every following customer's payment elsewhere.
+ * @param {string} tenant - Tenant ID
+ * @returns {string|null} Base URL, or null when none is configured
+ */
+export function getPaymentCallbackBaseUrl(tenant) {
+  return getTenantConfig(tenant).purchaseDefaults?.callbackBaseUrl || process.env.SERVER_URL || null;
+}
+
+/**
+ * Prepare the payment callback for a purchase: a per-purchase token in the redirectUrl
+ * identifies the session when the payment page sends the user back
+ * @param {string} sessionId - Session ID
+ * @param {Object} options - Options
+ * @param {string|null} options.baseUrl - Public base URL of this server (getPaymentCallbackBaseUrl; null: callbacks unavailable)
+ * @param {string} options.returnUrl - Where the user is sent after the callback is recorded
+ * @returns {string|null} redirectUrl for the purchase request, or null when the server URL is unknown
+ */
+export function createPaymentCallback(sessionId, { baseUrl, returnUrl = DEFAULT_CONFIG.REDIRECT_URL } = {}) {
+  if (!baseUrl) return null;
+  const callbackToken = crypto.randomBytes(16).toString('hex');
+  updatePurchaseState(sessionId, { callbackToken, returnUrl });
+  return `${baseUrl.replace(/\/$/, '')}${PAYMENT_CALLBACK_PATH}/${callbackToken}`;
+}
+
+/**
+ * Normalize a callback payload (Reach status-style body or flat fields)
+ * @param {Object} payload - Callback body or query
+ * @returns {Object} { transactionId, paymentStatus, status, paymentUrl, paymentUrlExpiry, customerId, supportUrl }
+ */
+function normalizeCallbackPayload(payload = {}) {
+  const data = payload.data && typeof payload.data === 'object' ? payload.data : payload;
+  return {
+    transactionId: data.transactionId || null,
+    paymentStatus: data.paymentStatus ? String(data.paymentStatus).toUpperCase() : null,
+    status: data.status ? String(data.status).toUpperCase() : null,
+    paymentUrl: data.paymentUrl || data.link?.url || null,
+    paymentUrlExpiry: data.paymentUrlExpiry || data.link?.expireDate || null,
+    customerId: data.customerId || null,
+    supportUrl: data.supportUrl || null
+  };
+}
+
+/**
+ * Record a payment callback against the purchase it belongs to
+ * Unverified callbacks (browser redirects, unsigned webhooks) are only a notification:
+ * the status is confirmed with one status API call before it is recorded.
+ * @param {Object} params - Callback details
+ * @param {string|null} params.callbackToken - Token from the redirectUrl path
+ * @param {Object} params.payload - Callback body/query
+ * @param {boolean} params.verified - Payload is authenticated and can be recorded as-is
+ * @returns {Promise<Object|null>} { sessionId, purchase } or null when no purchase matches
+ */
+export async function handlePaymentCallback({ callbackToken = null, payload = {}, verified = false }) {
+  const update = normalizeCallbackPayload(payload);
+  const sessionId = findSessionByPurchase({ transactionId: update.transactionId, callbackToken });
+  if (!sessionId) {
+    logger.warn('Payment callback for unknown purchase', { transactionId: update.transactionId, hasToken: !!callbackToken });
+    return null;
+  }
+
+  const existing = getPurchaseState(sessionId);
+  const transactionId = existing?.transactionId || update.transactionId;
+  if (!transactionId || (update.transactionId && update.transactionId !== transactionId)) {
+    logger.warn('Payment callback does not match the session purchase', {
+      sessionId,
+      transactionId: update.transactionId,
+      expectedTransactionId: existing?.transactionId || null
+    });
+    return null;
+  }
+
+  if (verified && update.paymentStatus) {
+    return { sessionId, purchase: recordPaymentStatus(sessionId, { ...update, transactionId }, STATUS_SOURCE.CALLBACK) };
+  }
+
+  const tenant = getFlowContext(sessionId)?.tenant || DEFAULT_CONFIG.TENANT;
+  const statusResponse = await purchaseStatus(transactionId, tenant);
+  return {
+    sessionId,
+    purchase: recordPaymentStatus(sessionId, { transactionId, ...statusResponse }, STATUS_SOURCE.CALLBACK)
+  };
+}
@@ -0,0 +1,270 @@
+import { fetchServices } from "./productService.js";
+import { getTenantConfig } from "../config/tenantConfig.js";
+import { DEFAULT_CONFIG } from "../utils/purchaseConstants.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Pricing Service
+ *
+ * Prices a multi-line cart the way the purchase quote API does:
+ *   - Plans: the first line with a plan pays baseLinePrice, the others
+ *     additionalLinePrice, less the plan's discountPctg
+ *   - Offers (cart.offers): discountInDollar once per order, planDiscount % off the
+ *     primary line and secondaryDiscount % off additional lines
+ *   - Protection: monthly, per device line
+ *   - Devices: paid upfront
+ *   - Estimated tax: tenant pricing.estimatedTaxRate on the monthly total; without a
+ *     configured rate tax is left to the quote (estimatedTax null, "calculated at checkout")
+ *   - Shipping: the tenant's shipment type, priced from the SHIPPING services
+ *     (get_services), when anything ships (physical SIM or device)
+ *
+ * Plans are prepaid, so the first month is due today together with devices,
+ * tax (when estimated) and shipping.
+ */
+
+/**
+ * Round a money amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+export function roundMoney(amount) {
+  return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+function toNumber(value, fallback = 0) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * List price of a plan on a line
+ * Cart items store baseLinePrice/additionalLinePrice from get_plans; older carts only have price.
+ */
+function getPlanListPrice(plan, isPrimary) {
+  const basePrice = toNumber(plan.baseLinePrice ?? plan.price);
+  if (isPrimary) return basePrice;
+  return toNumber(plan.additionalLinePrice ?? basePrice, basePrice);
+}
+
+/**
+ * Offer discount for a line's plan
+ * @returns {number} Discount amount (not rounded)
+ */
+function getOfferLineDiscount(offer, planPrice, isPrimary) {
+  const pct = toNumber(isPrimary ? offer.planDiscount : offer.secondaryDiscount);
+  return pct > 0 ? planPrice * pct / 100 : 0;
+}
+
+function lineShips(line) {
+  const simType = line.sim?.simType;
+  return !!line.device || (!!simType && simType !== 'ESIM');
+}
+
+/**
+ * Calculate the pricing breakdown of a multi-line cart
+ * @param {Object} cart - Multi-line cart ({ lines, offers })
+ * @param {Object} options - Pricing options
+ * @param {number|null} options.taxRate - Estimated tax rate applied to the monthly total (default: null, no estimate)
+ * @param {Object|null} options.shipping - Shipping option { type, name, amount } charged when anything ships
+ * @param {Array} options.offers - Applied offers (defaults to cart.offers)
+ * @returns {Object} { currency, lines, discounts, shipping, taxRate, totals }
+ */
+export function calculateCartPricing(cart, options = {}) {
+  const cartLines = (cart?.lines || []).filter(Boolean);
+  const offers = options.offers || cart?.offers || [];
+  const taxRate = options.taxRate === undefined || options.taxRate === null ? null : toNumber(options.taxRate);
+  const discounts = [];
+
+  let primaryAssigned = false;
+  const lines = cartLines.map((line, index) => {
+    const lineNumber = line.lineNumber || (index + 1);
+    let planPricing = null;
+
+    if (line.plan) {
+      const isPrimary = !primaryAssigned;
+      primaryAssigned = true;
+
+      const listPrice = getPlanListPrice(line.plan, isPrimary);
+      const planDiscount = listPrice * toNumber(line.plan.discountPctg) / 100;
+      if (planDiscount > 0) {
+        discounts.push({
+          source: 'plan',
+          code: line.plan.id || null,
+          description: `${line.plan.discountPctg}% plan discount`,
+          lineNumber,
+          amount: roundMoney(planDiscount),
+          recurring: true
+        });
+      }
+
+      let price = listPrice - planDiscount;
+      offers.forEach(offer => {
+        const offerDiscount = Math.min(getOfferLineDiscount(offer, price, isPrimary), price);
+        if (offerDiscount > 0) {
+          discounts.push({
+            source: 'offer',
+            code: offer.coupon || null,
+            description: offer.name || offer.coupon,
+            lineNumber,
+            amount: roundMoney(offerDiscount),
+            recurring: true
+          });
+          price -= offerDiscount;
+        }
+      });
+
+      planPricing = {
+        id: line.plan.id || line.plan.uniqueIdentifier || null,
+        isPrimary,
+        listPrice: roundMoney(listPrice),
+        discount: roundMoney(listPrice - price),
+        price: roundMoney(price)
+      };
+    }
+
+    const protectionMonthly = line.protection ? toNumber(line.protection.price) : 0;
+    const deviceUpfront = line.device
+      ? toNumber(line.device.price ?? line.device.calculatedPrice?.unitPrice)
+      : 0;
+    const monthly = (planPricing?.price || 0) + protectionMonthly;
+
+    return {
+      lineNumber,
+      plan: planPricing,
+      protectionMonthly: roundMoney(protectionMonthly),
+      deviceUpfront: roundMoney(deviceUpfront),
+      monthly: roundMoney(monthly),
+      dueToday: roundMoney(monthly + deviceUpfront),
+      ships: lineShips(line)
+    };
+  });
+
+  // Dollar-off offers apply once per order, spread over the plan charges
+  const monthlyBeforeOrderDiscounts = lines.reduce((sum, line) => sum + line.monthly, 0);
+  const planMonthly = lines.reduce((sum, line) => sum + (line.plan?.price || 0), 0);
+  let remainingPlanCharges = planMonthly;
+  offers.forEach(offer => {
+    const amount = Math.min(toNumber(offer.discountInDollar), remainingPlanCharges);
+    if (amount > 0) {
+      discounts.push({
+        source: 'offer',
+        code: offer.coupon || null,
+        description: offer.name || offer.coupon,
+        lineNumber: null,
+        amount: roundMoney(amount),
+        recurring: true
+      });
+      remainingPlanCharges -= amount;
+    }
+  });
+  const orderDiscount = planMonthly - remainingPlanCharges;
+
+  const listMonthly = lines.reduce((sum, line) => sum + (line.plan?.listPrice || 0) + line.protectionMonthly, 0);
+  const monthly = monthlyBeforeOrderDiscounts - orderDiscount;
+  const deviceUpfront = lines.reduce((sum, line) => sum + line.deviceUpfront, 0);
+  const protectionMonthly = lines.reduce((sum, line) => sum + line.protectionMonthly, 0);
+  const needsShipping = lines.some(line => line.ships);
+  const shipping = needsShipping && options.shipping
+    ? { type: options.shipping.type || null, name: options.shipping.name || null, amount: roundMoney(options.shipping.amount) }
+    : null;
+  const shippingAmount = shipping?.amount || 0;
+  const estimatedTax = taxRate === null ? null : roundMoney(monthly * taxRate);
+
+  return {
+    currency: 'USD',
+    lines,
+    discounts,
+    shipping,
+    taxRate,
+    totals: {
+      monthlyBeforeDiscounts: roundMoney(listMonthly),
+      discounts: roundMoney(listMonthly - monthly),
+      monthly: roundMoney(monthly),
+      protectionMonthly: roundMoney(protectionMonthly),
+      deviceUpfront: roundMoney(deviceUpfront),
+      subtotal: roundMoney(monthly + deviceUpfront),
+      estimatedTax,
+      shipping: roundMoney(shippingAmount),
+      dueToday: roundMoney(monthly + deviceUpfront + (estimatedTax || 0) + shippingAmount)
+    }
+  };
+}
+
+/**
+ * Get a tenant's SHIPPING services (fetchServices is served from the catalog cache)
+ * @param {string} tenant - Tenant ID
+ * @returns {Promise<Array>} Shipping services
+ */
+async function getShippingServices(tenant) {
+  const services = await fetchServices(null, tenant);
+  return (services || []).filter(service =>
+    String(service.serviceType || '').toUpperCase() === 'SHIPPING');
+}
+
+/**
+ * Resolve a tenant's pricing options (estimated tax rate and shipping option)
+ * Shipping is priced from the SHIPPING service matching the tenant's shipment type;
+ * pricing.defaultShippingAmount is used when services can't be fetched. taxRate is null
+ * when pricing.estimatedTaxRate is not configured (tax is only known from the quote).
+ * @param {string} tenant - Tenant ID
+ * @returns {Promise<Object>} { taxRate, shipping }
+ */
+export async function getPricingOptions(tenant = DEFAULT_CONFIG.TENANT) {
+  const tenantCfg = getTenantConfig(tenant);
+  const pricing = tenantCfg.pricing || {};
+  const shipmentType = tenantCfg.purchaseDefaults?.shipmentType || DEFAULT_CONFIG.SHIPMENT_TYPE;
+  let shipping = {
+    type: shipmentType,
+    name: null,
+    amount: toNumber(pricing.defaultShippingAmount)
+  };
+
+  try {
+    const services = await getShippingServices(tenantCfg.id);
+    const service = services.find(candidate => candidate.type === shipmentType);
+    if (service) {
+      shipping = { type: shipmentType, name: service.name || null, amount: toNumber(service.shippingAmount) };
+    }
+  } catch (error) {
+    logger.warn('Could not fetch shipping services for pricing, using default shipping amount', {
+      tenant: tenantCfg.id,
+      shipmentType,
+      error: error.message
+    });
+  }
+
+  return {
+    taxRate: pricing.estimatedTaxRate === undefined || pricing.estimatedTaxRate === '' ? null : toNumber(pricing.estimatedTaxRate, null),
+    shipping
+  };
+}
+
+/**
+ * Price a cart for a tenant (tax rate and shipping resolved from the tenant)
+ * @param {Object} cart - Multi-line cart
+ * @param {string} tenant - Tenant ID
+ * @returns {Promise<Object>} Pricing breakdown (see calculateCartPricing)
+ */
+export async function priceCart(cart, tenant = DEFAULT_CONFIG.TENANT) {
+  return calculateCartPricing(cart, await getPricingOptions(tenant));
+}
+
+/**
+ * Flatten a pricing breakdown into the checkout data totals shape
+ * (get_checkout_data, purchase_plans)
+ * @param {Object} pricing - Pricing breakdown from calculateCartPricing/priceCart
+ * @returns {Object} Checkout totals
+ */
+export function buildCheckoutTotals(pricing) {
+  const { totals } = pricing;
+  return {
+    monthlyTotal: totals.monthly,
+    discountTotal: totals.discounts,
+    deviceTotal: totals.deviceUpfront,
+    protectionTotal: totals.protectionMonthly,
+    estimatedTax: totals.estimatedTax,
+    shippingFee: totals.shipping,
+    oneTimeTotal: roundMoney(totals.deviceUpfront + totals.shipping),
+    totalDueToday: totals.dueToday
+  };
+}
@@ -1,147 +1,50 @@
 import { callReachAPI } from "./apiClient.js";
-import { getTenantConfig } from "../config/tenantConfig.js";
-import { logger } from "../utils/logger.js";
-import crypto from "crypto";
-
+import { getCatalogAdapter } from "./catalog/index.js";
+import { fetchReachProducts } from "./catalog/reachAdapter.js";
+import { getCachedCatalog } from "./catalogCacheService.js";
+
+/**
+ * Fetch the unified Reach product catalog (plans, offers, services)
+ * @param {string} tenant - Tenant ID
+ * @returns {Promise<Object>} { plans, offers, services }
+ */
 export async function fetchProducts(tenant = "reach") {
-  const response = await callReachAPI("/apisvc/v0/product/fetch", {
-    method: "GET",
-  }, tenant);
-
-  // Check if response has a status field - only validate if it exists
-  // Some API responses may not have a status field and are successful by default
-  if (response.status !== undefined && response.status !== "SUCCESS") {
-    logger.error("Products API returned non-SUCCESS status", {
-      status: response.status,
-      message: response.message,
-      tenant
-    });
-    throw new Error(`Failed to fetch products: ${response.message || "Unknown error"}`);
-  }
-
-  // Response structure: { status: "SUCCESS", data: { plans: [], offers: [], services: [] } }
-  // OR: { data: { plans: [], offers: [], services: [] } } (if status field is missing)
-
-  // Handle different response structures
-  if (response.data) {
-    return response.data;
-  } else if (response.plans !== undefined || response.offers !== undefined || response.services !== undefined) {
-    // Response itself is the data object
-    return response;
-  } else {
-    logger.error("Products API returned unexpected response structure", {
-      hasStatus: response.status !== undefined,
-      hasData: response.data !== undefined,
-      hasPlans: response.plans !== undefined,
-      hasOffers: response.offers !== undefined,
-      hasServices: response.services !== undefined,
-      responseKeys: Object.keys(response),
-      tenant
-    });
-    throw new Error("Products API returned unexpected response structure");
-  }
+  return fetchReachProducts(tenant);
 }
 
+/**
+ * Fetch active plans from the tenant's plans catalog (cached, see catalogCacheService.js)
+ * @param {string|null} serviceCode - Optional service code filter
+ * @param {string} tenant - Tenant ID
+ * @returns {Promise<Array>} Raw plans
+ */
 export async function fetchPlans(serviceCode = null, tenant = "reach") {
-  const config = getTenantConfig(tenant);
-  const endpoint = "https://api-rm-common.reachmobileplatform.com/authsvc/v0/reachplans/active";
-  const txnId = crypto.randomUUID();
-  const reachDate = Date.now().toString();
-
-  const response = await callReachAPI(endpoint, {
-    method: "GET",
-    headers: {
-      "accept": "application/json, text/plain, */*",
-      "origin": "https://nu-mobile.com",
-      "referer": "https://nu-mobile.com/",
-      "x-partner-tenant-id": config.partnerTenantId,
-      "x-reach-date": reachDate,
-      "x-reach-mvne": config.reachMvne,
-      "x-reach-src": config.reachSrc,
-      "txnid": txnId
-    }
-  }, tenant);
-
-  if (response.status !== "SUCCESS" || !Array.isArray(response.data)) {
-    logger.error("Plans API returned unexpected response", {
-      status: response.status,
-      hasDataArray: Array.isArray(response.data),
-      tenant
-    });
-    throw new Error(response.message || "Failed to fetch plans from reachplans/active");
-  }
-
-  let plans = response.data;
-  if (serviceCode) {
-    plans = plans.filter(plan => plan.serviceCode === serviceCode);
-  }
-
-  logger.info("Successfully fetched plans from reachplans/active", {
-    planCount: plans.length,
-    serviceCode,
-    tenant
-  });
-
-  return plans;
+  return getCachedCatalog(tenant, "plans", { serviceCode }, () =>
+    getCatalogAdapter(tenant, "plans").fetchPlans({ serviceCode }));
 }
 
+/**
+ * Fetch offers/coupons from the tenant's offers catalog (cached, see catalogCacheService.js)
+ * @param {string|null} serviceCode - Optional service code filter
+ * @param {string} tenant - Tenant ID
+ * @returns {Promise<Array>} Offers
+ */
 export async function fetchOffers(serviceCode = null, tenant = "reach") {
-  // Try unified endpoint first, then fall back to item-wise endpoints
-  let response;
-  let offers = [];
-
-  try {
-    // First try unified endpoint
-    const allProducts = await fetchProducts(tenant);
-    if (allProducts && allProducts.offers && Array.isArray(allProducts.offers)) {
-      offers = allProducts.offers;
-    }
-  } catch (error) {
-    // If unified endpoint fails, try item-wise endpoint
-    let endpoint;
-    if (serviceCode) {
-      endpoint = `/nbi/v0/product/fetch/offer?serviceCode=${serviceCode}`;
-    } else {
-      endpoint = `/nbi/v0/product/fetch/offer`;
-    }
-
-    try {
-      response = await callReachAPI(endpoint, {
-        method: "GET",
-      }, tenant);
-
-      if (response.status === "SUCCESS") {
-        offers = response.data.offers || response.data || [];
-      }
-    } catch (nbiError) {
-      // Final fallback to apisvc item-wise endpoint
-      endpoint = serviceCode
-        ? `/apisvc/v0/product/fetch/offer?serviceCode=${serviceCode}`
-        : `/apisvc/v0/product/fetch/offer`;
-
-      response = await callReachAPI(endpoint, {
-        method: "GET",
-      }, tenant);
-
-      if (response.status === "SUCCESS") {
-        offers = response.data.offers || response.data || [];
-      }
-    }
-  }
-
-  // Filter by serviceCode if provided
-  if (serviceCode && offers.length > 0) {
-    offers = offers.filter(offer => offer.serviceCode === serviceCode);
-  }
-
-  if (offers.length === 0 && response && response.status !== "SUCCESS") {
-    throw new Error(`Failed to fetch offers: ${response?.message || "Unknown error"}`);
-  }
-
-  return offers;
+  return getCachedCatalog(tenant, "offers", { serviceCode }, () =>
+    getCatalogAdapter(tenant, "offers").fetchOffers({ serviceCode }));
 }
 
+/**
+ * Fetch services (cached, see catalogCacheService.js)
+ * @param {string|null} serviceCode - Optional service code filter
+ * @param {string} tenant - Tenant ID
+ * @returns {Promise<Array>} Services
+ */
 export async function fetchServices(serviceCode = null, tenant = "reach") {
+  return getCachedCatalog(tenant, "services", { serviceCode }, () => loadServices(serviceCode, tenant));
+}
+
+async function loadServices(serviceCode, tenant) {
   // Try unified endpoint first, then fall back to item-wise endpoints
   let response;
   let services = [];
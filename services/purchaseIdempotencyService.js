@@ -0,0 +1,128 @@
+import crypto from "crypto";
+import { getFlowContext, updateFlowContext, clearPurchaseState } from "./flowContextService.js";
+import { getCartFingerprint } from "./quoteService.js";
+import { isPaymentFinal } from "./paymentStatusService.js";
+import { FLOW_STATE, PAYMENT_STATUS } from "../utils/purchaseConstants.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Purchase Idempotency Service
+ *
+ * Models retry tool calls, so purchase_plans must not quote and purchase the same
+ * cart twice:
+ *   - every purchase has an idempotency key, supplied by the caller or derived from
+ *     the session, its order number and the cart fingerprint
+ *   - a call with the key of the session's current purchase replays it (the in-flight
+ *     call's result, or the recorded purchase state) instead of purchasing again
+ *   - one purchase runs per session at a time (in-process lock); other keys are
+ *     rejected while it runs
+ *   - after a purchase has a transaction, another purchase needs start_new_order
+ */
+
+// Sessions with a purchase_plans call in progress: sessionId -> { key, startedAt, promise }
+const purchaseLocks = new Map();
+
+// Closed orders kept on the session by start_new_order
+const MAX_PREVIOUS_ORDERS = 10;
+
+/**
+ * Idempotency key for a purchase_plans call
+ * @param {string} sessionId - Session ID
+ * @param {Object} cart - Multi-line cart
+ * @param {string|null} suppliedKey - Key supplied by the caller (optional)
+ * @returns {string} Idempotency key
+ */
+export function getPurchaseIdempotencyKey(sessionId, cart, suppliedKey = null) {
+  if (suppliedKey && String(suppliedKey).trim()) return String(suppliedKey).trim();
+  const orderNumber = getFlowContext(sessionId)?.orderNumber || 1;
+  const digest = crypto.createHash('sha256')
+    .update(`${sessionId}:${orderNumber}:${getCartFingerprint(cart)}`)
+    .digest('hex');
+  return `purchase_${digest.slice(0, 32)}`;
+}
+
+/**
+ * Get the purchase_plans call in progress for a session
+ * @param {string} sessionId - Session ID
+ * @returns {Object|null} { key, startedAt, promise } or null
+ */
+export function getPurchaseLock(sessionId) {
+  return purchaseLocks.get(sessionId) || null;
+}
+
+/**
+ * Run a purchase holding the session's purchase lock
+ * Check getPurchaseLock first: the lock is taken synchronously, so a concurrent call
+ * sees it as soon as this returns.
+ * @param {string} sessionId - Session ID
+ * @param {string} key - Idempotency key of the purchase
+ * @param {Function} purchaseFn - Async function running the purchase
+ * @returns {Promise<*>} purchaseFn result
+ */
+export function runWithPurchaseLock(sessionId, key, purchaseFn) {
+  if (purchaseLocks.has(sessionId)) {
+    throw new Error(`A purchase is already in progress for session ${sessionId}`);
+  }
+
+  const promise = Promise.resolve()
+    .then(purchaseFn)
+    .finally(() => {
+      if (purchaseLocks.get(sessionId)?.promise === promise) purchaseLocks.delete(sessionId);
+    });
+  purchaseLocks.set(sessionId, { key, startedAt: Date.now(), promise });
+  return promise;
+}
+
+/**
+ * Whether a purchase keeps the session from purchasing again (an order was created
+ * and its payment did not fail)
+ * @param {Object|null} purchase - Purchase state
+ * @returns {boolean}
+ */
+export function isOrderOpen(purchase) {
+  return !!purchase?.transactionId &&
+    purchase.state !== FLOW_STATE.FAILED &&
+    purchase.paymentStatus !== PAYMENT_STATUS.FAILED;
+}
+
+/**
+ * Whether the session's order is still being processed (no final payment status yet)
+ * Calls that have not created an order yet are covered by the purchase lock.
+ * @param {Object|null} purchase - Purchase state
+ * @returns {boolean}
+ */
+export function isOrderInProgress(purchase) {
+  return isOrderOpen(purchase) && !isPaymentFinal(purchase);
+}
+
+/**
+ * Close the session's order so the next purchase_plans call places a new one
+ * The closed order is kept in previousOrders; the cart is kept, the quote is dropped.
+ * @param {string} sessionId - Session ID
+ * @returns {Object} { orderNumber, closedOrder } - closedOrder is null when there was no order
+ */
+export function startNewOrder(sessionId) {
+  const context = getFlowContext(sessionId);
+  const purchase = context.purchase;
+  const orderNumber = (context.orderNumber || 1) + 1;
+
+  const closedOrder = purchase?.transactionId ? {
+    orderNumber: context.orderNumber || 1,
+    transactionId: purchase.transactionId,
+    state: purchase.state,
+    paymentStatus: purchase.paymentStatus,
+    completedAt: purchase.completedAt
+  } : null;
+  const previousOrders = [...(context.previousOrders || []), ...(closedOrder ? [closedOrder] : [])]
+    .slice(-MAX_PREVIOUS_ORDERS);
+
+  clearPurchaseState(sessionId);
+  updateFlowContext(sessionId, { orderNumber, previousOrders, quote: null });
+
+  logger.info('New order started', {
+    sessionId,
+    orderNumber,
+    closedTransactionId: closedOrder?.transactionId || null
+  });
+  return { orderNumber, closedOrder };
+}
@@ -0,0 +1,284 @@
+import { createSessionStore } from "../utils/sessionStore.js";
+import { getPurchaseState, updatePurchaseState, findPurchasesInState } from "./flowContextService.js";
+import { purchaseStatus } from "./purchaseService.js";
+import { recordPaymentStatus, isPaymentFinal, STATUS_SOURCE } from "./paymentStatusService.js";
+import { FLOW_STATE, DEFAULT_CONFIG } from "../utils/purchaseConstants.js";
+import { logger } from "../utils/logger.js";
+import { runWithLogContext, getLogContext, createCorrelationId } from "../utils/logContext.js";
+
+/**
+ * Purchase Job Service
+ *
+ * Persisted queue of background purchase-status checks (session store "purchaseJobs",
+ * one document per job, JSON or MongoDB). A job is queued as soon as the purchase API returns a transactionId
+ * and checks the status with exponential backoff (POLL_INTERVAL doubling up to
+ * STATUS_JOB_MAX_DELAY) until the payment is final. Jobs older than STATUS_JOB_MAX_AGE
+ * flag the purchase POLLING_TIMEOUT with followUpRequired. Queued jobs are resumed on
+ * boot, and purchases a restart left mid-flow without a job are queued again.
+ */
+
+export const JOB_STATUS = {
+  PENDING: 'PENDING',       // Waiting for its next status check
+  TIMED_OUT: 'TIMED_OUT'    // Gave up after STATUS_JOB_MAX_AGE; purchase flagged for follow-up
+};
+
+// Purchase states a restart can leave behind with nobody checking the status
+const IN_FLIGHT_STATES = [FLOW_STATE.PURCHASING, FLOW_STATE.PURCHASED, FLOW_STATE.POLLING];
+
+const jobs = new Map();
+const store = createSessionStore('purchaseJobs', { idField: 'jobId', timestampField: 'createdAt' });
+let timer = null;
+let running = false;
+let started = false;
+
+// Write one job (deleted from the store once it is no longer queued)
+function persist(job) {
+  if (jobs.has(job.jobId)) {
+    store.put(job.jobId, job);
+  } else {
+    store.delete(job.jobId);
+  }
+}
+
+function getBackoffDelay(attempts) {
+  return Math.min(DEFAULT_CONFIG.POLL_INTERVAL * Math.pow(2, Math.max(attempts - 1, 0)), DEFAULT_CONFIG.STATUS_JOB_MAX_DELAY);
+}
+
+function schedule() {
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+  if (!started) return;
+
+  const pending = [...jobs.values()].filter(job => job.status === JOB_STATUS.PENDING);
+  if (pending.length === 0) return;
+
+  const nextRunAt = Math.min(...pending.map(job => job.nextRunAt));
+  // The worker does not inherit the log context of the call that scheduled it
+  timer = setTimeout(() => runWithLogContext({}, runDueJobs), Math.max(nextRunAt - Date.now(), 0));
+  // Jobs are persisted; they must not keep the process alive
+  timer.unref?.();
+}
+
+/**
+ * Queue a background status check for a purchase (re-queuing a transaction reschedules its job)
+ * @param {Object} params - Purchase details
+ * @param {string} params.sessionId - Session ID
+ * @param {string} params.transactionId - Transaction ID from the purchase API
+ * @param {string} params.tenant - Tenant ID
+ * @param {number} params.delayMs - Delay before the first check (default: INITIAL_POLL_DELAY)
+ * @returns {Object} Queued job
+ */
+export function enqueuePurchaseStatusJob({ sessionId, transactionId, tenant = DEFAULT_CONFIG.TENANT, delayMs = DEFAULT_CONFIG.INITIAL_POLL_DELAY }) {
+  const now = Date.now();
+  const existing = jobs.get(transactionId);
+  const job = {
+    jobId: transactionId,
+    transactionId,
+    sessionId,
+    tenant,
+    status: JOB_STATUS.PENDING,
+    attempts: existing?.attempts || 0,
+    // Max age counts from the first time the transaction was queued
+    createdAt: existing?.createdAt || now,
+    nextRunAt: now + delayMs,
+    lastRunAt: existing?.lastRunAt || null,
+    lastError: null,
+    // Status checks log under the purchase call's correlation ID
+    correlationId: getLogContext()?.correlationId || existing?.correlationId || null
+  };
+  jobs.set(job.jobId, job);
+  persist(job);
+  schedule();
+
+  logger.info('Purchase status job queued', { sessionId, transactionId, tenant, nextRunAt: new Date(job.nextRunAt).toISOString() });
+  return job;
+}
+
+/**
+ * Get a queued job
+ * @param {string} transactionId - Transaction ID
+ * @returns {Object|null} Job or null
+ */
+export function getPurchaseStatusJob(transactionId) {
+  return jobs.get(transactionId) || null;
+}
+
+/**
+ * List queued jobs (e.g. TIMED_OUT jobs that need follow-up)
+ * @param {Object} filter - Filter
+ * @param {string} filter.status - JOB_STATUS value (optional)
+ * @returns {Array<Object>} Jobs
+ */
+export function listPurchaseStatusJobs({ status = null } = {}) {
+  return [...jobs.values()].filter(job => !status || job.status === status);
+}
+
+/**
+ * Worker state and queue size (see healthEndpoint.js)
+ * @returns {Object} { workerRunning, pending, timedOut, oldestPendingAt }
+ */
+export function getPurchaseJobStats() {
+  const pending = listPurchaseStatusJobs({ status: JOB_STATUS.PENDING });
+  const oldest = pending.length > 0 ? Math.min(...pending.map(job => job.createdAt)) : null;
+  return {
+    workerRunning: started,
+    pending: pending.length,
+    timedOut: listPurchaseStatusJobs({ status: JOB_STATUS.TIMED_OUT }).length,
+    oldestPendingAt: oldest ? new Date(oldest).toISOString() : null
+  };
+}
+
+function finishJob(job, reason) {
+  jobs.delete(job.jobId);
+  persist(job);
+  logger.info('Purchase status job finished', {
+    sessionId: job.sessionId,
+    transactionId: job.transactionId,
+    attempts: job.attempts,
+    reason
+  });
+}
+
+function timeOutJob(job, now) {
+  job.status = JOB_STATUS.TIMED_OUT;
+  job.timedOutAt = now;
+  updatePurchaseState(job.sessionId, {
+    state: FLOW_STATE.POLLING_TIMEOUT,
+    followUpRequired: true,
+    error: `Payment status not final after ${Math.round((now - job.createdAt) / 1000)}s of status checks`,
+    errorType: 'STATUS_TIMEOUT'
+  });
+  logger.warn('Purchase status job timed out, purchase flagged for follow-up', {
+    sessionId: job.sessionId,
+    transactionId: job.transactionId,
+    attempts: job.attempts,
+    lastError: job.lastError
+  });
+}
+
+// Why a job no longer needs to run: the session moved on (new order) or a callback/check
+// already recorded the final status
+function getResolvedReason(job) {
+  const purchase = getPurchaseState(job.sessionId);
+  if (!purchase || purchase.transactionId !== job.transactionId) return 'PURCHASE_REPLACED';
+  if (isPaymentFinal(purchase)) return 'ALREADY_FINAL';
+  return null;
+}
+
+/**
+ * Run one status check for a job
+ * @param {Object} job - Job
+ * @returns {Promise<void>}
+ */
+async function runJob(job) {
+  const now = Date.now();
+  const resolvedReason = getResolvedReason(job);
+  if (resolvedReason) {
+    finishJob(job, resolvedReason);
+    return;
+  }
+  if (now - job.createdAt >= DEFAULT_CONFIG.STATUS_JOB_MAX_AGE) {
+    timeOutJob(job, now);
+    return;
+  }
+
+  job.attempts += 1;
+  job.lastRunAt = now;
+  try {
+    const statusResponse = await purchaseStatus(job.transactionId, job.tenant);
+    // The purchase may have been resolved or replaced while the check was in flight
+    const resolvedWhileChecking = getResolvedReason(job);
+    if (resolvedWhileChecking) {
+      finishJob(job, resolvedWhileChecking);
+      return;
+    }
+    const updated = recordPaymentStatus(job.sessionId, { transactionId: job.transactionId, ...statusResponse }, STATUS_SOURCE.JOB);
+    job.lastError = null;
+    if (isPaymentFinal(updated)) {
+      finishJob(job, updated.paymentStatus);
+      return;
+    }
+  } catch (error) {
+    job.lastError = error.message;
+    logger.warn('Purchase status job check failed', {
+      sessionId: job.sessionId,
+      transactionId: job.transactionId,
+      attempt: job.attempts,
+      error: error.message
+    });
+  }
+  job.nextRunAt = Date.now() + getBackoffDelay(job.attempts);
+}
+
+// Timed-out jobs are kept for follow-up until a callback or check records the final status
+function pruneResolvedJobs() {
+  listPurchaseStatusJobs({ status: JOB_STATUS.TIMED_OUT }).forEach((job) => {
+    if (getResolvedReason(job)) {
+      finishJob(job, 'RESOLVED');
+    }
+  });
+}
+
+async function runDueJobs() {
+  timer = null;
+  if (running) return;
+  running = true;
+  try {
+    pruneResolvedJobs();
+    const due = [...jobs.values()].filter(job => job.status === JOB_STATUS.PENDING && job.nextRunAt <= Date.now());
+    for (const job of due) {
+      if (!started) break;
+      await runWithLogContext({
+        correlationId: job.correlationId || createCorrelationId(),
+        sessionId: job.sessionId,
+        transactionId: job.transactionId
+      }, () => runJob(job));
+      persist(job);
+    }
+  } catch (error) {
+    logger.error('Purchase status jobs run failed', { error: error.message });
+  } finally {
+    running = false;
+    schedule();
+  }
+}
+
+/**
+ * Start the worker: load persisted jobs and queue purchases left in flight by a restart
+ * Call after the flow context service is initialized.
+ * @returns {Promise<number>} Number of pending jobs
+ */
+export async function startPurchaseJobWorker() {
+  const stored = await store.loadAll();
+  jobs.clear();
+  Object.values(stored).forEach(job => jobs.set(job.jobId, job));
+  started = true;
+  pruneResolvedJobs();
+
+  const orphaned = findPurchasesInState(IN_FLIGHT_STATES).filter(({ purchase }) => !jobs.has(purchase.transactionId));
+  orphaned.forEach(({ sessionId, tenant, purchase }) => {
+    enqueuePurchaseStatusJob({ sessionId, transactionId: purchase.transactionId, tenant: tenant || undefined, delayMs: 0 });
+  });
+
+  const pending = listPurchaseStatusJobs({ status: JOB_STATUS.PENDING }).length;
+  logger.info('Purchase status job worker started', {
+    pending,
+    timedOut: listPurchaseStatusJobs({ status: JOB_STATUS.TIMED_OUT }).length,
+    requeued: orphaned.length
+  });
+  schedule();
+  return pending;
+}
+
+/**
+ * Stop the worker (jobs stay persisted and resume on the next start)
+ */
+export function stopPurchaseJobWorker() {
+  started = false;
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+}
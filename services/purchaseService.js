@@ -18,6 +18,11 @@ import { getTenantConfig } from '../config/tenantConfig.js';
 import { getPlans } from './plansService.js';
 import { ensureTokenOnToolCall } from './tokenRefreshCron.js';
 import { getAuthToken, getAuthTokensMap } from './authService.js';
+import { diffTotals, summarizeQuoteTotals } from './quoteService.js';
+import { createCounter } from './metricsService.js';
+import { withSpan } from './tracingService.js';
+
+const purchaseFlowsTotal = createCounter('purchase_flows_total', 'purchase_plans flows by tenant and final FLOW_STATE (FAILED on error, PRICE_UPDATED when the quote changed)', ['tenant', 'state']);
 
 /**
  * Debug helper: Log API response structure for payment URL debugging
@@ -45,14 +50,10 @@ function logResponseStructureForDebugging(response, context = '') {
     status: response.data?.status
   };
   
+  // The URLs themselves carry the payment token and are not logged
   logger.debug('Response structure for payment URL debugging', {
     context,
-    structure,
-    sampleData: {
-      linkUrl: response.data?.link?.url ? response.data.link.url.substring(0, 50) + '...' : null,
-      paymentUrl: response.data?.paymentUrl ? response.data.paymentUrl.substring(0, 50) + '...' : null,
-      url: response.data?.url ? response.data.url.substring(0, 50) + '...' : null
-    }
+    structure
   });
 }
 
@@ -245,6 +246,36 @@ async function enrichCartWithServiceCodes(checkoutData, tenant = DEFAULT_CONFIG.
   }
 }
 
+/**
+ * Map a tenant's purchaseDefaults onto transformCheckoutDataToPurchaseRequest options
+ * Empty values are omitted so DEFAULT_CONFIG still applies.
+ * @param {Object} tenantCfg - Tenant configuration
+ * @returns {Object} Purchase request options
+ */
+function getTenantPurchaseOptions(tenantCfg) {
+  const defaults = tenantCfg?.purchaseDefaults || {};
+  const options = {
+    redirectUrl: defaults.redirectUrl,
+    agentUniqueId: defaults.agentId,
+    shipmentType: defaults.shipmentType,
+    paymentType: defaults.paymentType,
+    acquisitionSrc: defaults.acquisitionSrc,
+    includeDeviceLines: String(defaults.deviceLinesEnabled) === 'true'
+  };
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value));
+}
+
+/**
+ * Whether device and protection lines can be quoted and purchased for a tenant
+ * Off unless purchaseDefaults.deviceLinesEnabled is set: the device/protection line
+ * payloads are not part of the documented Reach purchase contract yet.
+ * @param {string} tenant - Tenant name
+ * @returns {boolean} True if device lines are sent with quotes and purchases
+ */
+export function isDeviceCheckoutEnabled(tenant) {
+  return getTenantPurchaseOptions(getTenantConfig(tenant)).includeDeviceLines === true;
+}
+
 /**
  * Custom error classes for purchase flow
  */
@@ -289,6 +320,16 @@ export class PurchaseStatusError extends Error {
   }
 }
 
+export class PurchasePriceUpdatedError extends Error {
+  constructor(message, diff, quoteResponse) {
+    super(message);
+    this.name = 'PurchasePriceUpdatedError';
+    this.diff = diff;
+    this.quoteResponse = quoteResponse;
+    this.errorType = 'PRICE_UPDATED';
+  }
+}
+
 export class PurchaseFlowError extends Error {
   constructor(message, state, transactionId, errorType) {
     super(message);
@@ -343,9 +384,12 @@ export function validatePurchaseData(checkoutData) {
         errors.push(`Line ${index + 1} is missing SIM type`);
       }
       
-      // Check for devices (should not exist for plan-only purchase)
-      if (line.device) {
-        errors.push(`Line ${index + 1} has a device - plan-only purchase does not allow devices`);
+      // Devices are ordered by SKU; protection must cover a device on the same line
+      if (line.device && !line.device.sku && !line.device.productNumber && !line.device.id) {
+        errors.push(`Line ${index + 1} device is missing a SKU`);
+      }
+      if (line.protection && !line.device) {
+        errors.push(`Line ${index + 1} has protection but no device`);
       }
     });
   }
@@ -408,8 +452,7 @@ export async function purchaseQuote(checkoutData, tenant = DEFAULT_CONFIG.TENANT
       } else {
         logger.info('✅ Authentication token verified and valid', {
           tenant,
-          hasToken: !!authToken,
-          tokenPrefix: authToken ? authToken.substring(0, 20) : 'none'
+          hasToken: !!authToken
         });
       }
     } catch (authError) {
@@ -431,7 +474,7 @@ export async function purchaseQuote(checkoutData, tenant = DEFAULT_CONFIG.TENANT
       sessionId: checkoutData.sessionId,
       tenant
     });
-    const enrichedCheckoutData = await enrichCartWithServiceCodes(checkoutData, tenant);
+    const enrichedCheckoutData = await withSpan('purchase.enrich_service_codes', {}, () => enrichCartWithServiceCodes(checkoutData, tenant));
     
     // Transform checkout data to API request format
     // For quote, collection amount is 0
@@ -440,6 +483,7 @@ export async function purchaseQuote(checkoutData, tenant = DEFAULT_CONFIG.TENANT
     });
     
     const requestBody = transformCheckoutDataToPurchaseRequest(enrichedCheckoutData, {
+      ...getTenantPurchaseOptions(tenantCfg),
       ...options,
       collectionAmount: 0 // Quote always has 0 collection
     });
@@ -686,8 +730,7 @@ export async function purchaseProduct(checkoutData, quoteResponse, tenant = DEFA
       } else {
         logger.info('✅ Authentication token verified and valid', {
           tenant,
-          hasToken: !!authToken,
-          tokenPrefix: authToken ? authToken.substring(0, 20) : 'none'
+          hasToken: !!authToken
         });
       }
     } catch (authError) {
@@ -729,7 +772,7 @@ export async function purchaseProduct(checkoutData, quoteResponse, tenant = DEFA
     });
     
     // Enrich cart with serviceCode if missing (for older carts)
-    const enrichedCheckoutData = await enrichCartWithServiceCodes(checkoutData, tenant);
+    const enrichedCheckoutData = await withSpan('purchase.enrich_service_codes', {}, () => enrichCartWithServiceCodes(checkoutData, tenant));
     
     // Transform checkout data to API request format
     // For purchase, use collection amount from quote response
@@ -740,6 +783,7 @@ export async function purchaseProduct(checkoutData, quoteResponse, tenant = DEFA
     });
     
     const requestBody = transformCheckoutDataToPurchaseRequest(enrichedCheckoutData, {
+      ...getTenantPurchaseOptions(tenantCfg),
       ...options,
       clientAccountId: quoteResponse.clientAccountId, // Reuse from quote
       collectionAmount: collectionAmount // Set from quote response
@@ -1074,7 +1118,7 @@ export async function purchaseStatus(transactionId, tenant = DEFAULT_CONFIG.TENA
           status: response.data.status,
           link: response.data.link ? {
             type: response.data.link.type,
-            url: response.data.link.url,
+            hasUrl: !!response.data.link.url,
             createdDate: response.data.link.createdDate,
             expireDate: response.data.link.expireDate,
             typeName: response.data.link.typeName,
@@ -1268,9 +1312,6 @@ export async function purchaseStatus(transactionId, tenant = DEFAULT_CONFIG.TENA
     logger.info(`STATUS API COMPLETED (Duration: ${Date.now() - startTime}ms)`);
     logger.info(`Transaction ID: ${transactionId}`);
     logger.info(`Payment URL: ${paymentUrl ? 'FOUND ✅' : 'NOT FOUND ❌'}`);
-    if (paymentUrl) {
-      logger.info(`Payment URL: ${paymentUrl}`);
-    }
     logger.info('═══════════════════════════════════════════════════════════');
     
     return {
@@ -1332,15 +1373,41 @@ export async function purchaseStatus(transactionId, tenant = DEFAULT_CONFIG.TENA
  * @param {number} options.maxPollAttempts - Max poll attempts (default: 20)
  * @param {number} options.pollInterval - Poll interval in ms (default: 3000)
  * @param {number} options.initialPollDelay - Initial delay before first poll in ms (default: 2000)
+ * @param {number} options.maxPollDuration - Longest wait for the payment URL in ms, initial delay included (default: PAYMENT_URL_WAIT)
+ * @param {Object} options.acceptedTotals - Quote totals the user confirmed; a re-quote that differs throws PurchasePriceUpdatedError
+ * @param {Function} options.onPurchased - Called with { transactionId, clientAccountId } as soon as the purchase is created (before polling)
  * @returns {Promise<Object>} Final purchase result
  */
 export async function purchasePlansFlow(checkoutData, tenant = DEFAULT_CONFIG.TENANT, options = {}) {
+  try {
+    const result = await withSpan('purchase.flow', {
+      attributes: { 'reach.tenant': tenant, 'mcp.session.id': checkoutData?.sessionId }
+    }, async (span) => {
+      const flowResult = await runPurchasePlansFlow(checkoutData, tenant, options);
+      span.setAttributes({ 'purchase.state': flowResult.state, 'purchase.transaction_id': flowResult.transactionId });
+      return flowResult;
+    });
+    purchaseFlowsTotal.inc({ tenant, state: result.state });
+    return result;
+  } catch (error) {
+    purchaseFlowsTotal.inc({ tenant, state: error instanceof PurchasePriceUpdatedError ? "PRICE_UPDATED" : FLOW_STATE.FAILED });
+    throw error;
+  }
+}
+
+/**
+ * Purchase flow steps (see purchasePlansFlow)
+ */
+async function runPurchasePlansFlow(checkoutData, tenant, options) {
   const flowStartTime = Date.now();
   const {
     skipPolling = false,
     maxPollAttempts = DEFAULT_CONFIG.MAX_POLL_ATTEMPTS,
     pollInterval = DEFAULT_CONFIG.POLL_INTERVAL,
-    initialPollDelay = DEFAULT_CONFIG.INITIAL_POLL_DELAY
+    initialPollDelay = DEFAULT_CONFIG.INITIAL_POLL_DELAY,
+    maxPollDuration = DEFAULT_CONFIG.PAYMENT_URL_WAIT,
+    acceptedTotals = null,
+    onPurchased = null
   } = options;
   
   let state = FLOW_STATE.INITIAL;
@@ -1358,6 +1425,7 @@ export async function purchasePlansFlow(checkoutData, tenant = DEFAULT_CONFIG.TE
     maxPollAttempts,
     pollInterval,
     initialPollDelay,
+    maxPollDuration,
     timestamp: new Date().toISOString()
   });
   
@@ -1374,7 +1442,7 @@ export async function purchasePlansFlow(checkoutData, tenant = DEFAULT_CONFIG.TE
       cartLines: checkoutData.cart?.lines?.length || 0
     });
     
-    const validation = validatePurchaseData(checkoutData);
+    const validation = await withSpan('purchase.validate', {}, () => validatePurchaseData(checkoutData));
     if (!validation.valid) {
       logger.error('❌ Purchase data validation failed', {
         sessionId: checkoutData.sessionId,
@@ -1394,7 +1462,7 @@ export async function purchasePlansFlow(checkoutData, tenant = DEFAULT_CONFIG.TE
     logger.info('═══════════════════════════════════════════════════════════');
     logger.info('Calling purchaseQuote...', { tenant, sessionId: checkoutData.sessionId });
     
-    quoteResponse = await purchaseQuote(checkoutData, tenant, options);
+    quoteResponse = await withSpan('purchase.quote', {}, () => purchaseQuote(checkoutData, tenant, options));
     clientAccountId = quoteResponse.clientAccountId;
     state = FLOW_STATE.QUOTED;
     
@@ -1402,6 +1470,18 @@ export async function purchasePlansFlow(checkoutData, tenant = DEFAULT_CONFIG.TE
       clientAccountId,
       totalOneTimeCost: quoteResponse.data?.oneTimeCharge?.totalOneTimeCost
     });
+
+    // The re-quote must match the totals the user confirmed (get_quote)
+    if (acceptedTotals) {
+      const diff = diffTotals(acceptedTotals, summarizeQuoteTotals(quoteResponse.data));
+      if (diff.length > 0) {
+        logger.warn('Quote differs from the accepted quote, stopping before purchase', {
+          sessionId: checkoutData.sessionId,
+          diff
+        });
+        throw new PurchasePriceUpdatedError('Quoted price changed since it was confirmed', diff, quoteResponse);
+      }
+    }
     
     // Step 3: Initiate purchase
     state = FLOW_STATE.PURCHASING;
@@ -1410,7 +1490,7 @@ export async function purchasePlansFlow(checkoutData, tenant = DEFAULT_CONFIG.TE
     logger.info('═══════════════════════════════════════════════════════════');
     logger.info('Calling purchaseProduct...', { tenant, clientAccountId, sessionId: checkoutData.sessionId });
     
-    const purchaseResponse = await purchaseProduct(checkoutData, quoteResponse, tenant, options);
+    const purchaseResponse = await withSpan('purchase.product', {}, () => purchaseProduct(checkoutData, quoteResponse, tenant, options));
     transactionId = purchaseResponse.transactionId;
     clientAccountId = purchaseResponse.clientAccountId;
     state = FLOW_STATE.PURCHASED;
@@ -1419,6 +1499,15 @@ export async function purchasePlansFlow(checkoutData, tenant = DEFAULT_CONFIG.TE
       transactionId,
       clientAccountId
     });
+
+    // Let the caller persist the transaction before polling (a restart must not orphan it)
+    if (onPurchased) {
+      try {
+        await onPurchased({ transactionId, clientAccountId });
+      } catch (error) {
+        logger.error('onPurchased hook failed', { transactionId, error: error.message });
+      }
+    }
     
     // Step 4: Poll status (if not skipped)
     if (skipPolling) {
@@ -1460,8 +1549,14 @@ export async function purchasePlansFlow(checkoutData, tenant = DEFAULT_CONFIG.TE
       maxAttempts: maxPollAttempts,
       pollInterval,
       initialPollDelay,
-      note: 'Will continue polling until payment URL is found or max attempts reached'
+      maxPollDuration,
+      note: 'Will poll until payment URL is found, max attempts or max duration reached; the status job takes over after that'
     });
+
+    // The wait stays well inside the MCP request timeout: payment completion is recorded by
+    // the payment callback and the background status job, not by this call
+    const pollDeadline = Date.now() + maxPollDuration;
+    const waitWithinDeadline = (ms) => new Promise(resolve => setTimeout(resolve, Math.max(Math.min(ms, pollDeadline - Date.now()), 0)));
     
     // Wait initial delay before first poll
     logger.info(`⏳ Loading: Waiting ${initialPollDelay}ms before first poll...`, {
@@ -1469,13 +1564,13 @@ export async function purchasePlansFlow(checkoutData, tenant = DEFAULT_CONFIG.TE
       initialPollDelay,
       status: 'LOADING - Payment URL generation in progress'
     });
-    await new Promise(resolve => setTimeout(resolve, initialPollDelay));
+    await waitWithinDeadline(initialPollDelay);
     
     let pollAttempts = 0;
     let lastStatus = null;
     let lastError = null;
     
-    while (pollAttempts < maxPollAttempts) {
+    while (pollAttempts < maxPollAttempts && (pollAttempts === 0 || Date.now() < pollDeadline)) {
       try {
         pollAttempts++;
         logger.info('═══════════════════════════════════════════════════════════');
@@ -1489,7 +1584,9 @@ export async function purchasePlansFlow(checkoutData, tenant = DEFAULT_CONFIG.TE
           timestamp: new Date().toISOString()
         });
         
-        const statusResponse = await purchaseStatus(transactionId, tenant);
+        const statusResponse = await withSpan('purchase.poll_status', {
+          attributes: { 'purchase.poll.attempt': pollAttempts }
+        }, () => purchaseStatus(transactionId, tenant));
         lastStatus = statusResponse;
         
         const { paymentStatus, status, paymentUrl } = statusResponse;
@@ -1527,7 +1624,7 @@ export async function purchasePlansFlow(checkoutData, tenant = DEFAULT_CONFIG.TE
           logger.info('═══════════════════════════════════════════════════════════');
           logger.info(`FINAL RESULT: SUCCESS (Duration: ${Date.now() - flowStartTime}ms)`);
           logger.info(`Transaction ID: ${transactionId}`);
-          logger.info(`Payment URL: ${statusResponse.paymentUrl || 'N/A'}`);
+          logger.info(`Payment URL: ${statusResponse.paymentUrl ? 'FOUND' : 'N/A'}`);
           logger.info('═══════════════════════════════════════════════════════════');
           
           return {
@@ -1571,7 +1668,6 @@ export async function purchasePlansFlow(checkoutData, tenant = DEFAULT_CONFIG.TE
           logger.info(`Transaction ID: ${transactionId}`);
           logger.info(`Payment Status: ${paymentStatus}`);
           logger.info(`Order Status: ${status}`);
-          logger.info(`Payment URL: ${paymentUrl}`);
           logger.info('═══════════════════════════════════════════════════════════');
           
           return {
@@ -1638,7 +1734,7 @@ export async function purchasePlansFlow(checkoutData, tenant = DEFAULT_CONFIG.TE
             maxAttempts: maxPollAttempts,
             status: `LOADING - Payment URL still being generated (attempt ${pollAttempts}/${maxPollAttempts})`
           });
-          await new Promise(resolve => setTimeout(resolve, pollInterval));
+          await waitWithinDeadline(pollInterval);
         }
       } catch (error) {
         lastError = error;
@@ -1658,30 +1754,31 @@ export async function purchasePlansFlow(checkoutData, tenant = DEFAULT_CONFIG.TE
         // For other errors, continue polling with exponential backoff
         if (pollAttempts < maxPollAttempts) {
           const backoffDelay = Math.min(pollInterval * Math.pow(2, pollAttempts - 1), DEFAULT_CONFIG.MAX_BACKOFF_DELAY);
-          await new Promise(resolve => setTimeout(resolve, backoffDelay));
+          await waitWithinDeadline(backoffDelay);
         }
       }
     }
     
-    // Max attempts reached - Payment URL still not found after all polling attempts
+    // Poll window over (max attempts or max duration) - Payment URL not found yet
     logger.warn('═══════════════════════════════════════════════════════════');
-    logger.warn('⚠️ PURCHASE FLOW: MAX POLL ATTEMPTS REACHED');
+    logger.warn('⚠️ PURCHASE FLOW: POLL WINDOW ENDED');
     logger.warn('═══════════════════════════════════════════════════════════');
-    logger.warn('Purchase flow: Max poll attempts reached - Payment URL not found', {
+    logger.warn('Purchase flow: Poll window ended - Payment URL not found', {
       tenant,
       transactionId,
       pollAttempts,
       maxAttempts: maxPollAttempts,
+      maxPollDuration,
       lastStatus: lastStatus?.paymentStatus,
       lastError: lastError?.message,
       totalDuration: `${Date.now() - flowStartTime}ms`,
-      note: 'Polling completed but payment URL was not found. User should check status manually.'
+      note: 'Polling completed but payment URL was not found. The status job and payment callback record it.'
     });
     
     logger.info('═══════════════════════════════════════════════════════════');
     logger.info(`FINAL RESULT: TIMEOUT - Payment URL not found after ${pollAttempts} attempts (Duration: ${Date.now() - flowStartTime}ms)`);
     logger.info(`Transaction ID: ${transactionId}`);
-    logger.info(`Payment URL: ${lastStatus?.paymentUrl || 'NOT FOUND'}`);
+    logger.info(`Payment URL: ${lastStatus?.paymentUrl ? 'FOUND' : 'NOT FOUND'}`);
     logger.info(`Last Payment Status: ${lastStatus?.paymentStatus || 'N/A'}`);
     logger.info(`Last Order Status: ${lastStatus?.status || 'N/A'}`);
     logger.info('═══════════════════════════════════════════════════════════');
@@ -1705,6 +1802,11 @@ export async function purchasePlansFlow(checkoutData, tenant = DEFAULT_CONFIG.TE
       pollAttempts
     };
   } catch (error) {
+    if (error instanceof PurchasePriceUpdatedError) {
+      // Not a failure: the caller shows the new price and asks for confirmation
+      throw error;
+    }
+
     logger.error('═══════════════════════════════════════════════════════════');
     logger.error('❌ PURCHASE FLOW ERROR');
     logger.error('═══════════════════════════════════════════════════════════');
@@ -0,0 +1,184 @@
+import crypto from "crypto";
+import { getFlowContext, updateFlowContext } from "./flowContextService.js";
+import { roundMoney } from "./pricingService.js";
+import { DEFAULT_CONFIG } from "../utils/purchaseConstants.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Quote Service
+ *
+ * Keeps the purchase quote the user was shown (get_quote) on the session so
+ * purchase_plans only proceeds against totals the user confirmed:
+ *   - quote totals are compared with the cart pricing, and a re-quote at purchase
+ *     time with the accepted totals; any difference is a PRICE_UPDATED diff
+ *   - a quote is tied to the cart it was made for (fingerprint) and expires
+ *     after DEFAULT_CONFIG.QUOTE_TTL
+ */
+
+export const QUOTE_STATUS = {
+  PENDING: 'PENDING',             // Shown, waiting for confirmation
+  PRICE_UPDATED: 'PRICE_UPDATED', // Differs from the cart/previous quote, waiting for confirmation
+  ACCEPTED: 'ACCEPTED'            // Confirmed by purchase_plans
+};
+
+// Differences below a cent are rounding
+const PRICE_TOLERANCE = 0.005;
+
+const TOTAL_FIELDS = [
+  { field: 'monthly', label: 'Monthly total' },
+  { field: 'estimatedTax', label: 'Tax' },
+  { field: 'deviceUpfront', label: 'Devices (upfront)' },
+  { field: 'shipping', label: 'Shipping' },
+  { field: 'dueToday', label: 'Due today' }
+];
+
+function optionalMoney(amount) {
+  return amount === undefined || amount === null ? null : roundMoney(amount);
+}
+
+/**
+ * Totals of a quote API response, in the cart pricing vocabulary
+ * Totals the response doesn't carry are null (and not compared).
+ * @param {Object} quoteData - Quote API response data
+ * @returns {Object} { monthly, estimatedTax, deviceUpfront, shipping, dueToday }
+ */
+export function summarizeQuoteTotals(quoteData = {}) {
+  const oneTimeCharge = quoteData?.oneTimeCharge || {};
+  return {
+    monthly: optionalMoney(quoteData?.estimatedMonthlyCost),
+    estimatedTax: optionalMoney(quoteData?.totalTax ?? oneTimeCharge.taxAmount),
+    deviceUpfront: optionalMoney(oneTimeCharge.deviceCharges),
+    shipping: optionalMoney(oneTimeCharge.shippingAmount),
+    dueToday: optionalMoney(oneTimeCharge.totalOneTimeCost ?? quoteData?.total)
+  };
+}
+
+/**
+ * Totals of a cart pricing breakdown (see pricingService.calculateCartPricing)
+ * Without a tax estimate the cart's due-today amount excludes tax, so it is not compared.
+ * @param {Object} pricing - Pricing breakdown
+ * @returns {Object} { monthly, estimatedTax, deviceUpfront, shipping, dueToday }
+ */
+export function summarizePricingTotals(pricing) {
+  const { totals } = pricing;
+  return {
+    monthly: totals.monthly,
+    estimatedTax: totals.estimatedTax,
+    deviceUpfront: totals.deviceUpfront,
+    shipping: totals.shipping,
+    dueToday: totals.estimatedTax === null ? null : totals.dueToday
+  };
+}
+
+/**
+ * Compare two sets of totals
+ * @param {Object} expected - Totals the user saw (cart pricing or accepted quote)
+ * @param {Object} quoted - Totals of the new quote
+ * @returns {Array} [{ field, label, expected, quoted, difference }] for every total present in both that changed
+ */
+export function diffTotals(expected, quoted) {
+  return TOTAL_FIELDS
+    .filter(({ field }) => expected[field] !== null && expected[field] !== undefined &&
+      quoted[field] !== null && quoted[field] !== undefined &&
+      Math.abs(quoted[field] - expected[field]) >= PRICE_TOLERANCE)
+    .map(({ field, label }) => ({
+      field,
+      label,
+      expected: expected[field],
+      quoted: quoted[field],
+      difference: roundMoney(quoted[field] - expected[field])
+    }));
+}
+
+/**
+ * Fingerprint of what a quote prices: plans, devices, protection, SIM types and coupons per line
+ * @param {Object} cart - Multi-line cart
+ * @returns {string} Hex digest
+ */
+export function getCartFingerprint(cart) {
+  const content = {
+    lines: (cart?.lines || []).map(line => ({
+      lineNumber: line.lineNumber,
+      plan: line.plan?.id || null,
+      device: line.device?.sku || line.device?.id || null,
+      protection: line.protection?.id || null,
+      simType: line.sim?.simType || null
+    })),
+    offers: (cart?.offers || []).map(offer => offer.coupon)
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * Record a quote on the session (replaces any previous quote)
+ * @param {string} sessionId - Session ID
+ * @param {Object} params - Quote details
+ * @param {Object} params.quoteResponse - purchaseQuote result ({ data, clientAccountId })
+ * @param {Object} params.cart - Cart the quote was made for
+ * @param {Object} params.expectedTotals - Totals the quote was compared with
+ * @param {Array} params.diff - Differences (diffTotals)
+ * @returns {Object} Recorded quote
+ */
+export function recordQuote(sessionId, { quoteResponse, cart, expectedTotals, diff = [] }) {
+  const now = Date.now();
+  const quote = {
+    quoteId: `quote_${now}_${crypto.randomBytes(4).toString('hex')}`,
+    status: diff.length > 0 ? QUOTE_STATUS.PRICE_UPDATED : QUOTE_STATUS.PENDING,
+    totals: summarizeQuoteTotals(quoteResponse.data),
+    expectedTotals,
+    diff,
+    clientAccountId: quoteResponse.clientAccountId || null,
+    cartFingerprint: getCartFingerprint(cart),
+    quotedAt: now,
+    expiresAt: now + DEFAULT_CONFIG.QUOTE_TTL,
+    acceptedAt: null,
+    data: quoteResponse.data
+  };
+
+  updateFlowContext(sessionId, { quote });
+  logger.info('Quote recorded', {
+    sessionId,
+    quoteId: quote.quoteId,
+    status: quote.status,
+    totals: quote.totals,
+    changedFields: diff.map(change => change.field)
+  });
+  return quote;
+}
+
+/**
+ * Get the quote recorded on the session
+ * @param {string} sessionId - Session ID
+ * @returns {Object|null} Quote or null
+ */
+export function getSessionQuote(sessionId) {
+  return getFlowContext(sessionId)?.quote || null;
+}
+
+/**
+ * Check whether a recorded quote can still be confirmed for a cart
+ * @param {Object|null} quote - Recorded quote
+ * @param {Object} cart - Current cart
+ * @param {string|null} quoteId - Quote ID the user confirmed (optional)
+ * @returns {Object} { valid, reason } - reason: NO_QUOTE | QUOTE_MISMATCH | EXPIRED | CART_CHANGED
+ */
+export function validateQuoteForCart(quote, cart, quoteId = null) {
+  if (!quote) return { valid: false, reason: 'NO_QUOTE' };
+  if (quoteId && quote.quoteId !== quoteId) return { valid: false, reason: 'QUOTE_MISMATCH' };
+  if (Date.now() > quote.expiresAt) return { valid: false, reason: 'EXPIRED' };
+  if (quote.cartFingerprint !== getCartFingerprint(cart)) return { valid: false, reason: 'CART_CHANGED' };
+  return { valid: true, reason: null };
+}
+
+/**
+ * Mark the session's quote as accepted
+ * @param {string} sessionId - Session ID
+ * @returns {Object|null} Accepted quote
+ */
+export function acceptQuote(sessionId) {
+  const quote = getSessionQuote(sessionId);
+  if (!quote) return null;
+  const accepted = { ...quote, status: QUOTE_STATUS.ACCEPTED, acceptedAt: Date.now() };
+  updateFlowContext(sessionId, { quote: accepted });
+  return accepted;
+}
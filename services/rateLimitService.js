@@ -0,0 +1,217 @@
+import { createCounter } from "./metricsService.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Rate Limit Service
+ *
+ * Token-bucket limits protecting the server and the Reach API quota. A limit is written
+ * "<requests>/<seconds>" (e.g. "120/60"): a bucket holds up to <requests> tokens and
+ * refills at <requests> per <seconds>; "off" or "0" disables it.
+ *   - RATE_LIMIT_HTTP     (default 300/60)  - /mcp HTTP requests per client (API-key/OAuth client, else IP)
+ *   - RATE_LIMIT_SESSION  (default 120/60)  - tool calls per session
+ *   - RATE_LIMIT_TOOLS    (default below)   - calls of a tool per caller, "tool=limit,tool2=limit"
+ *   - apiRateLimit in the tenant config     - outbound Reach API requests per tenant (default 600/60)
+ * Over-limit callers get a THROTTLED problem with retryAfterSeconds.
+ */
+
+const DEFAULT_LIMITS = {
+  http: "300/60",
+  session: "120/60",
+  tools: "purchase_plans=5/60,check_coverage=30/60,validate_device=30/60,get_devices=30/60",
+  tenantApi: "600/60"
+};
+
+// Buckets that are full again are dropped once a limiter tracks this many keys
+const MAX_BUCKETS = 10000;
+
+// name -> { source, limiter }
+const limiters = new Map();
+
+const rejectionsTotal = createCounter("rate_limit_rejections_total", "Requests and tool calls refused by a rate limit", ["limit"]);
+
+/**
+ * Error thrown when a rate limit is exceeded
+ */
+export class RateLimitError extends Error {
+  constructor(message, { limit, key, retryAfterMs }) {
+    super(message);
+    this.name = "RateLimitError";
+    this.errorType = "THROTTLED";
+    this.limit = limit;
+    this.key = key;
+    this.retryAfterMs = retryAfterMs;
+    this.retryAfterSeconds = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+  }
+}
+
+/**
+ * Parse a "<requests>/<seconds>" limit
+ * @param {string} spec - Limit (e.g. "120/60"); "off", "0" or empty disable it
+ * @returns {Object|null} { capacity, windowSeconds } or null if disabled/malformed
+ */
+export function parseRateLimit(spec) {
+  const value = String(spec ?? "").trim();
+  if (!value || value === "off" || value === "0") return null;
+  const match = value.match(/^(\d+)\s*\/\s*(\d+(?:\.\d+)?)s?$/);
+  if (!match || parseInt(match[1], 10) <= 0 || parseFloat(match[2]) <= 0) {
+    logger.warn("Ignoring malformed rate limit (expected <requests>/<seconds>)", { spec: value });
+    return null;
+  }
+  return { capacity: parseInt(match[1], 10), windowSeconds: parseFloat(match[2]) };
+}
+
+/**
+ * Create a token-bucket limiter with one bucket per key
+ * @param {string} name - Limiter name (logged and reported as the limit that was hit)
+ * @param {Object} limit - { capacity, windowSeconds } from parseRateLimit
+ * @returns {Object} Limiter with take/peek/reset
+ */
+export function createRateLimiter(name, { capacity, windowSeconds }) {
+  const refillPerMs = capacity / (windowSeconds * 1000);
+  const buckets = new Map();
+
+  function refill(key, now) {
+    const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    return bucket;
+  }
+
+  function prune(now) {
+    for (const [key, bucket] of buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * refillPerMs >= capacity) buckets.delete(key);
+    }
+  }
+
+  return {
+    name,
+    capacity,
+    windowSeconds,
+
+    /**
+     * Take tokens from a key's bucket
+     * @param {string} key - Bucket key (client, session, tenant, ...)
+     * @param {number} cost - Tokens to take
+     * @returns {Object} { allowed, remaining, retryAfterMs }
+     */
+    take(key, cost = 1) {
+      const now = Date.now();
+      const bucket = refill(key, now);
+      if (bucket.tokens >= cost) {
+        bucket.tokens -= cost;
+        buckets.set(key, bucket);
+        if (buckets.size > MAX_BUCKETS) prune(now);
+        return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterMs: 0 };
+      }
+      buckets.set(key, bucket);
+      return { allowed: false, remaining: 0, retryAfterMs: Math.ceil((cost - bucket.tokens) / refillPerMs) };
+    },
+
+    /**
+     * Check a key's bucket without taking tokens
+     * @param {string} key - Bucket key
+     * @param {number} cost - Tokens needed
+     * @returns {Object} { allowed, remaining, retryAfterMs }
+     */
+    peek(key, cost = 1) {
+      const bucket = buckets.has(key) ? refill(key, Date.now()) : { tokens: capacity };
+      return bucket.tokens >= cost
+        ? { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterMs: 0 }
+        : { allowed: false, remaining: 0, retryAfterMs: Math.ceil((cost - bucket.tokens) / refillPerMs) };
+    },
+
+    reset() {
+      buckets.clear();
+    }
+  };
+}
+
+// Limiter for a configured limit, recreated when the limit changes (null when disabled)
+function getLimiter(name, spec) {
+  const cached = limiters.get(name);
+  if (cached && cached.source === spec) return cached.limiter;
+  const limit = parseRateLimit(spec);
+  const limiter = limit ? createRateLimiter(name, limit) : null;
+  limiters.set(name, { source: spec, limiter });
+  return limiter;
+}
+
+function getToolLimits() {
+  const source = process.env.RATE_LIMIT_TOOLS ?? DEFAULT_LIMITS.tools;
+  return Object.fromEntries(source.split(",").map(entry => entry.trim()).filter(Boolean).map((entry) => {
+    const separator = entry.indexOf("=");
+    return [entry.slice(0, separator).trim(), entry.slice(separator + 1).trim()];
+  }).filter(([tool]) => tool));
+}
+
+function throttled(result, limiter, key) {
+  if (result.allowed) return null;
+  rejectionsTotal.inc({ limit: limiter.name });
+  logger.warn("Rate limit exceeded", { limit: limiter.name, key, retryAfterMs: result.retryAfterMs });
+  return new RateLimitError(
+    `Rate limit exceeded (${limiter.capacity} requests per ${limiter.windowSeconds}s). Retry in ${Math.max(Math.ceil(result.retryAfterMs / 1000), 1)}s.`,
+    { limit: limiter.name, key, retryAfterMs: result.retryAfterMs }
+  );
+}
+
+/**
+ * Count an HTTP request against its client's limit
+ * @param {string} clientKey - "client:<id>" or "ip:<address>"
+ * @returns {RateLimitError|null} Error to report if the client is over its limit
+ */
+export function checkHttpRateLimit(clientKey) {
+  const limiter = getLimiter("http", process.env.RATE_LIMIT_HTTP ?? DEFAULT_LIMITS.http);
+  return limiter ? throttled(limiter.take(clientKey), limiter, clientKey) : null;
+}
+
+/**
+ * Count a tool call against its session's limit and the tool's limit for the caller
+ * @param {Object} call - Tool call
+ * @param {string} call.tool - Tool name
+ * @param {string|null} call.sessionId - Session the call runs in
+ * @param {string|null} call.caller - Client identity (falls back to the session)
+ * @returns {RateLimitError|null} Error to report if a limit is exceeded
+ */
+export function checkToolRateLimit({ tool, sessionId, caller }) {
+  const callerKey = caller || sessionId || "anonymous";
+  const toolLimiter = getLimiter(`tool:${tool}`, getToolLimits()[tool] ?? null);
+  const sessionLimiter = getLimiter("session", process.env.RATE_LIMIT_SESSION ?? DEFAULT_LIMITS.session);
+
+  // Peek first so a call refused by one limit does not use up the other
+  const toolKey = `${tool}|${callerKey}`;
+  const sessionKey = sessionId || callerKey;
+  const refused = (toolLimiter && throttled(toolLimiter.peek(toolKey), toolLimiter, toolKey))
+    || (sessionLimiter && throttled(sessionLimiter.peek(sessionKey), sessionLimiter, sessionKey));
+  if (refused) return refused;
+
+  toolLimiter?.take(toolKey);
+  sessionLimiter?.take(sessionKey);
+  return null;
+}
+
+function getTenantLimiter(tenant, tenantLimit) {
+  return getLimiter(`tenantApi:${tenant}`, tenantLimit ?? DEFAULT_LIMITS.tenantApi);
+}
+
+/**
+ * Whether a tenant has outbound Reach API budget left (checked before a tool runs)
+ * @param {string} tenant - Tenant ID
+ * @param {string} tenantLimit - The tenant's apiRateLimit
+ * @returns {RateLimitError|null} Error to report if the budget is used up
+ */
+export function checkTenantApiBudget(tenant, tenantLimit) {
+  const limiter = getTenantLimiter(tenant, tenantLimit);
+  return limiter ? throttled(limiter.peek(tenant), limiter, tenant) : null;
+}
+
+/**
+ * Spend one outbound Reach API request from a tenant's budget
+ * @param {string} tenant - Tenant ID
+ * @param {string} tenantLimit - The tenant's apiRateLimit
+ * @throws {RateLimitError} If the budget is used up
+ */
+export function takeTenantApiBudget(tenant, tenantLimit) {
+  const limiter = getTenantLimiter(tenant, tenantLimit);
+  const error = limiter && throttled(limiter.take(tenant), limiter, tenant);
+  if (error) throw error;
+}
@@ -0,0 +1,206 @@
+import { generateSessionId, getMostRecentSession, updateMostRecentSession, getCartMultiLine } from "./cartService.js";
+import { getFlowContext, getSessionOwner, bindSessionOwner, findSessionByOwner, sessionHasData } from "./flowContextService.js";
+import { logger } from "../utils/logger.js";
+
+// ================================================================================
+// SESSION MANAGEMENT - Ensures session persists across entire conversation
+// ================================================================================
+//
+// Sessions hold a customer's cart and checkout, so each one belongs to the client that
+// created it: the authenticated user, the API-key client within its MCP transport session
+// (one key serves many customers), or the MCP transport session (Mcp-Session-Id) alone. Calls from another client cannot use it, and calls without a
+// sessionId get their own client's session. In multi-user mode a client cannot claim an
+// unbound session (created anonymously or before sessions had owners) that already holds
+// a cart or checkout data: knowing its ID is not enough.
+//
+// Single-user mode (stdio) keeps the conversation-wide fallback: calls without a
+// sessionId reuse the current conversation session, then the most recent session.
+// In multi-user mode (HTTP, or MULTI_USER_MODE=true) there is no global fallback: an
+// anonymous call without a sessionId always starts a new session.
+
+// Global variable to track the current conversation session (single-user mode only)
+// This ensures all tools in the same conversation use the same session ID
+let currentConversationSessionId = null;
+
+/**
+ * Error thrown when a session belongs to another client
+ */
+export class SessionAccessError extends Error {
+  constructor(sessionId) {
+    super(`Session "${sessionId}" was not found for this client`);
+    this.name = "SessionAccessError";
+    this.sessionId = sessionId;
+    this.errorType = "SESSION_ACCESS_DENIED";
+  }
+}
+
+/**
+ * Whether sessions are shared by several clients (no global session fallback)
+ * MULTI_USER_MODE=true|false overrides the default: on for the HTTP transports.
+ * @returns {boolean}
+ */
+export function isMultiUserMode() {
+  const setting = process.env.MULTI_USER_MODE;
+  if (setting === "true" || setting === "false") {
+    return setting === "true";
+  }
+  const transportMode = process.env.MCP_TRANSPORT || "stdio";
+  return transportMode === "http" || transportMode === "https";
+}
+
+/**
+ * Client identity of a request: the authenticated user, the client within its MCP transport
+ * session, else the MCP transport session
+ * @param {Object} extra - MCP request handler extra ({ authInfo, sessionId, requestInfo })
+ * @returns {string|null} "user:<issuer>|<sub>", "client:<id>|mcp-session:<id>", "client:<id>",
+ *   "mcp-session:<id>" or null for anonymous calls
+ */
+export function getClientIdentity(extra) {
+  // OAuth tokens identify the end user (one client, e.g. ChatGPT, serves many users)
+  const principal = extra?.authInfo?.extra?.principal;
+  if (principal?.subject) {
+    return `user:${principal.issuer}|${principal.subject}`;
+  }
+  const clientId = extra?.authInfo?.clientId;
+  const transportSessionId = extra?.sessionId || extra?.requestInfo?.headers?.["mcp-session-id"];
+  // API keys have no end user: every customer behind a key shares its clientId
+  if (clientId) {
+    return transportSessionId ? `client:${clientId}|mcp-session:${transportSessionId}` : `client:${clientId}`;
+  }
+  if (transportSessionId) {
+    return `mcp-session:${transportSessionId}`;
+  }
+  return null;
+}
+
+/**
+ * Whether an identity is shared by every customer of a client (API key without an MCP
+ * transport session), so it cannot pick a session on its own
+ * @param {string|null} identity - Client identity (getClientIdentity)
+ * @returns {boolean}
+ */
+function isSharedClientIdentity(identity) {
+  return !!identity && identity.startsWith("client:") && !identity.includes("|mcp-session:");
+}
+
+/**
+ * Whether a session not bound to a client holds customer data (flow context or cart)
+ * @param {string} sessionId - Session ID
+ * @returns {boolean}
+ */
+function unboundSessionHasData(sessionId) {
+  if (sessionHasData(sessionId)) {
+    return true;
+  }
+  const cart = getCartMultiLine(sessionId);
+  return (cart.lines || []).some(line => line.plan || line.device || line.protection);
+}
+
+/**
+ * Whether a client may use a session
+ * Sessions bound to a client are only open to it. Unbound sessions are open to anonymous
+ * calls and, in multi-user mode, to identified clients only while they hold no data.
+ * @param {string} sessionId - Session ID
+ * @param {string|null} identity - Client identity (getClientIdentity)
+ * @returns {boolean}
+ */
+export function canAccessSession(sessionId, identity) {
+  const owner = getSessionOwner(sessionId);
+  if (owner) {
+    return owner === identity;
+  }
+  return !identity || !isMultiUserMode() || !unboundSessionHasData(sessionId);
+}
+
+/**
+ * Session a tool call runs in, before its handler is dispatched
+ * Identified clients get their own session (created if needed) and it is bound to them; an
+ * API-key client without a transport session gets a new session unless it passes a sessionId.
+ * @param {string|null} providedSessionId - Session ID from tool args
+ * @param {string|null} identity - Client identity (getClientIdentity)
+ * @returns {string|null} Session ID, or null to let the tool use the conversation session (single-user mode)
+ * @throws {SessionAccessError} If the session belongs to another client
+ */
+export function resolveCallSession(providedSessionId, identity) {
+  let sessionId = providedSessionId || null;
+  if (sessionId && !canAccessSession(sessionId, identity)) {
+    throw new SessionAccessError(sessionId);
+  }
+
+  if (!sessionId && identity && !isSharedClientIdentity(identity)) {
+    sessionId = findSessionByOwner(identity);
+  }
+  if (!sessionId && (identity || isMultiUserMode())) {
+    sessionId = generateSessionId();
+    logger.info("Created new client session", { sessionId, identified: !!identity });
+  }
+
+  if (sessionId && identity) {
+    getFlowContext(sessionId);
+    bindSessionOwner(sessionId, identity);
+  }
+  return sessionId;
+}
+
+/**
+ * Get or create a session ID that persists across the entire conversation
+ * This ensures all tool calls in the same chat use the same session
+ * (in multi-user mode the MCP server resolves the client's session before dispatch)
+ * @param {string|null} providedSessionId - Optional session ID from tool args
+ * @returns {string} Session ID to use
+ */
+export function getOrCreateSessionId(providedSessionId) {
+  if (isMultiUserMode()) {
+    const sessionId = providedSessionId || generateSessionId();
+    getFlowContext(sessionId);
+    return sessionId;
+  }
+
+  let sessionIdToUse = null;
+
+  // If a session ID is explicitly provided, use it
+  if (providedSessionId) {
+    sessionIdToUse = providedSessionId;
+  }
+  // If we have a current conversation session, use it
+  else if (currentConversationSessionId) {
+    // Verify it still exists and is valid
+    const context = getFlowContext(currentConversationSessionId);
+    if (context && !context.owner) {
+      sessionIdToUse = currentConversationSessionId;
+    } else {
+      // If context doesn't exist, clear it
+      currentConversationSessionId = null;
+    }
+  }
+
+  // If still no session, try to get the most recent session from cart service
+  // (sessions bound to a client are never handed to other callers)
+  if (!sessionIdToUse) {
+    const recentSession = getMostRecentSession();
+    if (recentSession && !getSessionOwner(recentSession)) {
+      sessionIdToUse = recentSession;
+    }
+  }
+
+  // If still no session, create a new one
+  if (!sessionIdToUse) {
+    sessionIdToUse = generateSessionId();
+    logger.info("Created new conversation session", { sessionId: sessionIdToUse });
+  }
+
+  // Ensure flow context exists for this session
+  getFlowContext(sessionIdToUse);
+
+  if (getSessionOwner(sessionIdToUse)) {
+    return sessionIdToUse;
+  }
+
+  // Update current conversation session
+  currentConversationSessionId = sessionIdToUse;
+
+  // Update the most recent session in cart service (for persistence)
+  updateMostRecentSession(sessionIdToUse);
+
+  return sessionIdToUse;
+}
@@ -1,4 +1,5 @@
 import { getAuthToken } from './authService.js';
+import { getTenantConfig } from '../config/tenantConfig.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -51,7 +52,7 @@ export async function swapSim(customerId, newIccId, simType = 'PSIM', tenant = '
     // Get auth token
     const authToken = await getAuthToken(tenant);
     
-    const apiUrl = 'https://api-rm-common-qa.reachmobileplatform.com/apisvc/v0/iccid/swap';
+    const apiUrl = `${getTenantConfig(tenant).apiBaseUrl}/apisvc/v0/iccid/swap`;
     
     const response = await fetch(apiUrl, {
       method: 'POST',
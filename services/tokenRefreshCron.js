@@ -1,11 +1,23 @@
-import { getAuthToken } from "./authService.js";
-import { getTenantConfig } from "../config/tenantConfig.js";
+import { getAuthToken, getAuthTokensMap as getAuthServiceTokens } from "./authService.js";
+import { getTenantConfig, listTenants } from "../config/tenantConfig.js";
+import { createCounter } from "./metricsService.js";
 import { logger } from "../utils/logger.js";
 
 // Get access to the authTokens Map from authService
 // We'll need to export a function to get tokens and check expiration
 let getAuthTokensMap = null;
 
+// Fetches themselves are counted in auth_token_refreshes_total (authService.js)
+const refreshChecksTotal = createCounter("auth_token_refresh_checks_total", "Token checks by tenant, trigger (cron, tool_call) and outcome (valid, refreshed, failed)", ["tenant", "trigger", "outcome"]);
+
+// tenant -> { trigger, outcome, at, error } of the latest token check (reported by getCronStatus)
+const lastChecks = new Map();
+
+function recordCheck(tenant, trigger, outcome, error = null) {
+  refreshChecksTotal.inc({ tenant, trigger, outcome });
+  lastChecks.set(tenant, { trigger, outcome, at: Date.now(), error: error ? error.message : null });
+}
+
 /**
  * Set the function to access auth tokens map
  * This allows the cron to check token expiration without exposing the Map directly
@@ -33,6 +45,7 @@ async function refreshTokenIfNeeded(tenant) {
       // No token exists, try to get one
       logger.info("Token refresh cron: No token found, requesting new token", { tenant });
       await getAuthToken(tenant);
+      recordCheck(tenant, "cron", "refreshed");
       return;
     }
 
@@ -48,8 +61,10 @@ async function refreshTokenIfNeeded(tenant) {
       });
       
       await getAuthToken(tenant);
+      recordCheck(tenant, "cron", "refreshed");
       logger.info("Token refresh cron: Token refreshed successfully", { tenant });
     } else {
+      recordCheck(tenant, "cron", "valid");
       const minutesUntilExpiration = Math.floor(timeUntilExpiration / (60 * 1000));
       logger.debug("Token refresh cron: Token still valid", {
         tenant,
@@ -58,6 +73,7 @@ async function refreshTokenIfNeeded(tenant) {
       });
     }
   } catch (error) {
+    recordCheck(tenant, "cron", "failed", error);
     logger.error("Token refresh cron: Failed to refresh token", {
       tenant,
       error: error.message,
@@ -71,8 +87,8 @@ async function refreshTokenIfNeeded(tenant) {
  */
 async function refreshAllTokens() {
   try {
-    // Get all tenants from config (currently only "reach")
-    const tenants = ["reach"]; // You can expand this if you add more tenants
+    // Refresh every configured tenant
+    const tenants = listTenants();
     
     logger.info("Token refresh cron: Starting token refresh check", {
       tenants: tenants.length,
@@ -112,6 +128,7 @@ export async function ensureTokenOnToolCall(tenant = "reach") {
     if (!tokensMap) {
       logger.warn("Token refresh: Cannot access auth tokens map, fetching token", { tenant });
       await getAuthToken(tenant, false);
+      recordCheck(tenant, "tool_call", "refreshed");
       logger.info("Authentication token created successfully (no tokens map)", { tenant });
       return;
     }
@@ -124,6 +141,7 @@ export async function ensureTokenOnToolCall(tenant = "reach") {
       // No token exists, fetch one
       logger.info("Token refresh: No token found on tool call, fetching fresh token", { tenant });
       await getAuthToken(tenant, false);
+      recordCheck(tenant, "tool_call", "refreshed");
       logger.info("Authentication token created successfully (was missing)", { tenant });
       return;
     }
@@ -139,11 +157,13 @@ export async function ensureTokenOnToolCall(tenant = "reach") {
         expiresAt: new Date(cached.expiresAt).toISOString(),
       });
       await getAuthToken(tenant, false); // Don't force, let it use cache if still valid
+      recordCheck(tenant, "tool_call", "refreshed");
       logger.info("Authentication token refreshed successfully (was expiring)", { 
         tenant,
         minutesUntilExpiration 
       });
     } else {
+      recordCheck(tenant, "tool_call", "valid");
       const minutesUntilExpiration = Math.floor(timeUntilExpiration / (60 * 1000));
       logger.debug("Authentication token verified and valid on tool call", {
         tenant,
@@ -152,6 +172,7 @@ export async function ensureTokenOnToolCall(tenant = "reach") {
       });
     }
   } catch (error) {
+    recordCheck(tenant, "tool_call", "failed", error);
     logger.error("Token refresh: Failed to ensure token on tool call", {
       tenant,
       error: error.message,
@@ -231,12 +252,27 @@ export function stopTokenRefreshCron() {
 }
 
 /**
- * Get cron status
+ * Get cron status, with the auth token state of every tenant (see healthEndpoint.js)
+ * @returns {Object} { isRunning, isCurrentlyRefreshing, tokens: { <tenant>: { valid, expiresAt, lastCheck } } }
  */
 export function getCronStatus() {
+  // Tokens are reported even when no accessor was set (the checks above then fetch on every call)
+  const tokensMap = getAuthTokensMap ? getAuthTokensMap() : getAuthServiceTokens();
+  const now = Date.now();
+  const tokens = Object.fromEntries(listTenants().map((tenant) => {
+    const cached = tokensMap?.get(tenant);
+    const lastCheck = lastChecks.get(tenant);
+    return [tenant, {
+      valid: Boolean(cached?.token) && cached.expiresAt > now,
+      expiresAt: cached?.expiresAt ? new Date(cached.expiresAt).toISOString() : null,
+      lastCheck: lastCheck ? { ...lastCheck, at: new Date(lastCheck.at).toISOString() } : null
+    }];
+  }));
+
   return {
     isRunning: cronInterval !== null,
     isCurrentlyRefreshing: isRunning,
+    tokens
   };
 }
 
@@ -0,0 +1,115 @@
+import { logger } from "../utils/logger.js";
+
+/**
+ * Tool Scope Service
+ *
+ * Authorization of MCP clients per tool group. Every tool declares the scope it needs
+ * (tool.scope, see tools/registry.js); a client may use a tool only if its scope is in
+ * the client's allowed set:
+ *   - API-key and OAuth clients: MCP_CLIENT_SCOPES="clientId=scope scope,clientId2=*"
+ *     (clients not listed get MCP_DEFAULT_SCOPES)
+ *   - OAuth tokens are further limited to the scopes they were granted (scope claim)
+ *   - anonymous callers (stdio, or HTTP without required auth): MCP_DEFAULT_SCOPES
+ * MCP_DEFAULT_SCOPES defaults to "*" (every scope).
+ */
+
+export const TOOL_SCOPES = {
+  CATALOG_READ: "catalog:read",
+  CART_WRITE: "cart:write",
+  CHECKOUT_PII: "checkout:pii",
+  PURCHASE: "purchase:write",
+  ACCOUNT: "account:write"
+};
+
+export const ALL_TOOL_SCOPES = Object.values(TOOL_SCOPES);
+
+const WILDCARD_SCOPE = "*";
+
+let clientScopes = null;
+let clientScopesSource = null;
+
+// "scope scope" or "*" -> known scopes (unknown names are logged and ignored)
+function parseScopeList(value, origin) {
+  const scopes = new Set();
+  String(value || "").split(/\s+/).filter(Boolean).forEach((scope) => {
+    if (scope === WILDCARD_SCOPE) {
+      ALL_TOOL_SCOPES.forEach(known => scopes.add(known));
+    } else if (ALL_TOOL_SCOPES.includes(scope)) {
+      scopes.add(scope);
+    } else {
+      logger.warn("Ignoring unknown tool scope", { scope, origin });
+    }
+  });
+  return [...scopes];
+}
+
+// Allowed scopes by client ID from MCP_CLIENT_SCOPES
+function getClientScopeMap() {
+  const source = process.env.MCP_CLIENT_SCOPES || "";
+  if (clientScopes && clientScopesSource === source) return clientScopes;
+
+  clientScopes = new Map();
+  clientScopesSource = source;
+  source.split(",").map(entry => entry.trim()).filter(Boolean).forEach((entry) => {
+    const separator = entry.indexOf("=");
+    const clientId = entry.slice(0, separator).trim();
+    if (separator <= 0) {
+      logger.warn("Ignoring malformed MCP_CLIENT_SCOPES entry (expected clientId=scope scope)", { entry });
+      return;
+    }
+    clientScopes.set(clientId, parseScopeList(entry.slice(separator + 1), clientId));
+  });
+  return clientScopes;
+}
+
+/**
+ * Scopes of clients without an entry in MCP_CLIENT_SCOPES and of anonymous callers
+ * @returns {Array<string>}
+ */
+export function getDefaultScopes() {
+  return parseScopeList(process.env.MCP_DEFAULT_SCOPES ?? WILDCARD_SCOPE, "MCP_DEFAULT_SCOPES");
+}
+
+/**
+ * Scopes a client may be granted
+ * @param {string} clientId - Client ID (API-key client or OAuth client_id)
+ * @returns {Array<string>}
+ */
+export function getClientScopes(clientId) {
+  const configured = getClientScopeMap().get(clientId);
+  return configured ? [...configured] : getDefaultScopes();
+}
+
+/**
+ * Scopes of a caller: the client's allowed set, limited to the scopes granted to its token
+ * @param {Object|null} principal - Authenticated principal (null for anonymous callers)
+ * @returns {Array<string>}
+ */
+export function getEffectiveScopes(principal) {
+  if (!principal) return getDefaultScopes();
+  const granted = new Set(principal.scopes || []);
+  return getClientScopes(principal.clientId).filter(scope => granted.has(scope));
+}
+
+/**
+ * Scopes granted when a client requests a token
+ * No requested scope grants the client's whole allowed set.
+ * @param {string} clientId - Client ID
+ * @param {Array<string>} requestedScopes - Scopes from the token request
+ * @returns {Array<string>} Granted scopes (empty if none of the requested scopes is allowed)
+ */
+export function grantClientScopes(clientId, requestedScopes = []) {
+  const allowed = getClientScopes(clientId);
+  if (requestedScopes.length === 0) return allowed;
+  return allowed.filter(scope => requestedScopes.includes(scope));
+}
+
+/**
+ * Whether a caller may use a tool
+ * @param {Object} tool - Tool module (tool.scope)
+ * @param {Array<string>} scopes - Caller's effective scopes
+ * @returns {boolean}
+ */
+export function isToolAllowed(tool, scopes) {
+  return !!tool?.scope && scopes.includes(tool.scope);
+}
@@ -0,0 +1,288 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+import { performance } from "perf_hooks";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Tracing Service
+ *
+ * OpenTelemetry-compatible spans: W3C trace context IDs (traceparent in and out) and
+ * OTLP/JSON export, without the OpenTelemetry SDK. Each MCP tools/call is a root span (or
+ * continues the HTTP request's traceparent); callReachAPI, getAuthToken, image downloads and
+ * the purchasePlansFlow steps run as child spans through AsyncLocalStorage:
+ *
+ *   const plans = await withSpan("plans.fetch", { attributes: { "reach.tenant": tenant } }, () => fetchPlans());
+ *
+ * Export is off unless TRACING_EXPORTER is set:
+ *   - otlp: POSTed in batches to OTEL_EXPORTER_OTLP_TRACES_ENDPOINT, or OTEL_EXPORTER_OTLP_ENDPOINT
+ *     + /v1/traces (default http://localhost:4318), with OTEL_EXPORTER_OTLP_HEADERS ("key=value,...")
+ *   - file: appended to TRACE_FILE (default logs/traces.jsonl), one OTLP/JSON export request
+ *     per line (the collector's otlpjsonfile format), for offline debugging
+ * Resources are named OTEL_SERVICE_NAME (default reach-mcp).
+ */
+
+export const SPAN_KIND = { INTERNAL: 1, SERVER: 2, CLIENT: 3 };
+export const SPAN_STATUS = { UNSET: 0, OK: 1, ERROR: 2 };
+
+const EXPORTERS = ["otlp", "file"];
+const DEFAULT_OTLP_ENDPOINT = "http://localhost:4318";
+const DEFAULT_TRACE_FILE = "logs/traces.jsonl";
+const BATCH_SIZE = 512;
+const MAX_QUEUED_SPANS = 4096;
+const FLUSH_INTERVAL_MS = 5000;
+const EXPORT_TIMEOUT_MS = 10000;
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/;
+
+const storage = new AsyncLocalStorage();
+let queue = [];
+let droppedSpans = 0;
+let flushTimer = null;
+let exporting = Promise.resolve();
+
+// Span handed to callbacks while tracing is off
+const NOOP_SPAN = {
+  traceId: null,
+  spanId: null,
+  setAttribute() { return this; },
+  setAttributes() { return this; },
+  addEvent() { return this; },
+  recordException() { return this; },
+  setStatus() { return this; },
+  end() {}
+};
+
+function getExporter() {
+  const exporter = (process.env.TRACING_EXPORTER || "").trim().toLowerCase();
+  return EXPORTERS.includes(exporter) ? exporter : null;
+}
+
+/**
+ * Whether spans are recorded (TRACING_EXPORTER is otlp or file)
+ * @returns {boolean}
+ */
+export function isTracingEnabled() {
+  return getExporter() !== null;
+}
+
+function randomId(bytes) {
+  return crypto.randomBytes(bytes).toString("hex");
+}
+
+// Wall-clock time in nanoseconds (as a string, OTLP's fixed64 JSON encoding)
+function nowUnixNano() {
+  return (BigInt(Math.round((performance.timeOrigin + performance.now()) * 1000)) * 1000n).toString();
+}
+
+/**
+ * Parse a W3C traceparent header
+ * @param {string} header - "00-<traceId>-<spanId>-<flags>"
+ * @returns {Object|null} { traceId, spanId } of the remote parent, or null if missing/invalid
+ */
+export function parseTraceparent(header) {
+  const match = String(header || "").trim().toLowerCase().match(TRACEPARENT_PATTERN);
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) return null;
+  return { traceId: match[1], spanId: match[2] };
+}
+
+/**
+ * traceparent header for an outgoing request from the active span
+ * @returns {string|null}
+ */
+export function getTraceparent() {
+  const span = storage.getStore();
+  return span ? `00-${span.traceId}-${span.spanId}-01` : null;
+}
+
+/**
+ * Span the current code runs in
+ * @returns {Object|null} Span, or null outside a span (or while tracing is off)
+ */
+export function getActiveSpan() {
+  return storage.getStore() || null;
+}
+
+function createSpan(name, { kind = SPAN_KIND.INTERNAL, attributes = {}, parent = null }) {
+  const span = {
+    traceId: parent?.traceId || randomId(16),
+    spanId: randomId(8),
+    parentSpanId: parent?.spanId || null,
+    name,
+    kind,
+    startTimeUnixNano: nowUnixNano(),
+    endTimeUnixNano: null,
+    attributes: {},
+    events: [],
+    status: { code: SPAN_STATUS.UNSET },
+
+    setAttribute(key, value) {
+      if (value !== undefined && value !== null) this.attributes[key] = value;
+      return this;
+    },
+    setAttributes(values) {
+      Object.entries(values || {}).forEach(([key, value]) => this.setAttribute(key, value));
+      return this;
+    },
+    addEvent(eventName, eventAttributes = {}) {
+      this.events.push({ name: eventName, timeUnixNano: nowUnixNano(), attributes: eventAttributes });
+      return this;
+    },
+    recordException(error) {
+      this.addEvent("exception", {
+        "exception.type": error?.errorType || error?.name || "Error",
+        "exception.message": error?.message || String(error)
+      });
+      return this.setStatus(SPAN_STATUS.ERROR, error?.message);
+    },
+    setStatus(code, message) {
+      this.status = message ? { code, message } : { code };
+      return this;
+    },
+    end() {
+      if (this.endTimeUnixNano) return;
+      this.endTimeUnixNano = nowUnixNano();
+      enqueue(this);
+    }
+  };
+  return span.setAttributes(attributes);
+}
+
+/**
+ * Run a function in a child span of the active span (or a root span)
+ * The span ends when the function settles; a thrown error marks it failed.
+ * @param {string} name - Span name
+ * @param {Object} options - Options
+ * @param {number} options.kind - SPAN_KIND (default INTERNAL)
+ * @param {Object} options.attributes - Initial attributes
+ * @param {boolean} options.root - Start a new trace instead of a child of the active span
+ * @param {Object|null} options.parent - Remote parent ({ traceId, spanId } from parseTraceparent)
+ * @param {Function} fn - (span) => result
+ * @returns {Promise<*>} The function's result
+ */
+export async function withSpan(name, options, fn) {
+  if (!isTracingEnabled()) return fn(NOOP_SPAN);
+
+  const { kind, attributes, root = false, parent = null } = options || {};
+  const span = createSpan(name, { kind, attributes, parent: parent || (root ? null : storage.getStore()) });
+  return storage.run(span, async () => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      span.recordException(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+function toAnyValue(value) {
+  if (typeof value === "boolean") return { boolValue: value };
+  if (typeof value === "number") return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toAnyValue) } };
+  return { stringValue: String(value) };
+}
+
+function toKeyValues(attributes) {
+  return Object.entries(attributes).map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+function toOtlpSpan(span) {
+  return {
+    traceId: span.traceId,
+    spanId: span.spanId,
+    ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+    name: span.name,
+    kind: span.kind,
+    startTimeUnixNano: span.startTimeUnixNano,
+    endTimeUnixNano: span.endTimeUnixNano,
+    attributes: toKeyValues(span.attributes),
+    events: span.events.map(event => ({ ...event, attributes: toKeyValues(event.attributes) })),
+    status: span.status
+  };
+}
+
+function buildExportRequest(spans) {
+  return {
+    resourceSpans: [{
+      resource: { attributes: toKeyValues({ "service.name": process.env.OTEL_SERVICE_NAME || "reach-mcp" }) },
+      scopeSpans: [{ scope: { name: "reach-mcp/tracingService" }, spans: spans.map(toOtlpSpan) }]
+    }]
+  };
+}
+
+function getOtlpEndpoint() {
+  if (process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT) return process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT;
+  return `${(process.env.OTEL_EXPORTER_OTLP_ENDPOINT || DEFAULT_OTLP_ENDPOINT).replace(/\/+$/, "")}/v1/traces`;
+}
+
+function getOtlpHeaders() {
+  return Object.fromEntries((process.env.OTEL_EXPORTER_OTLP_HEADERS || "").split(",")
+    .map(entry => entry.trim())
+    .filter(entry => entry.includes("="))
+    .map(entry => [entry.slice(0, entry.indexOf("=")).trim(), decodeURIComponent(entry.slice(entry.indexOf("=") + 1).trim())]));
+}
+
+async function exportBatch(exporter, payload) {
+  if (exporter === "file") {
+    const filePath = process.env.TRACE_FILE || DEFAULT_TRACE_FILE;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, `${JSON.stringify(payload)}\n`);
+    return;
+  }
+  const response = await fetch(getOtlpEndpoint(), {
+    method: "POST",
+    headers: { "content-type": "application/json", ...getOtlpHeaders() },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(EXPORT_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`OTLP endpoint responded ${response.status}`);
+  }
+}
+
+function enqueue(span) {
+  if (queue.length >= MAX_QUEUED_SPANS) {
+    droppedSpans += 1;
+    return;
+  }
+  queue.push(span);
+  if (queue.length >= BATCH_SIZE) {
+    flushTraces();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flushTraces();
+    }, FLUSH_INTERVAL_MS);
+    flushTimer.unref?.();
+  }
+}
+
+/**
+ * Export the finished spans now (called on shutdown; otherwise batches go out every 5s)
+ * @returns {Promise<void>} Resolves when every batch queued so far has been exported
+ */
+export function flushTraces() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  const exporter = getExporter();
+  const spans = queue;
+  queue = [];
+  if (!exporter || spans.length === 0) return exporting;
+
+  const dropped = droppedSpans;
+  droppedSpans = 0;
+  exporting = exporting
+    .then(() => exportBatch(exporter, buildExportRequest(spans)))
+    .then(() => {
+      if (dropped > 0) logger.warn("Trace export queue was full, spans dropped", { dropped });
+    })
+    .catch((error) => {
+      // Tracing must never fail a request; the batch is lost
+      logger.warn("Trace export failed", { exporter, spans: spans.length, error: error.message });
+    });
+  return exporting;
+}
@@ -8,6 +8,7 @@ import dotenv from "dotenv";
 dotenv.config();
 
 import { init as initStorage, saveAsync, loadAsync } from './utils/storage.js';
+import { createSessionStore } from './utils/sessionStore.js';
 import * as mongoStorage from './utils/mongodbStorage.js';
 import { initializeCartService } from './services/cartService.js';
 import { initializeFlowContextService } from './services/flowContextService.js';
@@ -115,22 +116,20 @@ async function testMongoConnection() {
       lastUpdated: Date.now()
     };
 
-    const contexts = {};
-    contexts[testSessionId] = testContext;
-    await saveAsync('flowContext', contexts);
+    const flowContextStore = createSessionStore('flowContext');
+    flowContextStore.put(testSessionId, testContext);
+    await flowContextStore.flush();
 
-    const loaded = await loadAsync('flowContext');
-    if (loaded && loaded[testSessionId]) {
+    const loaded = await flowContextStore.get(testSessionId);
+    if (loaded) {
       console.log('✅ Flow context write/read successful');
       console.log(`   Test context saved and retrieved`);
-      console.log(`   Flow stage: ${loaded[testSessionId].flowStage}`);
+      console.log(`   Flow stage: ${loaded.flowStage}`);
     } else {
       console.log('⚠️  Flow context test incomplete');
-      if (loaded) {
-        const keys = Object.keys(loaded);
-        console.log(`   Found ${keys.length} contexts in database`);
-      }
     }
+    flowContextStore.delete(testSessionId);
+    await flowContextStore.flush();
   } catch (error) {
     console.log('❌ Flow context test failed:', error.message);
   }
@@ -146,22 +145,20 @@ async function testMongoConnection() {
       createdAt: Date.now()
     };
 
-    const carts = {};
-    carts[testSessionId] = testCart;
-    await saveAsync('carts', carts);
+    const cartStore = createSessionStore('carts', { timestampField: 'expiresAt' });
+    cartStore.put(testSessionId, testCart);
+    await cartStore.flush();
 
-    const loaded = await loadAsync('carts');
-    if (loaded && loaded[testSessionId]) {
+    const loaded = await cartStore.get(testSessionId);
+    if (loaded) {
       console.log('✅ Cart write/read successful');
       console.log(`   Test cart saved and retrieved`);
-      console.log(`   Cart total: ${loaded[testSessionId].total}`);
+      console.log(`   Cart total: ${loaded.total}`);
     } else {
       console.log('⚠️  Cart test incomplete');
-      if (loaded) {
-        const keys = Object.keys(loaded);
-        console.log(`   Found ${keys.length} carts in database`);
-      }
     }
+    cartStore.delete(testSessionId);
+    await cartStore.flush();
   } catch (error) {
     console.log('❌ Cart test failed:', error.message);
   }
@@ -0,0 +1,122 @@
+/**
+ * Scenario assertions
+ *
+ * Expectations map dot paths to matchers:
+ *
+ *   { "lines.0.plan.id": "MOCK-PLAN-UNL", "lines.length": 1, "total": { "$gte": 35 } }
+ *
+ * A matcher is either a literal (deep equality), a plain object (partial match:
+ * every key must match, extra keys are ignored) or an operator object:
+ *   $eq, $ne, $gt, $gte, $lt, $lte, $in, $exists, $type,
+ *   $contains (substring / array element), $match (regex), $length
+ */
+
+const OPERATORS = {
+  $eq: (actual, expected) => deepEqual(actual, expected),
+  $ne: (actual, expected) => !deepEqual(actual, expected),
+  $gt: (actual, expected) => typeof actual === "number" && actual > expected,
+  $gte: (actual, expected) => typeof actual === "number" && actual >= expected,
+  $lt: (actual, expected) => typeof actual === "number" && actual < expected,
+  $lte: (actual, expected) => typeof actual === "number" && actual <= expected,
+  $in: (actual, expected) => Array.isArray(expected) && expected.some(value => deepEqual(actual, value)),
+  $exists: (actual, expected) => (actual !== undefined && actual !== null) === expected,
+  $type: (actual, expected) => typeOf(actual) === expected,
+  $contains: (actual, expected) => {
+    if (typeof actual === "string") return actual.includes(expected);
+    if (Array.isArray(actual)) return actual.some(item => deepEqual(item, expected) || partialMatch(item, expected).length === 0);
+    return false;
+  },
+  $match: (actual, expected) => typeof actual === "string" && new RegExp(expected).test(actual),
+  $length: (actual, expected) => (Array.isArray(actual) || typeof actual === "string") && actual.length === expected,
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function isPlainObject(value) {
+  return typeOf(value) === "object";
+}
+
+function isOperatorObject(value) {
+  return isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith("$"));
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeOf(a) !== typeOf(b)) return false;
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+  }
+  if (isPlainObject(a)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => deepEqual(a[key], b[key]));
+  }
+  return false;
+}
+
+/**
+ * Read a dot path ("lines.0.plan.id", "lines.length") from a value
+ * @param {*} value - Root value
+ * @param {string} pathExpr - Dot path ("" returns the root)
+ * @returns {*} Value at the path, or undefined
+ */
+export function getPath(value, pathExpr) {
+  if (!pathExpr) return value;
+  return pathExpr.split(".").reduce((current, key) => {
+    if (current === undefined || current === null) return undefined;
+    if (key === "length" && (Array.isArray(current) || typeof current === "string")) return current.length;
+    return current[key];
+  }, value);
+}
+
+/**
+ * Match a value against a matcher
+ * @returns {string[]} Mismatch descriptions (empty when matching)
+ */
+function partialMatch(actual, matcher, label = "") {
+  if (isOperatorObject(matcher)) {
+    return Object.entries(matcher).flatMap(([op, expected]) => {
+      const check = OPERATORS[op];
+      if (!check) return [`${label}: unknown operator ${op}`];
+      return check(actual, expected)
+        ? []
+        : [`${label}: expected ${op} ${JSON.stringify(expected)}, got ${preview(actual)}`];
+    });
+  }
+
+  if (isPlainObject(matcher)) {
+    if (!isPlainObject(actual)) {
+      return [`${label}: expected an object, got ${preview(actual)}`];
+    }
+    return Object.entries(matcher).flatMap(([key, expected]) =>
+      partialMatch(getPath(actual, key), expected, label ? `${label}.${key}` : key));
+  }
+
+  return deepEqual(actual, matcher)
+    ? []
+    : [`${label}: expected ${JSON.stringify(matcher)}, got ${preview(actual)}`];
+}
+
+function preview(value) {
+  const text = JSON.stringify(value);
+  if (text === undefined) return "undefined";
+  return text.length > 200 ? `${text.slice(0, 200)}...` : text;
+}
+
+/**
+ * Check a value against an expectation map
+ * @param {*} actual - Value under test
+ * @param {Object|*} expectation - Path -> matcher map, or a matcher for the value itself
+ * @param {string} label - Prefix for failure messages (e.g. "cart")
+ * @returns {string[]} Failure messages
+ */
+export function checkExpectation(actual, expectation, label) {
+  if (isPlainObject(expectation) && !isOperatorObject(expectation)) {
+    return Object.entries(expectation).flatMap(([pathExpr, matcher]) =>
+      partialMatch(getPath(actual, pathExpr), matcher, `${label}.${pathExpr}`));
+  }
+  return partialMatch(actual, expectation, label);
+}
@@ -0,0 +1,325 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * In-process MCP harness
+ *
+ * Starts the mock Reach API, points the reach tenant at it (REACH_MOCK_URL), keeps
+ * storage in a temp directory (DATA_DIR) and connects an MCP Client to a fresh
+ * MCP Server over an in-memory transport. The server's HTTP routes (payment
+ * callbacks, Streamable HTTP /mcp) are served on a local port and used as the server base URL.
+ * Nothing touches the network beyond 127.0.0.1, or data/.
+ *
+ * Environment must be set before the server modules are imported (several read
+ * process.env at import time), so everything below is loaded dynamically.
+ */
+
+// Purchase polling is shortened so purchase_plans completes in milliseconds, and
+// background status jobs give up after 1.5s so POLLING_TIMEOUT can be exercised.
+// check_coverage is limited to 2 calls a minute (rate-limits scenario).
+// HTTP /mcp requires auth: API-key clients (catalog-client may only browse and fill
+// a cart) and the local token issuer. /metrics requires METRICS_TOKEN. Spans are
+// written to DATA_DIR/traces.jsonl (readTraces action). The catalog cache is cleared
+// before each scenario (clearCatalogCache) and can be invalidated over HTTP. Circuit
+// breakers open after 2 failures in a row and are closed again before each scenario.
+// Tenant configs are reloaded before each scenario so its env (e.g. REACH_API_RATE_LIMIT) applies.
+// The health probes (/health/live, /health/ready) are served like in server.js.
+// The log and readLogs actions write through the server's logger and read LOG_FILE
+// (set by a scenario's env).
+const HARNESS_ENV = {
+  // Tenant secrets (required by config/tenants/reach.json; the mock accepts any value)
+  REACH_ACCOUNT_ACCESS_KEY_ID: "scenario-access-key-id",
+  REACH_ACCOUNT_ACCESS_SECRET_KEY: "scenario-access-secret",
+  REACH_XAPI_KEY: "scenario-xapi-key",
+  SHOPWARE_ACCESS_KEY: "scenario-shopware-key",
+  SHOPWARE_CONTEXT_TOKEN: "scenario-shopware-context",
+  PROTECTION_API_TOKEN: "scenario-protection-token",
+  MCP_API_KEYS: "scenario-client:scenario-key,other-client:other-key,catalog-client:catalog-key",
+  MCP_CLIENT_SCOPES: "catalog-client=catalog:read cart:write",
+  RATE_LIMIT_TOOLS: "check_coverage=2/60",
+  MCP_LOCAL_TOKEN_ISSUER: "true",
+  METRICS_TOKEN: "scenario-metrics-token",
+  TRACING_EXPORTER: "file",
+  CATALOG_CACHE_ADMIN_TOKEN: "scenario-admin-token",
+  CIRCUIT_BREAKER_FAILURES: "2",
+  PURCHASE_INITIAL_POLL_DELAY: "10",
+  PURCHASE_POLL_INTERVAL: "10",
+  PURCHASE_MAX_BACKOFF_DELAY: "50",
+  PURCHASE_STATUS_JOB_MAX_DELAY: "50",
+  PURCHASE_STATUS_JOB_MAX_AGE: "1500",
+};
+
+/**
+ * Spans of the trace whose tools/call root span ended last, from an OTLP/JSON trace file
+ * @param {string} filePath - TRACE_FILE
+ * @returns {Object|null} { root, spans, names } - spans are { name, parentName, traceId, status, attributes }
+ */
+function readLatestToolTrace(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  const attributesOf = span => Object.fromEntries(span.attributes.map(({ key, value }) => [key, Object.values(value)[0]]));
+  const spans = fs.readFileSync(filePath, "utf-8").split("\n").filter(Boolean)
+    .flatMap(line => JSON.parse(line).resourceSpans)
+    .flatMap(resourceSpan => resourceSpan.scopeSpans)
+    .flatMap(scopeSpan => scopeSpan.spans);
+  const root = spans
+    .filter(span => !span.parentSpanId && span.name.startsWith("tools/call "))
+    .sort((a, b) => (BigInt(a.endTimeUnixNano) < BigInt(b.endTimeUnixNano) ? -1 : 1))
+    .pop();
+  if (!root) return null;
+
+  const traceSpans = spans.filter(span => span.traceId === root.traceId);
+  const nameById = new Map(traceSpans.map(span => [span.spanId, span.name]));
+  const simplify = span => ({
+    name: span.name,
+    parentName: nameById.get(span.parentSpanId) ?? null,
+    traceId: span.traceId,
+    status: span.status.code === 2 ? "ERROR" : "UNSET",
+    attributes: attributesOf(span)
+  });
+  return { root: simplify(root), spans: traceSpans.map(simplify), names: traceSpans.map(span => span.name) };
+}
+
+/**
+ * Start the harness
+ * @param {Object} options - Options
+ * @param {Object} options.mockOptions - Options for startReachMockServer (fixtures, pendingStatusPolls)
+ * @returns {Promise<Object>} Harness with callTool, request, actions, getFlowContext, getCart, getStorage, clearCatalogCache, resetCircuitBreakers, reloadTenantConfigs, mock and close()
+ */
+export async function startHarness({ mockOptions = {} } = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "reach-mcp-scenarios-"));
+  process.env.DATA_DIR = dataDir;
+  process.env.TRACE_FILE = path.join(dataDir, "traces.jsonl");
+  Object.entries(HARNESS_ENV).forEach(([key, value]) => {
+    if (process.env[key] === undefined) process.env[key] = value;
+  });
+
+  const { startReachMockServer } = await import("../../mock/reachMockServer.js");
+  const mock = await startReachMockServer({ port: 0, ...mockOptions });
+  process.env.REACH_MOCK_URL = mock.url;
+
+  const { InMemoryTransport } = await import("@modelcontextprotocol/sdk/inMemory.js");
+  const { Client } = await import("@modelcontextprotocol/sdk/client/index.js");
+  const { createMcpServer } = await import("../../mcpServer.js");
+  const { initializeCartService, getCartMultiLine } = await import("../../services/cartService.js");
+  const { initializeFlowContextService, getFlowContext } = await import("../../services/flowContextService.js");
+  const { setServerBaseUrl } = await import("../../tools/helpers.js");
+  const { setupPaymentCallbacks } = await import("../../paymentCallbacks.js");
+  const { setupHealthEndpoints } = await import("../../healthEndpoint.js");
+  const { setupMetricsEndpoint } = await import("../../metricsEndpoint.js");
+  const { setupCatalogCacheEndpoint } = await import("../../catalogCacheEndpoint.js");
+  const { invalidateCatalogCache } = await import("../../services/catalogCacheService.js");
+  const { resetCircuitBreakers } = await import("../../services/circuitBreakerService.js");
+  const { loadTenantConfigs } = await import("../../config/tenantConfig.js");
+  const { setupMcpRoutes, evictIdleMcpSessions, closeAllMcpSessions } = await import("../../mcpHttpSessions.js");
+  const { setupMcpAuth, requireMcpAuth } = await import("../../mcpAuth.js");
+  const { startPurchaseJobWorker, stopPurchaseJobWorker } = await import("../../services/purchaseJobService.js");
+  const { flushSessionStores } = await import("../../utils/sessionStore.js");
+  const { correlationMiddleware } = await import("../../utils/logContext.js");
+  const { log } = await import("../../utils/logger.js");
+  const { flushTraces } = await import("../../services/tracingService.js");
+  const { default: express } = await import("express");
+
+  await initializeCartService();
+  await initializeFlowContextService();
+  await startPurchaseJobWorker();
+
+  const app = express();
+  app.use(express.json());
+  app.use(correlationMiddleware);
+  setupPaymentCallbacks(app);
+  setupHealthEndpoints(app);
+  setupMetricsEndpoint(app);
+  setupCatalogCacheEndpoint(app);
+  setupMcpAuth(app);
+  setupMcpRoutes(app, { middleware: [requireMcpAuth] });
+  const httpServer = await new Promise((resolve, reject) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+    listening.on("error", reject);
+  });
+  const serverUrl = `http://127.0.0.1:${httpServer.address().port}`;
+  setServerBaseUrl(serverUrl);
+  process.env.SERVER_URL = serverUrl;
+
+  const server = createMcpServer();
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.connect(serverTransport);
+
+  const client = new Client({ name: "scenario-runner", version: "1.0.0" });
+  await client.connect(clientTransport);
+
+  // Named clients (e.g. two customers) each get their own server connection whose
+  // transport session ID plays the role of Mcp-Session-Id
+  const namedConnections = new Map();
+  async function getClient(name) {
+    if (!name) return client;
+    if (!namedConnections.has(name)) {
+      const namedServer = createMcpServer();
+      const [namedClientTransport, namedServerTransport] = InMemoryTransport.createLinkedPair();
+      namedServerTransport.sessionId = `scenario-client-${name}`;
+      await namedServer.connect(namedServerTransport);
+      const namedClient = new Client({ name: `scenario-runner-${name}`, version: "1.0.0" });
+      await namedClient.connect(namedClientTransport);
+      namedConnections.set(name, { server: namedServer, client: namedClient });
+    }
+    return namedConnections.get(name).client;
+  }
+
+  return {
+    client,
+    mock,
+    dataDir,
+    serverUrl,
+
+    /**
+     * Call a tool and normalize the result for assertions
+     * @param {string} name - Tool name
+     * @param {Object} args - Tool arguments
+     * @param {Object} options - Options
+     * @param {string} options.client - Named client to call as (default: the anonymous client)
+     * @returns {Promise<Object>} { isError, structuredContent, meta, text, raw }
+     */
+    async callTool(name, args = {}, { client: clientName = null } = {}) {
+      const raw = await (await getClient(clientName)).callTool({ name, arguments: args });
+      return {
+        isError: raw.isError === true,
+        structuredContent: raw.structuredContent ?? null,
+        meta: raw._meta ?? null,
+        text: (raw.content || [])
+          .filter(item => item.type === "text")
+          .map(item => item.text)
+          .join("\n"),
+        raw
+      };
+    },
+
+    /**
+     * Send an HTTP request to the server's routes or the mock Reach API (redirects are not followed)
+     * @param {Object} request - { target: "server" | "mock", method, path, headers, body }
+     *   path may also be an absolute URL (e.g. a captured redirect location)
+     * @returns {Promise<Object>} { status, body, text, location, headers }
+     */
+    async request({ target = "server", method = "GET", path: requestPath, headers = {}, body } = {}) {
+      const baseUrl = target === "mock" ? mock.url : serverUrl;
+      const url = /^https?:\/\//.test(requestPath) ? requestPath : `${baseUrl}${requestPath}`;
+      const response = await fetch(url, {
+        method,
+        redirect: "manual",
+        headers: body !== undefined ? { "Content-Type": "application/json", ...headers } : headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+      const text = await response.text();
+      let json = null;
+      try {
+        json = JSON.parse(text);
+      } catch {
+        // Not JSON (HTML page or empty redirect body)
+      }
+      return {
+        status: response.status,
+        body: json,
+        text,
+        location: response.headers.get("location"),
+        headers: Object.fromEntries(response.headers.entries())
+      };
+    },
+
+    /**
+     * Harness actions a scenario step can trigger ({ "action": "<name>" })
+     */
+    actions: {
+      // Simulate a restart of the background purchase-status worker: jobs are reloaded from storage
+      async restartPurchaseJobs() {
+        stopPurchaseJobWorker();
+        return { pending: await startPurchaseJobWorker() };
+      },
+      // Stop the purchase-status worker, as shutdown does (restartPurchaseJobs starts it again)
+      async stopPurchaseJobs() {
+        stopPurchaseJobWorker();
+        return {};
+      },
+      // Close every idle Streamable HTTP session, as the idle timeout would
+      async evictIdleMcpSessions() {
+        return { evicted: await evictIdleMcpSessions(0) };
+      },
+      // Export pending spans and return the trace of the latest tool call
+      async readTraces() {
+        await flushTraces();
+        return { trace: readLatestToolTrace(process.env.TRACE_FILE) };
+      },
+      // Write a log line through the server's logger ({ level, message, data, times })
+      async log({ level = "INFO", message = "Scenario log", data = {}, times = 1 } = {}) {
+        for (let index = 0; index < times; index++) log(level, message, data);
+        return {};
+      },
+      // Entries of LOG_FILE, its last entry and the log files present (LOG_FILE and its rotations)
+      async readLogs() {
+        const filePath = process.env.LOG_FILE;
+        if (!filePath || !fs.existsSync(filePath)) return { logs: { entries: [], last: null, files: [] } };
+        const entries = fs.readFileSync(filePath, "utf-8").split("\n").filter(Boolean).map(line => JSON.parse(line));
+        const files = fs.readdirSync(path.dirname(filePath))
+          .filter(file => file === path.basename(filePath) || file.startsWith(`${path.basename(filePath)}.`))
+          .sort();
+        return { logs: { entries, last: entries[entries.length - 1] ?? null, files } };
+      }
+    },
+
+    /**
+     * Read what the server persisted: DATA_DIR/<key>.json files and session store
+     * directories (DATA_DIR/<collection>/<id>.json), after flushing pending writes
+     * @returns {Object} { <key>: <parsed file> | { <id>: <parsed document> } }
+     */
+    getStorage() {
+      flushSessionStores();
+      const readJSON = filePath => JSON.parse(fs.readFileSync(filePath, "utf-8"));
+      return Object.fromEntries(fs.readdirSync(dataDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() || entry.name.endsWith(".json"))
+        .map((entry) => {
+          const entryPath = path.join(dataDir, entry.name);
+          if (!entry.isDirectory()) return [path.basename(entry.name, ".json"), readJSON(entryPath)];
+          const documents = fs.readdirSync(entryPath)
+            .filter(file => file.endsWith(".json"))
+            .map(file => [decodeURIComponent(path.basename(file, ".json")), readJSON(path.join(entryPath, file))]);
+          return [entry.name, Object.fromEntries(documents)];
+        }));
+    },
+
+    // Scenarios start without cached catalog data (mock rules must reach the mock)
+    clearCatalogCache() {
+      invalidateCatalogCache();
+    },
+
+    // ...and with every circuit breaker closed
+    resetCircuitBreakers() {
+      resetCircuitBreakers();
+    },
+
+    // ...and with tenant configs resolved from the current environment
+    reloadTenantConfigs() {
+      loadTenantConfigs();
+    },
+
+    getFlowContext(sessionId) {
+      return sessionId ? getFlowContext(sessionId) : null;
+    },
+
+    getCart(sessionId) {
+      return sessionId ? getCartMultiLine(sessionId) : null;
+    },
+
+    async close() {
+      stopPurchaseJobWorker();
+      await closeAllMcpSessions();
+      for (const connection of namedConnections.values()) {
+        await connection.client.close();
+        await connection.server.close();
+      }
+      await client.close();
+      await server.close();
+      httpServer.closeAllConnections?.();
+      await new Promise(resolve => httpServer.close(() => resolve()));
+      await mock.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+
+/**
+ * Scenario runner
+ *
+ * Replays declarative tool-call scenarios (tests/scenarios/*.json) against an
+ * in-process MCP server backed by the mock Reach API, asserting on each step's
+ * result, the session's flow context and its cart.
+ *
+ * Usage:
+ *   npm test                                        # all scenarios
+ *   node tests/runScenarios.js tests/scenarios/x.json   # selected files
+ *   node tests/runScenarios.js --verbose            # include server logs (stderr)
+ *
+ * Scenario file format:
+ * {
+ *   "name": "Single line eSIM purchase",
+ *   "description": "optional",
+ *   "mock": [ { "path": "/apisvc/v0/product/quote", "failure": "modifiedDate", "times": 1 } ],
+ *   "env": { "MULTI_USER_MODE": "true" },
+ *   "steps": [
+ *     {
+ *       "tool": "start_session",
+ *       "args": { "lineCount": 1 },
+ *       "capture": { "sessionId": "meta.sessionId" },
+ *       "expect": {
+ *         "isError": false,
+ *         "text": { "$contains": "Session Started" },
+ *         "structuredContent": { "plans.length": 3 },
+ *         "meta": { "lineCount": 1 },
+ *         "flowContext": { "lineCount": 1 },
+ *         "cart": { "lines.length": 0 }
+ *       }
+ *     }
+ *   ]
+ * }
+ *
+ * A step can send an HTTP request instead of calling a tool (e.g. a payment callback):
+ *     {
+ *       "request": { "target": "mock", "method": "GET", "path": "/__mock/pay/{{transactionId}}" },
+ *       "capture": { "returnUrl": "location" },
+ *       "expect": { "status": 302, "body": { ... }, "location": { "$contains": "/payments/callback/" } }
+ *     }
+ * target is "server" (this server's HTTP routes, default) or "mock" (mock Reach API).
+ * Request results also carry the response "headers" (lower-case names).
+ *
+ * Background work is awaited with a wait step, whose expectations are re-checked until they
+ * pass or timeoutMs (default 3000) elapses; "action" steps run a harness action:
+ *     { "wait": { "timeoutMs": 3000 }, "expect": { "flowContext": { "purchase.statusSource": "JOB" } } }
+ *     { "action": "restartPurchaseJobs" }
+ *     { "action": "evictIdleMcpSessions" }
+ *     { "action": "readTraces", "expect": { "trace": { "root.name": "tools/call purchase_plans" } } }
+ *     { "action": "log", "args": { "level": "WARN", "message": "...", "data": { ... }, "times": 1 } }
+ *     { "action": "readLogs", "expect": { "logs": { "last.message": "...", "files.length": 1 } } }
+ * "storage" expectations match the persisted data files ({ "purchaseJobs.<id>.status": ... }).
+ *
+ * A "parallel" step starts its sub-steps (tool calls or requests) at the same time and then
+ * captures and checks each one in order:
+ *     { "parallel": [ { "tool": "purchase_plans", "args": { ... }, "expect": { ... } }, { ... } ] }
+ *
+ * Tool steps run as an anonymous client unless they name one ("client": "alice"); each named
+ * client has its own connection and MCP transport session, like separate customers over HTTP.
+ *
+ * "{{name}}" in args and expectations is replaced by a captured value. Captures read paths from the
+ * step result ({ isError, structuredContent, meta, text }, or { status, body, text, location } for
+ * requests), or "flowContext.<path>" / "cart.<path>" of the session. flowContext/cart
+ * expectations use the scenario's sessionId capture. Step-level "mock" rules are
+ * scripted just before that step runs. Scenario "env" variables are set while the scenario
+ * runs (for settings read at call time, and tenant config values, which are reloaded before
+ * each scenario) and restored afterwards; "{{dataDir}}" in them is the harness DATA_DIR. See tests/harness/assertions.js for matchers.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { startHarness } from "./harness/mcpHarness.js";
+import { checkExpectation, getPath } from "./harness/assertions.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCENARIOS_DIR = path.join(__dirname, "scenarios");
+const DEFAULT_WAIT_TIMEOUT_MS = 3000;
+
+/**
+ * Replace "{{name}}" placeholders with captured values
+ * A string that is exactly one placeholder keeps the captured value's type.
+ */
+function substitute(value, vars) {
+  if (typeof value === "string") {
+    const whole = value.match(/^\{\{(\w+)\}\}$/);
+    if (whole) return vars[whole[1]];
+    return value.replace(/\{\{(\w+)\}\}/g, (_, key) => String(vars[key] ?? ""));
+  }
+  if (Array.isArray(value)) return value.map(item => substitute(item, vars));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, val]) => [substitute(key, vars), substitute(val, vars)]));
+  }
+  return value;
+}
+
+function loadScenario(filePath) {
+  const scenario = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+    throw new Error(`Scenario ${filePath} has no steps`);
+  }
+  return { name: path.basename(filePath, ".json"), ...scenario, file: filePath };
+}
+
+function listScenarioFiles(args) {
+  const files = args.filter(arg => !arg.startsWith("--"));
+  if (files.length > 0) return files.map(file => path.resolve(file));
+  return fs.readdirSync(SCENARIOS_DIR)
+    .filter(file => file.endsWith(".json"))
+    .sort()
+    .map(file => path.join(SCENARIOS_DIR, file));
+}
+
+function stepLabel(step, index) {
+  if (step.parallel) return `step ${index + 1} (parallel ${step.parallel.map(subStep => subStep.tool || subStep.request?.path).join(", ")})`;
+  if (step.request) return `step ${index + 1} (${step.request.method || "GET"} ${step.request.path})`;
+  if (step.action) return `step ${index + 1} (action ${step.action})`;
+  if (step.wait) return `step ${index + 1} (wait)`;
+  return `step ${index + 1} (${step.tool}${step.client ? ` as ${step.client}` : ""})`;
+}
+
+async function executeStep(harness, step, vars) {
+  if (step.request) return harness.request(substitute(step.request, vars));
+  if (step.action) {
+    const action = harness.actions[step.action];
+    if (!action) throw new Error(`Unknown harness action "${step.action}"`);
+    return { ...(await action(substitute(step.args || {}, vars))), text: "" };
+  }
+  if (step.wait) return { text: "" };
+  return harness.callTool(step.tool, substitute(step.args || {}, vars), { client: step.client });
+}
+
+/**
+ * Read a capture path: result paths, or "flowContext.<path>" / "cart.<path>" of the scenario's session
+ */
+function readCapture(harness, result, pathExpr, sessionId) {
+  const [root, ...rest] = pathExpr.split(".");
+  if (root === "flowContext") return getPath(harness.getFlowContext(sessionId), rest.join("."));
+  if (root === "cart") return getPath(harness.getCart(sessionId), rest.join("."));
+  return getPath(result, pathExpr);
+}
+
+function captureStep(harness, step, result, vars) {
+  Object.entries(step.capture || {}).forEach(([name, pathExpr]) => {
+    vars[name] = readCapture(harness, result, pathExpr, vars.sessionId);
+  });
+}
+
+function checkStep(harness, result, expect, sessionId) {
+  const failures = [];
+  ["isError", "text", "structuredContent", "meta", "status", "body", "location", "headers", "trace", "logs"].forEach((key) => {
+    if (expect[key] !== undefined) {
+      failures.push(...checkExpectation(result[key], expect[key], key));
+    }
+  });
+  if (expect.flowContext !== undefined) {
+    failures.push(...checkExpectation(harness.getFlowContext(sessionId), expect.flowContext, "flowContext"));
+  }
+  if (expect.cart !== undefined) {
+    failures.push(...checkExpectation(harness.getCart(sessionId), expect.cart, "cart"));
+  }
+  if (expect.storage !== undefined) {
+    failures.push(...checkExpectation(harness.getStorage(), expect.storage, "storage"));
+  }
+  return failures;
+}
+
+/**
+ * Set environment variables, returning a function that restores the previous values
+ */
+function applyEnv(env = {}) {
+  const previous = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+  Object.assign(process.env, env);
+  return () => Object.entries(previous).forEach(([key, value]) => {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  });
+}
+
+/**
+ * Run one scenario
+ * @returns {Promise<{ passed: boolean, failures: string[] }>}
+ */
+async function runScenario(harness, scenario) {
+  const restoreEnv = applyEnv(substitute(scenario.env || {}, { dataDir: harness.dataDir }));
+  try {
+    return await runScenarioSteps(harness, scenario);
+  } finally {
+    restoreEnv();
+  }
+}
+
+async function runScenarioSteps(harness, scenario) {
+  const vars = {};
+  harness.mock.clearRules();
+  harness.clearCatalogCache();
+  harness.resetCircuitBreakers();
+  harness.reloadTenantConfigs();
+  (scenario.mock || []).forEach(rule => harness.mock.script(rule));
+
+  for (const [index, step] of scenario.steps.entries()) {
+    const label = stepLabel(step, index);
+    (step.mock || []).forEach(rule => harness.mock.script(rule));
+
+    // Parallel sub-steps start together (e.g. concurrent retries) and are checked in order
+    if (step.parallel) {
+      const results = await Promise.all(step.parallel.map(subStep => executeStep(harness, subStep, vars)));
+      for (const [subIndex, subStep] of step.parallel.entries()) {
+        captureStep(harness, subStep, results[subIndex], vars);
+        const failures = checkStep(harness, results[subIndex], substitute(subStep.expect || {}, vars), vars.sessionId);
+        if (failures.length > 0) {
+          return {
+            passed: false,
+            failures: failures.map(failure => `${label} #${subIndex + 1}: ${failure}`),
+            output: results[subIndex].text.slice(0, 500)
+          };
+        }
+      }
+      continue;
+    }
+
+    const result = await executeStep(harness, step, vars);
+    captureStep(harness, step, result, vars);
+
+    const expect = substitute(step.expect || {}, vars);
+    let failures = checkStep(harness, result, expect, vars.sessionId);
+
+    // Wait steps re-check their expectations until they pass (background work) or time out
+    if (step.wait) {
+      const deadline = Date.now() + (step.wait.timeoutMs || DEFAULT_WAIT_TIMEOUT_MS);
+      while (failures.length > 0 && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, step.wait.intervalMs || 20));
+        failures = checkStep(harness, result, expect, vars.sessionId);
+      }
+    }
+
+    if (failures.length > 0) {
+      return {
+        passed: false,
+        failures: failures.map(failure => `${label}: ${failure}`),
+        output: result.text.slice(0, 500)
+      };
+    }
+  }
+
+  return { passed: true, failures: [] };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const verbose = args.includes("--verbose") || process.env.SCENARIO_VERBOSE === "true";
+  if (!verbose) {
+    // Server logs go to stderr; keep runner output readable
+    console.error = () => {};
+  }
+
+  const scenarios = listScenarioFiles(args).map(loadScenario);
+  const harness = await startHarness();
+  let failed = 0;
+
+  for (const scenario of scenarios) {
+    const startedAt = Date.now();
+    let outcome;
+    try {
+      outcome = await runScenario(harness, scenario);
+    } catch (error) {
+      outcome = { passed: false, failures: [`threw: ${error.stack || error.message}`] };
+    }
+
+    const duration = `${Date.now() - startedAt}ms`;
+    if (outcome.passed) {
+      console.log(`✓ ${scenario.name} (${duration})`);
+    } else {
+      failed += 1;
+      console.log(`✗ ${scenario.name} (${duration})`);
+      outcome.failures.forEach(failure => console.log(`    ${failure}`));
+      if (outcome.output) console.log(`    tool output: ${outcome.output.replace(/\n/g, " | ")}`);
+    }
+  }
+
+  await harness.close();
+  console.log(`\n${scenarios.length - failed}/${scenarios.length} scenarios passed`);
+  // Services keep timers (token refresh, persistence) alive; exit explicitly
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.log(`Scenario runner failed: ${error.stack || error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,947 @@
+import { getPlans } from "../services/plansService.js";
+import { addToCart, getCartMultiLine, addToCartLine } from "../services/cartService.js";
+import { fetchDevices } from "../services/deviceService.js";
+import { getFlowContext, updateFlowContext, getFlowProgress, setResumeStep, updateLastIntent, addConversationHistory } from "../services/flowContextService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { calculateProtectionPrice, getProtectionCoverage } from "../utils/protectionPricing.js";
+import { INTENT_TYPES } from "../services/intentService.js";
+import { setCurrentQuestion, QUESTION_TYPES } from "../services/conversationTrackingService.js";
+import { determineOptimalLineAssignment } from "../services/lineAssignmentService.js";
+import { normalizeDeviceImageUrl } from "../utils/formatter.js";
+import { logger } from "../utils/logger.js";
+import { getServerBaseUrl, normalizePlanNameForDisplay, formatThreeSectionResponse, autoAssignEsimForLines, getNextStepsForIntent } from "./helpers.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * add_to_cart - adds plans, devices, protection or SIMs to cart lines
+ */
+export const addToCartTool = {
+  name: "add_to_cart",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. Add or replace a line-scoped item in cart (PLAN/DEVICE/PROTECTION/SIM). Supports multi-line structure - specify lineNumber to add item to a specific line. SessionId auto-generated if not provided. FLOW LOGIC: Automatically updates flow context (bundle.lines[*].selections), sets appropriate resume step, and tracks intent. If adding plan to new session, initializes lineCount=1. Ensures cart exists (cart_start equivalent). Returns conversational guidance with next steps. CRITICAL PLAN SELECTION FLOW: After adding a plan (itemType='plan'), if there are still lines without plans: 1) If selectionMode='sequential', DO NOT call get_plans - just return text response telling user to select plan for next line. 2) If selectionMode='initial' or 'applyAll', you may call get_plans to show plans. In sequential mode, the system returns text-only responses to guide user through selecting plans for remaining lines without showing plans cards again. NON-LINEAR: Users can add items in any order. System tracks progress per line and suggests next steps. GUARDRAILS: Protection requires device for that line. Plans and SIM required before checkout.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      sessionId: {
+        type: "string",
+        description: "Session ID (optional - auto-generated if not provided)"
+      },
+      itemType: {
+        type: "string",
+        enum: ["plan", "device", "protection", "sim"],
+        description: "Kind of item: PLAN, DEVICE, PROTECTION, or SIM"
+      },
+      itemId: {
+        type: "string",
+        description: "Reference ID of the item to add (planRef, deviceRef, protectionRef, or simRef)"
+      },
+      lineNumber: {
+        type: "integer",
+        minimum: 1,
+        description: "Line number for multi-line cart (optional - auto-assigns to first available line if not provided)"
+      },
+      lineNumbers: {
+        type: "array",
+        items: {
+          type: "integer",
+          minimum: 1
+        },
+        description: "Line numbers to add a plan to (optional - for adding the same plan to several lines at once)"
+      },
+      itemName: {
+        type: "string",
+        description: "Item display name (optional, used for protection items and better error messages)"
+      },
+      itemPrice: {
+        type: "number",
+        minimum: 0,
+        description: "Item price (optional, used for protection items and cart totals)"
+      },
+      simType: {
+        type: "string",
+        enum: ["ESIM", "PSIM"],
+        description: "DEPRECATED: SIM type parameter (SIM selection is no longer needed - eSIM is automatically set when plans are added)"
+      },
+      iccId: {
+        type: "string",
+        description: "ICCID for Physical SIM (optional, used for PSIM swaps)"
+      },
+      newIccId: {
+        type: "string",
+        description: "New ICCID for Physical SIM swap (optional, alias for iccId)"
+      },
+      meta: {
+        type: "object",
+        description: "Additional metadata for the item (optional)"
+      }
+    },
+    required: ["itemType", "itemId"],
+  },
+  scope: TOOL_SCOPES.CART_WRITE,
+  handler: handleAddToCart
+};
+
+async function handleAddToCart(args, { tenant }) {
+  logger.debug("add_to_cart handler reached", { toolName: "add_to_cart" });
+  const itemType = args.itemType || 'plan';
+  const lineNumber = args.lineNumber || null;
+  const lineNumbersArg = Array.isArray(args.lineNumbers) ? args.lineNumbers : null;
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+
+  let item;
+
+  // Fetch item based on type
+  if (itemType === 'plan') {
+    const plans = await getPlans(null, tenant);
+    // Search by id (transformed) or uniqueIdentifier (original API field)
+    item = plans.find((p) =>
+      p.id === args.itemId ||
+      p.uniqueIdentifier === args.itemId ||
+      (p.id && p.id.toString() === args.itemId.toString()) ||
+      (p.uniqueIdentifier && p.uniqueIdentifier.toString() === args.itemId.toString())
+    );
+    if (!item) {
+      throw new Error(`Plan ${args.itemId} not found. Available plans: ${plans.map(p => p.id || p.uniqueIdentifier).join(', ')}`);
+    }
+    item = {
+      type: 'plan',
+      id: item.id || item.uniqueIdentifier,
+      uniqueIdentifier: item.uniqueIdentifier || item.id,
+      name: normalizePlanNameForDisplay(item.displayName || item.displayNameWeb || item.name),
+      // Store original displayName/displayNameWeb for Purchase API (needs exact format)
+      displayName: item.displayName,
+      displayNameWeb: item.displayNameWeb,
+      price: item.price || item.baseLinePrice || 0,
+      // Multi-line pricing inputs (see pricingService)
+      baseLinePrice: item.baseLinePrice ?? item.price,
+      additionalLinePrice: item.additionalLinePrice,
+      discountPctg: item.discountPctg || 0,
+      data: item.data || item.planData,
+      dataUnit: item.dataUnit || 'GB',
+      serviceCode: item.serviceCode, // Store serviceCode for purchase API
+      planType: item.planType,
+      planCharging: item.planCharging,
+    };
+  } else if (itemType === 'device') {
+    // Fetch devices - use maximum allowed limit (100) and no brand filter first
+    let devices = await fetchDevices(100, null, tenant);
+
+    // If no devices found, log warning but continue
+    if (!devices || devices.length === 0) {
+      logger.warn("No devices found when trying to add to cart", {
+        itemId: args.itemId,
+        tenant
+      });
+      throw new Error(`Unable to fetch devices from the catalog. Please try again or browse devices first.`);
+    }
+
+    // Try to find device by multiple criteria:
+    // 1. Exact match on id, productNumber, or ean
+    // 2. Exact match on name (case-insensitive)
+    // 3. Partial match on name (case-insensitive)
+    const itemIdLower = (args.itemId || '').toLowerCase().trim();
+    item = devices.find((d) => {
+      const id = d.id || d.productNumber || d.ean || '';
+      const name = (d.name || d.translated?.name || '').toLowerCase();
+
+      // Exact ID match
+      if (id && id.toLowerCase() === itemIdLower) return true;
+
+      // Exact name match
+      if (name && name === itemIdLower) return true;
+
+      // Partial name match (device name contains the search term)
+      if (name && name.includes(itemIdLower)) return true;
+
+      // Reverse partial match (search term contains key parts of device name)
+      const nameWords = name.split(/\s+/).filter(w => w.length > 3); // Words longer than 3 chars
+      if (nameWords.some(word => itemIdLower.includes(word))) return true;
+
+      return false;
+    });
+
+    if (!item) {
+      // Log available device names for debugging
+      const availableNames = devices.slice(0, 5).map(d => d.name || d.translated?.name || d.id || 'Unknown').join(', ');
+      logger.warn("Device not found in catalog", {
+        searchedItemId: args.itemId,
+        totalDevices: devices.length,
+        sampleDeviceNames: availableNames,
+        tenant
+      });
+      throw new Error(`Device "${args.itemId}" not found in the catalog. Please browse available devices first or check the device name.`);
+    }
+
+    // Extract device image from multiple sources and normalize URL
+    const rawImageUrl = item.cover?.media?.url ||
+      (item.media && item.media[0]?.media?.url) ||
+      item.image ||
+      item.coverImage ||
+      item.thumbnail ||
+      null;
+    const deviceImage = normalizeDeviceImageUrl(rawImageUrl);
+
+    // Extract device properties for specs
+    const properties = item.properties || [];
+
+    // Determine local image path for fallback
+    let localImageUrl = null;
+    if (rawImageUrl) {
+      const extension = rawImageUrl.split('.').pop().split(/[?#]/)[0] || 'png';
+      const localPath = `/public/assets/${item.id || item.productNumber}.${extension}`;
+      // Use absolute URL if base URL is detected, otherwise relative
+      localImageUrl = getServerBaseUrl() ? `${getServerBaseUrl()}${localPath}` : localPath;
+    }
+
+    item = {
+      type: 'device',
+      id: item.id || item.productNumber || item.ean,
+      sku: item.productNumber || item.id || item.ean, // Purchase API orders devices by SKU
+      name: item.name || item.translated?.name,
+      brand: item.manufacturer?.name || item.brand || item.translated?.manufacturer?.name || '',
+      price: item.calculatedPrice?.unitPrice || item.calculatedPrice?.totalPrice || item.price?.[0]?.gross || 0,
+      image: deviceImage,
+      localImageUrl: localImageUrl,
+      properties: properties,
+      customFields: item.customFields || {},
+      translated: item.translated || {},
+      calculatedPrice: item.calculatedPrice || null,
+      available: item.available,
+      availableStock: item.availableStock,
+      stock: item.stock,
+    };
+  } else if (itemType === 'protection') {
+    // Protection plans - price will be calculated based on device price on target line
+    // Coverage information will be added
+    const coverageInfo = getProtectionCoverage();
+    item = {
+      type: 'protection',
+      id: args.itemId,
+      name: args.itemName || 'Device Protection',
+      price: args.itemPrice || 0, // Will be recalculated based on device price before adding to cart
+      coverage: coverageInfo.coverage,
+      highlights: coverageInfo.highlights
+    };
+  } else if (itemType === 'sim') {
+    // DEPRECATED: SIM selection is no longer needed - eSIM is automatically set when plan is added
+    // This code path is kept for backward compatibility only
+    const simType = args.simType || args.itemId; // itemId can be 'ESIM' or 'PSIM'
+    if (!simType || (simType !== 'ESIM' && simType !== 'PSIM')) {
+      throw new Error(`Invalid SIM type: ${simType}. Must be 'ESIM' or 'PSIM'.`);
+    }
+    item = {
+      type: 'sim',
+      simType: simType,
+      iccId: args.iccId || args.newIccId || null,
+      name: simType === 'ESIM' ? 'eSIM' : 'Physical SIM',
+      price: 0, // SIMs are typically free
+      id: `sim_${simType.toLowerCase()}`,
+    };
+  } else {
+    throw new Error(`Unknown item type: ${itemType}`);
+  }
+
+  // Ensure flow context exists first to check lineCount
+  const sessionIdForContext = getOrCreateSessionId(sessionId || null);
+  let flowContext = getFlowContext(sessionIdForContext);
+
+  // For devices: Check if line count is set, if not, ask for it and resume device selection
+  if (itemType === 'device' && (!flowContext || !flowContext.lineCount || flowContext.lineCount === 0)) {
+    // Set resume step to device selection so we can continue after line count is provided
+    setResumeStep(sessionIdForContext, 'device_selection');
+    // Set current question to ask for line count
+    setCurrentQuestion(sessionIdForContext, QUESTION_TYPES.LINE_COUNT,
+      "How many lines do you need? (Each line can have a device)",
+      { lineCount: true });
+    // Update last intent to remember we're in device flow
+    updateLastIntent(sessionIdForContext, INTENT_TYPES.DEVICE, 'add_to_cart');
+
+    return {
+      content: [{
+        type: "text",
+        text: `## 📱 Device Selected\n\n` +
+          `Great choice! You've selected **${item.name}**.\n\n` +
+          `Before I can add this device to your cart, I need to know how many lines you'd like to set up.\n\n` +
+          `**How many lines do you need?**\n\n` +
+          `For example:\n` +
+          `• "1 line"\n` +
+          `• "2 lines"\n` +
+          `• "Family of 4 lines"\n\n` +
+          `Once you tell me the number of lines, I'll immediately add the device to your cart and you can continue shopping. 📱✨`
+      }],
+      _meta: {
+        sessionId: sessionIdForContext,
+        intent: INTENT_TYPES.DEVICE,
+        requiresLineCount: true,
+        resumeStep: 'device_selection',
+        deviceItem: item // Store the device item for later use
+      }
+    };
+  }
+
+  // For plans: if line count is missing, ask before adding to cart
+  if (itemType === 'plan' && (!flowContext || !flowContext.lineCount || flowContext.lineCount === 0)) {
+    setResumeStep(sessionIdForContext, 'plan_selection');
+    setCurrentQuestion(sessionIdForContext, QUESTION_TYPES.LINE_COUNT,
+      "How many lines do you need? (You can choose the same or different plans per line)",
+      { lineCount: true });
+    updateLastIntent(sessionIdForContext, INTENT_TYPES.PLAN, 'add_to_cart');
+
+    return {
+      content: [{
+        type: "text",
+        text: `## 📱 Plan Selected\n\n` +
+          `Great choice! You've selected **${item.name}**.\n\n` +
+          `Before I add this plan to your cart, I need to know how many lines you'd like to set up.\n\n` +
+          `**How many lines do you need?**\n\n` +
+          `Once you tell me, I can apply this plan to all lines or mix and match.`
+      }],
+      _meta: {
+        sessionId: sessionIdForContext,
+        intent: INTENT_TYPES.PLAN,
+        requiresLineCount: true,
+        resumeStep: 'plan_selection',
+        planItem: item
+      }
+    };
+  }
+
+  // Determine target line number(s) using smart assignment
+  let targetLineNumber = lineNumber;
+  let targetLineNumbers = null;
+  let assignmentSuggestion = null;
+  let assignmentReason = null;
+
+  const wantsAllLines = typeof lineNumber === 'string' && lineNumber.toLowerCase() === 'all';
+  const normalizedLineNumbers = lineNumbersArg
+    ? lineNumbersArg
+        .map(n => Number.parseInt(n, 10))
+        .filter(n => Number.isInteger(n) && n > 0)
+    : [];
+
+  if (flowContext) {
+    if ((itemType === 'plan' || itemType === 'device') && (wantsAllLines || normalizedLineNumbers.length > 0)) {
+      const maxLines = flowContext.lineCount || 0;
+      if (!maxLines) {
+        return {
+          content: [{
+            type: "text",
+            text: `## 📱 Line Count Required\n\nBefore I can add this plan to multiple lines, I need to know how many lines you'd like to set up.\n\n**How many lines do you need?**`
+          }],
+          _meta: {
+            sessionId: sessionIdForContext,
+            intent: INTENT_TYPES.PLAN,
+            requiresLineCount: true,
+            resumeStep: 'plan_selection',
+            planItem: item
+          }
+        };
+      }
+
+      if (wantsAllLines) {
+        targetLineNumbers = Array.from({ length: maxLines }, (_, i) => i + 1);
+        assignmentSuggestion = `I'll add this plan to all ${maxLines} lines.`;
+        assignmentReason = 'apply_all';
+      } else {
+        targetLineNumbers = normalizedLineNumbers.filter(n => n <= maxLines);
+        assignmentSuggestion = `I'll add this plan to lines ${targetLineNumbers.join(', ')}.`;
+        assignmentReason = 'multi_line';
+      }
+    }
+  }
+
+  if (flowContext && (!targetLineNumbers || targetLineNumbers.length === 0)) {
+    try {
+      // Use smart line assignment
+      const assignment = determineOptimalLineAssignment(flowContext, itemType, lineNumber);
+
+      // Handle case where assignment fails (e.g., protection without device)
+      if (assignment.targetLineNumber === null) {
+        return {
+          content: [{
+            type: "text",
+            text: `## ⚠️ Cannot Add ${itemType.charAt(0).toUpperCase() + itemType.slice(1)}\n\n${assignment.suggestion}\n\n**What you can do:**\n• Add a device first: Say "Show me devices"\n• Then add protection: Say "Add protection"`,
+          }],
+          isError: true
+        };
+      }
+
+      targetLineNumber = assignment.targetLineNumber;
+      assignmentSuggestion = assignment.suggestion;
+      assignmentReason = assignment.reason;
+
+      // Validate line number doesn't exceed lineCount (safety check)
+      if (targetLineNumber > flowContext.lineCount) {
+        logger.warn('Line number exceeds lineCount, correcting', {
+          targetLineNumber,
+          lineCount: flowContext.lineCount,
+          itemType
+        });
+        targetLineNumber = flowContext.lineCount;
+        assignmentSuggestion = `I'll add this to Line ${targetLineNumber} (your last line).`;
+      }
+
+      // Ensure line exists (but only up to lineCount)
+      const maxLines = flowContext.lineCount || targetLineNumber;
+      while (flowContext.lines.length < targetLineNumber && flowContext.lines.length < maxLines) {
+        const newLineNumber = flowContext.lines.length + 1;
+        flowContext.lines.push({
+          lineNumber: newLineNumber,
+          planSelected: false,
+          planId: null,
+          deviceSelected: false,
+          deviceId: null,
+          protectionSelected: false,
+          protectionId: null,
+          simType: itemType === 'plan' ? 'ESIM' : null, // Auto-select eSIM only when adding plans
+          simIccId: null
+        });
+        
+        // Automatically add eSIM to cart only when adding plans (not devices)
+        if (itemType === 'plan') {
+          addToCartLine(sessionIdForContext, newLineNumber, {
+            type: 'sim',
+            simType: 'ESIM',
+            iccId: null,
+            price: 0,
+            lineNumber: newLineNumber
+          });
+        }
+      }
+
+      // Update line state
+      const line = flowContext.lines[targetLineNumber - 1];
+      if (line) {
+        if (itemType === 'plan') {
+          line.planSelected = true;
+          line.planId = item.id;
+          // Auto-assign eSIM if not already set
+          if (!line.simType) {
+            line.simType = 'ESIM';
+            line.simIccId = null;
+            addToCartLine(sessionIdForContext, targetLineNumber, {
+              type: 'sim',
+              simType: 'ESIM',
+              iccId: null,
+              price: 0,
+              lineNumber: targetLineNumber
+            });
+          }
+        } else if (itemType === 'device') {
+          line.deviceSelected = true;
+          line.deviceId = item.id;
+          // Note: eSIM is only auto-assigned when plans are added, not devices
+        } else if (itemType === 'protection') {
+          line.protectionSelected = true;
+          line.protectionId = item.id;
+        } else if (itemType === 'sim') {
+          line.simType = item.simType;
+          line.simIccId = item.iccId || null;
+        }
+      }
+
+      // Trim lines array to match lineCount (safety)
+      if (flowContext.lineCount && flowContext.lines.length > flowContext.lineCount) {
+        flowContext.lines = flowContext.lines.slice(0, flowContext.lineCount);
+      }
+
+      updateFlowContext(sessionIdForContext, {
+        lines: flowContext.lines,
+        flowStage: 'configuring'
+      });
+    } catch (error) {
+      logger.error('Error in line assignment', { error: error.message, itemType, lineNumber });
+      // Fallback to line 1 if assignment fails
+      targetLineNumber = 1;
+      assignmentSuggestion = "I'll add this to Line 1.";
+    }
+  } else if (!targetLineNumbers || targetLineNumbers.length === 0) {
+    // No context - default to line 1
+    targetLineNumber = 1;
+    assignmentSuggestion = "I'll add this to Line 1. You may want to set up your line count first.";
+  }
+
+  if (flowContext && targetLineNumbers && targetLineNumbers.length > 0) {
+    const maxLines = flowContext.lineCount || targetLineNumbers.length;
+    while (flowContext.lines.length < maxLines) {
+      const newLineNumber = flowContext.lines.length + 1;
+      flowContext.lines.push({
+        lineNumber: newLineNumber,
+        planSelected: false,
+        planId: null,
+        deviceSelected: false,
+        deviceId: null,
+        protectionSelected: false,
+        protectionId: null,
+        simType: itemType === 'plan' ? 'ESIM' : null, // Auto-select eSIM only when adding plans
+        simIccId: null
+      });
+      
+      // Automatically add eSIM to cart only when adding plans (not devices)
+      if (itemType === 'plan') {
+        addToCartLine(sessionIdForContext, newLineNumber, {
+          type: 'sim',
+          simType: 'ESIM',
+          iccId: null,
+          price: 0,
+          lineNumber: newLineNumber
+        });
+      }
+    }
+
+    targetLineNumbers.forEach(lineNum => {
+      const line = flowContext.lines[lineNum - 1];
+      if (!line) return;
+      if (itemType === 'plan') {
+        line.planSelected = true;
+        line.planId = item.id;
+        // Auto-assign eSIM if not already set
+        if (!line.simType) {
+          line.simType = 'ESIM';
+          line.simIccId = null;
+          addToCartLine(sessionIdForContext, lineNum, {
+            type: 'sim',
+            simType: 'ESIM',
+            iccId: null,
+            price: 0,
+            lineNumber: lineNum
+          });
+        }
+      } else if (itemType === 'device') {
+        line.deviceSelected = true;
+        line.deviceId = item.id;
+        // Note: eSIM is only auto-assigned when plans are added, not devices
+      } else if (itemType === 'protection') {
+        line.protectionSelected = true;
+        line.protectionId = item.id;
+      } else if (itemType === 'sim') {
+        line.simType = item.simType;
+        line.simIccId = item.iccId || null;
+      }
+    });
+
+    updateFlowContext(sessionIdForContext, {
+      lines: flowContext.lines,
+      flowStage: 'configuring'
+    });
+  }
+
+  // Safety: Ensure we always have a valid line number
+  if ((!targetLineNumbers || targetLineNumbers.length === 0) && (!targetLineNumber || targetLineNumber < 1)) {
+    targetLineNumber = 1;
+  }
+
+  // For protection items: Calculate price based on device price on target line(s)
+  if (itemType === 'protection') {
+    const currentCart = getCartMultiLine(sessionIdForContext);
+    
+    if (targetLineNumbers && targetLineNumbers.length > 0) {
+      // Multiple lines - each line will get its own protection item with calculated price
+      // We'll handle this in the loop below
+    } else {
+      // Single line - calculate price based on device on that line
+      const targetLine = currentCart.lines?.find(l => l.lineNumber === targetLineNumber);
+      if (targetLine?.device) {
+        const devicePrice = targetLine.device.price || 0;
+        const calculatedPrice = calculateProtectionPrice(devicePrice);
+        item.price = calculatedPrice;
+        logger.info('Protection price calculated', {
+          devicePrice,
+          protectionPrice: calculatedPrice,
+          lineNumber: targetLineNumber
+        });
+      } else {
+        // No device on line - should be prevented by prerequisites, but handle gracefully
+        logger.warn('Protection added to line without device', {
+          lineNumber: targetLineNumber,
+          hasLine: !!targetLine
+        });
+        // Default to lowest tier
+        item.price = calculateProtectionPrice(0);
+      }
+    }
+  }
+
+  // CRITICAL: Prevent adding plan to ANY line when user hasn't chosen mode
+  // If user just mentions a plan name without "apply to all" or "mix and match",
+  // we must ask them to choose first
+  if (itemType === 'plan' && flowContext && flowContext.lineCount > 1) {
+    const planMode = flowContext.planMode || 'UNKNOWN';
+    
+    // If mode is not explicitly set to APPLY_TO_ALL or MIX_AND_MATCH, ask user to choose
+    if (planMode !== 'APPLY_TO_ALL' && planMode !== 'MIX_AND_MATCH') {
+      // Store the plan ID for later use
+      updateFlowContext(sessionIdForContext, {
+        lastChosenPlanId: item.id,
+        planModePrompted: true,
+        planMode: 'UNKNOWN' // Ensure it's set to UNKNOWN
+      });
+      
+      return {
+        content: [{
+          type: "text",
+          text: `You selected **${item.name}**. For ${flowContext.lineCount} lines, would you like to:\n\n` +
+                `✅ **Apply to all lines** - Use the same plan for all ${flowContext.lineCount} lines\n\n` +
+                `🔀 **Mix and match** - Choose different plans for each line\n\n` +
+                `Please tell me "apply to all" or "mix and match".`
+        }]
+      };
+    }
+  }
+
+  // Now add to cart with validated line number
+  let cart, finalSessionId;
+  try {
+    if (targetLineNumbers && targetLineNumbers.length > 0) {
+      finalSessionId = sessionIdForContext;
+      targetLineNumbers.forEach(lineNum => {
+        // For protection on multiple lines, calculate price per line
+        let protectionItem = item;
+        if (itemType === 'protection') {
+          const currentCart = getCartMultiLine(sessionIdForContext);
+          const targetLine = currentCart.lines?.find(l => l.lineNumber === lineNum);
+          if (targetLine?.device) {
+            const devicePrice = targetLine.device.price || 0;
+            const calculatedPrice = calculateProtectionPrice(devicePrice);
+            // Create a copy of the item with calculated price for this line
+            protectionItem = {
+              ...item,
+              price: calculatedPrice
+            };
+            logger.info('Protection price calculated for line', {
+              lineNumber: lineNum,
+              devicePrice,
+              protectionPrice: calculatedPrice
+            });
+          } else {
+            // No device on line - default to lowest tier
+            protectionItem = {
+              ...item,
+              price: calculateProtectionPrice(0)
+            };
+            logger.warn('Protection added to line without device', {
+              lineNumber: lineNum
+            });
+          }
+        }
+        const cartResult = addToCart(sessionIdForContext, protectionItem, lineNum);
+        cart = cartResult.cart;
+        finalSessionId = cartResult.sessionId;
+      });
+    } else {
+      const cartResult = addToCart(sessionIdForContext, item, targetLineNumber);
+      cart = cartResult.cart;
+      finalSessionId = cartResult.sessionId;
+    }
+  } catch (error) {
+    logger.error('Error adding to cart', { error: error.message, itemType, targetLineNumber });
+    return {
+      content: [{
+        type: "text",
+        text: `## ⚠️ Error Adding Item\n\nI encountered an error adding ${item.name} to your cart.\n\n**Please try again:**\n• Say "Show me plans" or "Show me devices"\n• Then click "Add to Cart" again\n\nIf the problem persists, please contact support.`
+      }],
+      isError: true
+    };
+  }
+
+  let esimNote = "";
+  if (itemType === 'plan') {
+    const esimTargets = targetLineNumbers && targetLineNumbers.length > 0
+      ? targetLineNumbers
+      : [targetLineNumber];
+    const esimResult = autoAssignEsimForLines(finalSessionId, getFlowContext(finalSessionId), esimTargets);
+    if (esimResult?.assignedLines && esimResult.assignedLines.length > 0) {
+      const lineLabel = esimResult.assignedLines.length > 1 ? 'Lines' : 'Line';
+      esimNote = `✅ **eSIM set automatically** for ${lineLabel} ${esimResult.assignedLines.join(', ')}. We currently provide **eSIM only**.\n\n`;
+    }
+  }
+
+  // Update intent and conversation history
+  if (finalSessionId) {
+    const intentMap = {
+      'plan': INTENT_TYPES.PLAN,
+      'device': INTENT_TYPES.DEVICE,
+      'protection': INTENT_TYPES.PROTECTION,
+      'sim': INTENT_TYPES.SIM
+    };
+    const intent = intentMap[itemType] || INTENT_TYPES.OTHER;
+    updateLastIntent(finalSessionId, intent, 'add_to_cart');
+    addConversationHistory(finalSessionId, {
+      intent,
+      action: 'add_to_cart',
+      data: {
+        itemType,
+        itemId: item.id,
+        lineNumber: targetLineNumber || lineNumber,
+        lineNumbers: targetLineNumbers || undefined
+      }
+    });
+
+    // Set appropriate resume step
+    if (itemType === 'plan') {
+      setResumeStep(finalSessionId, 'plan_selection');
+    } else if (itemType === 'device') {
+      setResumeStep(finalSessionId, 'device_selection');
+    } else if (itemType === 'protection') {
+      setResumeStep(finalSessionId, 'protection_selection');
+    } else if (itemType === 'sim') {
+      // SIM selection removed - eSIM is automatically set when plan is added
+      // No resume step needed
+    }
+  }
+
+  // Build three-section response
+  const finalContext = finalSessionId ? getFlowContext(finalSessionId) : null;
+  const progress = finalSessionId ? getFlowProgress(finalSessionId) : null;
+
+  // SECTION 1: RESPONSE
+  let mainResponse = `✅ **${item.name}** has been added to your cart!\n\n`;
+  mainResponse += `**Item:** ${item.name}\n`;
+  if (targetLineNumbers && targetLineNumbers.length > 0) {
+    mainResponse += `**Lines:** ${targetLineNumbers.join(', ')}\n`;
+  } else if (lineNumber || targetLineNumber) {
+    mainResponse += `**Line:** ${lineNumber || targetLineNumber}\n`;
+  }
+  mainResponse += `**Type:** ${itemType.charAt(0).toUpperCase() + itemType.slice(1)}\n`;
+  mainResponse += `**Price:** $${item.price}${itemType === 'plan' ? '/month' : ''}\n`;
+  mainResponse += `**Cart Total:** $${cart.total}`;
+
+  // Include assignment suggestion if available and not user-specified
+  if (assignmentSuggestion && assignmentReason !== 'user_specified') {
+    mainResponse += `\n\n${assignmentSuggestion}`;
+  }
+
+  // SECTION 2: SUGGESTIONS
+  let suggestions = "";
+  if (finalContext && progress) {
+    const intentMap = {
+      'plan': INTENT_TYPES.PLAN,
+      'device': INTENT_TYPES.DEVICE,
+      'protection': INTENT_TYPES.PROTECTION,
+      'sim': INTENT_TYPES.SIM
+    };
+    const intent = intentMap[itemType] || INTENT_TYPES.OTHER;
+
+    if (itemType === 'plan') {
+      const missingPlans = progress.missing?.plans || [];
+      if (missingPlans.length > 0) {
+        suggestions = `You have ${missingPlans.length} more line${missingPlans.length > 1 ? 's' : ''} that need${missingPlans.length === 1 ? 's' : ''} a plan. `;
+        if (missingPlans.length > 1) {
+          suggestions += `You can select the same plan for all remaining lines or choose different plans for each.`;
+        } else {
+          suggestions += `Select a plan for the remaining line to continue.`;
+        }
+      } else {
+        suggestions = `All lines now have plans! Plans are required for checkout, and you've completed this step.`;
+      }
+    } else if (itemType === 'device') {
+      const linesWithDevices = (finalContext.lines || []).filter(l => l.deviceSelected).length;
+      const missingPlans = progress.missing?.plans || [];
+      const linesNeedingProtection = (finalContext.lines || []).filter(l => 
+        l.deviceSelected && !l.protectionSelected
+      ).length;
+
+      suggestions = `✅ Device added to line ${lineNumber || targetLineNumber}. You now have ${linesWithDevices} device${linesWithDevices > 1 ? 's' : ''} in your cart.\n\n`;
+
+      // CRITICALLY emphasize plans requirement if missing
+      if (missingPlans.length > 0) {
+        suggestions += `⚠️ **CRITICAL: PLANS REQUIRED BEFORE CHECKOUT**\n\n`;
+        suggestions += `**You have added a device, but plans are MANDATORY for checkout.**\n\n`;
+        suggestions += `**Next Step (REQUIRED):**\n`;
+        suggestions += `👉 **I'll automatically show you available plans** - The system will use the \`get_plans\` tool to display mobile plans for ${missingPlans.length === 1 ? 'your line' : `your ${missingPlans.length} lines`}.\n\n`;
+        suggestions += `**Why plans are required:**\n`;
+        suggestions += `• Plans provide your phone service (calls, texts, data)\n`;
+        suggestions += `• Without a plan, your device cannot be activated\n`;
+        suggestions += `• Plans are mandatory for ALL lines before checkout\n\n`;
+        if (missingPlans.length > 1) {
+          suggestions += `**→ You can:** Apply the same plan to all lines or choose different plans per line\n\n`;
+        }
+        suggestions += `**→ After selecting plans:** Complete checkout`;
+      } else {
+        // Plans are complete
+        suggestions += `**Note:** Plans are already selected for all lines.\n\n`;
+        
+        // Add protection suggestion if there are devices without protection
+        if (linesNeedingProtection > 0) {
+          suggestions += `🛡️ **Device Protection Available**\n\n`;
+          suggestions += `You have ${linesNeedingProtection} device${linesNeedingProtection > 1 ? 's' : ''} without protection. Device protection covers:\n`;
+          suggestions += `• Accidental damage (drops, spills, cracks)\n`;
+          suggestions += `• Loss or theft\n`;
+          suggestions += `• Screen repairs\n\n`;
+          suggestions += `**Would you like to add device protection?** You can say:\n`;
+          suggestions += `• "Show me protection options" or "I want device protection"\n`;
+          suggestions += `• "Add protection to all devices" or "Add protection to line X"\n\n`;
+          suggestions += `**Note:** Protection is optional. You can also proceed to checkout.`;
+        } else {
+          suggestions += `Devices are optional - you can add more devices, or proceed to checkout.`;
+        }
+      }
+    } else if (itemType === 'protection') {
+      suggestions = `Device protection added for line ${lineNumber || targetLineNumber}. This covers accidental damage, loss, and theft for your device.`;
+    } else if (itemType === 'sim') {
+      // SIM selection removed - eSIM is automatically set when plan is added
+      suggestions = `eSIM automatically set for line ${lineNumber || targetLineNumber} when plan was added.`;
+    }
+  } else {
+    suggestions = `Item added successfully. Continue building your cart or review your selections.`;
+  }
+
+  if (esimNote) {
+    suggestions = esimNote + (suggestions || "");
+  }
+
+  // SECTION 3: NEXT STEPS
+  const nextSteps = finalContext ? getNextStepsForIntent(finalContext, itemType) : getNextStepsForIntent(null, null);
+
+  const responseText = formatThreeSectionResponse(mainResponse, suggestions, nextSteps);
+
+  // Determine suggested tool based on what was added and what's missing
+  let suggestedTool = null;
+  if (itemType === 'device' && progress && progress.missing && progress.missing.plans && progress.missing.plans.length > 0) {
+    // After device is added, if plans are missing, suggest get_plans tool
+    suggestedTool = 'get_plans';
+    // Note: eSIM is automatically added when plans are added, no need to suggest SIM selection
+  }
+
+  if (itemType === 'plan' && finalContext && progress && progress.missing?.plans?.length > 0 && finalContext.planSelectionMode === 'sequential') {
+    // Don't call getPlans - just return text response
+    const cartSnapshot = finalSessionId ? getCartMultiLine(finalSessionId) : null;
+
+    const linesWithPlans = cartSnapshot ? (cartSnapshot.lines || [])
+      .filter(l => l.plan && l.plan.id)
+      .map(l => l.lineNumber) : [];
+
+    let activeLineId = null;
+    const lineCount = finalContext.lineCount || 0;
+    for (let i = 1; i <= lineCount; i++) {
+      if (!linesWithPlans.includes(i)) {
+        activeLineId = i;
+        break;
+      }
+    }
+
+    const responseText = `✅ **${item.name}** added for Line ${targetLineNumber || lineNumber}.\n\n**Next:** Select a plan for Line ${activeLineId}.`;
+
+    return {
+      content: [{
+        type: "text",
+        text: responseText
+      }]
+    };
+  }
+
+  if (itemType === 'device' && finalContext && finalContext.deviceSelectionMode === 'sequential' && finalContext.lineCount > 0) {
+    const cartSnapshot = finalSessionId ? getCartMultiLine(finalSessionId) : null;
+    const linesWithDevices = cartSnapshot ? (cartSnapshot.lines || [])
+      .filter(l => l.device && l.device.id)
+      .map(l => l.lineNumber) : [];
+
+    let activeLineId = null;
+    for (let i = 1; i <= finalContext.lineCount; i++) {
+      if (!linesWithDevices.includes(i)) {
+        activeLineId = i;
+        break;
+      }
+    }
+
+    if (activeLineId) {
+      const devices = await fetchDevices(16, null, tenant);
+      const trimmedDevices = devices.slice(0, 8);
+      const structuredDevices = trimmedDevices.map(device => ({
+        ...device,
+        id: device.id || device.productNumber || device.ean,
+        name: device.name || device.translated?.name,
+        brand: device.manufacturer?.name || device.brand || device.translated?.manufacturer?.name,
+        price: device.calculatedPrice?.unitPrice || device.calculatedPrice?.totalPrice || device.price?.[0]?.gross || 0,
+        image: normalizeDeviceImageUrl(device.cover?.media?.url || device.media?.[0]?.media?.url || device.image || null),
+        properties: device.properties || [],
+        calculatedPrice: device.calculatedPrice || device.calculatedCheapestPrice,
+        calculatedCheapestPrice: device.calculatedCheapestPrice,
+        stock: device.stock,
+        availableStock: device.availableStock,
+        available: device.available,
+      }));
+
+      const selectedDevicesPerLine = {};
+      if (cartSnapshot && cartSnapshot.lines) {
+        cartSnapshot.lines.forEach(line => {
+          if (line.device && line.device.id) {
+            selectedDevicesPerLine[String(line.lineNumber)] = line.device.id;
+          }
+        });
+      }
+
+      return {
+        structuredContent: {
+          selectionMode: 'sequential',
+          activeLineId,
+          selectedDevicesPerLine,
+          linesWithDevices,
+          deviceModePrompted: true,
+          devices: structuredDevices,
+          lineCount: finalContext.lineCount,
+          lines: finalContext.lines ? finalContext.lines.map((line, index) => ({
+            lineNumber: line.lineNumber || (index + 1),
+            phoneNumber: line.phoneNumber || null,
+            planSelected: line.planSelected || false,
+            planId: line.planId || null,
+            deviceSelected: line.deviceSelected || false,
+            deviceId: line.deviceId || null,
+            protectionSelected: line.protectionSelected || false,
+            protectionId: line.protectionId || null,
+            simType: line.simType || null,
+            simIccId: line.simIccId || null
+          })) : []
+        },
+        content: [{
+          type: "text",
+          text: `✅ **${item.name}** added for Line ${targetLineNumber || lineNumber}.\n\n**Next:** Select a device for Line ${activeLineId} (optional).\n\n**Skip option:** Say "Skip device for line ${activeLineId}".`
+        }],
+        _meta: {
+          "openai/outputTemplate": "ui://widget/devices.html",
+          "openai/resultCanProduceWidget": true,
+          "openai/widgetAccessible": true,
+          widgetType: "deviceCard"
+        }
+      };
+    } else {
+      // All devices selected in sequential mode - suggest protection
+      const linesNeedingProtection = (finalContext.lines || []).filter(l => 
+        l.deviceSelected && !l.protectionSelected
+      ).length;
+      
+      if (linesNeedingProtection > 0) {
+        const protectionSuggestion = `✅ **All devices selected!** You've added devices to all ${finalContext.lineCount} line${finalContext.lineCount > 1 ? 's' : ''}.\n\n` +
+          `🛡️ **Device Protection Available**\n\n` +
+          `You have ${linesNeedingProtection} device${linesNeedingProtection > 1 ? 's' : ''} without protection. Device protection covers:\n` +
+          `• Accidental damage (drops, spills, cracks)\n` +
+          `• Loss or theft\n` +
+          `• Screen repairs\n\n` +
+          `**Would you like to add device protection?** You can say:\n` +
+          `• "Show me protection options" or "I want device protection"\n` +
+          `• "Add protection to all devices" or "Add protection to line X"\n\n` +
+          `**Note:** Protection is optional. You can proceed to checkout.`;
+        
+        return {
+          content: [{
+            type: "text",
+            text: protectionSuggestion
+          }]
+        };
+      }
+    }
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: responseText,
+      },
+    ],
+    _meta: {
+      suggestedTool: suggestedTool,
+      itemType: itemType,
+      lineNumber: lineNumber || targetLineNumber
+    }
+  };
+}
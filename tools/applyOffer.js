@@ -0,0 +1,120 @@
+import { getCartMultiLine, setCartOffers } from "../services/cartService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { findOffer, checkOfferEligibility, normalizeCouponCode, toCartOffer } from "../services/offerService.js";
+import { priceCart, roundMoney } from "../services/pricingService.js";
+import { createProblem, createProblemResult, PROBLEM_TYPES } from "../utils/errorHandler.js";
+import { logger } from "../utils/logger.js";
+import { buildCartStructuredContent, formatCurrency, formatDueToday } from "./helpers.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * apply_offer - applies a coupon from get_offers to the cart
+ */
+export const applyOfferTool = {
+  name: "apply_offer",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. Apply an offer/coupon code (from get_offers) to the cart. The coupon is checked against the cart contents (plan service code, number of lines, plan types, validity dates). Eligible coupons are stored on the cart, reflected in the cart totals and passed to the purchase quote. Ineligible, expired or unknown codes return a NOT_ELIGIBLE problem with the reasons. FLOW LOGIC: Add plans to the cart first. Use remove_offer to take a coupon off.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      coupon: {
+        type: "string",
+        minLength: 1,
+        description: "Coupon code to apply (e.g. from get_offers)"
+      },
+      sessionId: {
+        type: "string",
+        description: "Session ID (optional - uses this client's session if not provided)"
+      }
+    },
+    required: ["coupon"]
+  },
+  _meta: {
+    "openai/outputTemplate": "ui://widget/cart.html",
+    "openai/resultCanProduceWidget": true,
+    "openai/widgetAccessible": true
+  },
+  scope: TOOL_SCOPES.CART_WRITE,
+  handler: handleApplyOffer
+};
+
+function notEligible(coupon, reasons) {
+  return createProblemResult(
+    createProblem(
+      PROBLEM_TYPES.NOT_ELIGIBLE,
+      reasons.map(reason => reason.message).join(" "),
+      false,
+      { coupon, reasons }
+    ),
+    "apply_offer"
+  );
+}
+
+async function handleApplyOffer(args, { tenant }) {
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+  const coupon = normalizeCouponCode(args.coupon);
+  const cart = getCartMultiLine(sessionId);
+  const appliedOffers = cart.offers || [];
+
+  if (appliedOffers.some(offer => offer.coupon === coupon)) {
+    const pricing = await priceCart(cart, tenant);
+    return {
+      structuredContent: buildCartStructuredContent(cart, sessionId, pricing),
+      content: [
+        {
+          type: "text",
+          text: `Coupon **${coupon}** is already applied to your cart. Monthly total: ${formatCurrency(pricing.totals.monthly)}/mo.`
+        }
+      ],
+      _meta: { sessionId, coupon, alreadyApplied: true }
+    };
+  }
+
+  const offer = await findOffer(coupon, tenant);
+  if (!offer) {
+    logger.info("Coupon not found", { coupon, tenant, sessionId });
+    return notEligible(coupon, [{ code: "UNKNOWN_CODE", message: `Coupon ${coupon} is not a valid offer code.` }]);
+  }
+
+  const { eligible, reasons } = checkOfferEligibility(offer, cart);
+  if (!eligible) {
+    logger.info("Coupon not eligible for cart", {
+      coupon,
+      tenant,
+      sessionId,
+      reasons: reasons.map(reason => reason.code)
+    });
+    return notEligible(coupon, reasons);
+  }
+
+  const pricingBefore = await priceCart(cart, tenant);
+  const { cart: updatedCart } = setCartOffers(sessionId, [...appliedOffers, toCartOffer(offer)]);
+  const pricing = await priceCart(updatedCart, tenant);
+  const savings = roundMoney(pricingBefore.totals.monthly - pricing.totals.monthly);
+
+  logger.info("Coupon applied", {
+    coupon,
+    tenant,
+    sessionId,
+    savings,
+    monthlyTotal: pricing.totals.monthly
+  });
+
+  return {
+    structuredContent: buildCartStructuredContent(updatedCart, sessionId, pricing),
+    content: [
+      {
+        type: "text",
+        text: `## ✅ Coupon Applied\n\n` +
+          `**${coupon}** (${offer.name || coupon}) saves you ${formatCurrency(savings)}/mo.\n\n` +
+          `**Monthly total:** ${formatCurrency(pricing.totals.monthly)}/mo\n` +
+          `**Due today:** ${formatDueToday(pricing.totals)}`
+      }
+    ],
+    _meta: {
+      sessionId,
+      coupon,
+      savings,
+      appliedOffers: updatedCart.offers.map(applied => applied.coupon)
+    }
+  };
+}
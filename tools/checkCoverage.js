@@ -0,0 +1,244 @@
+import { checkCoverage } from "../services/coverageService.js";
+import { getFlowContext, updateFlowContext, setResumeStep, getResumeStep, updateLastIntent, addConversationHistory } from "../services/flowContextService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { INTENT_TYPES } from "../services/intentService.js";
+import { formatCoverageAsCard } from "../utils/formatter.js";
+import { logger } from "../utils/logger.js";
+import { formatThreeSectionResponse, getNextStepsForIntent } from "./helpers.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * check_coverage - checks network coverage for a ZIP code
+ */
+export const checkCoverageTool = {
+  name: "check_coverage",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. Lookup network coverage for a postal/ZIP code using Reach Mobile API. NON-BLOCKING: Coverage check can happen anytime and never blocks other flows. After checking, system preserves resume step (if user was in middle of another flow). Coverage result includes signal strength (4G/5G) and compatibility flags. NON-LINEAR: Users can check coverage from any step. Answer question first, then resume previous step. Updates market.postalCode and market.coverage in flow context.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      zipCode: {
+        type: "string",
+        description: "Postal/ZIP code supported by the carrier (required)",
+      },
+      sessionId: {
+        type: "string",
+        description: "Session ID for flow context tracking (optional)",
+      },
+    },
+    required: ["zipCode"],
+  },
+  scope: TOOL_SCOPES.CATALOG_READ,
+  handler: handleCheckCoverage
+};
+
+async function handleCheckCoverage(args, { tenant, isAppsSDK, request }) {
+  const zipCode = args.zipCode;
+  if (!zipCode) {
+    throw new Error("ZIP code is required");
+  }
+
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+  const context = getFlowContext(sessionId);
+
+  // Coverage is non-blocking - preserve resume step
+  const resumeStep = context ? getResumeStep(sessionId) : null;
+
+  try {
+    const result = await checkCoverage(zipCode, tenant);
+
+    // Update context with coverage info (non-blocking)
+    if (context && sessionId) {
+      updateFlowContext(sessionId, {
+        coverageChecked: true,
+        coverageZipCode: zipCode,
+        zip: zipCode
+      });
+      updateLastIntent(sessionId, INTENT_TYPES.COVERAGE, 'check_coverage');
+      addConversationHistory(sessionId, {
+        intent: INTENT_TYPES.COVERAGE,
+        action: 'check_coverage',
+        data: { zipCode, result: { isValid: result.isValid } }
+      });
+      // Restore resume step if it existed
+      if (resumeStep) {
+        setResumeStep(sessionId, resumeStep);
+      }
+    }
+
+    if (isAppsSDK) {
+      return {
+        content: [{ type: "text", text: JSON.stringify({ success: true, ...result }) }],
+      };
+    }
+
+    // Build three-section response
+    const mainResponse = formatCoverageAsCard(result);
+
+    let suggestions = "";
+    if (result.isValid === true) {
+      const signal = result.signal4g || result.signal5g || 'good';
+      if (signal === 'great' || signal === 'good') {
+        suggestions = "Excellent signal strength in your area! You'll have reliable service for calls, texts, and data.";
+      } else {
+        suggestions = "Coverage is available in your area. Service quality may vary by specific location.";
+      }
+    } else if (result.isValid === false) {
+      suggestions = "Coverage may be limited in this area. Please check the details above and consider contacting support for verification.";
+    } else {
+      suggestions = "Coverage information for this ZIP code. Check the details above for signal strength and compatibility.";
+    }
+
+    const nextSteps = getNextStepsForIntent(context, INTENT_TYPES.COVERAGE);
+    const guidanceText = formatThreeSectionResponse(mainResponse, suggestions, nextSteps);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: guidanceText,
+        },
+      ],
+    };
+  } catch (coverageError) {
+    // Handle coverage API errors gracefully
+    const errorMessage = coverageError.message || String(coverageError);
+    const statusCode = coverageError.statusCode || (coverageError.name === 'APIError' ? coverageError.statusCode : null);
+    const errorType = coverageError.errorType || (coverageError.name === 'APIError' ? coverageError.errorType : null);
+
+    logger.error("Coverage check error caught in tool handler", {
+      zipCode,
+      sessionId,
+      errorMessage,
+      statusCode,
+      errorType,
+      errorName: coverageError.name
+    });
+
+    // Handle 403/permissions errors
+    if (statusCode === 403 || errorMessage.includes('explicit deny') || errorMessage.includes('access denied') || errorMessage.includes('403')) {
+      let errorResponse = `## ⚠️ Coverage Check Unavailable\n\n`;
+      errorResponse += `**Issue:** ${errorMessage}\n\n`;
+      errorResponse += `**What this means:** Your account doesn't have permission to access the coverage endpoint. This is a permissions/entitlement issue on the Reach API side.\n\n`;
+      errorResponse += `**What you can do:**\n`;
+      errorResponse += `1. Contact Reach support to request access to the \`/apisvc/v0/network/coverage\` endpoint\n`;
+      errorResponse += `2. Proceed with plan selection - coverage check is optional and not required for purchase\n`;
+      errorResponse += `3. Most areas in the US have good coverage, so you can safely continue\n\n`;
+      errorResponse += `**Next steps:** Would you like to see available plans instead?`;
+
+      // If there's a resume step, mention it
+      if (resumeStep && context) {
+        errorResponse += `\n\n💡 *You can continue with your previous step (${resumeStep}) or select a plan.*`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: errorResponse,
+          },
+        ],
+      };
+    }
+
+    // Handle server errors (500, 502, 503, 504)
+    if (statusCode >= 500 || errorType === 'SERVER_ERROR' || errorMessage.includes('500') || errorMessage.includes('502') || errorMessage.includes('503') || errorMessage.includes('504') || errorMessage.includes('Server error')) {
+      let errorResponse = `## ⚠️ Coverage Service Temporarily Unavailable\n\n`;
+      errorResponse += `Thanks for sharing your ZIP code: **${zipCode}** 👍\n\n`;
+      errorResponse += `I tried checking coverage for your area, but the coverage service is temporarily unavailable right now (server error on our side).\n\n`;
+      errorResponse += `**What you can do:**\n\n`;
+      errorResponse += `⏳ **Try again in a few minutes** — this is usually a short-lived issue.\n\n`;
+      errorResponse += `🔁 **Retry** — You can simply reply "check again" or "check coverage for ${zipCode}", and I'll retry for ZIP code ${zipCode}.\n\n`;
+      errorResponse += `📍 **Try a nearby ZIP code** — If you want, you can also share a nearby ZIP code and I can try that instead.\n\n`;
+      errorResponse += `✅ **Continue without coverage check** — Coverage check is optional. You can proceed to select a plan, and most areas in the US have good coverage.\n\n`;
+      errorResponse += `Sorry about the hiccup — I've got your ZIP code noted and can recheck as soon as the service is back up.\n\n`;
+
+      // If there's a resume step, mention it
+      if (resumeStep && context) {
+        errorResponse += `💡 *You can continue with your previous step (${resumeStep}) or select a plan.*`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: errorResponse,
+          },
+        ],
+      };
+    }
+
+    // Handle timeout errors
+    if (errorMessage.includes('timeout') || errorMessage.includes('timed out') || errorType === 'TIMEOUT_ERROR' || coverageError.name === 'TimeoutError') {
+      let errorResponse = `## ⏱️ Coverage Check Timed Out\n\n`;
+      errorResponse += `Thanks for sharing your ZIP code: **${zipCode}** 👍\n\n`;
+      errorResponse += `I tried checking coverage for your area, but the request took too long to complete.\n\n`;
+      errorResponse += `**What you can do:**\n\n`;
+      errorResponse += `🔁 **Try again** — You can simply reply "check again" or "check coverage for ${zipCode}", and I'll retry.\n\n`;
+      errorResponse += `📍 **Try a nearby ZIP code** — If you want, you can also share a nearby ZIP code and I can try that instead.\n\n`;
+      errorResponse += `✅ **Continue without coverage check** — Coverage check is optional. You can proceed to select a plan.\n\n`;
+
+      // If there's a resume step, mention it
+      if (resumeStep && context) {
+        errorResponse += `💡 *You can continue with your previous step (${resumeStep}) or select a plan.*`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: errorResponse,
+          },
+        ],
+      };
+    }
+
+    // Handle network errors
+    if (errorMessage.includes('network') || errorMessage.includes('fetch') || errorMessage.includes('ECONNREFUSED') || errorMessage.includes('ENOTFOUND') || coverageError.name === 'NetworkError') {
+      let errorResponse = `## 🌐 Network Connection Issue\n\n`;
+      errorResponse += `Thanks for sharing your ZIP code: **${zipCode}** 👍\n\n`;
+      errorResponse += `I tried checking coverage for your area, but there was a network connection issue.\n\n`;
+      errorResponse += `**What you can do:**\n\n`;
+      errorResponse += `🔁 **Try again** — You can simply reply "check again" or "check coverage for ${zipCode}", and I'll retry.\n\n`;
+      errorResponse += `✅ **Continue without coverage check** — Coverage check is optional. You can proceed to select a plan.\n\n`;
+
+      // If there's a resume step, mention it
+      if (resumeStep && context) {
+        errorResponse += `💡 *You can continue with your previous step (${resumeStep}) or select a plan.*`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: errorResponse,
+          },
+        ],
+      };
+    }
+
+    // Handle all other errors with a generic user-friendly message
+    let errorResponse = `## ⚠️ Coverage Check Unavailable\n\n`;
+    errorResponse += `Thanks for sharing your ZIP code: **${zipCode}** 👍\n\n`;
+    errorResponse += `I tried checking coverage for your area, but the coverage service is temporarily unavailable right now.\n\n`;
+    errorResponse += `**What you can do:**\n\n`;
+    errorResponse += `⏳ **Try again in a few minutes** — this is usually a short-lived issue.\n\n`;
+    errorResponse += `🔁 **Retry** — You can simply reply "check again" or "check coverage for ${zipCode}", and I'll retry for ZIP code ${zipCode}.\n\n`;
+    errorResponse += `📍 **Try a nearby ZIP code** — If you want, you can also share a nearby ZIP code and I can try that instead.\n\n`;
+    errorResponse += `✅ **Continue without coverage check** — Coverage check is optional. You can proceed to select a plan, and most areas in the US have good coverage.\n\n`;
+    errorResponse += `Sorry about the hiccup — I've got your ZIP code noted and can recheck as soon as the service is back up.\n\n`;
+
+    // If there's a resume step, mention it
+    if (resumeStep && context) {
+      errorResponse += `💡 *You can continue with your previous step (${resumeStep}) or select a plan.*`;
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: errorResponse,
+        },
+      ],
+    };
+  }
+}
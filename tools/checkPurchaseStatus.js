@@ -0,0 +1,171 @@
+import { getFlowContext, getPurchaseState } from "../services/flowContextService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { refreshPaymentStatus, shouldRefreshPaymentStatus } from "../services/paymentStatusService.js";
+import { logger } from "../utils/logger.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * check_purchase_status - checks the status of a submitted purchase
+ */
+export const checkPurchaseStatusTool = {
+  name: "check_purchase_status",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. Check the status of an existing purchase and retrieve payment URL if available. Use this when a purchase was initiated but payment URL wasn't returned, or when user asks to retry payment or check payment status. Automatically uses transaction ID from the current session's purchase state if available. Answers from the recorded purchase state (payment callbacks update it when the user pays); the status API is only called when the recorded status is older than a few seconds, or with refresh: true.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      sessionId: {
+        type: "string",
+        description: "Session ID (optional - uses this client's session if not provided)"
+      },
+      transactionId: {
+        type: "string",
+        description: "Transaction ID (optional - will use transaction ID from session's purchase state if not provided)"
+      },
+      refresh: {
+        type: "boolean",
+        description: "Ask the status API even if a recent status is recorded (default: false). Final statuses are never refreshed."
+      }
+    }
+  },
+  scope: TOOL_SCOPES.PURCHASE,
+  handler: handleCheckPurchaseStatus
+};
+
+async function handleCheckPurchaseStatus(args, { tenant }) {
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+  const purchaseState = getPurchaseState(sessionId);
+  const transactionId = args.transactionId || (purchaseState && purchaseState.transactionId);
+
+  if (!transactionId) {
+    return {
+      content: [{
+        type: "text",
+        text: `**⚠️ No purchase found.**\n\nNo active purchase transaction found for this session. Please initiate a purchase first using the \`purchase_plans\` tool.`
+      }]
+    };
+  }
+
+  try {
+    // Get tenant from context or the tenant resolved for this call
+    const context = getFlowContext(sessionId);
+    const purchaseTenant = context?.tenant || tenant;
+    const recorded = purchaseState && purchaseState.transactionId === transactionId ? purchaseState : null;
+
+    let purchase = recorded;
+    let source = 'RECORDED';
+    if (shouldRefreshPaymentStatus(recorded, { force: args.refresh === true })) {
+      logger.info('Checking purchase status', {
+        sessionId,
+        transactionId,
+        tenant: purchaseTenant
+      });
+      purchase = await refreshPaymentStatus(sessionId, transactionId, purchaseTenant);
+      source = 'API';
+    } else {
+      logger.info('Purchase status answered from recorded state', {
+        sessionId,
+        transactionId,
+        statusSource: recorded.statusSource,
+        paymentStatus: recorded.paymentStatus
+      });
+    }
+
+    return {
+      ...buildStatusResponse(transactionId, purchase),
+      _meta: {
+        sessionId,
+        transactionId,
+        source,
+        statusSource: purchase.statusSource || null,
+        statusUpdatedAt: purchase.statusUpdatedAt || purchase.lastPollAt || null
+      }
+    };
+  } catch (error) {
+    logger.error('Check purchase status error', {
+      sessionId,
+      transactionId,
+      error: error.message,
+      errorType: error.errorType || error.name,
+      stack: error.stack
+    });
+
+    return {
+      content: [{
+        type: "text",
+        text: `❌ **Error Checking Purchase Status**\n\nAn error occurred while checking the purchase status: ${error.message}\n\n**Transaction ID:** ${transactionId}\n\nPlease try again in a few moments or contact support.`
+      }]
+    };
+  }
+}
+
+/**
+ * Build the tool response for a purchase state
+ * @param {string} transactionId - Transaction ID
+ * @param {Object} purchase - Purchase state (paymentStatus, status, paymentUrl, ...)
+ * @returns {Object} Tool result (content, plus structuredContent for a payment link or completed payment)
+ */
+function buildStatusResponse(transactionId, purchase) {
+  // Final payment statuses first: a payment link recorded earlier is no longer relevant
+  if (purchase.paymentStatus === 'SUCCESS' || purchase.paymentStatus === 'APPROVED') {
+    return {
+      content: [{
+        type: "text",
+        text: `✅ **Payment Completed!**\n\nYour payment has been successfully processed.\n\n**Status:**\n• Payment Status: ${purchase.paymentStatus}\n• Order Status: ${purchase.status || 'N/A'}\n\n**Transaction Details:**\n• Transaction ID: ${transactionId}\n• Customer ID: ${purchase.customerId || 'N/A'}\n\n**Support:** ${purchase.supportUrl || 'N/A'}`
+      }],
+      structuredContent: {
+        purchaseStatus: {
+          success: true,
+          transactionId: transactionId,
+          paymentStatus: purchase.paymentStatus,
+          status: purchase.status,
+          customerId: purchase.customerId,
+          completedAt: purchase.completedAt || null
+        }
+      }
+    };
+  } else if (purchase.paymentStatus === 'FAILED') {
+    return {
+      content: [{
+        type: "text",
+        text: `❌ **Payment Failed**\n\nYour payment could not be processed.\n\n**Status:**\n• Payment Status: ${purchase.paymentStatus}\n• Order Status: ${purchase.status || 'N/A'}\n\n**Transaction Details:**\n• Transaction ID: ${transactionId}\n• Customer ID: ${purchase.customerId || 'N/A'}\n\n**What you can do:**\n• Contact support for assistance\n• Try initiating a new purchase\n\n**Support:** ${purchase.supportUrl || 'N/A'}`
+      }]
+    };
+  } else if (purchase.paymentUrl) {
+    const expiryText = purchase.paymentUrlExpiry 
+      ? `\n**Payment link expires:** ${new Date(purchase.paymentUrlExpiry).toLocaleString()}`
+      : '';
+    
+    return {
+      content: [{
+        type: "text",
+        text: `✅ **Payment Link Available!**\n\nYour payment link is ready.\n\n**Payment Link:**\n${purchase.paymentUrl}\n\n**Status:**\n• Payment Status: ${purchase.paymentStatus || 'N/A'}\n• Order Status: ${purchase.status || 'N/A'}${expiryText}\n\n**Transaction Details:**\n• Transaction ID: ${transactionId}\n• Customer ID: ${purchase.customerId || 'N/A'}\n\n**Need Help?**\n${purchase.supportUrl || 'N/A'}`
+      }],
+      structuredContent: {
+        purchaseStatus: {
+          success: true,
+          transactionId: transactionId,
+          paymentUrl: purchase.paymentUrl,
+          paymentUrlExpiry: purchase.paymentUrlExpiry,
+          paymentStatus: purchase.paymentStatus,
+          status: purchase.status,
+          customerId: purchase.customerId,
+          supportUrl: purchase.supportUrl
+        }
+      }
+    };
+  } else if (purchase.paymentStatus === 'PENDING') {
+    return {
+      content: [{
+        type: "text",
+        text: `⏳ **Payment Pending**\n\nYour purchase is still being processed.\n\n**Status:**\n• Payment Status: ${purchase.paymentStatus}\n• Order Status: ${purchase.status || 'N/A'}\n\n**Transaction Details:**\n• Transaction ID: ${transactionId}\n• Customer ID: ${purchase.customerId || 'N/A'}\n\n**Next Steps:**\n• Payment link will be available shortly\n• You may receive payment instructions via email\n• Check back in a few moments\n\n**Support:** ${purchase.supportUrl || 'N/A'}`
+      }]
+    };
+  } else {
+    return {
+      content: [{
+        type: "text",
+        text: `**Purchase Status**\n\n**Status:**\n• Payment Status: ${purchase.paymentStatus || 'N/A'}\n• Order Status: ${purchase.status || 'N/A'}\n\n**Transaction Details:**\n• Transaction ID: ${transactionId}\n• Customer ID: ${purchase.customerId || 'N/A'}\n\n**Support:** ${purchase.supportUrl || 'N/A'}`
+      }]
+    };
+  }
+}
@@ -0,0 +1,116 @@
+import { clearCart, removeAllFromCart } from "../services/cartService.js";
+import { getFlowContext, updateFlowContext, resetFlowContext } from "../services/flowContextService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * clear_cart - empties the cart and optionally resets the flow context
+ */
+export const clearCartTool = {
+  name: "clear_cart",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. Clear all items from the cart and reset the flow context. This completely removes all plans, devices, protection, and SIM items from all lines. Use this when user says 'clear cart', 'empty cart', 'reset cart', 'start over', or 'remove everything'. FLOW LOGIC: Clears both cart storage and flow context. Resets lineCount to null and clears all line selections. After clearing, user can start fresh with a new purchase flow. Note: SIM selection is no longer needed - eSIM is automatically set when plans are added.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      sessionId: {
+        type: "string",
+        description: "Session ID (optional - uses this client's session if not provided)"
+      },
+      resetFlowContext: {
+        type: "boolean",
+        description: "Whether to also reset flow context (default: true). Set to false to only clear cart items but keep flow structure."
+      }
+    },
+  },
+  scope: TOOL_SCOPES.CART_WRITE,
+  handler: handleClearCart
+};
+
+async function handleClearCart(args) {
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+  const resetFlowContextFlag = args.resetFlowContext !== false; // Default to true
+
+  // Clear cart storage
+  removeAllFromCart(sessionId);
+
+  // Also clear cart from storage (in case there's old structure)
+  clearCart(sessionId);
+
+  // Reset flow context if requested
+  if (resetFlowContextFlag) {
+    resetFlowContext(sessionId);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `## ✅ Cart Cleared Successfully\n\n` +
+            `Your cart has been completely cleared and the session has been reset.\n\n` +
+            `**What was cleared:**\n` +
+            `• All plans\n` +
+            `• All devices\n` +
+            `• All protection plans\n` +
+            `• All SIM items (eSIM is automatically set when plans are added)\n` +
+            `• Flow context reset\n\n` +
+            `**What you can do now:**\n` +
+            `• Start a new purchase flow\n` +
+            `• Browse plans or devices\n` +
+            `• Check coverage\n` +
+            `• Begin fresh with a new order\n\n` +
+            `Just let me know what you'd like to do next!`
+        }
+      ],
+      _meta: {
+        sessionId: sessionId,
+        cartCleared: true,
+        flowContextReset: true
+      }
+    };
+  } else {
+    // Only clear cart items, keep flow structure
+    const context = getFlowContext(sessionId);
+    if (context && context.lines) {
+      // Clear all items from lines but keep line structure
+      context.lines.forEach(line => {
+        line.planSelected = false;
+        line.planId = null;
+        line.deviceSelected = false;
+        line.deviceId = null;
+        line.protectionSelected = false;
+        line.protectionId = null;
+        line.simType = null;
+        line.simIccId = null;
+      });
+
+      updateFlowContext(sessionId, {
+        lines: context.lines,
+        planSelected: false,
+        deviceSelected: false,
+        protectionSelected: false,
+        simSelected: false
+      });
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `## ✅ Cart Cleared\n\n` +
+            `All items have been removed from your cart.\n\n` +
+            `**What was cleared:**\n` +
+            `• All plans\n` +
+            `• All devices\n` +
+            `• All protection plans\n` +
+            `• All SIM items (eSIM is automatically set when plans are added)\n\n` +
+            `**Flow structure preserved:** Your line count and flow context remain intact.\n\n` +
+            `You can now add new items to your cart or modify your selections.`
+        }
+      ],
+      _meta: {
+        sessionId: sessionId,
+        cartCleared: true,
+        flowContextReset: false
+      }
+    };
+  }
+}
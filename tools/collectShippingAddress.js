@@ -0,0 +1,598 @@
+import { getFlowContext, updateFlowContext, checkPrerequisites } from "../services/flowContextService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { setCurrentQuestion, clearCurrentQuestion, QUESTION_TYPES } from "../services/conversationTrackingService.js";
+import { geocodeAddress, normalizeGeocodeResult, isGeocodingAvailable } from "../utils/geocodingService.js";
+import { logger } from "../utils/logger.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * collect_shipping_address - collects and validates shipping and contact details for checkout
+ */
+export const collectShippingAddressTool = {
+  name: "collect_shipping_address",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. Collect shipping address information step-by-step for checkout (US addresses only). Cart must be ready (plans selected for all lines - eSIM is automatically set when plans are added) before collecting shipping address. Collects in 3 sequential steps: (1) First name & Last name, (2) Phone & Email, (3) Street address, City, State, ZIP code. Must complete steps in order - cannot skip steps. Only US addresses are supported - country will default to 'US'. Stores shipping address in session for payment processing. IMPORTANT: SIM selection is no longer required - eSIM is automatically assigned when plans are added. IMPORTANT FOR STEP 3: When prompting for Step 3 (address), ALWAYS use the tool's response which includes location services option. The tool response will ask users to turn on location services to auto-fill address, or manually provide address. DO NOT generate your own Step 3 prompt - use the tool's response exactly as returned.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      sessionId: {
+        type: "string",
+        description: "Session ID (optional - uses this client's session if not provided)"
+      },
+      firstName: {
+        type: "string",
+        description: "First name (required for step 1, optional if providing all at once)"
+      },
+      lastName: {
+        type: "string",
+        description: "Last name (required for step 1, optional if providing all at once)"
+      },
+      street: {
+        type: "string",
+        description: "Street address (required for step 3, optional if providing all at once). If only street address is provided (without city/state/zip), the system will attempt to geocode and auto-fill the remaining fields."
+      },
+      city: {
+        type: "string",
+        description: "City (required for step 3, optional if providing all at once)"
+      },
+      state: {
+        type: "string",
+        description: "State code (required for step 3, optional if providing all at once). Must be 2-letter US state code."
+      },
+      zipCode: {
+        type: "string",
+        description: "ZIP code (required for step 3, optional if providing all at once). Must be 5 digits or 5+4 format."
+      },
+      country: {
+        type: "string",
+        description: "Country code (optional, always defaults to 'US' - only US addresses supported)"
+      },
+      useLocation: {
+        type: "boolean",
+        description: "Set to true if user wants to use location services to auto-fill address (optional, for step 3)"
+      },
+      locationAddress: {
+        type: "object",
+        description: "Complete address object from geolocation/location services (optional, for step 3). Should contain: street, city, state, zipCode. If provided, will auto-fill address fields."
+      },
+      latitude: {
+        type: "number",
+        description: "Latitude from geolocation (optional, for step 3). Used with longitude to reverse geocode address."
+      },
+      longitude: {
+        type: "number",
+        description: "Longitude from geolocation (optional, for step 3). Used with latitude to reverse geocode address."
+      },
+      phone: {
+        type: "string",
+        description: "Phone number (required for step 2, optional if providing all at once)"
+      },
+      email: {
+        type: "string",
+        description: "Email address (required for step 2, optional if providing all at once)"
+      },
+      confirm: {
+        type: ["boolean", "string"],
+        description: "Set to true or 'yes' to confirm auto-filled address from location (optional, for step 3)"
+      },
+      confirmed: {
+        type: ["boolean", "string"],
+        description: "Alternative parameter name for confirming auto-filled address (optional, for step 3)"
+      }
+    },
+    required: []
+  },
+  scope: TOOL_SCOPES.CHECKOUT_PII,
+  handler: handleCollectShippingAddress
+};
+
+async function handleCollectShippingAddress(args) {
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+  const context = getFlowContext(sessionId);
+
+  logger.debug('Collect shipping address called', {
+    sessionId,
+    hasContext: !!context,
+    hasArgs: !!args,
+    currentStep: context?.shippingAddressStep,
+    providedFields: Object.keys(args || {}).filter(k => args[k] && k !== 'sessionId')
+  });
+
+  if (!context) {
+    logger.error('No flow context found for collect_shipping_address', { sessionId });
+    throw new Error('No flow context found. Please start a purchase flow first.');
+  }
+
+  // Validate prerequisites - cart must be ready
+  const shippingPrereq = checkPrerequisites(sessionId, 'collect_shipping');
+  logger.debug('Shipping prerequisites check', {
+    sessionId,
+    allowed: shippingPrereq.allowed,
+    reason: shippingPrereq.reason,
+    gate: shippingPrereq.gate,
+    missing: shippingPrereq.missing,
+    lineCount: context.lineCount,
+    linesWithPlans: context.lines?.filter(l => l?.planSelected).length || 0
+  });
+
+  if (!shippingPrereq.allowed) {
+    logger.warn('Shipping address collection blocked by prerequisites', {
+      sessionId,
+      reason: shippingPrereq.reason,
+      gate: shippingPrereq.gate
+    });
+    return {
+      content: [
+        {
+          type: "text",
+          text: `**⚠️ Cannot collect shipping address yet.**\n\n${shippingPrereq.reason}\n\nPlease complete your cart first (plans for all lines - eSIM is automatically set when plans are added).`
+        }
+      ]
+    };
+  }
+
+  // US-only validation: Always set country to 'US'
+  const countryCode = (args.country || 'US').trim().toUpperCase();
+  if (countryCode !== 'US' && countryCode !== 'USA') {
+    logger.warn('Non-US country code provided, defaulting to US', {
+      sessionId,
+      providedCountry: countryCode
+    });
+  }
+  const finalCountry = 'US';
+
+  // Get current step or initialize
+  let currentStep = context.shippingAddressStep || 'name';
+  const existingAddress = context.shippingAddress || {};
+
+  // Helper function to validate US ZIP code format
+  const validateZipCode = (zip) => {
+    if (!zip) return false;
+    const zipStr = zip.trim();
+    return /^\d{5}(-\d{4})?$/.test(zipStr);
+  };
+
+  // Helper function to validate US state code (2 letters)
+  const validateStateCode = (state) => {
+    if (!state) return false;
+    const stateStr = state.trim().toUpperCase();
+    return /^[A-Z]{2}$/.test(stateStr);
+  };
+
+  // Step-by-step collection only - enforce sequential steps (no flexible mode)
+  let updatedAddress = { ...existingAddress };
+  let nextStep = currentStep;
+  let responseText = '';
+  let isComplete = false;
+
+  // Enforce step order - reject fields from future steps
+  if (currentStep === 'name' && (args.phone || args.email || args.street || args.city || args.state || args.zipCode)) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `**⚠️ Please complete steps in order.**\n\nYou're currently on **Step 1 of 3: Name Information**.\n\nPlease provide only your **first name** and **last name** first.\n\nExample: "John Smith" or "First name: Jane, Last name: Doe"\n\nAfter completing Step 1, you'll be prompted for Step 2 (phone and email).`
+        }
+      ]
+    };
+  }
+
+  if (currentStep === 'contact' && (args.street || args.city || args.state || args.zipCode)) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `**⚠️ Please complete steps in order.**\n\nYou're currently on **Step 2 of 3: Contact Information**.\n\nPlease provide only your **phone number** and **email address** first.\n\nExample: "Phone: 555-123-4567, Email: john@example.com"\n\nAfter completing Step 2, you'll be prompted for Step 3 (address details).`
+        }
+      ]
+    };
+  }
+
+  // Process step 1: Collect name
+  if (currentStep === 'name') {
+    if (!args.firstName || !args.lastName) {
+      setCurrentQuestion(sessionId, QUESTION_TYPES.SHIPPING_NAME, 
+        "Please provide your first name and last name.", 
+        { firstName: true, lastName: true });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `**Step 1 of 3: Name Information**\n\nPlease provide your **first name** and **last name**.\n\nExample: "John Smith" or "First name: Jane, Last name: Doe"`
+          }
+        ]
+      };
+    }
+
+    updatedAddress.firstName = args.firstName.trim();
+    updatedAddress.lastName = args.lastName.trim();
+    updatedAddress.country = finalCountry; // Set US country early
+    nextStep = 'contact';
+    responseText = `✅ **Step 1 Complete:** Name collected (${updatedAddress.firstName} ${updatedAddress.lastName})\n\n`;
+    setCurrentQuestion(sessionId, QUESTION_TYPES.SHIPPING_CONTACT, 
+      "Please provide your phone number and email address.", 
+      { phone: true, email: true });
+  }
+
+  // Process step 2: Collect contact (only if we're on contact step)
+  if (currentStep === 'contact') {
+    if (!args.phone || !args.email) {
+      setCurrentQuestion(sessionId, QUESTION_TYPES.SHIPPING_CONTACT, 
+        "Please provide your phone number and email address.", 
+        { phone: true, email: true });
+      return {
+        content: [
+          {
+            type: "text",
+            text: `${responseText}**Step 2 of 3: Contact Information**\n\nPlease provide your **phone number** and **email address**.\n\nExample: "Phone: 555-123-4567, Email: john@example.com"`
+          }
+        ]
+      };
+    }
+
+    // Validate email format
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(args.email.trim())) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `**⚠️ Invalid email format.**\n\nPlease provide a valid email address.\n\nExample: "john@example.com"`
+          }
+        ]
+      };
+    }
+
+    updatedAddress.phone = args.phone.trim();
+    updatedAddress.email = args.email.trim();
+    nextStep = 'address';
+    responseText += `✅ **Step 2 Complete:** Contact information collected\n\n`;
+    responseText += `Phone: ${updatedAddress.phone}\nEmail: \`${updatedAddress.email}\`\n\n`;
+    setCurrentQuestion(sessionId, QUESTION_TYPES.SHIPPING_ADDRESS, 
+      "Please provide your street address, city, state, and ZIP code. You can use location services to auto-fill.", 
+      { street: true, city: true, state: true, zipCode: true });
+  }
+
+  // Process step 3: Collect address (only if we're on address step)
+  if (currentStep === 'address') {
+    // Check if user wants to use location services
+    const wantsLocation = args.useLocation === true || args.locationAddress || (args.latitude && args.longitude);
+    const hasLocationData = !!(args.locationAddress || (args.latitude && args.longitude));
+    
+    // Handle location-based address auto-fill
+    if (wantsLocation && hasLocationData) {
+      let locationBasedAddress = {};
+      
+      // If full address object provided from location
+      if (args.locationAddress) {
+        locationBasedAddress = {
+          street: args.locationAddress.street || args.locationAddress.address1 || args.locationAddress.address,
+          city: args.locationAddress.city,
+          state: args.locationAddress.state,
+          zipCode: args.locationAddress.zipCode || args.locationAddress.zip || args.locationAddress.postalCode
+        };
+      } 
+      // If coordinates provided, we'd need reverse geocoding (for now, prompt user to provide address from location)
+      else if (args.latitude && args.longitude) {
+        // In a real implementation, you'd call a reverse geocoding API here
+        // For now, we'll ask the user to provide the address from their location
+        return {
+          content: [
+            {
+              type: "text",
+              text: `${responseText}📍 **Location detected!**\n\nI've received your location (${args.latitude}, ${args.longitude}).\n\nPlease provide your address details from your location:\n\n- **Street address**\n- **City**\n- **State** (2-letter code)\n- **ZIP code**\n\nOr you can manually enter: "123 Main St, New York, NY 10001"`
+            }
+          ]
+        };
+      }
+      
+      // If we have location-based address, auto-fill and show for confirmation
+      if (locationBasedAddress.street && locationBasedAddress.city && locationBasedAddress.state && locationBasedAddress.zipCode) {
+        // Validate the auto-filled address
+        if (!validateZipCode(locationBasedAddress.zipCode)) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `**⚠️ Invalid ZIP code from location.**\n\nThe ZIP code "${locationBasedAddress.zipCode}" doesn't match the required format. Please provide a valid US ZIP code (5 digits or 5+4 format, e.g., "12345" or "12345-6789").\n\nYou can edit the address or provide it manually.`
+              }
+            ]
+          };
+        }
+        
+        if (!validateStateCode(locationBasedAddress.state)) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `**⚠️ Invalid state code from location.**\n\nThe state code "${locationBasedAddress.state}" is not valid. Please provide a valid 2-letter US state code (e.g., "NY", "CA", "TX").\n\nYou can edit the address or provide it manually.`
+              }
+            ]
+          };
+        }
+        
+        // Auto-fill address from location
+        updatedAddress.street = locationBasedAddress.street.trim();
+        updatedAddress.city = locationBasedAddress.city.trim();
+        updatedAddress.state = locationBasedAddress.state.trim().toUpperCase();
+        updatedAddress.zipCode = locationBasedAddress.zipCode.trim();
+        updatedAddress.country = finalCountry;
+        updatedAddress.fromLocation = true; // Track that this was auto-filled
+        
+        // Save auto-filled address to context (but don't mark as complete yet - waiting for confirmation)
+        const contextUpdates = {
+          shippingAddress: updatedAddress,
+          shippingAddressStep: 'address', // Stay on address step until confirmed
+          lastAction: 'collect_shipping_address'
+        };
+        updateFlowContext(sessionId, contextUpdates);
+        
+        // Show auto-filled address and ask for confirmation/editing
+        return {
+          content: [
+            {
+              type: "text",
+              text: `${responseText}📍 **Address auto-filled from your location!**\n\n**Detected Address:**\n${updatedAddress.street}\n${updatedAddress.city}, ${updatedAddress.state} ${updatedAddress.zipCode}\n\n**Please review and confirm:**\n\n✅ If this looks correct, say "yes" or "confirm" to proceed.\n\n✏️ If you need to make changes, please provide the corrected address details:\n- Street address\n- City\n- State (2-letter code)\n- ZIP code\n\nExample: "Street: 123 Main St, City: New York, State: NY, ZIP: 10001"`
+            }
+          ]
+        };
+      }
+    }
+    
+    // Check if user is confirming auto-filled address
+    const isConfirming = args.confirm === true || args.confirmed === true || 
+                        (typeof args.confirm === 'string' && args.confirm.toLowerCase().includes('yes')) ||
+                        (typeof args.confirmed === 'string' && args.confirmed.toLowerCase().includes('yes'));
+    
+    // If user has a pending auto-filled address and confirms it (from location or geocoding)
+    if (isConfirming && (existingAddress.fromLocation || existingAddress.fromGeocoding) && existingAddress.street && existingAddress.city && existingAddress.state && existingAddress.zipCode) {
+      // Address already auto-filled, just confirm and complete
+      updatedAddress = { ...existingAddress };
+      updatedAddress.country = finalCountry;
+      nextStep = 'complete';
+      isComplete = true;
+      const source = existingAddress.fromLocation ? 'location' : 'address lookup';
+      responseText += `✅ **Step 3 Complete:** Address confirmed from ${source}\n\n`;
+      responseText += `**Complete Shipping Address:**\n${updatedAddress.firstName} ${updatedAddress.lastName}\n${updatedAddress.street}\n${updatedAddress.city}, ${updatedAddress.state} ${updatedAddress.zipCode}\n${updatedAddress.country}\n\n`;
+      clearCurrentQuestion(sessionId);
+    }
+    // Check if user provided only street address (without city/state/zip) - try geocoding
+    else if (args.street && !args.city && !args.state && !args.zipCode) {
+      // Try to geocode the street address to get city, state, ZIP
+      logger.info('Street address only provided, attempting geocoding', { 
+        sessionId, 
+        street: args.street,
+        geocodingAvailable: isGeocodingAvailable()
+      });
+
+      if (isGeocodingAvailable()) {
+        try {
+          const geocodeResult = await geocodeAddress(args.street.trim(), finalCountry);
+          
+          if (geocodeResult) {
+            const normalized = normalizeGeocodeResult(geocodeResult);
+            
+            if (normalized && normalized.city && normalized.state && normalized.zipCode) {
+              // Validate the geocoded address
+              if (!validateZipCode(normalized.zipCode)) {
+                return {
+                  content: [
+                    {
+                      type: "text",
+                      text: `**⚠️ Could not validate ZIP code from address lookup.**\n\nThe address "${args.street}" was found, but the ZIP code "${normalized.zipCode}" doesn't match the required format.\n\nPlease provide your complete address manually:\n- Street address\n- City\n- State (2-letter code)\n- ZIP code`
+                    }
+                  ]
+                };
+              }
+
+              if (!validateStateCode(normalized.state)) {
+                return {
+                  content: [
+                    {
+                      type: "text",
+                      text: `**⚠️ Could not validate state code from address lookup.**\n\nThe address "${args.street}" was found, but the state code "${normalized.state}" is not valid.\n\nPlease provide your complete address manually:\n- Street address\n- City\n- State (2-letter code)\n- ZIP code`
+                    }
+                  ]
+                };
+              }
+
+              // Auto-fill address from geocoding
+              updatedAddress.street = normalized.street || args.street.trim();
+              updatedAddress.city = normalized.city;
+              updatedAddress.state = normalized.state;
+              updatedAddress.zipCode = normalized.zipCode;
+              updatedAddress.country = finalCountry;
+              updatedAddress.fromGeocoding = true; // Track that this was auto-filled from geocoding
+              
+              // Save auto-filled address to context (but don't mark as complete yet - waiting for confirmation)
+              const contextUpdates = {
+                shippingAddress: updatedAddress,
+                shippingAddressStep: 'address', // Stay on address step until confirmed
+                lastAction: 'collect_shipping_address'
+              };
+              updateFlowContext(sessionId, contextUpdates);
+              
+              // Show auto-filled address and ask for confirmation/editing
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: `${responseText}📍 **Address found!**\n\nI found the address details for "${args.street}":\n\n**Detected Address:**\n${updatedAddress.street}\n${updatedAddress.city}, ${updatedAddress.state} ${updatedAddress.zipCode}\n\n**Please review and confirm:**\n\n✅ If this looks correct, say "yes" or "confirm" to proceed.\n\n✏️ If you need to make changes, please provide the corrected address details:\n- Street address\n- City\n- State (2-letter code)\n- ZIP code\n\nExample: "Street: 123 Main St, City: New York, State: NY, ZIP: 10001"`
+                  }
+                ]
+              };
+            } else {
+              // Geocoding returned incomplete data
+              logger.warn('Geocoding returned incomplete address', { geocodeResult, normalized });
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: `**⚠️ Could not find complete address details for "${args.street}".**\n\nPlease provide your complete address:\n\n- **Street address**\n- **City**\n- **State** (2-letter code)\n- **ZIP code**\n\nExample: "123 Main St, New York, NY 10001" or "Street: 123 Main St, City: New York, State: NY, ZIP: 10001"`
+                  }
+                ]
+              };
+            }
+          } else {
+            // Geocoding failed or returned no results
+            logger.warn('Geocoding failed or returned no results', { street: args.street });
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: `**⚠️ Could not find address details for "${args.street}".**\n\nPlease provide your complete address:\n\n- **Street address**\n- **City**\n- **State** (2-letter code)\n- **ZIP code**\n\nExample: "123 Main St, New York, NY 10001" or "Street: 123 Main St, City: New York, State: NY, ZIP: 10001"`
+                }
+              ]
+            };
+          }
+        } catch (error) {
+          logger.error('Geocoding error', { error: error.message, street: args.street, stack: error.stack });
+          return {
+            content: [
+              {
+                type: "text",
+                text: `**⚠️ Error looking up address.**\n\nPlease provide your complete address manually:\n\n- **Street address**\n- **City**\n- **State** (2-letter code)\n- **ZIP code**\n\nExample: "123 Main St, New York, NY 10001" or "Street: 123 Main St, City: New York, State: NY, ZIP: 10001"`
+              }
+            ]
+          };
+        }
+      } else {
+        // Geocoding not available
+        return {
+          content: [
+            {
+              type: "text",
+              text: `**Please provide your complete address:**\n\nI received your street address: "${args.street}"\n\nTo complete the address, please also provide:\n\n- **City**\n- **State** (2-letter code)\n- **ZIP code**\n\nExample: "City: New York, State: NY, ZIP: 10001" or provide all at once: "123 Main St, New York, NY 10001"`
+            }
+          ]
+        };
+      }
+    }
+    // If user is providing complete address (either manually or editing auto-filled)
+    else if (args.street && args.city && args.state && args.zipCode) {
+      // Validate US-specific formats
+      if (!validateZipCode(args.zipCode)) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `**⚠️ Invalid ZIP code format.**\n\nPlease provide a valid US ZIP code (5 digits or 5+4 format, e.g., "12345" or "12345-6789").`
+            }
+          ]
+        };
+      }
+
+      if (!validateStateCode(args.state)) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `**⚠️ Invalid state code.**\n\nPlease provide a valid 2-letter US state code (e.g., "NY", "CA", "TX").`
+            }
+          ]
+        };
+      }
+
+      updatedAddress.street = args.street.trim();
+      updatedAddress.city = args.city.trim();
+      updatedAddress.state = args.state.trim().toUpperCase();
+      updatedAddress.zipCode = args.zipCode.trim();
+      updatedAddress.country = finalCountry;
+      updatedAddress.fromLocation = false; // User provided manually or edited
+      updatedAddress.fromGeocoding = false;
+      nextStep = 'complete';
+      isComplete = true;
+      responseText += `✅ **Step 3 Complete:** Address collected\n\n`;
+      responseText += `**Complete Shipping Address:**\n${updatedAddress.firstName} ${updatedAddress.lastName}\n${updatedAddress.street}\n${updatedAddress.city}, ${updatedAddress.state} ${updatedAddress.zipCode}\n${updatedAddress.country}\n\n`;
+      clearCurrentQuestion(sessionId);
+    }
+    // No address provided yet - prompt for location or manual entry
+    else {
+      setCurrentQuestion(sessionId, QUESTION_TYPES.SHIPPING_ADDRESS, 
+        "Please provide your street address, city, state, and ZIP code.", 
+        { street: true, city: true, state: true, zipCode: true });
+      
+      // Check if we have a pending auto-filled address waiting for confirmation (from location or geocoding)
+      if ((existingAddress.fromLocation || existingAddress.fromGeocoding) && existingAddress.street && existingAddress.city && existingAddress.state && existingAddress.zipCode) {
+        const source = existingAddress.fromLocation ? 'your location' : 'address lookup';
+        return {
+          content: [
+            {
+              type: "text",
+              text: `${responseText}📍 **Address auto-filled from ${source}!**\n\n**Detected Address:**\n${existingAddress.street}\n${existingAddress.city}, ${existingAddress.state} ${existingAddress.zipCode}\n\n**Please review and confirm:**\n\n✅ If this looks correct, say "yes" or "confirm" to proceed.\n\n✏️ If you need to make changes, please provide the corrected address details:\n- Street address\n- City\n- State (2-letter code)\n- ZIP code\n\nExample: "Street: 123 Main St, City: New York, State: NY, ZIP: 10001"`
+            }
+          ]
+        };
+      }
+      
+      // First time prompt - ask for location permission
+      return {
+        content: [
+          {
+            type: "text",
+            text: `${responseText}**Step 3 of 3: Address Information (US Only)**\n\n📍 **Quick Options:**\n\n1. **Turn on location services** to automatically fill your address\n2. **Provide just your street address** - I'll look up the city, state, and ZIP code for you\n\n**Or manually provide:**\n\nPlease provide your **street address**, **city**, **state** (2-letter code), and **ZIP code**.\n\nExample: "123 Main St, New York, NY 10001" or "Street: 123 Main St, City: New York, State: NY, ZIP: 10001"\n\n💡 **Tip:** You can also just provide your street address (e.g., "123 Main St") and I'll look up the rest!`
+          }
+        ]
+      };
+    }
+  }
+
+  // Update flow context with current progress
+  const contextUpdates = {
+    shippingAddress: updatedAddress,
+    shippingAddressStep: nextStep,
+    lastAction: 'collect_shipping_address'
+  };
+
+  if (isComplete) {
+    contextUpdates.checkoutDataCollected = true;
+    contextUpdates.flowStage = 'checkout';
+  }
+
+  updateFlowContext(sessionId, contextUpdates);
+
+  logger.info('Shipping address step progress', {
+    sessionId,
+    previousStep: currentStep,
+    nextStep,
+    isComplete,
+    hasName: !!updatedAddress.firstName && !!updatedAddress.lastName,
+    hasContact: !!updatedAddress.phone && !!updatedAddress.email,
+    hasAddress: !!updatedAddress.street && !!updatedAddress.city && !!updatedAddress.state && !!updatedAddress.zipCode
+  });
+
+  // Generate response based on step
+  if (isComplete) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `${responseText}**Contact:**\nPhone: ${updatedAddress.phone}\nEmail: \`${updatedAddress.email}\`\n\n✅ **All steps complete!** Shipping address is ready.\n\n**Next Step:** Use \`get_checkout_data\` tool to get complete order information (cart, shipping, billing, user info) ready for your payment API.`
+        }
+      ]
+    };
+  } else {
+    // Show progress and next step
+    const stepNumber = nextStep === 'contact' ? 2 : nextStep === 'address' ? 3 : 1;
+    
+    // If transitioning to Step 3, show the full Step 3 prompt with location services
+    if (nextStep === 'address') {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `${responseText}**Step 3 of 3: Address Information (US Only)**\n\n📍 **Quick Options:**\n\n1. **Turn on location services** to automatically fill your address\n2. **Provide just your street address** - I'll look up the city, state, and ZIP code for you\n\n**Or manually provide:**\n\nPlease provide your **street address**, **city**, **state** (2-letter code), and **ZIP code**.\n\nExample: "123 Main St, New York, NY 10001" or "Street: 123 Main St, City: New York, State: NY, ZIP: 10001"\n\n💡 **Tip:** You can also just provide your street address (e.g., "123 Main St") and I'll look up the rest!`
+          }
+        ]
+      };
+    }
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: `${responseText}**Progress:** Step ${stepNumber} of 3 completed.\n\n**Next:** ${nextStep === 'contact' ? 'Please provide your phone number and email address.' : '📍 Turn on location services to auto-fill your address, or manually provide your street address, city, state, and ZIP code (US addresses only).'}`
+        }
+      ]
+    };
+  }
+}
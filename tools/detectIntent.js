@@ -0,0 +1,72 @@
+import { getFlowContext, updateLastIntent, addConversationHistory } from "../services/flowContextService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { detectIntent } from "../services/intentService.js";
+import { routeIntent } from "../services/conversationRouter.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * detect_intent - detects the user's intent and extracts entities from a message
+ */
+export const detectIntentTool = {
+  name: "detect_intent",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. Detect user intent and extract entities from their message. Use this to understand what the user wants to do (coverage check, plan selection, device browsing, checkout, edit, etc.) and extract relevant information (ZIP codes, line numbers, plan IDs, etc.). This helps route the conversation appropriately.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      userMessage: {
+        type: "string",
+        description: "User's message to analyze"
+      },
+      sessionId: {
+        type: "string",
+        description: "Session ID for context (optional)"
+      }
+    },
+    required: ["userMessage"]
+  },
+  scope: TOOL_SCOPES.CATALOG_READ,
+  handler: handleDetectIntent
+};
+
+async function handleDetectIntent(args) {
+  const userMessage = args.userMessage;
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+  const context = getFlowContext(sessionId);
+
+  if (!userMessage) {
+    throw new Error('userMessage is required');
+  }
+
+  // Detect intent and extract entities
+  const intentResult = detectIntent(userMessage, context || {});
+  const routing = routeIntent(intentResult.intent, intentResult.entities, context);
+
+  // Update context with last intent
+  if (context && sessionId) {
+    updateLastIntent(sessionId, intentResult.intent, routing.action);
+    addConversationHistory(sessionId, {
+      intent: intentResult.intent,
+      action: routing.action,
+      data: { entities: intentResult.entities }
+    });
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: `## Intent Detection\n\n` +
+          `**Intent:** ${intentResult.intent}\n` +
+          `**Confidence:** ${Math.round(intentResult.confidence * 100)}%\n` +
+          `**Route:** ${routing.route}\n` +
+          `**Action:** ${routing.action}\n` +
+          `**Prerequisites:** ${routing.prerequisites.allowed ? '✅ Allowed' : '❌ ' + routing.prerequisites.reason}\n` +
+          (intentResult.entities && Object.keys(intentResult.entities).length > 0
+            ? `\n**Entities:**\n${JSON.stringify(intentResult.entities, null, 2)}\n`
+            : '') +
+          `\n**Guidance:** ${routing.guidance}` +
+          (routing.redirectTo ? `\n\n**Suggested redirect:** ${routing.redirectTo}` : '')
+      }
+    ]
+  };
+}
@@ -0,0 +1,180 @@
+import { removeFromCartLine } from "../services/cartService.js";
+import { getFlowContext, updateFlowContext, getFlowProgress } from "../services/flowContextService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { getNextStepSuggestions } from "../services/guidanceService.js";
+import { formatFlowStatus } from "../utils/formatter.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * edit_cart_item - changes plans, removes devices or moves items between cart lines
+ */
+export const editCartItemTool = {
+  name: "edit_cart_item",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. Edit or remove items from the cart. Supports changing plans, removing devices, updating line assignments, etc. Use this when user wants to modify their selections (e.g., 'change plan on line 2', 'remove device from line 1'). Note: SIM selection is no longer needed - eSIM is automatically set when plans are added.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      action: {
+        type: "string",
+        enum: ["remove", "change", "update"],
+        description: "Action to perform: 'remove' to delete item, 'change' to replace with different item, 'update' to modify properties"
+      },
+      itemType: {
+        type: "string",
+        enum: ["plan", "device", "protection", "sim"],
+        description: "Type of item to edit"
+      },
+      lineNumber: {
+        type: "integer",
+        minimum: 1,
+        description: "Line number (1-based) for the item to edit"
+      },
+      oldItemId: {
+        type: "string",
+        description: "Current item ID (required for 'change' action)"
+      },
+      newItemId: {
+        type: "string",
+        description: "New item ID (required for 'change' action)"
+      },
+      newSimType: {
+        type: "string",
+        enum: ["ESIM", "PSIM"],
+        description: "New SIM type (for SIM updates)"
+      },
+      sessionId: {
+        type: "string",
+        description: "Session ID (optional - uses this client's session if not provided)"
+      }
+    },
+    required: ["action", "itemType", "lineNumber"]
+  },
+  scope: TOOL_SCOPES.CART_WRITE,
+  handler: handleEditCartItem
+};
+
+async function handleEditCartItem(args) {
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+  const action = args.action; // remove, change, update
+  const itemType = args.itemType; // plan, device, protection, sim
+  const lineNumber = args.lineNumber;
+  const oldItemId = args.oldItemId;
+  const newItemId = args.newItemId;
+  const newSimType = args.newSimType;
+
+  if (!action || !itemType || !lineNumber) {
+    throw new Error('action, itemType, and lineNumber are required');
+  }
+
+  const context = getFlowContext(sessionId);
+  if (!context) {
+    throw new Error('No active cart to edit. Please start a purchase flow first.');
+  }
+
+  if (lineNumber < 1 || lineNumber > context.lineCount) {
+    throw new Error(`Line number ${lineNumber} is invalid. Valid range: 1-${context.lineCount}`);
+  }
+
+  const line = context.lines[lineNumber - 1];
+  if (!line) {
+    throw new Error(`Line ${lineNumber} not found`);
+  }
+
+  let responseText = `## Edit Cart Item\n\n`;
+  let updated = false;
+
+  if (action === 'remove') {
+    // Remove item from cart and context
+    if (itemType === 'plan') {
+      line.planSelected = false;
+      line.planId = null;
+      responseText += `✅ Plan removed from Line ${lineNumber}\n`;
+    } else if (itemType === 'device') {
+      line.deviceSelected = false;
+      line.deviceId = null;
+      // Also remove protection if device is removed
+      if (line.protectionSelected) {
+        line.protectionSelected = false;
+        line.protectionId = null;
+        responseText += `✅ Device and protection removed from Line ${lineNumber}\n`;
+      } else {
+        responseText += `✅ Device removed from Line ${lineNumber}\n`;
+      }
+    } else if (itemType === 'protection') {
+      line.protectionSelected = false;
+      line.protectionId = null;
+      responseText += `✅ Protection removed from Line ${lineNumber}\n`;
+    } else if (itemType === 'sim') {
+      line.simType = null;
+      line.simIccId = null;
+      responseText += `✅ SIM type removed from Line ${lineNumber}\n`;
+    }
+    updated = true;
+  } else if (action === 'change') {
+    if (itemType === 'plan') {
+      if (!oldItemId || !newItemId) {
+        throw new Error('oldItemId and newItemId are required for changing plans');
+      }
+      line.planId = newItemId;
+      responseText += `✅ Plan changed on Line ${lineNumber}\n`;
+      updated = true;
+    } else if (itemType === 'device') {
+      if (!oldItemId || !newItemId) {
+        throw new Error('oldItemId and newItemId are required for changing devices');
+      }
+      line.deviceId = newItemId;
+      responseText += `✅ Device changed on Line ${lineNumber}\n`;
+      updated = true;
+    } else if (itemType === 'sim') {
+      if (!newSimType) {
+        throw new Error('newSimType is required for changing SIM type');
+      }
+      line.simType = newSimType;
+      responseText += `✅ SIM type changed to ${newSimType} on Line ${lineNumber}\n`;
+      updated = true;
+    }
+  } else if (action === 'update') {
+    // Update properties (e.g., SIM type)
+    if (itemType === 'sim' && newSimType) {
+      line.simType = newSimType;
+      responseText += `✅ SIM type updated to ${newSimType} on Line ${lineNumber}\n`;
+      updated = true;
+    }
+  }
+
+  if (updated) {
+    // CRITICAL: Actually remove item from cart storage, not just flow context
+    // removeFromCartLine handles removing protection when device is removed
+    if (action === 'remove') {
+      removeFromCartLine(sessionId, lineNumber, itemType);
+    }
+
+    // Update flow context to match cart
+    updateFlowContext(sessionId, {
+      lines: context.lines
+    });
+
+    const progress = getFlowProgress(sessionId);
+    responseText += `\n` + formatFlowStatus(progress, context);
+
+    // Add guidance
+    const suggestions = getNextStepSuggestions(context);
+    if (suggestions.suggestions && suggestions.suggestions.length > 0) {
+      responseText += `\n\n**Next Steps:**\n`;
+      suggestions.suggestions.slice(0, 3).forEach((suggestion, index) => {
+        responseText += `${index + 1}. ${suggestion}\n`;
+      });
+    }
+  } else {
+    responseText += `⚠️ No changes made. Please check your parameters.`;
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: responseText
+      }
+    ]
+  };
+}
@@ -0,0 +1,127 @@
+import { getCartWithSession, getCartMultiLine } from "../services/cartService.js";
+import { getFlowContext, getFlowProgress } from "../services/flowContextService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { priceCart } from "../services/pricingService.js";
+import { formatButtonSuggestions } from "../utils/formatter.js";
+import { logger } from "../utils/logger.js";
+import { buildCartStructuredContent } from "./helpers.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * get_cart - returns the multi-line cart with totals
+ */
+export const getCartTool = {
+  name: "get_cart",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. Get latest cart items and totals (pricing snapshot) from Reach Mobile API. Returns cart view with items per line and a pricing breakdown (monthly recurring, discounts, device upfront, estimated tax, shipping, due today). SessionId auto-generated if not provided. FLOW LOGIC: After cart changes (add_to_cart), call this to get updated totals. Use cart snapshot for accurate pricing. GUARDRAILS: Cart must exist before adding items. System ensures cart exists automatically.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      sessionId: {
+        type: "string",
+        description: "Session ID (optional - uses this client's session if not provided)"
+      },
+    },
+    required: [],
+  },
+  scope: TOOL_SCOPES.CART_WRITE,
+  handler: handleGetCart
+};
+
+async function handleGetCart(args, { tenant }) {
+  // Use provided sessionId or get most recent
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+
+  // Try to get multi-line cart first
+  let cartMultiLine = getCartMultiLine(sessionId);
+  const context = sessionId ? getFlowContext(sessionId) : null;
+  const progress = sessionId ? getFlowProgress(sessionId) : null;
+
+  // CRITICAL: Filter out lines beyond configured lineCount
+  if (context && context.lineCount && cartMultiLine && cartMultiLine.lines) {
+    const originalLineCount = cartMultiLine.lines.length;
+    cartMultiLine.lines = cartMultiLine.lines.filter((line, idx) => {
+      const lineNum = line.lineNumber || (idx + 1);
+      return lineNum <= context.lineCount;
+    });
+
+    if (cartMultiLine.lines.length !== originalLineCount) {
+      logger.info('Filtered cart lines beyond lineCount', {
+        sessionId,
+        lineCount: context.lineCount,
+        originalLines: originalLineCount,
+        filteredLines: cartMultiLine.lines.length
+      });
+    }
+  }
+
+  // Use multi-line structure if available, otherwise fall back to old structure
+  let structuredData;
+  let headerText;
+
+  if (cartMultiLine.lines && cartMultiLine.lines.length > 0) {
+    // Price the (filtered) lines with the tenant's tax rate and shipping
+    const pricing = await priceCart(cartMultiLine, tenant);
+    cartMultiLine.total = pricing.totals.subtotal;
+    structuredData = buildCartStructuredContent(cartMultiLine, cartMultiLine.sessionId || sessionId, pricing);
+
+    // Generate conversational cart display with button suggestions
+    if (progress && progress.missing) {
+      const missing = progress.missing;
+
+      // Note: eSIM is automatically added when plans are added, so SIM missing check is not needed
+      {
+        // For other missing items, show summary
+        const missingItems = [];
+        if (missing.plans && missing.plans.length > 0) {
+          missingItems.push(`plan${missing.plans.length > 1 ? 's' : ''} for line${missing.plans.length > 1 ? 's' : ''} ${missing.plans.join(', ')}`);
+        }
+        if (missing.devices && missing.devices.length > 0) {
+          missingItems.push(`device${missing.devices.length > 1 ? 's' : ''} for line${missing.devices.length > 1 ? 's' : ''} ${missing.devices.join(', ')} (optional)`);
+        }
+        if (missing.protection && missing.protection.length > 0) {
+          missingItems.push(`protection for line${missing.protection.length > 1 ? 's' : ''} ${missing.protection.join(', ')} (optional)`);
+        }
+        // Note: eSIM is automatically added when plans are added, no need to show SIM as missing
+
+        if (missingItems.length > 0) {
+          headerText = `Here's your cart. **Still need:** ${missingItems.join(', ')}.`;
+        } else {
+          headerText = "Here's your cart. All items are configured! Ready to proceed to checkout.";
+        }
+      }
+    } else {
+      headerText = "Here's your shopping cart. Proceed to checkout when ready.";
+    }
+
+    // Add button suggestions
+    if (progress && context) {
+      headerText += formatButtonSuggestions(context, progress);
+    }
+  } else {
+    // Old structure (backward compatibility)
+    const cartResult = getCartWithSession(sessionId);
+    structuredData = buildCartStructuredContent(cartResult, cartResult.sessionId || sessionId);
+    headerText = "Here's your shopping cart. Proceed to checkout when ready.";
+  }
+
+  const response = {
+    structuredContent: structuredData,
+    content: [
+      {
+        type: "text",
+        text: headerText,
+      }
+    ]
+  };
+
+  logger.info("📤 get_cart response", {
+    hasStructuredContent: !!response.structuredContent,
+    isMultiLine: !!(cartMultiLine.lines && cartMultiLine.lines.length > 0),
+    itemsCount: structuredData.cards?.length || 0,
+    sessionId: structuredData.sessionId,
+    providedSessionId: sessionId,
+    responsePreview: JSON.stringify(response, null, 2).substring(0, 500)
+  });
+
+  return response;
+}
@@ -0,0 +1,133 @@
+import { getCartMultiLine } from "../services/cartService.js";
+import { getFlowContext, checkPrerequisites, getFlowProgress } from "../services/flowContextService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { priceCart } from "../services/pricingService.js";
+import { logger } from "../utils/logger.js";
+import { buildCheckoutData } from "./helpers.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * get_checkout_data - returns the shipping and contact details collected for checkout
+ */
+export const getCheckoutDataTool = {
+  name: "get_checkout_data",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. Get complete checkout data including cart, shipping address, billing address (same as shipping), user info, and order summary. Returns all data in a single JSON object ready for payment API integration. Requires cart to be ready and shipping address to be collected.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      sessionId: {
+        type: "string",
+        description: "Session ID (optional - uses this client's session if not provided)"
+      }
+    }
+  },
+  scope: TOOL_SCOPES.CHECKOUT_PII,
+  handler: handleGetCheckoutData
+};
+
+async function handleGetCheckoutData(args, { tenant }) {
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+  const context = getFlowContext(sessionId);
+  const cart = getCartMultiLine(sessionId);
+  const progress = getFlowProgress(sessionId);
+
+  if (!context) {
+    throw new Error('No flow context found. Please start a purchase flow first.');
+  }
+
+  // Validate prerequisites
+  const cartPrereq = checkPrerequisites(sessionId, 'checkout');
+  if (!cartPrereq.allowed) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `**⚠️ Cart not ready for checkout.**\n\n${cartPrereq.reason}\n\nPlease complete your cart first (plans for all lines - eSIM is automatically set when plans are added).`
+        }
+      ]
+    };
+  }
+
+  // Check shipping address - support step-by-step collection
+  const shippingStep = context.shippingAddressStep;
+  const hasCompleteAddress = context.shippingAddress && context.checkoutDataCollected;
+  
+  if (!hasCompleteAddress) {
+    // Check if we're in the middle of step-by-step collection
+    if (shippingStep && shippingStep !== 'complete') {
+      let stepMessage = '';
+      if (shippingStep === 'name') {
+        stepMessage = `**Step 1 of 3: Name Information**\n\nPlease provide your **first name** and **last name**.\n\nExample: "John Smith" or "First name: Jane, Last name: Doe"`;
+      } else if (shippingStep === 'contact') {
+        stepMessage = `**Step 2 of 3: Contact Information**\n\nPlease provide your **phone number** and **email address**.\n\nExample: "Phone: 555-123-4567, Email: john@example.com"`;
+      } else if (shippingStep === 'address') {
+        stepMessage = `**Step 3 of 3: Address Information (US Only)**\n\n📍 **Quick Options:**\n\n1. **Turn on location services** to automatically fill your address\n2. **Provide just your street address** - I'll look up the city, state, and ZIP code for you\n\n**Or manually provide:**\n\nPlease provide your **street address**, **city**, **state** (2-letter code), and **ZIP code**.\n\nExample: "123 Main St, New York, NY 10001"\n\n💡 **Tip:** You can also just provide your street address (e.g., "123 Main St") and I'll look up the rest!`;
+      }
+      
+      return {
+        content: [
+          {
+            type: "text",
+            text: `**⚠️ Shipping address collection in progress.**\n\n${stepMessage}\n\nPlease complete the current step before proceeding.`
+          }
+        ]
+      };
+    }
+    
+    // No address collection started yet
+    return {
+      content: [
+        {
+          type: "text",
+          text: `**⚠️ Shipping address not collected.**\n\nPlease collect shipping address using \`collect_shipping_address\` tool. The system will guide you through 3 sequential steps:\n\n1. **First name & Last name**\n2. **Phone number & Email address**\n3. **Street address, City, State, ZIP code** (US addresses only)\n\nSteps must be completed in order.`
+        }
+      ]
+    };
+  }
+
+  // Calculate totals
+  const pricing = await priceCart(cart, tenant);
+  const checkoutData = buildCheckoutData(sessionId, cart, context, pricing);
+  const { monthlyTotal, oneTimeTotal, totalDueToday } = checkoutData.orderSummary;
+
+  logger.info('═══════════════════════════════════════════════════════════');
+  logger.info('STEP 2: BUILDING CHECKOUT DATA');
+  logger.info('═══════════════════════════════════════════════════════════');
+  logger.info('Checkout data built successfully', {
+    sessionId,
+    timestamp: new Date().toISOString(),
+    checkoutData: {
+      sessionId: checkoutData.sessionId,
+      cart: {
+        lineCount: checkoutData.cart.lines.length,
+        lines: checkoutData.cart.lines.map((line, idx) => ({
+          lineIndex: idx + 1,
+          planId: line.plan?.id || line.plan?.uniqueIdentifier || line.plan?.name || 'N/A',
+          planName: line.plan?.name || 'N/A',
+          simType: line.sim?.simType || 'N/A',
+          hasDevice: !!line.device,
+          deviceName: line.device?.name || null
+        })),
+        totals: checkoutData.cart.totals
+      },
+      shippingAddress: checkoutData.shippingAddress,
+      billingAddress: checkoutData.billingAddress,
+      userInfo: checkoutData.userInfo,
+      orderSummary: checkoutData.orderSummary
+    }
+  });
+  logger.info('═══════════════════════════════════════════════════════════');
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: `✅ **Complete Checkout Data Ready for Payment API**\n\nAll order information has been collected and is ready for payment processing.\n\n**Order Summary:**\n• ${context.lineCount} line${context.lineCount > 1 ? 's' : ''}\n• Monthly Total: $${monthlyTotal.toFixed(2)}/mo\n• One-Time Total: $${oneTimeTotal.toFixed(2)}\n• Total Due Today: $${totalDueToday.toFixed(2)}${checkoutData.cart.totals.estimatedTax === null ? ' + tax (calculated at checkout)' : ''}\n\n**Shipping Address:**\n${context.shippingAddress.firstName} ${context.shippingAddress.lastName}\n${context.shippingAddress.street}\n${context.shippingAddress.city}, ${context.shippingAddress.state} ${context.shippingAddress.zipCode}\n\n**Contact:** \`${context.shippingAddress.email ?? 'N/A'}\` | ${context.shippingAddress.phone ?? 'N/A'}\n\n**Complete data structure is available in the response for your payment API integration.**`
+      }
+    ],
+    // Include structured data for programmatic access
+    structuredContent: {
+      checkoutData: checkoutData
+    }
+  };
+}
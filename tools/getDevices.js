@@ -0,0 +1,402 @@
+import { getCartMultiLine } from "../services/cartService.js";
+import { fetchDevices } from "../services/deviceService.js";
+import { getFlowContext, getFlowProgress, setResumeStep, updateLastIntent, addConversationHistory, getGlobalContextFlags } from "../services/flowContextService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { INTENT_TYPES } from "../services/intentService.js";
+import { cacheImage, getImageBase64 } from "../services/imageCacher.js";
+import { normalizeDeviceImageUrl } from "../utils/formatter.js";
+import { logger } from "../utils/logger.js";
+import { getServerBaseUrl, formatThreeSectionResponse, getNextStepsForIntent } from "./helpers.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * get_devices - fetches the device catalog, caches device images and renders the devices widget
+ */
+export const getDevicesTool = {
+  name: "get_devices",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. Search devices available for sale. Fetches real-time devices from Reach Mobile API. Supports text search and filters (maker, maxUpfront, buyMode, mustSupportEsim). FLOW LOGIC: Device browsing is NON-BLOCKING - allowed without plans (plans required before checkout, not for browsing). If no lineCount set, ask which line(s) user wants device for. After showing devices, system sets resume step to 'device_selection'. NON-LINEAR: Users can browse devices anytime. Answer question first, then resume previous step. GUARDRAILS: Device browsing allowed anytime. Plans required before checkout, not for browsing.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      limit: {
+        type: "integer",
+        minimum: 1,
+        maximum: 20,
+        description: "Maximum number of devices to return (minimum: 1, maximum: 20, default: 8)",
+      },
+      brand: {
+        type: "string",
+        description: "Filter by manufacturer/brand (e.g., 'Apple', 'iPhone', 'Samsung', 'Google', 'Pixel'). Case-insensitive partial matching.",
+      },
+      text: {
+        type: "string",
+        description: "Text search query for device name (optional)",
+      },
+      maxUpfront: {
+        type: "number",
+        minimum: 0,
+        description: "Maximum upfront price filter (optional)",
+      },
+      mustSupportEsim: {
+        type: "boolean",
+        description: "Filter for eSIM-capable devices only (optional)",
+      },
+      selectionMode: {
+        type: "string",
+        enum: ["initial", "applyAll", "sequential"],
+        description: "Device selection mode for multi-line sessions (optional, defaults to the session's mode)",
+      },
+      sessionId: {
+        type: "string",
+        description: "Session ID for flow context tracking (optional)",
+      },
+    },
+  },
+  _meta: {
+    "openai/outputTemplate": "ui://widget/devices.html",
+    "openai/resultCanProduceWidget": true,
+    "openai/widgetAccessible": true
+  },
+  requiresReachAuth: false,
+  scope: TOOL_SCOPES.CATALOG_READ,
+  handler: handleGetDevices
+};
+
+async function handleGetDevices(args, { tenant }) {
+  // Device browsing is allowed without plans (per flow requirements)
+  // Plans are only required before checkout, not for browsing
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+  const context = getFlowContext(sessionId);
+  const globalFlags = getGlobalContextFlags(sessionId);
+  const hasPlans = globalFlags.planSelected;
+
+  const limit = args.limit || 8;
+  const brand = args.brand || null;
+  const selectionMode = args.selectionMode || context?.deviceSelectionMode || 'initial';
+  let devices;
+  try {
+    devices = await fetchDevices(limit * 2, brand, tenant); // Fetch more to account for filtering
+  } catch (err) {
+    logger.error("Failed to fetch devices from Shopware API", {
+      error: err.message,
+      brand,
+      limit
+    });
+    return {
+      content: [
+        {
+          type: "text",
+          text: `## ⚠️ Device Catalog Unavailable\n\nI'm currently unable to fetch the live device list due to a connection issue with our catalog service.\n\n**What you can do:**\n- Try again in a few moments\n- Search for a specific brand or model\n- Ask about mobile plans instead while I wait for the service to recover.`
+        }
+      ]
+    };
+  }
+
+  // Client-side filtering as fallback (in case API filter doesn't work perfectly)
+  if (brand && devices && devices.length > 0) {
+    const brandLower = brand.toLowerCase();
+    const normalizedBrand = brandLower.includes('iphone') || brandLower.includes('apple') ? 'apple' :
+      brandLower.includes('samsung') || brandLower.includes('galaxy') ? 'samsung' :
+        brandLower.includes('pixel') || brandLower.includes('google') ? 'google' : brandLower;
+
+    devices = devices.filter(device => {
+      const deviceName = (device.name || device.translated?.name || '').toLowerCase();
+      const deviceBrand = (device.manufacturer?.name || device.brand || device.translated?.manufacturer?.name || '').toLowerCase();
+
+      if (normalizedBrand === 'apple') {
+        return deviceName.includes('iphone') || deviceBrand.includes('apple');
+      } else if (normalizedBrand === 'samsung') {
+        return deviceName.includes('samsung') || deviceName.includes('galaxy') || deviceBrand.includes('samsung');
+      } else if (normalizedBrand === 'google') {
+        return deviceName.includes('pixel') || deviceBrand.includes('google');
+      } else {
+        return deviceName.includes(normalizedBrand) || deviceBrand.includes(normalizedBrand);
+      }
+    });
+  }
+  logger.debug("Fetched devices for tool response", { deviceCount: devices.length });
+  // Limit results after filtering
+  // Limit results after filtering
+  devices = devices.slice(0, limit);
+  logger.info(`Processing images for ${devices.length} devices. ServerURL: ${getServerBaseUrl()}`);
+  // Async background caching for device images
+  if (devices && devices.length > 0) {
+    devices.forEach(device => {
+      let source = "none";
+      let rawImageUrl = null;
+
+      if (device.cover?.media?.url) {
+        rawImageUrl = device.cover.media.url;
+        source = "device.cover.media.url";
+      } else if (device.media && device.media[0]?.media?.url) {
+        rawImageUrl = device.media[0].media.url;
+        source = "device.media[0].media.url";
+      } else if (device.image) {
+        rawImageUrl = device.image;
+        source = "device.image";
+      } else if (device.coverImage) {
+        rawImageUrl = device.coverImage;
+        source = "device.coverImage";
+      } else if (device.thumbnail) {
+        rawImageUrl = device.thumbnail;
+        source = "device.thumbnail";
+      }
+
+      if (rawImageUrl) {
+        logger.debug(`🖼️ Background Cacher: Found image for ${device.name || device.id} from ${source}`, { rawImageUrl });
+        // Extract extension or default to png
+        const extension = rawImageUrl.split('.').pop().split(/[?#]/)[0] || 'png';
+        const filename = `${device.id || device.productNumber}.${extension}`;
+
+        // Trigger cache without awaiting to avoid blocking the response
+        cacheImage(rawImageUrl, filename).catch(err => {
+          logger.error(`Background image caching failed for ${device.id}: ${err.message}`);
+        });
+
+        // Add local fallback URL to the device object for the formatter/widget
+        // Use absolute URL if base URL is detected, otherwise relative
+        const localPath = `/public/assets/${filename}`;
+        device.localImageUrl = getServerBaseUrl() ? `${getServerBaseUrl()}${localPath}` : localPath;
+        logger.debug(`📍 Local fallback path generated: ${device.localImageUrl}`);
+      } else {
+        logger.debug(`⚠️ No image found for device: ${device.name || device.id}`);
+      }
+
+      // Fix mixed content in description (prevent HTTP images in HTTPS site)
+      if (device.description) {
+        device.description = device.description.replace(/src="http:/g, 'src="https:');
+      }
+    });
+  }
+
+  if (!devices || devices.length === 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `## 📱 Available Devices\n\nNo ${brand ? brand + ' ' : ''}devices found.`,
+        },
+      ],
+    };
+  }
+
+  // Set resume step and update context
+  if (context && sessionId) {
+    setResumeStep(sessionId, 'device_selection');
+    updateLastIntent(sessionId, INTENT_TYPES.DEVICE, 'get_devices');
+    addConversationHistory(sessionId, {
+      intent: INTENT_TYPES.DEVICE,
+      action: 'get_devices',
+      data: { deviceCount: devices.length, brand }
+    });
+  }
+
+  // Check if there's a device cart but no lines configured
+  const cart = sessionId ? getCartMultiLine(sessionId) : null;
+  const hasDeviceCart = cart && cart.lines && cart.lines.length > 0 &&
+    cart.lines.some(line => line.device !== null && line.device !== undefined);
+  const hasNoLinesConfigured = !context || !context.lineCount || context.lineCount === 0;
+
+  // Check flow context for guidance
+  const progress = sessionId ? getFlowProgress(sessionId) : null;
+
+  // Build three-section response
+  // SECTION 1: RESPONSE
+  let mainResponse = brand ?
+    `Showing ${devices.length} ${brand} device${devices.length > 1 ? 's' : ''} available for purchase.` :
+    `Showing ${devices.length} device${devices.length > 1 ? 's' : ''} from our catalog.`;
+
+  let suggestions = "";
+
+  // Special case: Device cart loaded but lines not added
+  if (hasDeviceCart && hasNoLinesConfigured) {
+    suggestions = "**⚠️ Lines Required First:**\n\n";
+    suggestions += "I can see you have devices in your cart, but lines need to be set up before you can continue.\n\n";
+    suggestions += "**Please add lines first:** Tell me how many lines you need (e.g., \"I need 2 lines\" or \"Set up 3 lines\").\n\n";
+    suggestions += "**After adding lines:** You'll need to select plans for each line before checkout. Plans are required before you can complete your purchase.\n\n";
+    suggestions += "**Device Selection:** You can browse and add more devices below. Once lines are configured, you can assign devices to specific lines.";
+  } else if (context && selectionMode === 'initial' && context.lineCount > 1) {
+    mainResponse += `\n\n**Before you pick a device:** Choose how you'd like to assign devices to lines.`;
+    suggestions = `**How would you like to select devices?**\n\n`;
+    suggestions += `• **Apply to all:** Choose one device for all ${context.lineCount} lines (I will use the \`select_device_mode\` tool)\n`;
+    suggestions += `• **Mix and match:** Select different devices per line (I will use the \`select_device_mode\` tool)\n\n`;
+    suggestions += `Devices are optional — you can skip device selection and continue anytime.`;
+  } else if (!hasPlans && context) {
+    suggestions = "**Note:** You can browse and add devices now, but you'll need to select plans before checkout.\n\n";
+    suggestions += "**Device Selection:** Click \"Add to Cart\" on any device below. You can add devices to specific lines or browse first and assign later.";
+  } else if (hasPlans && context) {
+    suggestions = "**Device Selection:** Click \"Add to Cart\" on any device below to add it to your cart.\n\n";
+    suggestions += "**Optional:** Devices are optional. You can proceed without devices or add protection after selecting a device.";
+  } else {
+    suggestions = "Browse our device catalog. To purchase, you'll need to set up your lines and select plans first.";
+  }
+
+  const nextSteps = getNextStepsForIntent(context, INTENT_TYPES.DEVICE);
+  const responseText = formatThreeSectionResponse(mainResponse, suggestions, nextSteps);
+
+  // Return structuredContent for Apps SDK widget
+  // Pass all device fields so widget can display full specs
+  // Return structuredContent for Apps SDK widget
+  // Pass all device fields so widget can display full specs
+  const structuredDevices = [];
+  for (const device of devices) {
+    // Normalize cover media URL if present
+    const normalizedCoverMediaUrl = device.cover?.media?.url
+      ? normalizeDeviceImageUrl(device.cover.media.url)
+      : null;
+
+    // Normalize media array URLs if present
+    const normalizedMedia = device.media && Array.isArray(device.media)
+      ? device.media.map(m => ({
+        ...m,
+        media: m.media ? {
+          ...m.media,
+          url: m.media.url ? normalizeDeviceImageUrl(m.media.url) : m.media.url
+        } : m.media,
+        url: m.url ? normalizeDeviceImageUrl(m.url) : m.url
+      }))
+      : device.media;
+
+    if (normalizedMedia && normalizedMedia.length > 0) {
+      const mediaUrls = normalizedMedia.map(m => m.url || (m.media && m.media.url)).filter(Boolean);
+      logger.info(`🖼️ Gallery URLs [${device.name || device.id}]: ${mediaUrls.length} found`, { urls: mediaUrls });
+    }
+
+    // Normalize main image URL
+    let mainImageSource = "none";
+    let mainImageRaw = null;
+
+    if (device.cover?.media?.url) {
+      mainImageRaw = device.cover.media.url;
+      mainImageSource = "cover.media.url";
+    } else if (device.media?.[0]?.media?.url) {
+      mainImageRaw = device.media[0].media.url;
+      mainImageSource = "media[0].media.url";
+    }
+
+    const normalizedImageUrl = normalizeDeviceImageUrl(mainImageRaw);
+    if (normalizedImageUrl || device.localImageUrl) {
+      logger.info(`📱 Device Image URLs [${device.name || device.id}]:`, {
+        primary: normalizedImageUrl,
+        local: device.localImageUrl || 'None'
+      });
+      logger.debug(`🎨 UI Mapping: Normalized image for ${device.name || device.id} from ${mainImageSource}`, { normalizedImageUrl });
+    }
+
+    // Generate Base64 for the primary image to bypass CSP (data URIs are usually allowed)
+    // Use filename derived from ID
+    const extension = (normalizedImageUrl || '').split('.').pop().split(/[?#]/)[0] || 'png';
+    const filename = `${device.id || device.productNumber}.${extension}`;
+    const base64Image = await getImageBase64(filename);
+    if (base64Image) {
+      logger.debug(`✨ Base64 generated for ${device.name || device.id}`);
+    }
+
+
+    structuredDevices.push({
+      // Spread all original device data so widget has access to everything
+      ...device,
+
+      // Attachment of base64 image for the UI widget
+      base64Image: base64Image,
+
+      // Override cover and media with normalized URLs
+      cover: device.cover ? {
+        ...device.cover,
+        media: device.cover.media ? {
+          ...device.cover.media,
+          url: normalizedCoverMediaUrl
+        } : device.cover.media
+      } : device.cover,
+      media: normalizedMedia,
+
+      // Normalized fields the widget expects
+      id: device.id || device.productNumber || device.ean,
+      name: device.name || device.translated?.name,
+      brand: device.manufacturer?.name || device.brand || device.translated?.manufacturer?.name,
+      productNumber: device.productNumber,
+      manufacturerNumber: device.manufacturerNumber,
+      price: device.calculatedPrice?.unitPrice || device.calculatedPrice?.totalPrice || device.price?.[0]?.gross || 0,
+      originalPrice: device.calculatedPrice?.listPrice?.price || device.price?.[0]?.listPrice || device.listPrice || null,
+      image: normalizedImageUrl,
+      properties: device.properties || [],
+      calculatedPrice: device.calculatedPrice || device.calculatedCheapestPrice,
+      calculatedCheapestPrice: device.calculatedCheapestPrice,
+      stock: device.stock,
+      availableStock: device.availableStock,
+      available: device.available,
+      weight: device.weight,
+      width: device.width,
+      height: device.height,
+      length: device.length,
+      releaseDate: device.releaseDate,
+    });
+  }
+
+  const linesWithDevices = cart ? (cart.lines || [])
+    .filter(l => l.device && l.device.id)
+    .map(l => l.lineNumber) : [];
+
+  const selectedDevicesPerLine = {};
+  if (cart && cart.lines) {
+    cart.lines.forEach(line => {
+      if (line.device && line.device.id) {
+        selectedDevicesPerLine[String(line.lineNumber)] = line.device.id;
+      }
+    });
+  }
+
+  let activeLineId = null;
+  if (selectionMode === 'sequential' && context?.lineCount) {
+    for (let i = 1; i <= context.lineCount; i++) {
+      if (!linesWithDevices.includes(i)) {
+        activeLineId = i;
+        break;
+      }
+    }
+  }
+
+  const structuredData = {
+    selectionMode,
+    activeLineId,
+    selectedDevicesPerLine,
+    linesWithDevices,
+    deviceModePrompted: context?.deviceModePrompted || false,
+    devices: structuredDevices,
+    // Include flowContext data for line selection
+    lineCount: context ? (context.lineCount || 0) : 0,
+    lines: context && context.lines ? context.lines.map((line, index) => ({
+      lineNumber: line.lineNumber || (index + 1),
+      phoneNumber: line.phoneNumber || null,
+      planSelected: line.planSelected || false,
+      planId: line.planId || null,
+      deviceSelected: line.deviceSelected || false,
+      deviceId: line.deviceId || null,
+      protectionSelected: line.protectionSelected || false,
+      protectionId: line.protectionId || null,
+      simType: line.simType || null,
+      simIccId: line.simIccId || null
+    })) : []
+  };
+
+  const response = {
+    structuredContent: structuredData,
+    content: [
+      {
+        type: "text",
+        text: responseText,
+      }
+    ],
+    _meta: {
+      widgetType: "deviceCard"
+    }
+  };
+
+  logger.info("📤 get_devices response", {
+    hasStructuredContent: !!response.structuredContent,
+    devicesCount: structuredData.devices.length,
+    responsePreview: JSON.stringify(response, null, 2).substring(0, 500)
+  });
+
+  return response;
+}
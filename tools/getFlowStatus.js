@@ -0,0 +1,68 @@
+import { getFlowContext, getFlowProgress, getGlobalContextFlags } from "../services/flowContextService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { formatFlowStatus } from "../utils/formatter.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * get_flow_status - reports purchase flow progress and missing prerequisites
+ */
+export const getFlowStatusTool = {
+  name: "get_flow_status",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. Get the current status of the purchase flow. Shows what's completed, what's missing, and suggests next steps. Uses this client's session if sessionId is not provided.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      sessionId: {
+        type: "string",
+        description: "Session ID (optional - uses this client's session if not provided)"
+      },
+    },
+  },
+  scope: TOOL_SCOPES.CATALOG_READ,
+  handler: handleGetFlowStatus
+};
+
+async function handleGetFlowStatus(args) {
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+  const context = getFlowContext(sessionId);
+  const progress = getFlowProgress(sessionId);
+  const globalFlags = getGlobalContextFlags(sessionId);
+
+  if (!context || !globalFlags.linesConfigured) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `## 📊 Flow Status\n\n` +
+            `No active purchase flow found.\n\n` +
+            `**To get started:**\n` +
+            `- Call \`start_session\` to begin\n` +
+            `- Or start by checking coverage or selecting a plan`
+        }
+      ]
+    };
+  }
+
+  const statusText = formatFlowStatus(progress, context);
+
+  // Include global flags in response (already declared above)
+  const flagsSummary = `\n\n---\n\n**Global Context Flags:**\n` +
+    `• Lines Configured: ${globalFlags.linesConfigured ? '✅' : '❌'}\n` +
+    `• Plan Selected: ${globalFlags.planSelected ? '✅' : '❌'}\n` +
+    `• Device Selected: ${globalFlags.deviceSelected ? '✅' : '❌'}\n` +
+    `• Protection Selected: ${globalFlags.protectionSelected ? '✅' : '❌'}\n` +
+    `• SIM Selected: ${globalFlags.simSelected ? '✅' : '❌'}\n` +
+    `• Coverage Checked: ${globalFlags.coverageChecked ? '✅' : '❌'}`;
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: statusText + flagsSummary
+      }
+    ],
+    _meta: {
+      globalFlags: globalFlags
+    }
+  };
+}
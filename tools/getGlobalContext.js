@@ -0,0 +1,70 @@
+import { getFlowContext, getGlobalContextFlags } from "../services/flowContextService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * get_global_context - returns the global context flags for the session
+ */
+export const getGlobalContextTool = {
+  name: "get_global_context",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. Get global context flags (system memory) showing the overall state of the purchase flow. Returns boolean flags for planSelected, deviceSelected, protectionSelected, simSelected, linesConfigured, and coverageChecked.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      sessionId: {
+        type: "string",
+        description: "Session ID (optional - uses this client's session if not provided)"
+      },
+    },
+  },
+  scope: TOOL_SCOPES.CATALOG_READ,
+  handler: handleGetGlobalContext
+};
+
+async function handleGetGlobalContext(args) {
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+  const context = getFlowContext(sessionId);
+  const globalFlags = getGlobalContextFlags(sessionId);
+
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `## 📊 Global Context\n\nNo active session found. Please start a purchase flow first.`
+        }
+      ]
+    };
+  }
+
+  const flagsText = `# 📊 Global Context (System Memory)\n\n` +
+    `**Session ID:** ${sessionId}\n\n` +
+    `## Context Flags\n\n` +
+    `| Flag | Status |\n` +
+    `|------|--------|\n` +
+    `| Lines Configured | ${globalFlags.linesConfigured ? '✅ Yes' : '❌ No'} |\n` +
+    `| Plan Selected | ${globalFlags.planSelected ? '✅ Yes' : '❌ No'} |\n` +
+    `| Device Selected | ${globalFlags.deviceSelected ? '✅ Yes' : '❌ No'} |\n` +
+    `| Protection Selected | ${globalFlags.protectionSelected ? '✅ Yes' : '❌ No'} |\n` +
+    `| SIM Selected | ${globalFlags.simSelected ? '✅ Yes' : '❌ No'} |\n` +
+    `| Coverage Checked | ${globalFlags.coverageChecked ? '✅ Yes' : '❌ No'} |\n\n` +
+    `## Details\n\n` +
+    `- **Line Count:** ${context.lineCount || 0}\n` +
+    `- **Flow Stage:** ${context.flowStage || 'initial'}\n` +
+    `- **Last Intent:** ${context.lastIntent || 'none'}\n` +
+    `- **Last Action:** ${context.lastAction || 'none'}\n` +
+    (globalFlags.coverageChecked ? `- **Coverage ZIP:** ${context.coverageZipCode || 'N/A'}\n` : '');
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: flagsText
+      }
+    ],
+    _meta: {
+      globalFlags: globalFlags,
+      sessionId: sessionId
+    }
+  };
+}
@@ -0,0 +1,78 @@
+import { getFlowContext, getResumeStep } from "../services/flowContextService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { getNextStep as getNextStepFromRouter } from "../services/conversationRouter.js";
+import { getNextStepSuggestions } from "../services/guidanceService.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * get_next_step - suggests the next step in the purchase flow
+ */
+export const getNextStepTool = {
+  name: "get_next_step",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. Get the next recommended step in the purchase flow based on current progress. Use this after answering a user's question to determine where to resume the flow. Helps maintain conversation continuity in non-linear flows.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      sessionId: {
+        type: "string",
+        description: "Session ID (optional - uses this client's session if not provided)"
+      },
+      currentStep: {
+        type: "string",
+        description: "Current step name (optional)"
+      }
+    },
+  },
+  scope: TOOL_SCOPES.CATALOG_READ,
+  handler: handleGetNextStep
+};
+
+async function handleGetNextStep(args) {
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+  const context = getFlowContext(sessionId);
+  const currentStep = args.currentStep || null;
+
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `## Next Step\n\n` +
+            `**Step:** line_count\n` +
+            `**Action:** start_session\n` +
+            `**Guidance:** Let's get started! How many lines would you like to set up?`
+        }
+      ]
+    };
+  }
+
+  const nextStep = getNextStepFromRouter(context, currentStep);
+  const suggestions = getNextStepSuggestions(context);
+
+  // Check resume step
+  const resumeStep = getResumeStep(sessionId);
+
+  let guidanceText = `## Next Step\n\n`;
+  if (resumeStep) {
+    guidanceText += `**Resume Step:** ${resumeStep}\n`;
+  }
+  guidanceText += `**Next Step:** ${nextStep.step}\n` +
+    `**Action:** ${nextStep.action}\n` +
+    `**Guidance:** ${nextStep.guidance}`;
+
+  if (suggestions.suggestions && suggestions.suggestions.length > 0) {
+    guidanceText += `\n\n**Suggestions:**\n`;
+    suggestions.suggestions.forEach((suggestion, index) => {
+      guidanceText += `${index + 1}. ${suggestion}\n`;
+    });
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: guidanceText
+      }
+    ]
+  };
+}
@@ -0,0 +1,76 @@
+import { fetchOffers } from "../services/productService.js";
+import { logger } from "../utils/logger.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * get_offers - lists available coupons and offers
+ */
+export const getOffersTool = {
+  name: "get_offers",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. Get available offers/coupons from Reach Mobile API. Optionally filter by service code.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      serviceCode: {
+        type: "string",
+        description: "Service code to filter offers (optional)",
+      },
+    },
+  },
+  _meta: {
+    "openai/outputTemplate": "ui://widget/offers.html",
+    "openai/resultCanProduceWidget": true,
+    "openai/widgetAccessible": true
+  },
+  scope: TOOL_SCOPES.CATALOG_READ,
+  handler: handleGetOffers
+};
+
+async function handleGetOffers(args, { tenant }) {
+  const offers = await fetchOffers(args.serviceCode, tenant);
+
+  // Transform offers for structuredContent
+  const structuredData = {
+    offers: offers.map(offer => ({
+      coupon: offer.coupon,
+      name: offer.name,
+      type: offer.type,
+      subType: offer.subType,
+      discountInDollar: offer.discountInDollar,
+      planDiscount: offer.planDiscount,
+      secondaryDiscount: offer.secondaryDiscount,
+      validityInMonths: offer.validityInMonths,
+      status: offer.status,
+      expired: offer.expired,
+      startDate: offer.startDate,
+      endDate: offer.endDate,
+      maxCouponLimit: offer.maxCouponLimit,
+      maxBudgetInDollar: offer.maxBudgetInDollar,
+      maxDiscountInDollar: offer.maxDiscountInDollar,
+      skipValidity: offer.skipValidity,
+      createdOn: offer.createdOn,
+      modifiedOn: offer.modifiedOn,
+    }))
+  };
+
+  const response = {
+    structuredContent: structuredData,
+    content: [
+      {
+        type: "text",
+        text: `Here are ${offers.length} available coupon${offers.length !== 1 ? 's' : ''}. Apply any coupon to get discounts!`,
+      }
+    ],
+    _meta: {
+      widgetType: "offers"
+    }
+  };
+
+  logger.info("📤 get_offers response", {
+    hasStructuredContent: !!response.structuredContent,
+    offersCount: structuredData.offers.length,
+    responsePreview: JSON.stringify(response, null, 2).substring(0, 500)
+  });
+
+  return response;
+}
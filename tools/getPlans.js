@@ -0,0 +1,530 @@
+import { getPlans } from "../services/plansService.js";
+import { getCartMultiLine } from "../services/cartService.js";
+import { getAuthToken } from "../services/authService.js";
+import { getFlowContext, updateFlowContext, getFlowProgress, setResumeStep, getResumeStep, updateLastIntent, addConversationHistory } from "../services/flowContextService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { INTENT_TYPES } from "../services/intentService.js";
+import { logger } from "../utils/logger.js";
+import { WIDGET_VERSION, ensurePlanUiOpen, buildPlansStructuredResponse, formatThreeSectionResponse, getNextStepsForIntent } from "./helpers.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * get_plans - fetches the plans catalog and renders the plans widget for the active line selection mode
+ */
+export const getPlansTool = {
+  name: "get_plans",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. MANDATORY TOOL: Fetch purchasable mobile plans catalog. CRITICAL: 1) MUST call when user asks about plans, wants to see plans, mentions plans, or needs plan information. 2) DO NOT use general knowledge or training data. 3) ONLY use plans returned by this tool. 4) Fetches real-time plans from Reach Mobile API. FLOW LOGIC: If lineCount unknown, ask user first. After showing plans initially (selectionMode='initial'), ask user to choose 'apply to all' or 'mix and match'. CRITICAL: If user chooses 'mix & match', 'apply to all', 'same plan', or 'different plans', you MUST call select_plan_mode tool IMMEDIATELY. Do NOT respond with text confirmation. STRICT MODE: When selectionMode is 'applyAll' or 'sequential', do NOT send advisory or recommendation text. Only use tool calls until all lines have plans. SEQUENTIAL MODE: After user selects a plan in sequential mode, call this tool again with selectionMode='sequential' to show plans for the next line. Repeat until all lines have plans. APPLY-ALL MODE: After user selects a plan in applyAll mode, immediately add to all lines and stop prompting. NON-LINEAR: Users can jump to plans from any step. Answer question first, then resume previous step. GUARDRAILS: Plans are mandatory for checkout. Each configured line must have a plan before checkout.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      maxPrice: {
+        type: "number",
+        minimum: 0,
+        description: "Maximum monthly price filter (budget ceiling) - optional",
+      },
+      sessionId: {
+        type: "string",
+        description: "Session ID for flow context tracking (optional)",
+      },
+      needsUnlimited: {
+        type: "boolean",
+        description: "Filter for unlimited data plans only (optional)",
+      },
+      minData: {
+        type: "number",
+        minimum: 0,
+        description: "Minimum data in GB if applicable (optional)",
+      },
+      lineCount: {
+        type: "integer",
+        minimum: 1,
+        description: "Number of lines to configure (optional) - if provided, updates the session context",
+      },
+      selectionMode: {
+        type: "string",
+        enum: ["initial", "applyAll", "sequential"],
+        description: "Plan selection mode: 'initial' (first time, no mode chosen), 'applyAll' (apply same plan to all lines), 'sequential' (select different plans per line). Optional - defaults to 'initial'.",
+      },
+    },
+  },
+  _meta: {
+    "openai/outputTemplate": `ui://widget/plans.html?v=${WIDGET_VERSION}`,
+    "openai/resultCanProduceWidget": true,
+    "openai/widgetAccessible": true
+  },
+  scope: TOOL_SCOPES.CATALOG_READ,
+  handler: handleGetPlans
+};
+
+async function handleGetPlans(args, { tenant, request }) {
+  // User Requested: Force explicit token refresh on every get_plans call to avoid 403s
+  logger.info("Forcing auth token refresh for get_plans tool", { tenant });
+  await getAuthToken(tenant, true);
+
+  // Check flow context FIRST to see if line is selected
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+  let context = getFlowContext(sessionId);
+
+  // If lineCount provided in args, update context immediately
+  if (args.lineCount && args.lineCount > 0) {
+    context = updateFlowContext(sessionId, {
+      lineCount: args.lineCount,
+      flowStage: 'planning'
+    });
+  }
+
+  const progress = getFlowProgress(sessionId);
+
+  // CRITICAL CHECK: If lineCount is not set or is 0/null, return TEXT ONLY (no widgets)
+  // If lineCount is already set (lines were selected previously), show plans directly without asking
+  const hasLineCount = context && context.lineCount !== null && context.lineCount > 0;
+
+  // MANDATORY: If no line is configured, return TEXT ONLY - NO WIDGETS/CARDS
+  // If lines are already configured, show plans directly (don't ask for lines again)
+  if (!hasLineCount) {
+    // NO LINE SELECTED - Return text prompt only, NO cards/widget, NO structuredContent
+    return {
+      content: [
+        {
+          type: "text",
+          text: `# 📱 Mobile Plans Available\n\n` +
+            `I'd be happy to show you our mobile plans! However, I need to know how many lines you'd like to set up first.\n\n` +
+            `**To view plans:**\n\n` +
+            `1. **Tell me how many lines you need** (e.g., "I need 2 lines" or "Start purchase flow with 3 lines")\n` +
+            `2. **Or say:** "Start purchase flow" and I'll ask how many lines\n\n` +
+            `Once you've selected the number of lines, I'll show you all available plans with interactive cards that you can add to your cart.\n\n` +
+            `**What is a line?**\n` +
+            `A line is a phone number/service. You can have 1-25 lines per account. Each line can have its own plan, device, and SIM type.`
+        }
+      ],
+      _meta: {
+        widgetType: null, // Explicitly no widget
+        hasLineSelected: false,
+        showWidgets: false // Explicit flag to prevent widget rendering
+        // NOTE: structuredContent is NOT included in response - this ensures no widgets are shown
+      }
+    };
+  }
+
+  // LINE IS SELECTED - Fetch plans and show cards
+  let plans;
+  try {
+    plans = await getPlans(args.maxPrice, tenant);
+  } catch (planError) {
+    // Handle plan fetching errors gracefully
+    const errorMessage = planError.message || String(planError);
+    const statusCode = planError.statusCode || (planError.name === 'APIError' ? planError.statusCode : null);
+    const errorType = planError.errorType || (planError.name === 'APIError' ? planError.errorType : null);
+
+    logger.error("Failed to fetch plans in get_plans tool", {
+      sessionId,
+      error: errorMessage,
+      errorType: errorType || planError.name,
+      statusCode: statusCode,
+      hasLineSelected: true
+    });
+
+    // Handle 403/permissions errors FIRST (most specific)
+    if (statusCode === 403 || errorMessage.includes('explicit deny') || errorMessage.includes('access denied') || errorMessage.includes('403') || errorMessage.includes('forbidden') || errorMessage.includes('not authorized')) {
+      let errorResponse = `## ⚠️ Plans API Access Unavailable\n\n`;
+      errorResponse += `I tried to fetch the available mobile plans, but encountered a permissions issue with the API.\n\n`;
+      errorResponse += `**Issue:** ${errorMessage.includes('explicit deny') ? 'Your account has an explicit deny policy for the plans endpoint.' : 'Your account may not have permission to access the plans API endpoint.'}\n\n`;
+      errorResponse += `**What this means:** This is a permissions/entitlement issue on the Reach API side. The account needs to be granted access to the \`/apisvc/v0/product/fetch\` endpoint.\n\n`;
+      errorResponse += `**What you can do:**\n\n`;
+      errorResponse += `1. **Contact Reach support** to request access to the \`/apisvc/v0/product/fetch\` endpoint\n`;
+      errorResponse += `2. **Verify API permissions** — Confirm that your API credentials have the necessary permissions\n`;
+      errorResponse += `3. **Try again** — Sometimes this is a temporary issue, so retrying might work\n\n`;
+      errorResponse += `Sorry about the inconvenience. This is an account configuration issue that needs to be resolved with Reach support.\n\n`;
+
+      // If there's a resume step, mention it
+      const resumeStep = context ? getResumeStep(sessionId) : null;
+      if (resumeStep && context) {
+        errorResponse += `💡 *You can continue with your previous step (${resumeStep}) or contact support about API permissions.*`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: errorResponse,
+          },
+        ],
+        _meta: {
+          widgetType: null, // No widget on error
+          hasLineSelected: true,
+          error: true,
+          errorType: 'PERMISSIONS_ERROR'
+        }
+      };
+    }
+
+    // Handle server errors (500, 502, 503, 504)
+    if (statusCode >= 500 || errorType === 'SERVER_ERROR' || errorMessage.includes('500') || errorMessage.includes('502') || errorMessage.includes('503') || errorMessage.includes('504') || errorMessage.includes('Server error')) {
+      let errorResponse = `## ⚠️ Plans Service Temporarily Unavailable\n\n`;
+      errorResponse += `I tried to fetch the available mobile plans, but the plans service is temporarily unavailable right now (server error on our side).\n\n`;
+      errorResponse += `**What you can do:**\n\n`;
+      errorResponse += `⏳ **Try again in a few minutes** — This is usually a short-lived issue.\n\n`;
+      errorResponse += `🔁 **Retry** — Simply say "Show me plans" again, and I'll try to fetch them.\n\n`;
+      errorResponse += `📞 **Contact support** — If the issue persists, there may be a backend problem that needs to be resolved.\n\n`;
+      errorResponse += `Sorry about the inconvenience. I'll keep trying to load the plans for you.\n\n`;
+
+      // If there's a resume step, mention it
+      const resumeStep = context ? getResumeStep(sessionId) : null;
+      if (resumeStep && context) {
+        errorResponse += `💡 *You can continue with your previous step (${resumeStep}) or try loading plans again.*`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: errorResponse,
+          },
+        ],
+        _meta: {
+          widgetType: null,
+          hasLineSelected: true,
+          error: true,
+          errorType: 'SERVER_ERROR'
+        }
+      };
+    }
+
+    // Provide specific guidance based on error type
+    if (errorMessage.includes('modifiedDate') || errorMessage.includes('unconvert') || errorMessage.includes('ReachPlanDTO')) {
+      let errorResponse = `## ⚠️ Plans API Server Bug\n\n`;
+      errorResponse += `I tried to fetch the available mobile plans, but encountered a known server-side issue.\n\n`;
+      errorResponse += `**Issue:** The plans API has a server-side bug (modifiedDate unconversion error). This is a known issue on the Reach API side.\n\n`;
+      errorResponse += `**What you can do:**\n\n`;
+      errorResponse += `⏳ **Try again in a few minutes** — Sometimes retrying works around the issue.\n\n`;
+      errorResponse += `🔁 **Retry** — Simply say "Show me plans" again, and I'll try to fetch them.\n\n`;
+      errorResponse += `📞 **Contact Reach support** — This is a server-side bug that needs to be fixed by Reach support.\n\n`;
+      errorResponse += `Sorry about the inconvenience.\n\n`;
+
+      // If there's a resume step, mention it
+      const resumeStep = context ? getResumeStep(sessionId) : null;
+      if (resumeStep && context) {
+        errorResponse += `💡 *You can continue with your previous step (${resumeStep}) or try loading plans again.*`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: errorResponse,
+          },
+        ],
+        _meta: {
+          widgetType: null,
+          hasLineSelected: true,
+          error: true,
+          errorType: 'SERVER_BUG'
+        }
+      };
+    } else if (errorMessage.includes('No plans found')) {
+      let errorResponse = `## 📱 No Plans Available\n\n`;
+      errorResponse += `I tried to fetch the available mobile plans, but no plans are currently available in the catalog.\n\n`;
+      errorResponse += `**What you can do:**\n\n`;
+      errorResponse += `⏳ **Try again later** — Plans may be temporarily unavailable.\n\n`;
+      errorResponse += `📞 **Contact support** — If you need immediate assistance, please reach out to our support team.\n\n`;
+
+      // If there's a resume step, mention it
+      const resumeStep = context ? getResumeStep(sessionId) : null;
+      if (resumeStep && context) {
+        errorResponse += `💡 *You can continue with your previous step (${resumeStep}).*`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: errorResponse,
+          },
+        ],
+        _meta: {
+          widgetType: null,
+          hasLineSelected: true,
+          error: true,
+          errorType: 'NO_PLANS_FOUND'
+        }
+      };
+    } else if (errorMessage.includes('timeout') || errorMessage.includes('timed out') || errorType === 'TIMEOUT_ERROR' || planError.name === 'TimeoutError') {
+      let errorResponse = `## ⏱️ Plans Request Timed Out\n\n`;
+      errorResponse += `I tried to fetch the available mobile plans, but the request took too long to complete.\n\n`;
+      errorResponse += `**What you can do:**\n\n`;
+      errorResponse += `🔁 **Try again** — Simply say "Show me plans" again, and I'll retry.\n\n`;
+      errorResponse += `📶 **Check your connection** — A slow connection might be causing the timeout.\n\n`;
+
+      // If there's a resume step, mention it
+      const resumeStep = context ? getResumeStep(sessionId) : null;
+      if (resumeStep && context) {
+        errorResponse += `💡 *You can continue with your previous step (${resumeStep}) or try loading plans again.*`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: errorResponse,
+          },
+        ],
+        _meta: {
+          widgetType: null,
+          hasLineSelected: true,
+          error: true,
+          errorType: 'TIMEOUT_ERROR'
+        }
+      };
+    } else if (errorMessage.includes('network') || errorMessage.includes('fetch') || errorMessage.includes('ECONNREFUSED') || errorMessage.includes('ENOTFOUND') || planError.name === 'NetworkError') {
+      let errorResponse = `## 🌐 Network Connection Issue\n\n`;
+      errorResponse += `I tried to fetch the available mobile plans, but there was a network connection issue.\n\n`;
+      errorResponse += `**What you can do:**\n\n`;
+      errorResponse += `🔁 **Try again** — Simply say "Show me plans" again, and I'll retry.\n\n`;
+      errorResponse += `📶 **Check your connection** — Ensure you have a stable internet connection.\n\n`;
+
+      // If there's a resume step, mention it
+      const resumeStep = context ? getResumeStep(sessionId) : null;
+      if (resumeStep && context) {
+        errorResponse += `💡 *You can continue with your previous step (${resumeStep}) or try loading plans again.*`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: errorResponse,
+          },
+        ],
+        _meta: {
+          widgetType: null,
+          hasLineSelected: true,
+          error: true,
+          errorType: 'NETWORK_ERROR'
+        }
+      };
+    } else {
+      // Generic error handler
+      let errorResponse = `## ⚠️ Unable to Load Plans\n\n`;
+      errorResponse += `I tried to fetch the available mobile plans, but encountered an issue.\n\n`;
+      errorResponse += `**Issue:** ${errorMessage}\n\n`;
+      errorResponse += `**What you can do:**\n\n`;
+      errorResponse += `⏳ **Try again in a few minutes** — This may be a temporary issue.\n\n`;
+      errorResponse += `🔁 **Retry** — Simply say "Show me plans" again, and I'll try to fetch them.\n\n`;
+      errorResponse += `📞 **Contact support** — If the issue persists, please reach out for assistance.\n\n`;
+      errorResponse += `Sorry about the inconvenience. I'll keep trying to load the plans for you.\n\n`;
+
+      // If there's a resume step, mention it
+      const resumeStep = context ? getResumeStep(sessionId) : null;
+      if (resumeStep && context) {
+        errorResponse += `💡 *You can continue with your previous step (${resumeStep}) or try loading plans again.*`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: errorResponse,
+          },
+        ],
+        _meta: {
+          widgetType: null,
+          hasLineSelected: true,
+          error: true,
+          errorType: 'UNKNOWN_ERROR'
+        }
+      };
+    }
+  }
+
+  if (!plans || plans.length === 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "## 📱 Available Mobile Plans\n\nNo plans found matching your criteria. Please try again or adjust your filters.",
+        },
+      ],
+      _meta: {
+        widgetType: null,
+        hasLineSelected: true
+      }
+    };
+  }
+
+  // Set resume step for conversational flow
+  if (context && sessionId) {
+    setResumeStep(sessionId, 'plan_selection');
+    updateLastIntent(sessionId, INTENT_TYPES.PLAN, 'get_plans');
+    addConversationHistory(sessionId, {
+      intent: INTENT_TYPES.PLAN,
+      action: 'get_plans',
+      data: { planCount: plans.length }
+    });
+  }
+
+  const openContext = ensurePlanUiOpen(context);
+  updateFlowContext(sessionId, openContext);
+  if (!openContext.planUi.isOpen && openContext.planUi.loadCount >= 2) {
+    return {
+      content: [{
+        type: "text",
+        text: "Please type the plan name you want (e.g., Basic, Unlimited, Unlimited Plus)."
+      }]
+    };
+  }
+
+  return buildPlansStructuredResponse(
+    sessionId,
+    openContext,
+    plans,
+    `Here are ${plans.length} available plan${plans.length > 1 ? 's' : ''}.`
+  );
+
+  // Fetch cart to check for existing lines with plans
+  const cart = sessionId ? getCartMultiLine(sessionId) : null;
+
+  // Determine selection mode and calculate activeLineId
+  let selectionMode = args.selectionMode || context?.planSelectionMode || 'initial';
+  let activeLineId = null;
+  let selectedPlansPerLine = {};
+
+  // Get lines with plans from cart
+  const linesWithPlans = cart ? (cart.lines || [])
+    .filter(l => l.plan && l.plan.id)
+    .map(l => l.lineNumber) : [];
+
+  // Build selectedPlansPerLine map
+  if (cart && cart.lines) {
+    cart.lines.forEach(line => {
+      if (line.plan && line.plan.id) {
+        selectedPlansPerLine[String(line.lineNumber)] = line.plan.id;
+      }
+    });
+  }
+
+  // Calculate activeLineId for sequential mode
+  if (selectionMode === 'sequential') {
+    // Find the first line without a plan
+    const lineCount = context?.lineCount || 0;
+    for (let i = 1; i <= lineCount; i++) {
+      if (!linesWithPlans.includes(i)) {
+        activeLineId = i;
+        break;
+      }
+    }
+  }
+
+  const planModePrompted = context?.planModePrompted || false;
+
+  // Build three-section response: Response | Suggestions | Next Steps
+  // SECTION 1: RESPONSE
+  let mainResponse = `Showing ${plans.length} available plan${plans.length > 1 ? 's' : ''}. All prices in USD for USA.\n\nSee plan cards below with pricing, data, and features.`;
+
+  let suggestions = "";
+  let nextSteps = "";
+
+  if (context && progress) {
+    const lineCount = context?.lineCount || 0;
+
+    // Section 2: Suggestions about the response
+    if (selectionMode === 'initial' && lineCount > 1) {
+      suggestions = `**How would you like to select plans?**\n\n`;
+      suggestions += `• **Apply to all:** Choose one plan for all ${lineCount} lines (I will use the \`select_plan_mode\` tool)\n`;
+      suggestions += `• **Mix and match:** Select different plans for each line (I will use the \`select_plan_mode\` tool)\n\n`;
+      suggestions += `Please let me know your preference!`;
+    } else if (selectionMode === 'applyAll') {
+      suggestions = `**Apply to All Mode**\n\n`;
+      suggestions += `Click any plan card below to apply it to all ${lineCount} lines.`;
+    } else if (selectionMode === 'sequential' && activeLineId) {
+      suggestions = `**Selecting plan for Line ${activeLineId}**\n\n`;
+      suggestions += `Click any plan card below to select it for Line ${activeLineId}.`;
+      if (linesWithPlans.length > 0) {
+        suggestions += `\n\n✅ Completed: Line${linesWithPlans.length > 1 ? 's' : ''} ${linesWithPlans.join(', ')}`;
+      }
+    } else if (progress.missing.plans && progress.missing.plans.length > 0) {
+      suggestions = `You need to select plans for **${progress.missing.plans.length} line${progress.missing.plans.length > 1 ? 's' : ''}**.\n\n`;
+      suggestions += `**Selection Options:**\n`;
+      suggestions += `• **Apply to All:** Choose one plan and apply it to all lines\n`;
+      suggestions += `• **Mix & Match:** Select different plans for each line\n\n`;
+      suggestions += `Click \"Add to Cart\" on any plan card below.`;
+    } else {
+      suggestions = "All plans have been selected for your lines. You can still add more plans or modify your selections.";
+    }
+
+    // Section 3: Next Steps (flow-aligned)
+    nextSteps = getNextStepsForIntent(context, INTENT_TYPES.PLAN);
+  } else {
+    // Fallback (shouldn't happen if line is selected, but just in case)
+    suggestions = "Select a plan from the cards below to add it to your cart.";
+    nextSteps = `**→ Next:** Choose a plan and click "Add to Cart"`;
+  }
+
+  const responseText = formatThreeSectionResponse(mainResponse, suggestions, nextSteps);
+
+  // Return structuredContent for Apps SDK widget (ONLY when line is selected)
+  // The widget will read this via window.openai.toolOutput
+  const structuredData = {
+    selectionMode: selectionMode,
+    activeLineId: activeLineId,
+    selectedPlansPerLine: selectedPlansPerLine,
+    linesWithPlans: linesWithPlans,
+    planModePrompted: planModePrompted,
+    plans: plans.map(plan => ({
+      // Spread original plan so widget sees all API fields
+      ...plan,
+
+      // Normalized fields the widget expects
+      id: plan.id || plan.uniqueIdentifier,
+      name: plan.displayName || plan.displayNameWeb || plan.name,
+      price: plan.price || plan.baseLinePrice || 0,
+      data: plan.data || plan.planData || 0,
+      dataUnit: plan.dataUnit || "GB",
+      discountPctg: plan.discountPctg || 0,
+      planType: plan.planType,
+      serviceCode: plan.serviceCode,
+      planCharging: plan.planCharging,
+    })),
+    // Include flowContext data for line selection
+    lineCount: context ? (context.lineCount || 0) : 0,
+    lines: context && context.lines ? context.lines.map((line, index) => ({
+      lineNumber: line.lineNumber || (index + 1),
+      phoneNumber: line.phoneNumber || null,
+      planSelected: line.planSelected || false,
+      planId: line.planId || null,
+      deviceSelected: line.deviceSelected || false,
+      deviceId: line.deviceId || null,
+      protectionSelected: line.protectionSelected || false,
+      protectionId: line.protectionId || null,
+      simType: line.simType || null,
+      simIccId: line.simIccId || null
+    })) : []
+  };
+
+  const response = {
+    structuredContent: structuredData,
+    content: [
+      {
+        type: "text",
+        text: responseText,
+      }
+    ],
+    _meta: {
+      // Widget-only data, not Apps SDK config
+      widgetType: "planCard",
+      hasLineSelected: true
+    }
+  };
+
+  logger.info("📤 get_plans response", {
+    hasStructuredContent: !!response.structuredContent,
+    hasLineSelected: true,
+    plansCount: structuredData.plans.length,
+    responsePreview: JSON.stringify(response, null, 2).substring(0, 500)
+  });
+
+  if (context && selectionMode === 'initial' && context.lineCount > 1 && !planModePrompted) {
+    updateFlowContext(sessionId, { planModePrompted: true });
+  }
+
+  return response;
+}
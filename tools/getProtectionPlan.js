@@ -0,0 +1,97 @@
+import { fetchProtectionPlans } from "../services/deviceService.js";
+import { getFlowContext, checkPrerequisites, getFlowProgress } from "../services/flowContextService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { formatProtectionPlansAsCards, formatButtonSuggestions } from "../utils/formatter.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * get_protection_plan - lists device protection plans for devices in the cart
+ */
+export const getProtectionPlanTool = {
+  name: "get_protection_plan",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. List protection options for a device reference from Reach Mobile API. Returns protection catalog with options (monthly, deductible, highlights). FLOW LOGIC: Device protection REQUIRES a device for the target line (protection gate: NEED_DEVICE). If no device exists, system routes to device flow. After showing protection, system sets resume step to 'protection_selection'. NON-LINEAR: Users can add protection anytime after devices are added. GUARDRAILS: Protection cannot be selected for a line unless it has deviceRef.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      deviceRef: {
+        type: "string",
+        description: "Device reference ID (optional - if not provided, uses device from flow context)",
+      },
+      lineNumber: {
+        type: "integer",
+        minimum: 1,
+        description: "Line number to check protection for (optional)",
+      },
+      sessionId: {
+        type: "string",
+        description: "Session ID for flow context (optional)",
+      },
+    },
+  },
+  requiresReachAuth: false,
+  scope: TOOL_SCOPES.CATALOG_READ,
+  handler: handleGetProtectionPlan
+};
+
+async function handleGetProtectionPlan(args, { tenant, isAppsSDK }) {
+  // Check prerequisites
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+  const prerequisites = sessionId ? checkPrerequisites(sessionId, 'add_protection') : { allowed: true };
+
+  if (!prerequisites.allowed) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `## ⚠️ Device Protection\n\n${prerequisites.reason}\n\n` +
+            `**Note:** Device protection is optional, but requires a device to be added first.`
+        }
+      ]
+    };
+  }
+
+  const protectionPlans = await fetchProtectionPlans(tenant);
+
+  if (isAppsSDK) {
+    return {
+      content: [{ type: "text", text: JSON.stringify({ success: true, protectionPlans }) }],
+    };
+  }
+
+  const cardMarkdown = formatProtectionPlansAsCards(protectionPlans);
+
+  // Add conversational guidance with button suggestions
+  let responseText = cardMarkdown;
+
+  if (sessionId) {
+    const flowContext = getFlowContext(sessionId);
+    const progress = getFlowProgress(sessionId);
+    if (flowContext && progress) {
+      const linesNeedingProtection = progress.missing.protection || [];
+      if (linesNeedingProtection.length > 0) {
+        responseText += `\n\n**What I need to add protection**\n\n`;
+        responseText += `Tell me:\n`;
+        responseText += `1. Your state, and\n`;
+        responseText += `2. Whether you want to add device protection to Line ${linesNeedingProtection[0]}`;
+        if (linesNeedingProtection.length > 1) {
+          responseText += ` (or lines ${linesNeedingProtection.join(', ')})`;
+        }
+        responseText += `\n\nOnce I have that, I can add the protection item to your cart and move you closer to checkout.`;
+      }
+
+      // Add button suggestions
+      responseText += formatButtonSuggestions(flowContext, progress, 'protection');
+    }
+  } else {
+    responseText += `\n\n**Note:** Device protection is available in eligible states. Add a device to your cart first, then we can add protection.`;
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: responseText,
+      },
+    ],
+  };
+}
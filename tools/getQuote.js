@@ -0,0 +1,111 @@
+import { getCartMultiLine } from "../services/cartService.js";
+import { getFlowContext, checkPrerequisites } from "../services/flowContextService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { purchaseQuote, isDeviceCheckoutEnabled } from "../services/purchaseService.js";
+import { priceCart } from "../services/pricingService.js";
+import { findIneligibleOffers } from "../services/offerService.js";
+import { recordQuote, summarizePricingTotals, summarizeQuoteTotals, diffTotals } from "../services/quoteService.js";
+import { formatQuoteTotals } from "../utils/formatter.js";
+import { logger } from "../utils/logger.js";
+import { buildCheckoutData, buildDeviceCheckoutUnavailableResult, buildIneligibleOffersResult, buildPriceUpdatedResult } from "./helpers.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * get_quote - prices the cart with the purchase quote API and records the quote for confirmation
+ */
+export const getQuoteTool = {
+  name: "get_quote",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. Get the final price for the cart from the Reach purchase quote API (monthly total, devices, shipping, tax, total due today) and record the quote on the session. Show these totals to the user and ask them to confirm; then call purchase_plans with confirm: true and the quoteId. If the quote differs from the cart totals, returns a PRICE_UPDATED problem with a diff - show it and ask the user to confirm the new totals. FLOW LOGIC: Requires plans on every line and a collected shipping address. Devices and protection can only be quoted where device checkout is enabled; otherwise a NOT_ELIGIBLE problem asks to remove them. Quotes expire and are tied to the cart contents; get a new quote after changing the cart.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      sessionId: {
+        type: "string",
+        description: "Session ID (optional - uses this client's session if not provided)"
+      }
+    }
+  },
+  scope: TOOL_SCOPES.CHECKOUT_PII,
+  handler: handleGetQuote
+};
+
+async function handleGetQuote(args, { tenant }) {
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+  const context = getFlowContext(sessionId);
+  const cart = getCartMultiLine(sessionId);
+
+  if (!context) {
+    throw new Error('No flow context found. Please start a purchase flow first.');
+  }
+
+  const cartPrereq = checkPrerequisites(sessionId, 'checkout');
+  if (!cartPrereq.allowed || !cart.lines || cart.lines.length === 0) {
+    return {
+      content: [{
+        type: "text",
+        text: `**⚠️ Cart not ready for a quote.**\n\n${cartPrereq.reason || 'Your cart is empty.'}\n\nPlease add plans for all lines first.`
+      }]
+    };
+  }
+
+  if (!context.shippingAddress || !context.checkoutDataCollected) {
+    return {
+      content: [{
+        type: "text",
+        text: `**⚠️ Shipping address not collected.**\n\nThe quote is priced for the shipping address. Please collect it with \`collect_shipping_address\` first.`
+      }]
+    };
+  }
+
+  const deviceLines = cart.lines.filter(line => line.device || line.protection);
+  if (deviceLines.length > 0 && !isDeviceCheckoutEnabled(tenant)) {
+    return buildDeviceCheckoutUnavailableResult(deviceLines, 'get_quote');
+  }
+
+  const ineligibleOffers = findIneligibleOffers(cart);
+  if (ineligibleOffers.length > 0) {
+    return buildIneligibleOffersResult(ineligibleOffers, 'get_quote');
+  }
+
+  const pricing = await priceCart(cart, tenant);
+  const checkoutData = buildCheckoutData(sessionId, cart, context, pricing);
+  const quoteResponse = await purchaseQuote(checkoutData, tenant);
+
+  const expectedTotals = summarizePricingTotals(pricing);
+  const diff = diffTotals(expectedTotals, summarizeQuoteTotals(quoteResponse.data));
+  const quote = recordQuote(sessionId, { quoteResponse, cart, expectedTotals, diff });
+
+  logger.info('get_quote completed', {
+    sessionId,
+    tenant,
+    quoteId: quote.quoteId,
+    status: quote.status,
+    dueToday: quote.totals.dueToday
+  });
+
+  if (diff.length > 0) {
+    return buildPriceUpdatedResult(quote, 'get_quote', { expected: 'Cart', quoted: 'Quote' });
+  }
+
+  return {
+    structuredContent: {
+      quote: {
+        quoteId: quote.quoteId,
+        status: quote.status,
+        totals: quote.totals,
+        expiresAt: quote.expiresAt
+      }
+    },
+    content: [{
+      type: "text",
+      text: `## 🧾 Your Quote\n\n` +
+        `${formatQuoteTotals(quote.totals)}\n\n` +
+        `This price is valid until ${new Date(quote.expiresAt).toLocaleTimeString()}. ` +
+        `Please confirm to place the order; then call \`purchase_plans\` with \`confirm: true\` and \`quoteId: "${quote.quoteId}"\`.`
+    }],
+    _meta: {
+      sessionId,
+      quoteId: quote.quoteId
+    }
+  };
+}
@@ -0,0 +1,40 @@
+import { fetchServices } from "../services/productService.js";
+import { formatServicesAsCards } from "../utils/formatter.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * get_services - lists shipping, top-up and other services
+ */
+export const getServicesTool = {
+  name: "get_services",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. Get available services (shipping, top-up, etc.) from Reach Mobile API. Optionally filter by service code.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      serviceCode: {
+        type: "string",
+        description: "Service code to filter services (optional)",
+      },
+    },
+  },
+  scope: TOOL_SCOPES.CATALOG_READ,
+  handler: handleGetServices
+};
+
+async function handleGetServices(args, { tenant, isAppsSDK }) {
+  const services = await fetchServices(args.serviceCode, tenant);
+  if (isAppsSDK) {
+    return {
+      content: [{ type: "text", text: JSON.stringify({ success: true, services }) }],
+    };
+  }
+  const cardMarkdown = formatServicesAsCards(services);
+  return {
+    content: [
+      {
+        type: "text",
+        text: cardMarkdown,
+      },
+    ],
+  };
+}
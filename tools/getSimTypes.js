@@ -0,0 +1,85 @@
+import { getFlowContext } from "../services/flowContextService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { INTENT_TYPES } from "../services/intentService.js";
+import { formatThreeSectionResponse, getNextStepsForIntent } from "./helpers.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * get_sim_types - deprecated SIM type listing (eSIM is assigned automatically when plans are added)
+ */
+export const getSimTypesTool = {
+  name: "get_sim_types",
+  description: "DEPRECATED: SIM selection is no longer needed. eSIM is automatically set when a plan is added to the cart. This tool is kept for backward compatibility but should not be used. Users no longer need to select SIM types - eSIM is automatically assigned.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      lineNumber: {
+        type: "integer",
+        minimum: 1,
+        description: "DEPRECATED: Line number parameter (SIM selection is no longer needed - eSIM is automatically set when plans are added)",
+      },
+      sessionId: {
+        type: "string",
+        description: "Session ID for flow context tracking (optional)",
+      },
+    },
+  },
+  _meta: {
+    "openai/outputTemplate": "ui://widget/sim.html",
+    "openai/resultCanProduceWidget": true,
+    "openai/widgetAccessible": true
+  },
+  scope: TOOL_SCOPES.CATALOG_READ,
+  handler: handleGetSimTypes
+};
+
+async function handleGetSimTypes(args) {
+  // SIM selection is no longer needed - eSIM is automatically set when plan is added
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+  let context = sessionId ? getFlowContext(sessionId) : null;
+  
+  // Inform user that SIM selection is no longer needed
+  return {
+    content: [{
+      type: "text",
+      text: `✅ **SIM Selection No Longer Needed**\n\n` +
+        `eSIM is automatically set when you add a plan to your cart. You don't need to select SIM types manually.\n\n` +
+        `**How it works:**\n` +
+        `• When you add a plan to a line, eSIM is automatically assigned\n` +
+        `• No action required from you\n` +
+        `• Your cart is ready for checkout once plans are selected\n\n` +
+        (context && context.lines?.some(l => l.planSelected) 
+          ? `✅ Your plans already have eSIM automatically set. Ready to checkout!`
+          : `**Next step:** Add plans to your cart, and eSIM will be set automatically.`)
+    }]
+  };
+
+  let mainResponse = "";
+  if (assignedLines.length > 0) {
+    mainResponse = `✅ **eSIM is set for Line${assignedLines.length > 1 ? 's' : ''} ${assignedLines.join(', ')}.**\n\nWe currently provide **eSIM only**, so I’ve taken care of this for you.`;
+  } else if (alreadySetLines.length > 0) {
+    mainResponse = `✅ **eSIM already set** for Line${alreadySetLines.length > 1 ? 's' : ''} ${alreadySetLines.join(', ')}.\n\nWe currently provide **eSIM only**.`;
+  } else {
+    mainResponse = `✅ **eSIM is already selected for all lines.**\n\nWe currently provide **eSIM only**.`;
+  }
+
+  const hasPlan = context && context.lines && context.lines.some(l => l && l.planSelected);
+  let suggestions = "";
+  if (!hasPlan) {
+    suggestions = `**Next step:** Select a plan for your line${context?.lineCount > 1 ? 's' : ''}. Say "Show me plans".`;
+  } else {
+    suggestions = `You can continue with devices, protection, or checkout.`;
+  }
+
+  const nextSteps = getNextStepsForIntent(context, INTENT_TYPES.SIM);
+  const responseText = formatThreeSectionResponse(mainResponse, suggestions, nextSteps);
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: responseText,
+      }
+    ]
+  };
+}
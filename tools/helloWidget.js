@@ -0,0 +1,38 @@
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * hello_widget - minimal widget rendering test
+ */
+export const helloWidgetTool = {
+  name: "hello_widget",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. Test widget rendering - minimal example",
+  inputSchema: {
+    type: "object",
+    properties: {
+      name: {
+        type: "string",
+        description: "Name to greet"
+      }
+    },
+    required: ["name"]
+  },
+  _meta: {
+    "openai/outputTemplate": "ui://widget/hello.html",
+    "openai/widgetAccessible": false
+  },
+  scope: TOOL_SCOPES.CATALOG_READ,
+  handler: handleHelloWidget
+};
+
+async function handleHelloWidget(args) {
+  return {
+    structuredContent: { message: `Hello, ${args.name || "World"}!` },
+    content: [
+      {
+        type: "text",
+        text: `Greeting ${args.name || "World"} in a widget.`
+      }
+    ],
+    _meta: {}
+  };
+}
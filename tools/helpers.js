@@ -0,0 +1,716 @@
+import { getPlans } from "../services/plansService.js";
+import { addToCart, addToCartLine, getCartMultiLine } from "../services/cartService.js";
+import { getFlowContext, updateFlowContext, getFlowProgress, getGlobalContextFlags } from "../services/flowContextService.js";
+import { INTENT_TYPES } from "../services/intentService.js";
+import { calculateCartPricing, buildCheckoutTotals } from "../services/pricingService.js";
+import { createProblem, createProblemResult, PROBLEM_TYPES } from "../utils/errorHandler.js";
+import { formatPriceDiff } from "../utils/formatter.js";
+
+// ================================================================================
+// SHARED TOOL HELPERS
+// ================================================================================
+
+/**
+ * Cache-busting version appended to versioned widget URIs (changes on every boot)
+ */
+export const WIDGET_VERSION = Date.now();
+
+// Server base URL for absolute asset links (captured from the first HTTP request if not set via ENV)
+let serverBaseUrl = process.env.SERVER_URL || null;
+
+/**
+ * Get the server base URL used to build absolute asset links
+ * @returns {string|null} Base URL (e.g. https://example.ngrok.app) or null if unknown
+ */
+export function getServerBaseUrl() {
+  return serverBaseUrl;
+}
+
+/**
+ * Set the server base URL used to build absolute asset links
+ * @param {string|null} url - Base URL captured from the incoming request
+ */
+export function setServerBaseUrl(url) {
+  serverBaseUrl = url;
+}
+
+export function normalizePlanName(name = '') {
+  return String(name).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalize plan name for display/storage: remove data amounts and convert to lowercase
+ * Example: "Unlimited Plus (50GB)" -> "unlimited plus"
+ */
+export function normalizePlanNameForDisplay(name = '') {
+  if (!name || typeof name !== 'string') return name;
+  // Remove data amounts like "(50GB)", "(50 GB)", "50GB", etc.
+  let normalized = name
+    .replace(/\([\d.]+[\s]*[GMK]?B\)/gi, '') // Remove (50GB), (50 GB), etc.
+    .replace(/[\d.]+[\s]*[GMK]?B/gi, '') // Remove standalone 50GB, 50 GB, etc.
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+  return normalized;
+}
+
+export async function findPlanByNameOrId(tenant, planIdOrName) {
+  const plans = await getPlans(null, tenant);
+  if (!plans || plans.length === 0) return null;
+
+  const direct = plans.find(p => (p.id || p.uniqueIdentifier) === planIdOrName);
+  if (direct) return direct;
+
+  const normalized = normalizePlanName(planIdOrName);
+  return plans.find(p => {
+    const display = p.displayName || p.displayNameWeb || p.name || '';
+    return normalizePlanName(display).includes(normalized);
+  }) || null;
+}
+
+export function nextUnfilledIndex(lines = [], selectedPlanByLine = {}) {
+  for (let i = 0; i < lines.length; i++) {
+    const lineId = String(lines[i].lineNumber || i + 1);
+    if (!selectedPlanByLine[lineId]) {
+      return i;
+    }
+  }
+  return null;
+}
+
+export function allFilled(lines = [], selectedPlanByLine = {}) {
+  return lines.length > 0 && lines.every((line, idx) => {
+    const lineId = String(line.lineNumber || idx + 1);
+    return !!selectedPlanByLine[lineId];
+  });
+}
+
+export function buildPlanCartPayload(lines = [], selectedPlanByLine = {}) {
+  return lines.map((line, idx) => ({
+    lineNumber: line.lineNumber || idx + 1,
+    planId: selectedPlanByLine[String(line.lineNumber || idx + 1)] || null
+  })).filter(entry => entry.planId);
+}
+
+export async function addPlansToCartBySelections(sessionId, tenant, selections) {
+  const lineNumbers = [];
+  for (const entry of selections) {
+    const planItem = await findPlanByNameOrId(tenant, entry.planId);
+    if (!planItem) continue;
+    const normalizedPlan = {
+      ...planItem,
+      id: planItem.id || planItem.uniqueIdentifier,
+      name: normalizePlanNameForDisplay(planItem.displayName || planItem.displayNameWeb || planItem.name),
+      price: planItem.price || planItem.baseLinePrice || 0,
+      data: planItem.data || planItem.planData || 0,
+      dataUnit: planItem.dataUnit || "GB",
+      discountPctg: planItem.discountPctg || 0,
+      planType: planItem.planType,
+      serviceCode: planItem.serviceCode,
+      planCharging: planItem.planCharging,
+    };
+    addToCart(sessionId, normalizedPlan, entry.lineNumber);
+    
+    // Automatically add eSIM to cart when plan is added
+    if (entry.lineNumber) {
+      lineNumbers.push(entry.lineNumber);
+      addToCartLine(sessionId, entry.lineNumber, {
+        type: 'sim',
+        simType: 'ESIM',
+        iccId: null,
+        price: 0,
+        lineNumber: entry.lineNumber
+      });
+    }
+  }
+  
+  // Also update flow context to set simType for these lines
+  if (lineNumbers.length > 0) {
+    const context = getFlowContext(sessionId);
+    if (context && context.lines) {
+      lineNumbers.forEach(lineNumber => {
+        const line = context.lines[lineNumber - 1];
+        if (line && !line.simType) {
+          line.simType = 'ESIM';
+          line.simIccId = null;
+        }
+      });
+      updateFlowContext(sessionId, { lines: context.lines });
+    }
+  }
+}
+
+export function ensurePlanUiOpen(context) {
+  if (!context.planUi) {
+    context.planUi = { isOpen: false, loadCount: 0 };
+  }
+  // Plans UI should load only once - if it's already been loaded, don't increment
+  if (!context.planUi.isOpen && context.planUi.loadCount === 0) {
+    context.planUi.loadCount = 1;
+    context.planUi.isOpen = true;
+  }
+  return context;
+}
+
+export function closePlanUi(context) {
+  if (!context.planUi) return context;
+  context.planUi.isOpen = false;
+  return context;
+}
+
+export function buildPlansStructuredResponse(sessionId, context, plans, responseText) {
+  const lineCount = context?.lineCount || 0;
+  const cartSnapshot = getCartMultiLine(sessionId);
+  const linesWithPlans = cartSnapshot ? (cartSnapshot.lines || [])
+    .filter(l => l.plan && l.plan.id)
+    .map(l => l.lineNumber) : [];
+
+  const selectedPlansPerLine = { ...(context?.selectedPlanByLine || {}) };
+  const selectionMode = context?.planSelectionMode || 'initial';
+  let activeLineId = null;
+  if (selectionMode === 'sequential') {
+    const nextIndex = nextUnfilledIndex(context?.lines || [], selectedPlansPerLine);
+    activeLineId = nextIndex !== null ? (context.lines[nextIndex]?.lineNumber || nextIndex + 1) : null;
+  }
+
+  return {
+    structuredContent: {
+      selectionMode,
+      activeLineId,
+      selectedPlansPerLine,
+      linesWithPlans,
+      planModePrompted: context?.planModePrompted || false,
+      plans: plans.map(plan => ({
+        ...plan,
+        id: plan.id || plan.uniqueIdentifier,
+        name: plan.displayName || plan.displayNameWeb || plan.name,
+        price: plan.price || plan.baseLinePrice || 0,
+        data: plan.data || plan.planData || 0,
+        dataUnit: plan.dataUnit || "GB",
+        discountPctg: plan.discountPctg || 0,
+        planType: plan.planType,
+        serviceCode: plan.serviceCode,
+        planCharging: plan.planCharging,
+      })),
+      lineCount,
+      lines: context?.lines ? context.lines.map((line, index) => ({
+        lineNumber: line.lineNumber || (index + 1),
+        phoneNumber: line.phoneNumber || null,
+        planSelected: line.planSelected || false,
+        planId: line.planId || null,
+        deviceSelected: line.deviceSelected || false,
+        deviceId: line.deviceId || null,
+        protectionSelected: line.protectionSelected || false,
+        protectionId: line.protectionId || null,
+        simType: line.simType || null,
+        simIccId: line.simIccId || null
+      })) : []
+    },
+    content: [{
+      type: "text",
+      text: responseText
+    }],
+    _meta: {
+      sessionId,
+      intent: INTENT_TYPES.PLAN,
+      lineCount,
+      "openai/outputTemplate": `ui://widget/plans.html?v=${WIDGET_VERSION}`,
+      "openai/resultCanProduceWidget": true,
+      "openai/widgetAccessible": true,
+      widgetType: 'planCard',
+      hasLineSelected: true,
+      showWidgets: true,
+      autoShown: true
+    }
+  };
+}
+// ================================================================================
+// HELPER FUNCTIONS FOR THREE-SECTION RESPONSE FORMAT
+// ================================================================================
+
+/**
+ * Format response into three sections: Response | Suggestions | Next Steps
+ * @param {string} mainResponse - The primary response/data
+ * @param {string} suggestions - Interpretation/explanation of the response
+ * @param {string} nextSteps - Flow-aligned next steps
+ * @returns {string} Formatted response
+ */
+export function formatThreeSectionResponse(mainResponse, suggestions, nextSteps) {
+  let formatted = "";
+
+  // SECTION 1: RESPONSE
+  formatted += "### 1️⃣ Response\n\n";
+  formatted += mainResponse.trim();
+
+  // SECTION 2: SUGGESTIONS
+  if (suggestions && suggestions.trim().length > 0) {
+    formatted += "\n\n---\n\n### 2️⃣ Suggestions\n\n";
+    formatted += suggestions.trim();
+  }
+
+  // SECTION 3: NEXT STEPS
+  if (nextSteps && nextSteps.trim().length > 0) {
+    formatted += "\n\n---\n\n### 3️⃣ Next Steps\n\n";
+    formatted += nextSteps.trim();
+  }
+
+  return formatted;
+}
+
+export function autoAssignEsimForLines(sessionId, context, lineNumbers) {
+  if (!sessionId || !context || !Array.isArray(lineNumbers) || lineNumbers.length === 0) {
+    return null;
+  }
+
+  const assignedLines = [];
+  const maxLineNumber = Math.max(...lineNumbers);
+
+  if (!context.lineCount || context.lineCount < maxLineNumber) {
+    context.lineCount = maxLineNumber;
+  }
+
+  while (context.lines.length < maxLineNumber) {
+    context.lines.push({
+      lineNumber: context.lines.length + 1,
+      planSelected: false,
+      planId: null,
+      deviceSelected: false,
+      deviceId: null,
+      protectionSelected: false,
+      protectionId: null,
+      simType: 'ESIM', // Auto-select eSIM as default since we only provide eSIM
+      simIccId: null
+    });
+  }
+
+  lineNumbers.forEach((lineNumber) => {
+    if (!lineNumber || lineNumber < 1) return;
+    const line = context.lines[lineNumber - 1];
+    if (!line || line.simType === 'ESIM') return;
+
+    line.simType = 'ESIM';
+    line.simIccId = null;
+    assignedLines.push(lineNumber);
+
+    addToCartLine(sessionId, lineNumber, {
+      type: 'sim',
+      simType: 'ESIM',
+      iccId: null,
+      price: 0,
+      lineNumber: lineNumber
+    });
+  });
+
+  if (assignedLines.length > 0) {
+    updateFlowContext(sessionId, {
+      lineCount: context.lineCount,
+      lines: context.lines,
+      flowStage: 'configuring'
+    });
+  }
+
+  return {
+    assignedLines,
+    updatedContext: getFlowContext(sessionId)
+  };
+}
+
+export function formatCurrency(amount) {
+  const value = Number(amount || 0);
+  return `$${value.toFixed(2)}`;
+}
+
+/**
+ * Format a cart's due-today amount, noting tax still to come when it is not estimated
+ * @param {Object} totals - Pricing totals (pricingService.calculateCartPricing)
+ * @returns {string} e.g. "$38.50" or "$35.00 + tax (calculated at checkout)"
+ */
+export function formatDueToday(totals) {
+  return `${formatCurrency(totals.dueToday)}${totals.estimatedTax === null ? ' + tax (calculated at checkout)' : ''}`;
+}
+
+/**
+ * Build cart cards (and the pricing breakdown) for structuredContent
+ * @param {Object} cart - Multi-line cart (or legacy { items } cart)
+ * @param {string} sessionId - Session ID
+ * @param {Object|null} pricing - Pricing from pricingService.priceCart (computed without tax/shipping if omitted)
+ * @returns {Object} { sessionId, cards, pricing?, offers? }
+ */
+export function buildCartStructuredContent(cart, sessionId, pricing = null) {
+  const structured = {
+    sessionId: sessionId || "default",
+    cards: []
+  };
+
+  if (cart && Array.isArray(cart.lines) && cart.lines.length > 0) {
+    const cartPricing = pricing || calculateCartPricing(cart);
+    structured.pricing = cartPricing;
+    structured.offers = (cart.offers || []).map(offer => ({ coupon: offer.coupon, name: offer.name || offer.coupon }));
+
+    cart.lines.forEach((line, index) => {
+      const lineNumber = line.lineNumber || (index + 1);
+      const linePricing = cartPricing.lines.find(entry => entry.lineNumber === lineNumber) || {};
+      const planPrice = linePricing.plan?.price || 0;
+      const planListPrice = linePricing.plan?.listPrice || 0;
+      const devicePrice = linePricing.deviceUpfront || 0;
+      const protectionPrice = linePricing.protectionMonthly || 0;
+
+      const planName = line.plan?.name || line.plan?.displayName || line.plan?.displayNameWeb || null;
+      const planData = line.plan?.data || line.plan?.planData;
+      const dataUnit = line.plan?.dataUnit || 'GB';
+      const planPriceText = planListPrice > planPrice
+        ? `${formatCurrency(planPrice)}/mo (was ${formatCurrency(planListPrice)})`
+        : `${formatCurrency(planPrice)}/mo`;
+      const planValue = planName
+        ? `${planName}${planListPrice ? ` — ${planPriceText}` : ''}${planData ? ` (${planData}${dataUnit})` : ''}`
+        : 'Not selected';
+
+      const deviceName = line.device?.brand
+        ? `${line.device.brand} ${line.device.name || line.device.translated?.name || 'Device'}`
+        : (line.device?.name || line.device?.translated?.name || null);
+      const deviceValue = deviceName
+        ? `${deviceName}${devicePrice ? ` — ${formatCurrency(devicePrice)}` : ''}`
+        : 'Not selected';
+
+      const protectionName = line.protection?.name || null;
+      const protectionValue = protectionName
+        ? `${protectionName}${protectionPrice ? ` — ${formatCurrency(protectionPrice)}/mo` : ''}`
+        : 'Not selected';
+
+      const simValue = line.sim?.simType
+        ? (line.sim.simType === 'ESIM' ? 'eSIM' : (line.sim.simType === 'PSIM' ? 'Physical SIM' : line.sim.simType))
+        : 'Not selected';
+
+      const lineTotalValue = devicePrice > 0
+        ? `${formatCurrency(linePricing.monthly)}/mo + ${formatCurrency(devicePrice)} upfront`
+        : `${formatCurrency(linePricing.monthly)}/mo`;
+
+      structured.cards.push({
+        title: `Line ${lineNumber}`,
+        items: [
+          { label: 'Plan', value: planValue },
+          { label: 'Device', value: deviceValue },
+          { label: 'Protection', value: protectionValue },
+          { label: 'SIM', value: simValue },
+          { label: 'Line total', value: lineTotalValue }
+        ]
+      });
+    });
+
+    const { totals, shipping } = cartPricing;
+    const summaryItems = [];
+    if (totals.monthly > 0 || totals.discounts > 0) {
+      summaryItems.push({ label: 'Monthly total', value: `${formatCurrency(totals.monthly)}/mo` });
+    }
+    if (totals.discounts > 0) summaryItems.push({ label: 'Discounts', value: `-${formatCurrency(totals.discounts)}/mo` });
+    if (structured.offers.length > 0) {
+      summaryItems.push({ label: 'Coupons', value: structured.offers.map(offer => offer.coupon).join(', ') });
+    }
+    if (totals.deviceUpfront > 0) summaryItems.push({ label: 'Devices (upfront)', value: formatCurrency(totals.deviceUpfront) });
+    if (totals.estimatedTax > 0) summaryItems.push({ label: 'Estimated tax', value: formatCurrency(totals.estimatedTax) });
+    if (totals.estimatedTax === null && totals.dueToday > 0) summaryItems.push({ label: 'Tax', value: 'Calculated at checkout' });
+    if (shipping) summaryItems.push({ label: `Shipping${shipping.name ? ` (${shipping.name})` : ''}`, value: formatCurrency(totals.shipping) });
+    if (totals.dueToday > 0) summaryItems.push({ label: 'Due today', value: formatDueToday(totals) });
+
+    if (summaryItems.length > 0) {
+      structured.cards.push({
+        title: 'Order Summary',
+        items: summaryItems
+      });
+    }
+
+    return structured;
+  }
+
+  if (cart && Array.isArray(cart.items) && cart.items.length > 0) {
+    cart.items.forEach((item) => {
+      structured.cards.push({
+        title: item.name || 'Item',
+        items: [{ label: 'Price', value: formatCurrency(item.price || 0) }]
+      });
+    });
+    return structured;
+  }
+
+  structured.cards.push({
+    title: 'Cart',
+    items: [{ label: 'Status', value: 'Your cart is empty' }]
+  });
+
+  return structured;
+}
+
+/**
+ * Build the checkout data passed to the purchase flow (get_checkout_data, get_quote, purchase_plans)
+ * @param {string} sessionId - Session ID
+ * @param {Object} cart - Multi-line cart
+ * @param {Object} context - Flow context with the collected shipping address
+ * @param {Object} pricing - Cart pricing (pricingService.priceCart)
+ * @returns {Object} Checkout data
+ */
+export function buildCheckoutData(sessionId, cart, context, pricing) {
+  const totals = buildCheckoutTotals(pricing);
+  return {
+    sessionId: sessionId,
+    cart: {
+      lines: cart.lines || [],
+      offers: cart.offers || [],
+      totals,
+      pricing
+    },
+    shippingAddress: { ...context.shippingAddress },
+    billingAddress: { ...context.shippingAddress }, // Same as shipping
+    userInfo: {
+      email: context.shippingAddress.email,
+      phone: context.shippingAddress.phone,
+      name: `${context.shippingAddress.firstName} ${context.shippingAddress.lastName}`
+    },
+    orderSummary: {
+      monthlyTotal: totals.monthlyTotal,
+      oneTimeTotal: totals.oneTimeTotal,
+      totalDueToday: totals.totalDueToday,
+      lineCount: context.lineCount || 0
+    },
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * NOT_ELIGIBLE result for coupons the cart no longer qualifies for (get_quote, purchase_plans)
+ * @param {Array} ineligibleOffers - offerService.findIneligibleOffers result
+ * @param {string} toolName - Tool name
+ * @returns {Object} Tool result
+ */
+export function buildIneligibleOffersResult(ineligibleOffers, toolName) {
+  return createProblemResult(
+    createProblem(
+      PROBLEM_TYPES.NOT_ELIGIBLE,
+      `Coupon ${ineligibleOffers.map(result => result.coupon).join(', ')} no longer applies to this cart. ` +
+        ineligibleOffers.flatMap(result => result.reasons.map(reason => reason.message)).join(' ') +
+        ' Remove it with remove_offer or update the cart.',
+      false,
+      { offers: ineligibleOffers }
+    ),
+    toolName
+  );
+}
+
+/**
+ * NOT_ELIGIBLE result for a cart with devices or protection on a tenant without device checkout
+ * (purchaseService.isDeviceCheckoutEnabled)
+ * @param {Array} deviceLines - Cart lines with a device or protection
+ * @param {string} toolName - Tool name
+ * @returns {Object} Tool result
+ */
+export function buildDeviceCheckoutUnavailableResult(deviceLines, toolName) {
+  const lineNumbers = deviceLines.map(line => line.lineNumber);
+  return createProblemResult(
+    createProblem(
+      PROBLEM_TYPES.NOT_ELIGIBLE,
+      `Devices and device protection can't be checked out here yet (line ${lineNumbers.join(', ')}). ` +
+        'Remove them from the cart to purchase the plans, or contact support to order the device.',
+      false,
+      { lineNumbers }
+    ),
+    toolName
+  );
+}
+
+/**
+ * PRICE_UPDATED result for a quote that differs from what the user saw (get_quote, purchase_plans)
+ * The diff is shown as a table; the new quote can be confirmed with purchase_plans.
+ * @param {Object} quote - Recorded quote (quoteService.recordQuote)
+ * @param {string} toolName - Tool name
+ * @param {Object} headings - Diff column headings ({ expected, quoted })
+ * @returns {Object} Tool result
+ */
+export function buildPriceUpdatedResult(quote, toolName, headings = {}) {
+  const result = createProblemResult(
+    createProblem(
+      PROBLEM_TYPES.PRICE_UPDATED,
+      `The quoted price differs from the ${headings.expected ? headings.expected.toLowerCase() : 'cart'} total. Confirm the new totals before purchasing.`,
+      false,
+      { quoteId: quote.quoteId, diff: quote.diff, totals: quote.totals, expiresAt: quote.expiresAt }
+    ),
+    toolName
+  );
+
+  result.content.unshift({
+    type: "text",
+    text: `## ⚠️ Price Updated
+
+` +
+      `${formatPriceDiff(quote.diff, headings)}
+
+` +
+      `**New total due today:** ${formatCurrency(quote.totals.dueToday)}
+
+` +
+      `To continue at the new price, confirm it and call \`purchase_plans\` with \`confirm: true\` and \`quoteId: "${quote.quoteId}"\`.`
+  });
+  return result;
+}
+
+/**
+ * CONFLICT result for a purchase_plans call the session's existing order blocks
+ * @param {Object|null} purchase - Purchase state (null while the first call has no transaction yet)
+ * @param {string} reason - IN_PROGRESS (a purchase is running or awaiting payment) | ORDER_PLACED
+ * @returns {Object} Tool result
+ */
+export function buildPurchaseConflictResult(purchase, reason) {
+  const message = reason === 'IN_PROGRESS'
+    ? 'A purchase is already in progress for this session. Check its status with check_purchase_status instead of purchasing again.'
+    : 'An order has already been placed in this session. Call start_new_order only if the user explicitly wants to place another order.';
+  return createProblemResult(
+    createProblem(PROBLEM_TYPES.CONFLICT, message, reason === 'IN_PROGRESS', {
+      reason,
+      transactionId: purchase?.transactionId || null,
+      state: purchase?.state || null,
+      paymentStatus: purchase?.paymentStatus || null
+    }),
+    'purchase_plans'
+  );
+}
+
+/**
+ * purchase_plans result for a retry of a purchase that was already placed (same idempotency key)
+ * @param {string} sessionId - Session ID
+ * @param {Object} purchase - Recorded purchase state
+ * @param {string} idempotencyKey - Idempotency key of the purchase
+ * @returns {Object} Tool result
+ */
+export function buildReplayedPurchaseResult(sessionId, purchase, idempotencyKey) {
+  const paid = purchase.paymentStatus === 'SUCCESS' || purchase.paymentStatus === 'APPROVED';
+  const paymentLink = !paid && purchase.paymentUrl
+    ? `\n\n**🔗 PAYMENT LINK:**\n[Click here to complete payment](${purchase.paymentUrl})`
+    : '';
+  return {
+    content: [{
+      type: "text",
+      text: `${paid ? '**✅ Purchase already completed.**' : '**⏳ Order already placed.**'}\n\n` +
+        `This order was already submitted, so no new order was placed.${paymentLink}\n\n` +
+        `**Transaction ID:** ${purchase.transactionId}\n` +
+        `**Customer ID:** ${purchase.customerId || 'N/A'}\n` +
+        `**Status:** ${purchase.state || 'N/A'}\n` +
+        `**Payment Status:** ${purchase.paymentStatus || 'PENDING'}\n\n` +
+        `**Need Help?**\n${purchase.supportUrl || 'N/A'}`
+    }],
+    structuredContent: {
+      purchaseResult: {
+        success: true,
+        transactionId: purchase.transactionId,
+        paymentUrl: purchase.paymentUrl,
+        paymentUrlExpiry: purchase.paymentUrlExpiry,
+        customerId: purchase.customerId,
+        supportUrl: purchase.supportUrl,
+        state: purchase.state,
+        paymentStatus: purchase.paymentStatus,
+        status: purchase.status
+      }
+    },
+    _meta: {
+      sessionId,
+      idempotencyKey,
+      transactionId: purchase.transactionId,
+      replayed: true
+    }
+  };
+}
+
+/**
+ * Get next steps based on current context and intent (flow-aligned)
+ * @param {Object|null} context - Flow context
+ * @param {string} intent - Current intent (INTENT_TYPES)
+ * @returns {string} Next steps text
+ */
+export function getNextStepsForIntent(context, intent) {
+  const progress = context?.sessionId ? getFlowProgress(context.sessionId) : null;
+
+  // No context - provide initial flow overview
+  if (!context || !progress) {
+    return `**Step 1:** Tell me how many lines you need (e.g., "I need 2 lines")\n` +
+      `**Step 2:** Select plans for each line (required for checkout - eSIM automatically added)\n` +
+      `**Step 3 (Optional):** Add devices and device protection\n` +
+      `**Step 4:** Review cart and checkout`;
+  }
+
+  // Check prerequisites and missing items using global flags
+  const globalFlags = context?.sessionId ? getGlobalContextFlags(context.sessionId) : {
+    deviceSelected: false,
+    protectionSelected: false,
+    linesConfigured: false
+  };
+  const lineCount = progress.lineCount || 0;
+  const missingPlans = progress.missing?.plans || [];
+  // SIM removed - eSIM is automatically set when plan is added
+  // Use global flags for quick checks, then get counts if needed
+  const linesWithDevices = globalFlags.deviceSelected ? (context.lines || []).filter(l => l.deviceSelected).length : 0;
+  const linesWithProtection = globalFlags.protectionSelected ? (context.lines || []).filter(l => l.protectionSelected).length : 0;
+
+  let steps = "";
+
+  // LINE COUNT CHECK (mandatory first step)
+  if (lineCount === 0) {
+    steps += `**→ Required First:** Tell me how many lines you need\n`;
+    steps += `   Say: "I need 2 lines" or "3 lines"\n\n`;
+    steps += `**→ Then:** Select plans → (Optional) Add devices → Checkout\n`;
+    return steps;
+  }
+
+  // PLAN CHECK (mandatory for checkout)
+  if (missingPlans.length > 0) {
+    // Special emphasis when device was just added
+    const isDeviceIntent = intent === 'device' || intent === INTENT_TYPES.DEVICE;
+
+    if (isDeviceIntent) {
+      steps += `⚠️ **CRITICAL: PLANS REQUIRED BEFORE CHECKOUT**\n\n`;
+      steps += `**You have added a device, but plans are MANDATORY for checkout.**\n\n`;
+      steps += `**→ REQUIRED ACTION:** Select plans for ${missingPlans.length} line${missingPlans.length > 1 ? 's' : ''}\n`;
+      steps += `   👉 Say: "Show me plans" or "I want to see plans"\n`;
+      steps += `   👉 Or click "Add to Cart" on any plan card\n\n`;
+      steps += `**Why plans are required:**\n`;
+      steps += `• Plans provide phone service (calls, texts, data)\n`;
+      steps += `• Your device cannot be activated without a plan\n`;
+      steps += `• Plans are mandatory for ALL lines before checkout\n\n`;
+      if (missingPlans.length > 1) {
+        steps += `**→ You can:** Apply the same plan to all lines or choose different plans per line\n\n`;
+      }
+      steps += `**→ After selecting plans:** Complete checkout\n`;
+    } else {
+      steps += `**→ Required Now:** Select plans for ${missingPlans.length} line${missingPlans.length > 1 ? 's' : ''}\n`;
+      steps += `   Say: "Show me plans" or click "Add to Cart" on a plan card\n\n`;
+      if (missingPlans.length > 1) {
+        steps += `**→ You can:** Apply same plan to all or mix & match different plans\n\n`;
+      }
+      steps += `**→ After plans:** (Optional) Add devices → Checkout\n`;
+    }
+    return steps;
+  }
+
+  // SIM CHECK removed - eSIM is automatically set when plan is added
+
+  // ALL REQUIRED ITEMS COMPLETE
+  steps += `**✅ All Required Items Complete!**\n\n`;
+  steps += `**→ Ready to Checkout:**\n`;
+  steps += `   • ${lineCount} line${lineCount > 1 ? 's' : ''} configured\n`;
+  steps += `   • Plans selected for all lines\n`;
+  // Note: eSIM is automatically added when plans are added
+
+  // Optional suggestions
+  const devicesAvailable = lineCount - linesWithDevices;
+  if (devicesAvailable > 0) {
+    steps += `**→ Optional:** Add devices for ${devicesAvailable} line${devicesAvailable > 1 ? 's' : ''}\n`;
+    steps += `   Say: "Show me devices" or "I want an iPhone"\n\n`;
+  }
+
+  if (linesWithDevices > linesWithProtection) {
+    steps += `**→ Optional:** Add device protection for ${linesWithDevices - linesWithProtection} device${(linesWithDevices - linesWithProtection) > 1 ? 's' : ''}\n`;
+    steps += `   Say: "I want device protection"\n\n`;
+  }
+
+  steps += `**→ To Proceed:**\n`;
+  steps += `   • Say "Review my cart" for final summary\n`;
+  steps += `   • Say "Checkout" or "Proceed" to complete purchase\n`;
+
+  return steps;
+}
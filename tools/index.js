@@ -0,0 +1,70 @@
+import { startSessionTool } from "./startSession.js";
+import { getPlansTool } from "./getPlans.js";
+import { selectPlanModeTool } from "./selectPlanMode.js";
+import { selectDeviceModeTool } from "./selectDeviceMode.js";
+import { getOffersTool } from "./getOffers.js";
+import { applyOfferTool } from "./applyOffer.js";
+import { removeOfferTool } from "./removeOffer.js";
+import { getServicesTool } from "./getServices.js";
+import { getDevicesTool } from "./getDevices.js";
+import { getProtectionPlanTool } from "./getProtectionPlan.js";
+import { getSimTypesTool } from "./getSimTypes.js";
+import { checkCoverageTool } from "./checkCoverage.js";
+import { validateDeviceTool } from "./validateDevice.js";
+import { addToCartTool } from "./addToCart.js";
+import { getCartTool } from "./getCart.js";
+import { getFlowStatusTool } from "./getFlowStatus.js";
+import { getGlobalContextTool } from "./getGlobalContext.js";
+import { updateLineCountTool } from "./updateLineCount.js";
+import { selectSimTypeTool } from "./selectSimType.js";
+import { reviewCartTool } from "./reviewCart.js";
+import { collectShippingAddressTool } from "./collectShippingAddress.js";
+import { getCheckoutDataTool } from "./getCheckoutData.js";
+import { getQuoteTool } from "./getQuote.js";
+import { purchasePlansTool } from "./purchasePlans.js";
+import { checkPurchaseStatusTool } from "./checkPurchaseStatus.js";
+import { startNewOrderTool } from "./startNewOrder.js";
+import { detectIntentTool } from "./detectIntent.js";
+import { getNextStepTool } from "./getNextStep.js";
+import { editCartItemTool } from "./editCartItem.js";
+import { clearCartTool } from "./clearCart.js";
+import { helloWidgetTool } from "./helloWidget.js";
+
+import { createToolRegistry } from "./registry.js";
+
+/**
+ * Registry of all MCP tools, in the order they are advertised by tools/list
+ */
+export const toolRegistry = createToolRegistry([
+  startSessionTool,
+  getPlansTool,
+  selectPlanModeTool,
+  selectDeviceModeTool,
+  getOffersTool,
+  applyOfferTool,
+  removeOfferTool,
+  getServicesTool,
+  getDevicesTool,
+  getProtectionPlanTool,
+  getSimTypesTool,
+  checkCoverageTool,
+  validateDeviceTool,
+  addToCartTool,
+  getCartTool,
+  getFlowStatusTool,
+  getGlobalContextTool,
+  updateLineCountTool,
+  selectSimTypeTool,
+  reviewCartTool,
+  collectShippingAddressTool,
+  getCheckoutDataTool,
+  getQuoteTool,
+  purchasePlansTool,
+  checkPurchaseStatusTool,
+  startNewOrderTool,
+  detectIntentTool,
+  getNextStepTool,
+  editCartItemTool,
+  clearCartTool,
+  helloWidgetTool,
+]);
@@ -0,0 +1,577 @@
+import { getCartMultiLine } from "../services/cartService.js";
+import { getFlowContext, updatePurchaseState, getPurchaseState } from "../services/flowContextService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { purchasePlansFlow, isDeviceCheckoutEnabled, PurchaseValidationError, PurchaseFlowError, PurchasePriceUpdatedError } from "../services/purchaseService.js";
+import { priceCart } from "../services/pricingService.js";
+import { findIneligibleOffers } from "../services/offerService.js";
+import { getSessionQuote, validateQuoteForCart, acceptQuote, recordQuote } from "../services/quoteService.js";
+import { createPaymentCallback, getPaymentCallbackBaseUrl, isPaymentFinal, STATUS_SOURCE } from "../services/paymentStatusService.js";
+import { enqueuePurchaseStatusJob } from "../services/purchaseJobService.js";
+import { getPurchaseIdempotencyKey, getPurchaseLock, runWithPurchaseLock, isOrderOpen, isOrderInProgress } from "../services/purchaseIdempotencyService.js";
+import { DEFAULT_CONFIG } from "../utils/purchaseConstants.js";
+import { formatQuoteTotals } from "../utils/formatter.js";
+import { createProblem, createProblemResult, PROBLEM_TYPES } from "../utils/errorHandler.js";
+import { logger } from "../utils/logger.js";
+import { buildCheckoutData, buildDeviceCheckoutUnavailableResult, buildIneligibleOffersResult, buildPriceUpdatedResult, buildPurchaseConflictResult, buildReplayedPurchaseResult } from "./helpers.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * purchase_plans - runs the quote, purchase and status flow for plans, devices and protection
+ */
+export const purchasePlansTool = {
+  name: "purchase_plans",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. Purchase the cart: plans plus any devices and device protection added with add_to_cart. Triggers purchase quote → purchase product → purchase status flow automatically. Every line needs a plan (eSIM is automatically included when plans are added); where device checkout is enabled, devices are ordered by SKU and shipped to the collected address, and protection requires a device on the same line (otherwise device and protection lines are refused with a NOT_ELIGIBLE problem). Waits a few seconds for the payment URL and returns it when ready; otherwise it returns right away while the order is tracked in the background - call check_purchase_status to get the payment link. Use this after collecting shipping address and after get_quote: show the quoted totals and call with confirm: true (and the quoteId) once the user confirms. Retries are safe: a repeated call for the same cart (or idempotencyKey) returns the order already placed instead of purchasing again. After an order has been placed, call start_new_order before purchasing another one. Purchase is refused without a current quote for this cart; if the re-quote at purchase time differs from the confirmed totals it stops with a PRICE_UPDATED problem and a diff, which the user must confirm again. IMPORTANT: SIM selection is no longer required - eSIM is automatically assigned when plans are added.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      sessionId: {
+        type: "string",
+        description: "Session ID (optional - uses this client's session if not provided)"
+      },
+      redirectUrl: {
+        type: "string",
+        description: "Where the user lands after payment completion (optional, defaults to env/config). Payment completion is recorded by this server's payment callback first."
+      },
+      skipPolling: {
+        type: "boolean",
+        description: "Return immediately after purchase initiation instead of waiting a few seconds (PURCHASE_PAYMENT_URL_WAIT) for the payment URL (default: false). Either way the payment callback and a background status job record the final status."
+      },
+      confirm: {
+        type: "boolean",
+        description: "Set to true only after the user confirmed the quoted totals from get_quote. Without it the quote is shown again for confirmation."
+      },
+      quoteId: {
+        type: "string",
+        description: "Quote ID from get_quote that the user confirmed (optional - defaults to the session's latest quote)"
+      },
+      idempotencyKey: {
+        type: "string",
+        description: "Idempotency key for this purchase (optional - derived from the session and cart). Retrying with the same key returns the existing order instead of purchasing again."
+      }
+    }
+  },
+  scope: TOOL_SCOPES.PURCHASE,
+  handler: handlePurchasePlans
+};
+
+async function handlePurchasePlans(args, { tenant }) {
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+  const context = getFlowContext(sessionId);
+  const cart = getCartMultiLine(sessionId);
+
+  logger.info('═══════════════════════════════════════════════════════════');
+  logger.info('STEP 3: PURCHASE PLANS TOOL CALLED');
+  logger.info('═══════════════════════════════════════════════════════════');
+  logger.info('Purchase plans tool invoked', {
+    sessionId,
+    timestamp: new Date().toISOString(),
+    hasContext: !!context,
+    hasCart: !!cart,
+    cartLines: cart?.lines?.length || 0,
+    hasShippingAddress: !!context?.shippingAddress,
+    checkoutDataCollected: context?.checkoutDataCollected,
+    shippingAddressKeys: context?.shippingAddress ? Object.keys(context.shippingAddress) : []
+  });
+
+  if (!context) {
+    logger.error('No flow context found for purchase_plans', { sessionId });
+    throw new Error('No flow context found. Please start a purchase flow first.');
+  }
+
+  // Pre-flight validations
+  // 1. Validate cart exists and has lines
+  if (!cart || !cart.lines || cart.lines.length === 0) {
+    logger.warn('Purchase plans validation failed: empty cart', { sessionId });
+    return {
+      content: [{
+        type: "text",
+        text: `**⚠️ Cart is empty.**\n\nPlease add plans to your cart before purchasing. eSIM is automatically set when you add plans.`
+      }]
+    };
+  }
+
+  // 2. Validate all lines have plans
+  const missingPlans = cart.lines.filter(line => !line.plan || !line.plan.id);
+  if (missingPlans.length > 0) {
+    logger.warn('Purchase plans validation failed: missing plans', {
+      sessionId,
+      missingPlansCount: missingPlans.length
+    });
+    return {
+      content: [{
+        type: "text",
+        text: `**⚠️ Missing plans.**\n\nSome lines are missing plans. Please select plans for all lines before purchasing.`
+      }]
+    };
+  }
+
+  // 3. SIM validation removed - eSIM is automatically set when plan is added
+
+  // 4. Devices and protection are purchased with their line (device SKU + protection
+  //    add-on in the quote/purchase payloads) only where the tenant enabled device
+  //    checkout; protection still needs a device
+  const deviceLines = cart.lines.filter(line => line.device || line.protection);
+  if (deviceLines.length > 0 && !isDeviceCheckoutEnabled(tenant)) {
+    logger.warn('Purchase plans validation failed: device checkout not enabled', {
+      sessionId,
+      tenant,
+      lineNumbers: deviceLines.map(line => line.lineNumber)
+    });
+    return buildDeviceCheckoutUnavailableResult(deviceLines, 'purchase_plans');
+  }
+
+  const unprotectableLines = cart.lines.filter(line => line.protection && !line.device);
+  if (unprotectableLines.length > 0) {
+    logger.warn('Purchase plans validation failed: protection without device', {
+      sessionId,
+      lineNumbers: unprotectableLines.map(line => line.lineNumber)
+    });
+    return {
+      content: [{
+        type: "text",
+        text: `**⚠️ Protection needs a device.**\n\nLine ${unprotectableLines.map(line => line.lineNumber).join(', ')} has device protection but no device. Please add a device to the line or remove the protection before purchasing.`
+      }]
+    };
+  }
+
+  // 5. Validate checkout data is collected
+  logger.debug('Purchase plans shipping address check', {
+    sessionId,
+    hasShippingAddress: !!context.shippingAddress,
+    checkoutDataCollected: context.checkoutDataCollected,
+    shippingAddressKeys: context.shippingAddress ? Object.keys(context.shippingAddress) : []
+  });
+
+  // Check shipping address - support step-by-step collection
+  const shippingStep = context.shippingAddressStep;
+  const hasCompleteAddress = context.shippingAddress && context.checkoutDataCollected;
+  
+  if (!hasCompleteAddress) {
+    logger.warn('Purchase plans validation failed: shipping address not collected', {
+      sessionId,
+      hasShippingAddress: !!context.shippingAddress,
+      checkoutDataCollected: context.checkoutDataCollected,
+      shippingAddressStep: shippingStep
+    });
+    
+    // Check if we're in the middle of step-by-step collection
+    if (shippingStep && shippingStep !== 'complete') {
+      let stepMessage = '';
+      if (shippingStep === 'name') {
+        stepMessage = `**Step 1 of 3: Name Information**\n\nPlease provide your **first name** and **last name**.\n\nExample: "John Smith"`;
+      } else if (shippingStep === 'contact') {
+        stepMessage = `**Step 2 of 3: Contact Information**\n\nPlease provide your **phone number** and **email address**.\n\nExample: "Phone: 555-123-4567, Email: john@example.com"`;
+      } else if (shippingStep === 'address') {
+        // Check if there's a pending auto-filled address (from location or geocoding)
+        const existingAddress = context.shippingAddress || {};
+        if ((existingAddress.fromLocation || existingAddress.fromGeocoding) && existingAddress.street && existingAddress.city && existingAddress.state && existingAddress.zipCode) {
+          const source = existingAddress.fromLocation ? 'your location' : 'address lookup';
+          stepMessage = `**Step 3 of 3: Address Information (US Only)**\n\n📍 **Address auto-filled from ${source}!**\n\n**Detected Address:**\n${existingAddress.street}\n${existingAddress.city}, ${existingAddress.state} ${existingAddress.zipCode}\n\n**Please review and confirm:**\n\n✅ If this looks correct, say "yes" or "confirm" to proceed.\n\n✏️ If you need to make changes, please provide the corrected address details.`;
+        } else {
+          stepMessage = `**Step 3 of 3: Address Information (US Only)**\n\n📍 **Quick Options:**\n\n1. **Turn on location services** to automatically fill your address\n2. **Provide just your street address** - I'll look up the city, state, and ZIP code for you\n\n**Or manually provide:**\n\nPlease provide your **street address**, **city**, **state** (2-letter code), and **ZIP code**.\n\nExample: "123 Main St, New York, NY 10001"\n\n💡 **Tip:** You can also just provide your street address (e.g., "123 Main St") and I'll look up the rest!`;
+        }
+      }
+      
+      return {
+        content: [{
+          type: "text",
+          text: `**⚠️ Shipping address collection in progress.**\n\n${stepMessage}\n\nPlease complete the current step before proceeding.`
+        }]
+      };
+    }
+    
+    // No address collection started yet
+    return {
+      content: [{
+        type: "text",
+        text: `**⚠️ Shipping address not collected.**\n\nBefore completing checkout, please provide your shipping address using \`collect_shipping_address\` tool.\n\nThe system will guide you through 3 sequential steps:\n\n1. **First name & Last name**\n2. **Phone number & Email address**\n3. **Street address, City, State, ZIP code** (US addresses only)\n   📍 You can use location services to auto-fill your address in Step 3!\n\nSteps must be completed in order.`
+      }]
+    };
+  }
+
+  // 6. Duplicate-order protection: a retry with the same idempotency key replays the
+  //    purchase instead of ordering again; other purchases wait or need start_new_order
+  const idempotencyKey = getPurchaseIdempotencyKey(sessionId, cart, args.idempotencyKey || null);
+  const lock = getPurchaseLock(sessionId);
+  if (lock) {
+    if (lock.key !== idempotencyKey) {
+      return buildPurchaseConflictResult(getPurchaseState(sessionId), 'IN_PROGRESS');
+    }
+    logger.info('purchase_plans retry joined the purchase in progress', { sessionId, idempotencyKey });
+    const inFlightResult = await lock.promise;
+    return { ...inFlightResult, _meta: { ...inFlightResult._meta, replayed: true } };
+  }
+
+  const existingPurchase = getPurchaseState(sessionId);
+  if (isOrderOpen(existingPurchase)) {
+    if (existingPurchase.idempotencyKey === idempotencyKey) {
+      logger.info('purchase_plans retry replayed from the recorded purchase', {
+        sessionId,
+        idempotencyKey,
+        transactionId: existingPurchase.transactionId,
+        state: existingPurchase.state
+      });
+      return buildReplayedPurchaseResult(sessionId, existingPurchase, idempotencyKey);
+    }
+    return buildPurchaseConflictResult(existingPurchase, isOrderInProgress(existingPurchase) ? 'IN_PROGRESS' : 'ORDER_PLACED');
+  }
+
+  // 7. Applied coupons must still be eligible (lines or plans may have changed since apply_offer)
+  const ineligibleOffers = findIneligibleOffers(cart);
+  if (ineligibleOffers.length > 0) {
+    logger.warn('Purchase blocked: applied coupon no longer eligible', {
+      sessionId,
+      coupons: ineligibleOffers.map(result => result.coupon)
+    });
+    return buildIneligibleOffersResult(ineligibleOffers, 'purchase_plans');
+  }
+
+  // 8. Only purchase against a quote the user has seen (get_quote) and confirmed
+  const quote = getSessionQuote(sessionId);
+  const quoteCheck = validateQuoteForCart(quote, cart, args.quoteId || null);
+  if (!quoteCheck.valid) {
+    const reasons = {
+      NO_QUOTE: 'No quote has been prepared for this cart yet.',
+      QUOTE_MISMATCH: `Quote ${args.quoteId} is not the latest quote for this cart.`,
+      EXPIRED: 'The quote has expired.',
+      CART_CHANGED: 'The cart changed after the quote was prepared.'
+    };
+    logger.info('Purchase blocked: no valid quote', { sessionId, reason: quoteCheck.reason, quoteId: args.quoteId || null });
+    return {
+      content: [{
+        type: "text",
+        text: `**⚠️ Quote required.**\n\n${reasons[quoteCheck.reason]}\n\nCall \`get_quote\` to get the final price, show it to the user and purchase once they confirm.`
+      }],
+      _meta: { sessionId, quoteRequired: true, reason: quoteCheck.reason }
+    };
+  }
+
+  if (args.confirm !== true) {
+    return {
+      content: [{
+        type: "text",
+        text: `**Please confirm the quoted price before purchasing.**\n\n${formatQuoteTotals(quote.totals)}\n\nOnce the user agrees, call \`purchase_plans\` with \`confirm: true\` and \`quoteId: "${quote.quoteId}"\`.`
+      }],
+      _meta: { sessionId, quoteId: quote.quoteId, confirmationRequired: true }
+    };
+  }
+
+  // 9. The payment page returns through this server's callback, so its public URL must be configured
+  const callbackBaseUrl = getPaymentCallbackBaseUrl(tenant);
+  if (!callbackBaseUrl) {
+    logger.error('Purchase blocked: no payment callback base URL (set SERVER_URL or PAYMENT_CALLBACK_BASE_URL)', { sessionId, tenant });
+    return createProblemResult(
+      createProblem(
+        PROBLEM_TYPES.OTHER,
+        'Checkout is unavailable: this server has no public URL configured for payment callbacks. Please contact support.',
+        false,
+        { tenant }
+      ),
+      'purchase_plans'
+    );
+  }
+
+  // One purchase per session at a time; the lock is taken before anything is awaited
+  return runWithPurchaseLock(sessionId, idempotencyKey, async () => {
+    const result = await executePurchase(sessionId, args, tenant, { cart, context, quote, idempotencyKey, callbackBaseUrl });
+    return {
+      ...result,
+      _meta: {
+        ...result._meta,
+        sessionId,
+        idempotencyKey,
+        transactionId: getPurchaseState(sessionId)?.transactionId || null
+      }
+    };
+  });
+}
+
+/**
+ * Run the quote, purchase and status flow for a confirmed quote (holding the purchase lock)
+ * @param {string} sessionId - Session ID
+ * @param {Object} args - Tool arguments
+ * @param {string} tenant - Tenant ID
+ * @param {Object} purchase - { cart, context, quote, idempotencyKey, callbackBaseUrl }
+ * @returns {Promise<Object>} Tool result
+ */
+async function executePurchase(sessionId, args, tenant, { cart, context, quote, idempotencyKey, callbackBaseUrl }) {
+  try {
+    // Get checkout data (reuse logic from get_checkout_data)
+    const pricing = await priceCart(cart, tenant);
+    const checkoutData = buildCheckoutData(sessionId, cart, context, pricing);
+    const acceptedQuote = acceptQuote(sessionId);
+
+    logger.info('═══════════════════════════════════════════════════════════');
+    logger.info('STEP 4: INITIATING PURCHASE FLOW');
+    logger.info('═══════════════════════════════════════════════════════════');
+    logger.info('Checkout data prepared for purchase flow', {
+      sessionId,
+      timestamp: new Date().toISOString(),
+      checkoutData: {
+        sessionId: checkoutData.sessionId,
+        cart: {
+          lineCount: checkoutData.cart.lines.length,
+          lines: checkoutData.cart.lines.map((line, idx) => ({
+            lineIndex: idx + 1,
+            planId: line.plan?.id || line.plan?.uniqueIdentifier || line.plan?.name || 'N/A',
+            planName: line.plan?.name || 'N/A',
+            simType: line.sim?.simType || 'N/A',
+            hasDevice: !!line.device,
+            deviceSku: line.device?.sku || line.device?.id || null,
+            hasProtection: !!line.protection
+          })),
+          totals: checkoutData.cart.totals
+        },
+        shippingAddress: checkoutData.shippingAddress,
+        billingAddress: checkoutData.billingAddress,
+        userInfo: checkoutData.userInfo
+      },
+      tenant
+    });
+
+    // Update purchase state to QUOTING
+    updatePurchaseState(sessionId, {
+      state: 'QUOTING',
+      initiatedAt: Date.now(),
+      idempotencyKey
+    });
+
+    // The payment page redirects through /payments/callback/:token, which records completion
+    const callbackUrl = createPaymentCallback(sessionId, {
+      baseUrl: callbackBaseUrl,
+      returnUrl: args.redirectUrl || undefined
+    });
+
+    logger.info('Purchase state updated to QUOTING, calling purchasePlansFlow...', {
+      sessionId,
+      state: 'QUOTING'
+    });
+
+    // Update purchase state to POLLING when polling starts (if not skipped)
+    if (!args.skipPolling) {
+      // We'll update this in the flow, but set initial state
+      logger.info('Polling enabled - will wait briefly for payment URL', {
+        sessionId,
+        skipPolling: false,
+        maxWaitMs: DEFAULT_CONFIG.PAYMENT_URL_WAIT
+      });
+    }
+
+    // Call purchase flow (triggers all 3 APIs)
+    // IMPORTANT: When skipPolling is false, this waits at most PAYMENT_URL_WAIT for the payment URL
+    // (well inside the MCP request timeout); the payment callback and status job do the rest
+    const result = await purchasePlansFlow(checkoutData, tenant, {
+      redirectUrl: callbackUrl || args.redirectUrl,
+      skipPolling: args.skipPolling || false,
+      acceptedTotals: acceptedQuote.totals,
+      onPurchased: ({ transactionId, clientAccountId }) => {
+        // Record the transaction and queue a background status job right away; the job
+        // starts after this call's own polling window and survives a restart
+        updatePurchaseState(sessionId, {
+          transactionId,
+          clientAccountId,
+          state: args.skipPolling ? 'PURCHASED' : 'POLLING'
+        });
+        enqueuePurchaseStatusJob({
+          sessionId,
+          transactionId,
+          tenant,
+          delayMs: args.skipPolling
+            ? DEFAULT_CONFIG.INITIAL_POLL_DELAY
+            : DEFAULT_CONFIG.PAYMENT_URL_WAIT
+        });
+      }
+    });
+
+    logger.info('═══════════════════════════════════════════════════════════');
+    logger.info('STEP 8: PURCHASE FLOW COMPLETED - PROCESSING RESULT');
+    logger.info('═══════════════════════════════════════════════════════════');
+    logger.info('Purchase flow result received', {
+      sessionId,
+      timestamp: new Date().toISOString(),
+      result: {
+        success: result.success,
+        state: result.state,
+        transactionId: result.transactionId,
+        clientAccountId: result.clientAccountId,
+        paymentStatus: result.paymentStatus,
+        status: result.status,
+        hasPaymentUrl: !!result.paymentUrl,
+        paymentUrl: result.paymentUrl ? result.paymentUrl.substring(0, 100) + '...' : null,
+        fullPaymentUrl: result.paymentUrl || null,
+        paymentUrlExpiry: result.paymentUrlExpiry,
+        customerId: result.customerId,
+        supportUrl: result.supportUrl,
+        pollAttempts: result.pollAttempts,
+        polled: result.polled,
+        error: result.error
+      }
+    });
+
+    // Update purchase state with result
+    updatePurchaseState(sessionId, {
+      transactionId: result.transactionId,
+      clientAccountId: result.clientAccountId,
+      state: result.state,
+      paymentStatus: result.paymentStatus,
+      status: result.status,
+      paymentUrl: result.paymentUrl,
+      paymentUrlExpiry: result.paymentUrlExpiry,
+      customerId: result.customerId,
+      supportUrl: result.supportUrl,
+      quote: result.quote,
+      pollAttempts: result.pollAttempts,
+      statusSource: result.polled ? STATUS_SOURCE.FLOW : null,
+      completedAt: result.state === 'COMPLETED' ? Date.now() : null,
+      error: result.error || null,
+      errorType: result.error ? 'FLOW_ERROR' : null
+    });
+
+    // Payment is not final yet: the background job takes over from here
+    if (result.transactionId && result.polled && !isPaymentFinal(result)) {
+      enqueuePurchaseStatusJob({ sessionId, transactionId: result.transactionId, tenant });
+    }
+
+    // Build response based on result
+    // IMPORTANT: When polling is enabled (skipPolling = false), we waited briefly for payment URL
+    // If payment URL is still not found, the background status job keeps checking
+    // PRIORITY: If payment URL exists, show it immediately regardless of status
+    if (result.paymentUrl) {
+      // Payment URL found - show it immediately
+      const expiryText = result.paymentUrlExpiry 
+        ? `\n**Payment link expires:** ${new Date(result.paymentUrlExpiry).toLocaleString()}`
+        : '';
+      
+      const statusText = result.paymentStatus === 'SUCCESS' || result.paymentStatus === 'APPROVED' 
+        ? '✅ **Purchase Completed Successfully!**' 
+        : result.paymentStatus === 'PENDING'
+        ? '⏳ **Payment Link Ready!**'
+        : '✅ **Purchase Initiated Successfully!**';
+      
+      logger.info('═══════════════════════════════════════════════════════════');
+      logger.info('RETURNING PAYMENT URL TO USER');
+      logger.info('═══════════════════════════════════════════════════════════');
+      logger.info('Payment URL will be shown in chat', {
+        sessionId,
+        transactionId: result.transactionId,
+        paymentUrl: result.paymentUrl,
+        paymentStatus: result.paymentStatus,
+        status: result.status
+      });
+      
+      // Format payment URL as clickable link
+      const paymentLinkText = `[Click here to complete payment](${result.paymentUrl})`;
+      
+      return {
+        content: [{
+          type: "text",
+          text: `${statusText}\n\n**🔗 PAYMENT LINK:**\n${paymentLinkText}\n\n**Direct Link:**\n${result.paymentUrl}\n\nPlease click the link above to complete your payment and activate your order.\n\n**Order Details:**${expiryText}\n• Transaction ID: ${result.transactionId}\n• Customer ID: ${result.customerId || 'N/A'}\n• Payment Status: ${result.paymentStatus || 'PENDING'}\n• Order Status: ${result.status || 'PENDING'}\n\n**Need Help?**\n${result.supportUrl || 'N/A'}`
+        }],
+        structuredContent: {
+          purchaseResult: {
+            success: true,
+            transactionId: result.transactionId,
+            paymentUrl: result.paymentUrl,
+            paymentUrlExpiry: result.paymentUrlExpiry,
+            customerId: result.customerId,
+            supportUrl: result.supportUrl,
+            state: result.state,
+            paymentStatus: result.paymentStatus,
+            status: result.status
+          }
+        }
+      };
+    } else if (result.paymentStatus === 'PENDING' && !result.paymentUrl && result.polled) {
+      // The short wait ended before the payment URL was generated
+      logger.warn('Purchase completed polling but payment URL not found', {
+        sessionId,
+        transactionId: result.transactionId,
+        pollAttempts: result.pollAttempts,
+        state: result.state
+      });
+      return {
+        content: [{
+          type: "text",
+          text: `⏳ **Purchase Initiated - Payment Link Still Generating**\n\nYour order has been created and payment link is still being generated.\n\n**Transaction ID:** ${result.transactionId}\n**Customer ID:** ${result.customerId || 'N/A'}\n**Poll Attempts:** ${result.pollAttempts || 'N/A'}\n\n**What happened:**\nWe checked ${result.pollAttempts || 'multiple'} times but the payment link wasn't ready yet. This is normal and usually resolves within a few seconds.\n\n**Next Steps:**\n• Say "retry payment" or "check payment status" to get the payment link\n• The payment link will be available shortly\n• You may receive payment instructions via email\n\n**Support:** ${result.supportUrl || 'N/A'}`
+        }]
+      };
+    } else if (result.success && !result.paymentUrl && result.state === 'POLLING_TIMEOUT') {
+      // Polling timed out but purchase was initiated
+      return {
+        content: [{
+          type: "text",
+          text: `⏳ **Purchase Initiated - Payment Link Pending**\n\nYour order has been successfully created, but the payment link is still being generated.\n\n**Transaction ID:** ${result.transactionId}\n**Customer ID:** ${result.customerId || 'N/A'}\n**Status:** ${result.paymentStatus || 'PENDING'}\n\n**What happened:**\nThe payment link is taking longer than usual to generate. This is normal and usually resolves within a few seconds.\n\n**Next Steps:**\n• Say "retry payment" or "check payment status" to get the payment link\n• The payment link will be available shortly\n• You may receive payment instructions via email\n\n**Support:** ${result.supportUrl || 'N/A'}`
+        }]
+      };
+    } else if (result.success && !result.paymentUrl) {
+      // Success but no payment URL (completed without payment URL or still pending)
+      return {
+        content: [{
+          type: "text",
+          text: `✅ **Purchase Initiated Successfully!**\n\nYour order has been processed.\n\n**Transaction ID:** ${result.transactionId}\n**Customer ID:** ${result.customerId || 'N/A'}\n**Status:** ${result.status || 'N/A'}\n**Payment Status:** ${result.paymentStatus || 'PENDING'}\n\n**Next Steps:**\n• Payment link is being generated\n• Say "retry payment" or "check payment status" to get the payment link\n• You may receive payment instructions via email\n\n**Support:** ${result.supportUrl || 'N/A'}`
+        }]
+      };
+    } else {
+      // Error or failure
+      return {
+        content: [{
+          type: "text",
+          text: `❌ **Purchase Failed**\n\n${result.error || 'An error occurred during purchase'}\n\n**Transaction ID:** ${result.transactionId || 'N/A'}\n\n**What you can do:**\n• Check your cart and shipping information\n• Try again in a few moments\n• Contact support: ${result.supportUrl || 'N/A'}`
+        }]
+      };
+    }
+  } catch (error) {
+    if (error instanceof PurchasePriceUpdatedError) {
+      // Re-quote differs from the confirmed quote: record it and ask for a new confirmation
+      updatePurchaseState(sessionId, { state: 'QUOTED', error: null, errorType: null });
+      const updatedQuote = recordQuote(sessionId, {
+        quoteResponse: error.quoteResponse,
+        cart,
+        expectedTotals: quote.totals,
+        diff: error.diff
+      });
+      return buildPriceUpdatedResult(updatedQuote, 'purchase_plans', { expected: 'Confirmed', quoted: 'New quote' });
+    }
+
+    logger.error('Purchase plans tool error', {
+      sessionId,
+      error: error.message,
+      errorType: error.errorType || error.name,
+      stack: error.stack
+    });
+
+    // Update purchase state with error
+    updatePurchaseState(sessionId, {
+      state: 'FAILED',
+      error: error.message,
+      errorType: error.errorType || error.name || 'UNKNOWN_ERROR'
+    });
+
+    // Handle specific error types
+    if (error instanceof PurchaseValidationError) {
+      return {
+        content: [{
+          type: "text",
+          text: `❌ **Purchase Validation Failed**\n\n${error.message}\n\n**Validation Errors:**\n${error.validationErrors.map(e => `• ${e}`).join('\n')}\n\nPlease fix these issues and try again.`
+        }]
+      };
+    }
+
+    if (error instanceof PurchaseFlowError) {
+      return {
+        content: [{
+          type: "text",
+          text: `❌ **Purchase Flow Error**\n\n${error.message}\n\n**State:** ${error.state}\n**Transaction ID:** ${error.transactionId || 'N/A'}\n\nPlease try again or contact support.`
+        }]
+      };
+    }
+
+    // Generic error
+    return {
+      content: [{
+        type: "text",
+        text: `❌ **Purchase Failed**\n\nAn error occurred: ${error.message}\n\nPlease try again or contact support.`
+      }]
+    };
+  }
+}
@@ -0,0 +1,99 @@
+// ================================================================================
+// TOOL REGISTRY - Single source of truth for tool schemas, widgets and handlers
+// ================================================================================
+
+/**
+ * A tool module exports an object with:
+ * - name: Tool name exposed over MCP
+ * - description: Tool description shown to the model
+ * - inputSchema: JSON Schema for the tool arguments
+ * - _meta: Optional widget binding (openai/outputTemplate etc.)
+ * - requiresReachAuth: Set to false for tools that don't call the Reach API
+ * - scope: Tool group a client needs to see and call the tool (TOOL_SCOPES in
+ *   services/toolScopeService.js)
+ * - handler: async (args, context) => tool result
+ *   context = { tenant, returnFormat, isAppsSDK, request, principal }
+ */
+
+/**
+ * Create a tool registry
+ * @param {Array<Object>} tools - Tool modules to register
+ * @returns {Object} Registry with register/get/has/names/listTools
+ */
+export function createToolRegistry(tools = []) {
+  const registry = new Map();
+
+  function register(tool) {
+    if (!tool || typeof tool.name !== 'string' || typeof tool.handler !== 'function') {
+      throw new Error(`Invalid tool definition: ${tool?.name || 'unnamed'}`);
+    }
+    if (typeof tool.scope !== 'string') {
+      throw new Error(`Tool has no scope: ${tool.name}`);
+    }
+    if (registry.has(tool.name)) {
+      throw new Error(`Tool already registered: ${tool.name}`);
+    }
+    registry.set(tool.name, tool);
+  }
+
+  tools.forEach(register);
+
+  return {
+    register,
+
+    /**
+     * @param {string} name - Tool name
+     * @returns {Object|null} Tool module or null if not registered
+     */
+    get(name) {
+      return registry.get(name) || null;
+    },
+
+    has(name) {
+      return registry.has(name);
+    },
+
+    /**
+     * @returns {string[]} Registered tool names in registration order
+     */
+    names() {
+      return Array.from(registry.keys());
+    },
+
+    /**
+     * Build the tools/list payload from registered tools
+     * @param {Function} filter - Optional predicate selecting the tools to list (e.g. the caller's scopes)
+     * @returns {Array<Object>} Tool descriptors (name, description, inputSchema, _meta)
+     */
+    listTools(filter = null) {
+      const tools = Array.from(registry.values()).filter(tool => !filter || filter(tool));
+      return tools.map((tool) => {
+        const descriptor = {
+          name: tool.name,
+          description: tool.description,
+          inputSchema: tool.inputSchema,
+        };
+        if (tool._meta) {
+          descriptor._meta = tool._meta;
+        }
+        return descriptor;
+      });
+    },
+
+    /**
+     * Dispatch a tool call to its registered handler
+     * @param {string} name - Tool name
+     * @param {Object} args - Tool arguments
+     * @param {Object} context - Call context passed to the handler
+     * @returns {Promise<Object>} Tool result
+     * @throws {Error} If the tool is not registered
+     */
+    async dispatch(name, args, context = {}) {
+      const tool = registry.get(name);
+      if (!tool) {
+        throw new Error(`Unknown tool: ${name}`);
+      }
+      return tool.handler(args, context);
+    },
+  };
+}
@@ -0,0 +1,80 @@
+import { getCartMultiLine, setCartOffers } from "../services/cartService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { normalizeCouponCode } from "../services/offerService.js";
+import { priceCart } from "../services/pricingService.js";
+import { createProblem, createProblemResult, PROBLEM_TYPES } from "../utils/errorHandler.js";
+import { logger } from "../utils/logger.js";
+import { buildCartStructuredContent, formatCurrency, formatDueToday } from "./helpers.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * remove_offer - takes an applied coupon (or all coupons) off the cart
+ */
+export const removeOfferTool = {
+  name: "remove_offer",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. Remove an applied offer/coupon code from the cart. Omit coupon to remove all applied coupons. Returns the cart with updated totals.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      coupon: {
+        type: "string",
+        description: "Coupon code to remove (optional - removes all applied coupons if not provided)"
+      },
+      sessionId: {
+        type: "string",
+        description: "Session ID (optional - uses this client's session if not provided)"
+      }
+    },
+    required: []
+  },
+  _meta: {
+    "openai/outputTemplate": "ui://widget/cart.html",
+    "openai/resultCanProduceWidget": true,
+    "openai/widgetAccessible": true
+  },
+  scope: TOOL_SCOPES.CART_WRITE,
+  handler: handleRemoveOffer
+};
+
+async function handleRemoveOffer(args, { tenant }) {
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+  const cart = getCartMultiLine(sessionId);
+  const appliedOffers = cart.offers || [];
+  const coupon = args.coupon ? normalizeCouponCode(args.coupon) : null;
+
+  if (coupon && !appliedOffers.some(offer => offer.coupon === coupon)) {
+    return createProblemResult(
+      createProblem(
+        PROBLEM_TYPES.MISSING,
+        `Coupon ${coupon} is not applied to the cart.`,
+        false,
+        { coupon, appliedOffers: appliedOffers.map(offer => offer.coupon) }
+      ),
+      "remove_offer"
+    );
+  }
+
+  const remaining = coupon ? appliedOffers.filter(offer => offer.coupon !== coupon) : [];
+  const removed = appliedOffers.filter(offer => !remaining.includes(offer)).map(offer => offer.coupon);
+  const { cart: updatedCart } = setCartOffers(sessionId, remaining);
+  const pricing = await priceCart(updatedCart, tenant);
+
+  logger.info("Coupons removed", { sessionId, tenant, removed, monthlyTotal: pricing.totals.monthly });
+
+  const text = removed.length > 0
+    ? `## Coupon Removed\n\n` +
+      `Removed **${removed.join(", ")}** from your cart.\n\n` +
+      `**Monthly total:** ${formatCurrency(pricing.totals.monthly)}/mo\n` +
+      `**Due today:** ${formatDueToday(pricing.totals)}`
+    : "No coupons are applied to your cart.";
+
+  return {
+    structuredContent: buildCartStructuredContent(updatedCart, sessionId, pricing),
+    content: [{ type: "text", text }],
+    _meta: {
+      sessionId,
+      removed,
+      appliedOffers: remaining.map(offer => offer.coupon)
+    }
+  };
+}
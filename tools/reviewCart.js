@@ -0,0 +1,145 @@
+import { getCartWithSession, getCartMultiLine } from "../services/cartService.js";
+import { getFlowContext, checkPrerequisites, getFlowProgress, updateMissingPrerequisites, getGlobalContextFlags } from "../services/flowContextService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { priceCart } from "../services/pricingService.js";
+import { INTENT_TYPES } from "../services/intentService.js";
+import { getCheckoutGuidance } from "../services/guidanceService.js";
+import { formatMultiLineCartReview } from "../utils/formatter.js";
+import { formatThreeSectionResponse, buildCartStructuredContent, getNextStepsForIntent } from "./helpers.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * review_cart - summarizes the cart before checkout
+ */
+export const reviewCartTool = {
+  name: "review_cart",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. Review the complete multi-line cart before checkout. Shows all lines with plans, devices, protection, and SIM types. CHECKOUT GATE: Enforces prerequisites in order - 1) Line count set, 2) Plans selected for all lines (eSIM is automatically set when plans are added - no SIM selection needed). If prerequisites fail, routes to missing step. If all pass, shows final review ready for checkout. NON-LINEAR FLOW: Users can review cart anytime. System validates and guides to missing items. IMPORTANT: SIM selection is no longer required - eSIM is automatically assigned when plans are added to the cart.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      sessionId: {
+        type: "string",
+        description: "Session ID (optional - uses this client's session if not provided)"
+      },
+    },
+  },
+  scope: TOOL_SCOPES.CART_WRITE,
+  handler: handleReviewCart
+};
+
+async function handleReviewCart(args, { tenant }) {
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+  const context = getFlowContext(sessionId);
+  const cart = getCartMultiLine(sessionId);
+  const progress = getFlowProgress(sessionId);
+
+  // Check prerequisites
+  const prerequisites = checkPrerequisites(sessionId, 'checkout');
+  const checkoutGuidance = getCheckoutGuidance(context);
+
+  // Build three-section response
+  let mainResponse = "";
+  let suggestions = "";
+  let nextSteps = "";
+
+  // Prepare structuredContent for SDK cards (same as get_cart)
+  let structuredData;
+  let pricing = null;
+  if (cart && cart.lines && cart.lines.length > 0) {
+    pricing = await priceCart(cart, tenant);
+    structuredData = buildCartStructuredContent(cart, cart.sessionId || sessionId || "default", pricing);
+  } else {
+    // Fallback to old structure if needed
+    const cartResult = getCartWithSession(sessionId);
+    structuredData = buildCartStructuredContent(cartResult, cartResult.sessionId || sessionId || "default");
+  }
+
+  if (!prerequisites.allowed || !checkoutGuidance.ready) {
+    // SECTION 1: RESPONSE - Cart not ready
+    mainResponse = formatMultiLineCartReview(cart, context, pricing);
+
+    // SECTION 2: SUGGESTIONS - What's missing
+    updateMissingPrerequisites(sessionId, checkoutGuidance.missing);
+    suggestions = `**⚠️ Cannot proceed to checkout yet.**\n\n`;
+    suggestions += checkoutGuidance.guidance || prerequisites.reason;
+
+    // SECTION 3: NEXT STEPS - What to do
+    nextSteps = getNextStepsForIntent(context, INTENT_TYPES.CHECKOUT);
+
+    const responseText = formatThreeSectionResponse(mainResponse, suggestions, nextSteps);
+
+    return {
+      structuredContent: structuredData,
+      content: [
+        {
+          type: "text",
+          text: responseText
+        }
+      ]
+    };
+  }
+
+  // Cart is ready for checkout
+  // SECTION 1: RESPONSE - Cart summary
+  mainResponse = formatMultiLineCartReview(cart, context, pricing);
+
+  // SECTION 2: SUGGESTIONS - What's included
+  const globalFlags = getGlobalContextFlags(sessionId);
+  const lineCount = progress.lineCount || 0;
+  suggestions = `**Your order includes:**\n`;
+  suggestions += `• ${lineCount} line${lineCount > 1 ? 's' : ''} with plans\n`;
+
+  // Use global flags instead of filtering
+  if (globalFlags.deviceSelected) {
+    const linesWithDevices = (context.lines || []).filter(l => l.deviceSelected).length;
+    if (linesWithDevices > 0) {
+      suggestions += `• ${linesWithDevices} device${linesWithDevices > 1 ? 's' : ''}\n`;
+    }
+  }
+
+  if (globalFlags.protectionSelected) {
+    const linesWithProtection = (context.lines || []).filter(l => l.protectionSelected).length;
+    if (linesWithProtection > 0) {
+      suggestions += `• ${linesWithProtection} device protection plan${linesWithProtection > 1 ? 's' : ''}\n`;
+    }
+  }
+
+  // Note: eSIM is automatically added when plans are added
+  // Check if shipping address is collected
+  const hasShippingAddress = context.shippingAddress && context.checkoutDataCollected;
+  
+  if (!hasShippingAddress) {
+    suggestions += `\n\n⚠️ **Next Step:** Provide shipping address to complete checkout.`;
+    
+    // SECTION 3: NEXT STEPS - Collect shipping address
+    nextSteps = `**→ To Complete Checkout:**\n`;
+    nextSteps += `   • Say "I need to enter my shipping address" or use collect_shipping_address tool\n`;
+    nextSteps += `   • After shipping address is collected, use get_checkout_data to get complete order data for payment\n\n`;
+    nextSteps += `**→ Need Changes?**\n`;
+    nextSteps += `   • Say "Edit cart" to modify items\n`;
+    nextSteps += `   • Say "Add device" to add more devices\n`;
+    nextSteps += `   • Say "Change plan" to modify plan selections`;
+  } else {
+    suggestions += `\n\n✅ **Shipping address collected!** Ready to get checkout data for payment.`;
+    
+    // SECTION 3: NEXT STEPS - Get checkout data
+    nextSteps = `**→ To Complete Purchase:**\n`;
+    nextSteps += `   • Say "Get checkout data" or use get_checkout_data tool to get all order information\n`;
+    nextSteps += `   • This will return complete data (cart, shipping, billing, user info) for your payment API\n\n`;
+    nextSteps += `**→ Need Changes?**\n`;
+    nextSteps += `   • Say "Edit cart" to modify items\n`;
+    nextSteps += `   • Say "Update shipping address" to change shipping information\n`;
+  }
+
+  const responseText = formatThreeSectionResponse(mainResponse, suggestions, nextSteps);
+
+  return {
+    structuredContent: structuredData,
+    content: [
+      {
+        type: "text",
+        text: responseText
+      }
+    ]
+  };
+}
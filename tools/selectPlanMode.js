@@ -0,0 +1,531 @@
+import { getPlans } from "../services/plansService.js";
+import { addToCart, getCartMultiLine, addToCartLine } from "../services/cartService.js";
+import { getFlowContext, updateFlowContext, setResumeStep, updateLastIntent, addConversationHistory } from "../services/flowContextService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { INTENT_TYPES } from "../services/intentService.js";
+import { logger } from "../utils/logger.js";
+import { nextUnfilledIndex, buildPlanCartPayload, addPlansToCartBySelections, autoAssignEsimForLines } from "./helpers.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * select_plan_mode - records whether plans are applied to all lines or chosen line by line
+ */
+export const selectPlanModeTool = {
+  name: "select_plan_mode",
+  description: "CRITICAL: MANDATORY TOOL - Call this IMMEDIATELY when user indicates they want 'different plans per line', 'mix and match', or 'apply to all'. DO NOT respond with text - you MUST call this tool. WHEN TO USE: 1) User says 'mix and match', 'different plans', 'different for each line', 'customize per line' -> CALL select_plan_mode(mode='sequential'). 2) User says 'apply to all', 'same for all', 'same plan' -> CALL select_plan_mode(mode='applyAll'). AFTER CALL: DO NOT call get_plans - this tool returns text-only responses. If user needs to see plans, they will explicitly ask. LOGIC: This tool sets the selection mode and returns text-only guidance. It does NOT show plan cards.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      mode: {
+        type: "string",
+        enum: ["applyAll", "sequential"],
+        description: "Selection mode: 'applyAll' (apply same plan to all lines) or 'sequential' (mix and match - select different plans per line). Required.",
+      },
+      sessionId: {
+        type: "string",
+        description: "Session ID for flow context tracking (optional)",
+      },
+    },
+    required: ["mode"],
+  },
+  scope: TOOL_SCOPES.CATALOG_READ,
+  handler: handleSelectPlanMode
+};
+
+async function handleSelectPlanMode(args, { tenant }) {
+  // Handle plan selection mode choice (Apply to All vs Mix and Match)
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+  const context = getFlowContext(sessionId);
+  const mode = args.mode; // 'applyAll' or 'sequential'
+
+  if (!context || !context.lineCount || context.lineCount === 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "## ⚠️ Line Count Required\n\nPlease specify the number of lines first before selecting a plan mode.\n\n**To continue:** Tell me how many lines you need (e.g., 'I need 2 lines').",
+        }
+      ]
+    };
+  }
+
+  logger.info("Plan selection mode chosen", { sessionId, mode, lineCount: context.lineCount });
+
+  // Set resume step and persist plan selection mode
+  setResumeStep(sessionId, 'plan_selection');
+  updateFlowContext(sessionId, { planSelectionMode: mode, planModePrompted: true, planMode: mode === 'applyAll' ? 'APPLY_TO_ALL' : 'MIX_AND_MATCH' });
+  updateLastIntent(sessionId, INTENT_TYPES.PLAN, 'select_plan_mode');
+
+  // Fetch cart to check for existing lines with plans
+  const cart = sessionId ? getCartMultiLine(sessionId) : null;
+
+  // Calculate activeLineId for sequential mode
+  let activeLineId = null;
+  let selectedPlansPerLine = {};
+
+  const linesWithPlans = cart ? (cart.lines || [])
+    .filter(l => l.plan && l.plan.id)
+    .map(l => l.lineNumber) : [];
+
+  if (cart && cart.lines) {
+    cart.lines.forEach(line => {
+      if (line.plan && line.plan.id) {
+        selectedPlansPerLine[String(line.lineNumber)] = line.plan.id;
+      }
+    });
+  }
+
+  if (mode === 'sequential') {
+    // Find the first line without a plan
+    const lineCount = context?.lineCount || 0;
+    for (let i = 1; i <= lineCount; i++) {
+      if (!linesWithPlans.includes(i)) {
+        activeLineId = i;
+        break;
+      }
+    }
+  }
+
+  const lastChosenPlanId = context?.lastChosenPlanId || null;
+  const wasModePrompted = context?.planModePrompted || false;
+  const previousPlanMode = context?.planMode || 'UNKNOWN';
+  
+  // Only auto-apply if the mode was already explicitly chosen by the user (not just set by AI)
+  // If planMode was UNKNOWN before, we should ask the user to confirm by clicking the plan card
+  if (mode === 'applyAll' && lastChosenPlanId && wasModePrompted && previousPlanMode !== 'UNKNOWN') {
+    const lineCount = context?.lineCount || 0;
+    const updatedLines = Array.isArray(context.lines) ? [...context.lines] : [];
+    while (updatedLines.length < lineCount) {
+      updatedLines.push({
+        lineNumber: updatedLines.length + 1,
+        planSelected: false,
+        planId: null,
+        deviceSelected: false,
+        deviceId: null,
+        protectionSelected: false,
+        protectionId: null,
+        simType: null,
+        simIccId: null
+      });
+    }
+    for (let i = 1; i <= lineCount; i++) {
+      const line = updatedLines[i - 1];
+      if (!line) continue;
+      line.planSelected = true;
+      line.planId = lastChosenPlanId;
+      selectedPlansPerLine[String(i)] = lastChosenPlanId;
+    }
+    await addPlansToCartBySelections(sessionId, tenant, buildPlanCartPayload(updatedLines, selectedPlansPerLine));
+    
+    // Update flow context with eSIM set (addPlansToCartBySelections now handles eSIM automatically)
+    updatedLines.forEach(line => {
+      if (line.planSelected && !line.simType) {
+        line.simType = 'ESIM';
+        line.simIccId = null;
+      }
+    });
+    
+    updateFlowContext(sessionId, {
+      planMode: 'APPLY_TO_ALL',
+      planSelectionMode: 'applyAll',
+      selectedPlanByLine: selectedPlansPerLine,
+      lines: updatedLines
+    });
+    return {
+      content: [{ type: "text", text: `✅ Plan applied to all ${lineCount} lines. eSIM automatically set for all lines.` }]
+    };
+  }
+  
+  // If user already selected a plan (wasModePrompted) and chooses applyAll, apply it directly
+  // This avoids unnecessary get_plans call when user has already selected a plan
+  if (mode === 'applyAll' && lastChosenPlanId && previousPlanMode === 'UNKNOWN' && wasModePrompted) {
+    const lineCount = context?.lineCount || 0;
+    const updatedLines = Array.isArray(context.lines) ? [...context.lines] : [];
+    while (updatedLines.length < lineCount) {
+      updatedLines.push({
+        lineNumber: updatedLines.length + 1,
+        planSelected: false,
+        planId: null,
+        deviceSelected: false,
+        deviceId: null,
+        protectionSelected: false,
+        protectionId: null,
+        simType: null,
+        simIccId: null
+      });
+    }
+    for (let i = 1; i <= lineCount; i++) {
+      const line = updatedLines[i - 1];
+      if (!line) continue;
+      line.planSelected = true;
+      line.planId = lastChosenPlanId;
+      selectedPlansPerLine[String(i)] = lastChosenPlanId;
+    }
+    await addPlansToCartBySelections(sessionId, tenant, buildPlanCartPayload(updatedLines, selectedPlansPerLine));
+    
+    const esimResult = autoAssignEsimForLines(sessionId, getFlowContext(sessionId), Array.from({ length: lineCount }, (_, i) => i + 1));
+    let esimNote = "";
+    if (esimResult?.assignedLines && esimResult.assignedLines.length > 0) {
+      const lineLabel = esimResult.assignedLines.length > 1 ? 'Lines' : 'Line';
+      esimNote = `✅ **eSIM set automatically** for ${lineLabel} ${esimResult.assignedLines.join(', ')}. We currently provide **eSIM only**.\n\n`;
+    }
+    
+    updateFlowContext(sessionId, {
+      planMode: 'APPLY_TO_ALL',
+      planSelectionMode: 'applyAll',
+      selectedPlanByLine: selectedPlansPerLine,
+      lines: updatedLines
+    });
+    
+    updateLastIntent(sessionId, INTENT_TYPES.PLAN, 'add_to_cart');
+    addConversationHistory(sessionId, {
+      intent: INTENT_TYPES.PLAN,
+      action: 'add_to_cart',
+      data: {
+        itemType: 'plan',
+        itemId: lastChosenPlanId,
+        lineNumbers: Array.from({ length: lineCount }, (_, i) => i + 1)
+      }
+    });
+    
+    return {
+      content: [{ 
+        type: "text", 
+        text: `${esimNote}✅ Plan applied to all ${lineCount} lines.\n\nNext: add devices (optional) or review cart.`
+      }]
+    };
+  }
+  
+  // If mode was just set but planMode was UNKNOWN and no plan was selected yet, store the pending plan
+  // Don't auto-apply - let the user click the plan card to confirm
+  if (mode === 'applyAll' && lastChosenPlanId && previousPlanMode === 'UNKNOWN') {
+    updateFlowContext(sessionId, {
+      pendingPlanId: lastChosenPlanId,
+      pendingPlanName: null
+    });
+    // Return text-only response - don't show plans UI
+    return {
+      content: [{ 
+        type: "text", 
+        text: `Mode set to "apply to all". When you're ready to select a plan, just tell me which plan you want and I'll apply it to all lines.`
+      }]
+    };
+  }
+
+  if (mode === 'sequential' && lastChosenPlanId) {
+    const lineCount = context?.lineCount || 0;
+    const updatedLines = Array.isArray(context.lines) ? [...context.lines] : [];
+    while (updatedLines.length < lineCount) {
+      updatedLines.push({
+        lineNumber: updatedLines.length + 1,
+        planSelected: false,
+        planId: null,
+        deviceSelected: false,
+        deviceId: null,
+        protectionSelected: false,
+        protectionId: null,
+        simType: null,
+        simIccId: null
+      });
+    }
+    const lineIndex = activeLineId ? activeLineId - 1 : 0;
+    const line = updatedLines[lineIndex];
+    if (line) {
+      line.planSelected = true;
+      line.planId = lastChosenPlanId;
+      selectedPlansPerLine[String(line.lineNumber || (lineIndex + 1))] = lastChosenPlanId;
+    }
+    const nextIndex = nextUnfilledIndex(updatedLines, selectedPlansPerLine);
+    updateFlowContext(sessionId, {
+      planMode: 'MIX_AND_MATCH',
+      planSelectionMode: 'sequential',
+      selectedPlanByLine: selectedPlansPerLine,
+      lines: updatedLines,
+      activeLineIndex: nextIndex !== null ? nextIndex : lineIndex
+    });
+    const nextLineId = nextIndex !== null ? (updatedLines[nextIndex]?.lineNumber || nextIndex + 1) : null;
+    // Return text-only response - don't show plans UI
+    return {
+      content: [{ 
+        type: "text", 
+        text: nextLineId ? `✅ Plan added to Line ${activeLineId || 1}. Now select a plan for Line ${nextLineId} (just tell me the plan name).` : "All lines have plans."
+      }]
+    };
+  }
+
+  const pendingPlanId = context?.pendingPlanId || null;
+  if (mode === 'applyAll' && pendingPlanId) {
+    // Fetch plans only to resolve the pending plan
+    let plans;
+    try {
+      plans = await getPlans(null, tenant);
+    } catch (planError) {
+      return {
+        content: [{
+          type: "text",
+          text: `## ⚠️ Unable to Load Plans\n\nI tried to fetch the available mobile plans, but encountered an issue: ${planError.message}\n\nPlease try again or contact support.`,
+        }]
+      };
+    }
+    
+    const resolvedPlan = plans.find((plan) =>
+      (plan.id || plan.uniqueIdentifier) === pendingPlanId
+    );
+
+    if (resolvedPlan) {
+      const planItem = {
+        ...resolvedPlan,
+        id: resolvedPlan.id || resolvedPlan.uniqueIdentifier,
+        name: resolvedPlan.displayName || resolvedPlan.displayNameWeb || resolvedPlan.name,
+        price: resolvedPlan.price || resolvedPlan.baseLinePrice || 0,
+        data: resolvedPlan.data || resolvedPlan.planData || 0,
+        dataUnit: resolvedPlan.dataUnit || "GB",
+        discountPctg: resolvedPlan.discountPctg || 0,
+        planType: resolvedPlan.planType,
+        serviceCode: resolvedPlan.serviceCode,
+        planCharging: resolvedPlan.planCharging,
+      };
+
+      const lineCount = context.lineCount || 0;
+      const targetLineNumbers = Array.from({ length: lineCount }, (_, i) => i + 1);
+      try {
+        targetLineNumbers.forEach((lineNum) => {
+          addToCart(sessionId, planItem, lineNum);
+        });
+      } catch (error) {
+        logger.error('Error adding plan to cart (applyAll pending)', { error: error.message, pendingPlanId });
+        return {
+          content: [{
+            type: "text",
+            text: `## ⚠️ Error Adding Plan\n\nI couldn’t add ${planItem.name} to all lines. Please try selecting the plan again.`
+          }],
+          isError: true
+        };
+      }
+
+      const updatedLines = Array.isArray(context.lines) ? [...context.lines] : [];
+      while (updatedLines.length < lineCount) {
+        updatedLines.push({
+          lineNumber: updatedLines.length + 1,
+          planSelected: false,
+          planId: null,
+          deviceSelected: false,
+          deviceId: null,
+          protectionSelected: false,
+          protectionId: null,
+          simType: null,
+          simIccId: null
+        });
+      }
+      targetLineNumbers.forEach((lineNum) => {
+        const line = updatedLines[lineNum - 1];
+        if (!line) return;
+        line.planSelected = true;
+        line.planId = planItem.id;
+      });
+
+      updateFlowContext(sessionId, {
+        lines: updatedLines,
+        flowStage: 'configuring',
+        pendingPlanId: null,
+        pendingPlanName: null
+      });
+
+      const esimResult = autoAssignEsimForLines(sessionId, getFlowContext(sessionId), targetLineNumbers);
+      let esimNote = "";
+      if (esimResult?.assignedLines && esimResult.assignedLines.length > 0) {
+        const lineLabel = esimResult.assignedLines.length > 1 ? 'Lines' : 'Line';
+        esimNote = `✅ **eSIM set automatically** for ${lineLabel} ${esimResult.assignedLines.join(', ')}. We currently provide **eSIM only**.\n\n`;
+      }
+
+      updateLastIntent(sessionId, INTENT_TYPES.PLAN, 'add_to_cart');
+      addConversationHistory(sessionId, {
+        intent: INTENT_TYPES.PLAN,
+        action: 'add_to_cart',
+        data: {
+          itemType: 'plan',
+          itemId: planItem.id,
+          lineNumbers: targetLineNumbers
+        }
+      });
+
+      const confirmText = `✅ **${planItem.name}** applied to all ${lineCount} lines.\n\nNext: add devices (optional) or review cart.`;
+
+      return {
+        content: [{ type: "text", text: `${esimNote}${confirmText}` }]
+      };
+    }
+  }
+
+  if (mode === 'sequential' && pendingPlanId) {
+    // Fetch plans only to resolve the pending plan
+    let plans;
+    try {
+      plans = await getPlans(null, tenant);
+    } catch (planError) {
+      return {
+        content: [{
+          type: "text",
+          text: `## ⚠️ Unable to Load Plans\n\nI tried to fetch the available mobile plans, but encountered an issue: ${planError.message}\n\nPlease try again or contact support.`,
+        }]
+      };
+    }
+    
+    const resolvedPlan = plans.find((plan) =>
+      (plan.id || plan.uniqueIdentifier) === pendingPlanId
+    );
+
+    if (resolvedPlan) {
+      const planItem = {
+        ...resolvedPlan,
+        id: resolvedPlan.id || resolvedPlan.uniqueIdentifier,
+        name: resolvedPlan.displayName || resolvedPlan.displayNameWeb || resolvedPlan.name,
+        price: resolvedPlan.price || resolvedPlan.baseLinePrice || 0,
+        data: resolvedPlan.data || resolvedPlan.planData || 0,
+        dataUnit: resolvedPlan.dataUnit || "GB",
+        discountPctg: resolvedPlan.discountPctg || 0,
+        planType: resolvedPlan.planType,
+        serviceCode: resolvedPlan.serviceCode,
+        planCharging: resolvedPlan.planCharging,
+      };
+
+      const lineCount = context?.lineCount || 0;
+      let targetLine = activeLineId;
+      if (!targetLine) {
+        for (let i = 1; i <= lineCount; i++) {
+          if (!linesWithPlans.includes(i)) {
+            targetLine = i;
+            break;
+          }
+        }
+      }
+
+      if (targetLine) {
+        try {
+          addToCart(sessionId, planItem, targetLine);
+        } catch (error) {
+          logger.error('Error adding plan to cart (sequential pending)', { error: error.message, pendingPlanId });
+          return {
+            content: [{
+              type: "text",
+              text: `## ⚠️ Error Adding Plan\n\nI couldn’t add ${planItem.name} to Line ${targetLine}. Please try selecting the plan again.`
+            }],
+            isError: true
+          };
+        }
+
+        const updatedLines = Array.isArray(context.lines) ? [...context.lines] : [];
+        while (updatedLines.length < lineCount) {
+          const newLineNumber = updatedLines.length + 1;
+          updatedLines.push({
+            lineNumber: newLineNumber,
+            planSelected: false,
+            planId: null,
+            deviceSelected: false,
+            deviceId: null,
+            protectionSelected: false,
+            protectionId: null,
+            simType: 'ESIM', // Auto-select eSIM as default since we only provide eSIM
+            simIccId: null
+          });
+          
+          // Automatically add eSIM to cart for new lines
+          addToCartLine(sessionId, newLineNumber, {
+            type: 'sim',
+            simType: 'ESIM',
+            iccId: null,
+            price: 0,
+            lineNumber: newLineNumber
+          });
+        }
+        const lineEntry = updatedLines[targetLine - 1];
+        if (lineEntry) {
+          lineEntry.planSelected = true;
+          lineEntry.planId = planItem.id;
+          // Ensure eSIM is set if not already
+          if (!lineEntry.simType) {
+            lineEntry.simType = 'ESIM';
+            lineEntry.simIccId = null;
+            addToCartLine(sessionId, targetLine, {
+              type: 'sim',
+              simType: 'ESIM',
+              iccId: null,
+              price: 0,
+              lineNumber: targetLine
+            });
+          }
+        }
+
+        updateFlowContext(sessionId, {
+          lines: updatedLines,
+          flowStage: 'configuring',
+          pendingPlanId: null,
+          pendingPlanName: null
+        });
+
+        const esimResult = autoAssignEsimForLines(sessionId, getFlowContext(sessionId), [targetLine]);
+        let esimNote = "";
+        if (esimResult?.assignedLines && esimResult.assignedLines.length > 0) {
+          const lineLabel = esimResult.assignedLines.length > 1 ? 'Lines' : 'Line';
+          esimNote = `✅ **eSIM set automatically** for ${lineLabel} ${esimResult.assignedLines.join(', ')}. We currently provide **eSIM only**.\n\n`;
+        }
+
+        updateLastIntent(sessionId, INTENT_TYPES.PLAN, 'add_to_cart');
+        addConversationHistory(sessionId, {
+          intent: INTENT_TYPES.PLAN,
+          action: 'add_to_cart',
+          data: {
+            itemType: 'plan',
+            itemId: planItem.id,
+            lineNumber: targetLine
+          }
+        });
+
+        if (!linesWithPlans.includes(targetLine)) {
+          linesWithPlans.push(targetLine);
+        }
+        selectedPlansPerLine[String(targetLine)] = planItem.id;
+
+        let nextActiveLineId = null;
+        for (let i = 1; i <= lineCount; i++) {
+          if (!linesWithPlans.includes(i)) {
+            nextActiveLineId = i;
+            break;
+          }
+        }
+
+        const nextText = nextActiveLineId
+          ? `✅ **${planItem.name}** added for Line ${targetLine}.\n\nNext: select a plan for **Line ${nextActiveLineId}** (just tell me the plan name).`
+          : `✅ **${planItem.name}** added for Line ${targetLine}.\n\nAll lines now have plans.`;
+
+        // Return text-only response - don't show plans UI
+        return {
+          content: [{ type: "text", text: `${esimNote}${nextText}` }]
+        };
+      }
+    }
+
+    updateFlowContext(sessionId, { pendingPlanId: null, pendingPlanName: null });
+  }
+
+  // Build response text - text-only, no plans UI
+  let responseText = "";
+  if (mode === 'applyAll') {
+    responseText = `## 📱 Apply to All Lines\n\nMode set to "apply to all". When you're ready, just tell me which plan you want and I'll apply it to all ${context.lineCount} lines.`;
+  } else if (mode === 'sequential') {
+    responseText = `## 📱 Mix and Match Plans\n\nMode set to "mix and match". Starting with Line ${activeLineId || 1} - just tell me which plan you want for this line.`;
+    if (linesWithPlans.length > 0) {
+      responseText += `\n\n✅ **Completed:** Line${linesWithPlans.length > 1 ? 's' : ''} ${linesWithPlans.join(', ')}`;
+    }
+  }
+
+  // Return text-only response - don't show plans UI
+  return {
+    content: [
+      {
+        type: "text",
+        text: responseText,
+      }
+    ]
+  };
+}
@@ -0,0 +1,108 @@
+import { getFlowContext } from "../services/flowContextService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { autoAssignEsimForLines } from "./helpers.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * select_sim_type - deprecated SIM type selection (eSIM is assigned automatically), kept for backward compatibility
+ */
+export const selectSimTypeTool = {
+  name: "select_sim_type",
+  description: "DEPRECATED: SIM selection is no longer needed. eSIM is automatically set when a plan is added to the cart. This tool is kept for backward compatibility but should not be used. Users no longer need to select SIM types - eSIM is automatically assigned when plans are added.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      lineNumber: {
+        type: "integer",
+        minimum: 1,
+        description: "Line number (1-based) - for single line selection. If 'selections' array is provided, this is ignored."
+      },
+      simType: {
+        type: "string",
+        enum: ["ESIM", "PSIM"],
+        description: "DEPRECATED: SIM type parameter (SIM selection is no longer needed - eSIM is automatically set when plans are added)"
+      },
+      selections: {
+        type: "array",
+        description: "DEPRECATED: Array of SIM selections (SIM selection is no longer needed - eSIM is automatically set when plans are added)",
+        items: {
+          type: "object",
+          properties: {
+            lineNumber: {
+              type: "integer",
+              minimum: 1,
+              description: "Line number (1-based)"
+            },
+            simType: {
+              type: "string",
+              enum: ["ESIM", "PSIM"],
+              description: "SIM type: ESIM or PSIM"
+            },
+            newIccId: {
+              type: "string",
+              description: "New ICCID for PSIM swap (optional)"
+            }
+          },
+          required: ["lineNumber", "simType"]
+        }
+      },
+      newIccId: {
+        type: "string",
+        description: "New ICCID for PSIM swap (optional, required if performing SIM swap) - for single line selection only"
+      },
+      customerId: {
+        type: "string",
+        description: "Customer ID (required if performing SIM swap)"
+      },
+      sessionId: {
+        type: "string",
+        description: "Session ID (optional - uses this client's session if not provided)"
+      }
+    },
+  },
+  scope: TOOL_SCOPES.ACCOUNT,
+  handler: handleSelectSimType
+};
+
+async function handleSelectSimType(args) {
+  // SIM selection is no longer needed - eSIM is automatically set when plan is added
+  // This tool is kept for backward compatibility but automatically sets eSIM
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+  let context = getFlowContext(sessionId);
+  
+  // Determine which lines need eSIM (all lines with plans but no SIM)
+  let linesToSet = [];
+  if (context && context.lines) {
+    linesToSet = context.lines
+      .map((line, idx) => ({ line, lineNumber: idx + 1 }))
+      .filter(({ line }) => line && line.planSelected && !line.simType)
+      .map(({ lineNumber }) => lineNumber);
+  }
+  
+  // If selections provided, use those line numbers (but always set to eSIM)
+  if (args.selections && Array.isArray(args.selections) && args.selections.length > 0) {
+    linesToSet = args.selections.map(sel => sel.lineNumber).filter(n => n && n > 0);
+  } else if (args.lineNumber) {
+    linesToSet = [args.lineNumber];
+  }
+  
+  // Automatically set eSIM for all specified lines
+  if (linesToSet.length > 0) {
+    const esimResult = autoAssignEsimForLines(sessionId, context, linesToSet);
+    if (esimResult?.updatedContext) {
+      context = esimResult.updatedContext;
+    }
+  }
+  
+  return {
+    content: [{
+      type: "text",
+      text: `✅ **eSIM Automatically Set**\n\n` +
+        `SIM selection is no longer needed - eSIM is automatically set when you add a plan.\n\n` +
+        (linesToSet.length > 0 
+          ? `✅ eSIM has been set for line${linesToSet.length > 1 ? 's' : ''} ${linesToSet.join(', ')}.\n\n`
+          : ``) +
+        `**Note:** You don't need to manually select SIM types. When you add a plan, eSIM is automatically assigned.`
+    }]
+  };
+}
@@ -0,0 +1,81 @@
+import { getFlowContext, getPurchaseState } from "../services/flowContextService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { getPurchaseLock, isOrderInProgress, startNewOrder } from "../services/purchaseIdempotencyService.js";
+import { createProblem, createProblemResult, PROBLEM_TYPES } from "../utils/errorHandler.js";
+import { logger } from "../utils/logger.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * start_new_order - closes the session's order so purchase_plans can place another one
+ */
+export const startNewOrderTool = {
+  name: "start_new_order",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. Close the order placed in this session so another purchase can be made. Use ONLY when the user explicitly asks to place another/new order after a purchase - never to retry a purchase (purchase_plans retries return the existing order). Keeps the cart (edit it or use clear_cart) and drops the old quote; get a new quote before purchasing. Refused while the current order is still awaiting payment unless abandonPending is true.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      sessionId: {
+        type: "string",
+        description: "Session ID (optional - uses this client's session if not provided)"
+      },
+      abandonPending: {
+        type: "boolean",
+        description: "Close the current order even though its payment is not final (default: false). Only when the user confirms they will not pay for it."
+      }
+    }
+  },
+  scope: TOOL_SCOPES.CART_WRITE,
+  handler: handleStartNewOrder
+};
+
+async function handleStartNewOrder(args) {
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+  if (!getFlowContext(sessionId)) {
+    throw new Error('No flow context found. Please start a purchase flow first.');
+  }
+
+  const purchase = getPurchaseState(sessionId);
+  const purchaseRunning = !!getPurchaseLock(sessionId);
+  if (purchaseRunning || (isOrderInProgress(purchase) && args.abandonPending !== true)) {
+    logger.info('start_new_order refused: order in progress', {
+      sessionId,
+      transactionId: purchase?.transactionId || null,
+      purchaseRunning
+    });
+    return createProblemResult(
+      createProblem(
+        PROBLEM_TYPES.CONFLICT,
+        purchaseRunning
+          ? 'A purchase is being processed right now. Wait for it to finish before starting a new order.'
+          : 'The current order is still awaiting payment. Check it with check_purchase_status; pass abandonPending: true only if the user will not pay for it.',
+        true,
+        {
+          reason: 'IN_PROGRESS',
+          transactionId: purchase?.transactionId || null,
+          state: purchase?.state || null,
+          paymentStatus: purchase?.paymentStatus || null
+        }
+      ),
+      'start_new_order'
+    );
+  }
+
+  const { orderNumber, closedOrder } = startNewOrder(sessionId);
+  const closedText = closedOrder
+    ? `Order **${closedOrder.transactionId}** (${closedOrder.paymentStatus || closedOrder.state || 'N/A'}) has been closed.\n\n`
+    : '';
+
+  return {
+    content: [{
+      type: "text",
+      text: `## 🆕 New Order Started\n\n` +
+        closedText +
+        `Your cart has been kept. Update it (or use \`clear_cart\` to start from scratch), then call \`get_quote\` and confirm the new price before purchasing.`
+    }],
+    _meta: {
+      sessionId,
+      orderNumber,
+      closedTransactionId: closedOrder?.transactionId || null
+    }
+  };
+}
@@ -0,0 +1,961 @@
+import { getPlans } from "../services/plansService.js";
+import { getCartMultiLine, generateSessionId, updateMostRecentSession, clearCart } from "../services/cartService.js";
+import { fetchDevices } from "../services/deviceService.js";
+import { getFlowContext, updateFlowContext, resetFlowContext, getFlowProgress, setResumeStep, getResumeStep, updateLastIntent, addConversationHistory } from "../services/flowContextService.js";
+import { detectIntent, INTENT_TYPES } from "../services/intentService.js";
+import { checkAndRedirect, setCurrentQuestion, clearCurrentQuestion, QUESTION_TYPES } from "../services/conversationTrackingService.js";
+import { formatDevicesAsCards } from "../utils/formatter.js";
+import { logger } from "../utils/logger.js";
+import { findPlanByNameOrId, nextUnfilledIndex, allFilled, buildPlanCartPayload, addPlansToCartBySelections, ensurePlanUiOpen, buildPlansStructuredResponse, formatThreeSectionResponse, autoAssignEsimForLines } from "./helpers.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * start_session - unified entry point that creates the session, detects intent and seeds the line count
+ */
+export const startSessionTool = {
+  name: "start_session",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. FIRST TOOL TO CALL: This is the unified entry point that MUST be called first when a user starts a conversation. It automatically creates a session, initializes the cart, detects user intent from their prompt (if provided), sets up the purchase flow with line count (if provided), and provides contextual guidance. Use this tool for the first user message to set up the conversation flow. After calling this, use the suggested tools based on the detected intent.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      userPrompt: {
+        type: "string",
+        description: "The user's initial message or prompt (optional - used for intent detection and contextual guidance)"
+      },
+      lineCount: {
+        type: "integer",
+        minimum: 1,
+        description: "Number of lines needed (optional - if provided, sets up multi-line purchase flow immediately)"
+      },
+      sessionId: {
+        type: "string",
+        description: "Session ID (optional - will be auto-generated if not provided, or reuse existing if provided)"
+      }
+    }
+  },
+  scope: TOOL_SCOPES.CATALOG_READ,
+  handler: handleStartSession
+};
+
+async function handleStartSession(args, { tenant }) {
+  const userPrompt = args.userPrompt || "";
+  const providedLineCount = args.lineCount;
+  const providedSessionId = args.sessionId;
+
+  // Get or create session ID FIRST to check if it's a new session
+  const sessionId = providedSessionId || generateSessionId();
+
+  // Initialize cart (empty cart if new session)
+  const cart = getCartMultiLine(sessionId);
+
+  // Get or create flow context
+  const context = getFlowContext(sessionId);
+  const isNewSession = !context.lastUpdated || (Date.now() - context.lastUpdated) > 60000; // 1 minute threshold
+
+  // Check if cart has items (has lines with plans or devices)
+  const cartHasItems = cart && cart.lines && cart.lines.length > 0 && 
+    cart.lines.some(line => line.plan || line.device || line.protection);
+
+  // If starting a new conversation/session and cart has items, check if user already specified action
+  if (isNewSession && cartHasItems) {
+    // Check if user's prompt already includes clear/review cart action
+    if (userPrompt) {
+      const message = userPrompt.toLowerCase().trim();
+      const wantsToClear = /clear.*cart|empty.*cart|reset.*cart|remove.*all|start.*over/i.test(message);
+      const wantsToReview = /review.*cart|show.*cart|see.*cart|view.*cart|check.*cart/i.test(message);
+      
+      if (wantsToClear) {
+        // User wants to clear cart - handle it immediately
+        clearCart(sessionId);
+        resetFlowContext(sessionId);
+        logger.info("Cart cleared by user on new session", { sessionId });
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: `✅ **Cart cleared!** Starting fresh.\n\n` +
+                    `How can I help you today? You can:\n\n` +
+                    `• Check coverage: "What's coverage in my area?"\n` +
+                    `• See plans: "Show me plans"\n` +
+                    `• Browse devices: "Show me devices"\n` +
+                    `• Check device compatibility: "Check if my device works"`
+            }
+          ],
+          _meta: {
+            sessionId: sessionId,
+            intent: INTENT_TYPES.OTHER,
+            cartCleared: true
+          }
+        };
+      } else if (wantsToReview) {
+        // User wants to review cart - let normal flow handle it
+        // Intent detection will route to review_cart
+      } else {
+        // User didn't specify cart action - prompt them
+        setCurrentQuestion(
+          sessionId,
+          QUESTION_TYPES.CART_ACTION,
+          "You have items in your cart from a previous session. Would you like to clear the cart and start fresh, or review the cart?",
+          { cartAction: true }
+        );
+
+        const itemCount = cart.lines.filter(line => line.plan || line.device).length;
+        const itemText = itemCount === 1 ? 'item' : 'items';
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `🛒 **You have ${itemCount} ${itemText} in your cart from a previous session.**\n\n` +
+                    `What would you like to do?\n\n` +
+                    `• **Clear cart** - Start fresh with a new purchase\n` +
+                    `• **Review cart** - See what's already added and continue\n\n` +
+                    `Please say "Clear cart" or "Review cart".`
+            }
+          ],
+          _meta: {
+            sessionId: sessionId,
+            intent: INTENT_TYPES.OTHER,
+            cartActionPrompt: true
+          }
+        };
+      }
+    } else {
+      // No user prompt - ask what to do with cart
+      setCurrentQuestion(
+        sessionId,
+        QUESTION_TYPES.CART_ACTION,
+        "You have items in your cart from a previous session. Would you like to clear the cart and start fresh, or review the cart?",
+        { cartAction: true }
+      );
+
+      const itemCount = cart.lines.filter(line => line.plan || line.device).length;
+      const itemText = itemCount === 1 ? 'item' : 'items';
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `🛒 **You have ${itemCount} ${itemText} in your cart from a previous session.**\n\n` +
+                  `What would you like to do?\n\n` +
+                  `• **Clear cart** - Start fresh with a new purchase\n` +
+                  `• **Review cart** - See what's already added and continue\n\n` +
+                  `Please say "Clear cart" or "Review cart".`
+          }
+        ],
+        _meta: {
+          sessionId: sessionId,
+          intent: INTENT_TYPES.OTHER,
+          cartActionPrompt: true
+        }
+      };
+    }
+  }
+
+  // Handle user response to cart action question (when question was already set)
+  if (userPrompt && context?.currentQuestion?.type === QUESTION_TYPES.CART_ACTION) {
+    const message = userPrompt.toLowerCase().trim();
+    const wantsToClear = /clear|empty|reset|remove.*all|start.*over/i.test(message);
+    const wantsToReview = /review|show.*cart|see.*cart|view.*cart|check.*cart/i.test(message);
+
+    if (wantsToClear) {
+      // Clear the cart
+      clearCart(sessionId);
+      clearCurrentQuestion(sessionId);
+      // Reset flow context
+      resetFlowContext(sessionId);
+      
+      logger.info("Cart cleared by user", { sessionId });
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ **Cart cleared!** Starting fresh.\n\n` +
+                  `How can I help you today? You can:\n\n` +
+                  `• Check coverage: "What's coverage in my area?"\n` +
+                  `• See plans: "Show me plans"\n` +
+                  `• Browse devices: "Show me devices"\n` +
+                  `• Check device compatibility: "Check if my device works"`
+          }
+        ],
+        _meta: {
+          sessionId: sessionId,
+          intent: INTENT_TYPES.OTHER,
+          cartCleared: true
+        }
+      };
+    } else if (wantsToReview) {
+      // Clear the question and let normal flow handle review cart
+      clearCurrentQuestion(sessionId);
+      // Continue with normal flow - intent detection will pick up "review cart" and route to review_cart
+    } else {
+      // User didn't provide clear answer, redirect them
+      const redirectCheck = checkAndRedirect(userPrompt, sessionId);
+      if (redirectCheck.shouldRedirect) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: redirectCheck.redirectMessage
+            }
+          ],
+          _meta: {
+            sessionId: sessionId,
+            intent: redirectCheck.detectedIntent,
+            redirected: true
+          }
+        };
+      }
+    }
+  }
+
+  // Update flow context
+  let intent = INTENT_TYPES.OTHER;
+  let entities = {};
+  let suggestedTool = null;
+  let finalLineCount = providedLineCount;
+
+  if (userPrompt) {
+    // Check if user response is off-track from current question
+    const redirectCheck = checkAndRedirect(userPrompt, sessionId);
+
+    // If user went off-track, return redirect message
+    if (redirectCheck.shouldRedirect) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: redirectCheck.redirectMessage
+          }
+        ],
+        _meta: {
+          sessionId: sessionId,
+          intent: redirectCheck.detectedIntent,
+          redirected: true,
+          currentQuestion: context?.currentQuestion
+        }
+      };
+    }
+
+    const intentResult = detectIntent(userPrompt);
+    intent = intentResult.intent;
+    entities = intentResult.entities || {};
+
+    // Extract lineCount from entities if not explicitly provided
+    if (!finalLineCount && entities.lineCount) {
+      finalLineCount = entities.lineCount;
+      // Clear question since it was answered
+      clearCurrentQuestion(sessionId);
+    }
+
+    // Map intent to suggested tool
+    const intentToolMap = {
+      [INTENT_TYPES.PLAN]: "get_plans",
+      [INTENT_TYPES.DEVICE]: "get_devices",
+      [INTENT_TYPES.COVERAGE]: "check_coverage",
+      [INTENT_TYPES.SIM]: "get_sim_types",
+      [INTENT_TYPES.PROTECTION]: "get_protection_plan",
+      [INTENT_TYPES.CHECKOUT]: "review_cart"
+    };
+
+    // Special handling for device intent
+    if (intent === INTENT_TYPES.DEVICE) {
+      const buyBrowsePatterns = [
+        /buy.*(?:device|mobile|phone|smartphone)/i,
+        /purchase.*(?:device|mobile|phone|smartphone)/i,
+        /want.*(?:device|mobile|phone|smartphone)/i,
+        /show.*(?:devices|phones|mobiles)/i,
+        /browse.*(?:devices|phones|mobiles)/i,
+        /see.*(?:devices|phones|mobiles)/i,
+        /get.*(?:device|mobile|phone|smartphone)/i,
+        /looking.*(?:for|to buy).*(?:device|mobile|phone|smartphone)/i,
+        /need.*(?:device|mobile|phone|smartphone)/i,
+        /shop.*(?:device|mobile|phone|smartphone)/i
+      ];
+      const wantsToBuyDevices = buyBrowsePatterns.some(pattern => pattern.test(userPrompt));
+      const wantsCompatibility = /compatible|compatibility|imei|check.*device|validate.*device/i.test(userPrompt);
+
+      if (wantsCompatibility || /imei/i.test(userPrompt)) {
+        suggestedTool = 'validate_device';
+      } else if (wantsToBuyDevices) {
+        suggestedTool = 'get_devices';
+      } else {
+        suggestedTool = 'get_devices'; // Default
+      }
+    } else if (/imei|compatibility|compatible|validate.*device|check.*device.*compat|device.*compat|is.*device.*compat|will.*device.*work|does.*device.*work/i.test(userPrompt)) {
+      suggestedTool = 'validate_device';
+    } else {
+      suggestedTool = intentToolMap[intent] || null;
+    }
+  }
+
+  // Check if we're in a plan flow context BEFORE updating context
+  // This needs to be checked using the existing context before we update it
+  // We're in a plan flow if:
+  // 1. Previous intent was PLAN, OR
+  // 2. Current question is LINE_COUNT (which was set when asking for plans)
+  const currentQuestion = context?.currentQuestion;
+  const previousLastIntent = context?.lastIntent;
+  const isPlanFlow = previousLastIntent === INTENT_TYPES.PLAN ||
+    currentQuestion?.type === QUESTION_TYPES.LINE_COUNT;
+
+  // Update flow context
+  const contextUpdates = {
+    flowStage: finalLineCount && finalLineCount > 0 ? 'planning' : 'initial',
+    lastIntent: intent,
+    coverageChecked: context.coverageChecked || false
+  };
+
+  // Handle line count setup
+  if (finalLineCount && finalLineCount > 0) {
+    const currentLineCount = context.lineCount || 0;
+
+    if (currentLineCount > 0 && currentLineCount !== finalLineCount) {
+      // Preserve existing selections when line count changes
+      const existingLines = context.lines || [];
+      const newLines = [];
+
+      for (let i = 0; i < finalLineCount; i++) {
+        if (i < existingLines.length) {
+          newLines.push(existingLines[i]);
+        } else {
+          newLines.push({
+            lineNumber: i + 1,
+            planSelected: false,
+            deviceSelected: false,
+            protectionSelected: false,
+            simType: null
+          });
+        }
+      }
+
+      contextUpdates.lineCount = finalLineCount;
+      contextUpdates.lines = newLines;
+    } else {
+      // First time or same line count
+      contextUpdates.lineCount = finalLineCount;
+    }
+  } else if (!context.lineCount) {
+    // No line count provided and none exists
+    contextUpdates.lineCount = null;
+    contextUpdates.lines = [];
+  }
+
+  // Detect plan selection mode from user input
+  if (userPrompt) {
+    if (/apply.*to.*all|same.*plan.*all|all.*same/i.test(userPrompt)) {
+      contextUpdates.planSelectionMode = 'applyAll';
+      contextUpdates.selectedPlansPerLine = {};
+    } else if (/mix.*match|different.*plan|select.*each/i.test(userPrompt)) {
+      contextUpdates.planSelectionMode = 'sequential';
+      contextUpdates.activeLineForPlan = 1;
+      contextUpdates.selectedPlansPerLine = {};
+    }
+
+    const pendingPlanIdMatch = userPrompt.match(/ID:\s*([A-Za-z0-9_-]+)/i);
+    if (pendingPlanIdMatch && /plan/i.test(userPrompt)) {
+      contextUpdates.lastChosenPlanId = pendingPlanIdMatch[1];
+    }
+
+    // Detect plan selection for specific line
+    const selectPlanMatch = userPrompt.match(/select.*(?:plan|unlimited|essentials|by the gig).*for.*line\s*(\d+)/i);
+    if (selectPlanMatch && context?.planSelectionMode === 'sequential') {
+      const lineNum = parseInt(selectPlanMatch[1]);
+      // Move to next line
+      contextUpdates.activeLineForPlan = lineNum + 1;
+    }
+  }
+
+  updateFlowContext(sessionId, contextUpdates);
+  updateMostRecentSession(sessionId);
+
+  logger.info("Session started", {
+    sessionId,
+    intent,
+    lineCount: finalLineCount,
+    isNewSession,
+    entities
+  });
+
+  const updatedContext = getFlowContext(sessionId);
+  const hasLines = updatedContext?.lineCount && updatedContext.lineCount > 0;
+  const planMode = updatedContext?.planMode || 'UNKNOWN';
+  const selectedPlanByLine = { ...(updatedContext?.selectedPlanByLine || {}) };
+  const lines = Array.isArray(updatedContext?.lines) ? updatedContext.lines : [];
+  const activeLineIndex = Number.isInteger(updatedContext?.activeLineIndex) ? updatedContext.activeLineIndex : 0;
+  const activeLineNumber = lines[activeLineIndex]?.lineNumber || (activeLineIndex + 1);
+
+  const applyPlanToLine = (lineNumber, planId) => {
+    const lineIdx = Math.max(0, lineNumber - 1);
+    while (lines.length <= lineIdx) {
+      lines.push({
+        lineNumber: lines.length + 1,
+        planSelected: false,
+        planId: null,
+        deviceSelected: false,
+        deviceId: null,
+        protectionSelected: false,
+        protectionId: null,
+        simType: null,
+        simIccId: null
+      });
+    }
+    lines[lineIdx].planSelected = true;
+    lines[lineIdx].planId = planId;
+    selectedPlanByLine[String(lineNumber)] = planId;
+  };
+
+
+  if (userPrompt) {
+    // Check if user is asking about applying a plan to all lines or mix and match
+    const interestedInPlanMatch = /I am interested in.*plan.*ID:\s*([A-Za-z0-9_-]+).*Should I apply this to all lines or mix and match/i.test(userPrompt);
+    const scopeApply = /apply.*to.*all|same.*plan.*all|all.*same/i.test(userPrompt);
+    const scopeMix = /mix.*match|different.*plan|select.*each/i.test(userPrompt);
+    const planIdMatch = userPrompt.match(/ID:\s*([A-Za-z0-9_-]+)/i);
+
+    let selectedPlanId = planIdMatch ? planIdMatch[1] : null;
+    if (!selectedPlanId && intent === INTENT_TYPES.PLAN && hasLines) {
+      const found = await findPlanByNameOrId(tenant, userPrompt);
+      if (found) {
+        selectedPlanId = found.id || found.uniqueIdentifier;
+      }
+    }
+
+    // CRITICAL: If user directly says a plan name and we have multiple lines,
+    // and mode is not already selected, ask user to choose mode
+    if (selectedPlanId && hasLines && updatedContext.lineCount > 1) {
+      const currentPlanMode = updatedContext.planMode || 'UNKNOWN';
+      // Only ask if mode is not already set and user didn't explicitly say "apply to all" or "mix and match"
+      if (currentPlanMode !== 'APPLY_TO_ALL' && currentPlanMode !== 'MIX_AND_MATCH' && !scopeApply && !scopeMix) {
+        // Get plan details for response
+        const planItem = await findPlanByNameOrId(tenant, selectedPlanId);
+        const planName = planItem ? (planItem.displayName || planItem.displayNameWeb || planItem.name || 'Plan') : 'Plan';
+        
+        // Store the plan and ask for mode choice
+        updateFlowContext(sessionId, {
+          lastChosenPlanId: selectedPlanId,
+          planModePrompted: true,
+          planMode: 'UNKNOWN' // Keep as UNKNOWN until user chooses
+        });
+        
+        return {
+          content: [{
+            type: "text",
+            text: `You selected **${planName}**. For ${updatedContext.lineCount} lines, would you like to:\n\n` +
+                  `✅ **Apply to all lines** - Use the same plan for all ${updatedContext.lineCount} lines\n\n` +
+                  `🔀 **Mix and match** - Choose different plans for each line\n\n` +
+                  `Please tell me "apply to all" or "mix and match".`
+          }]
+        };
+      }
+    }
+
+    // Handle the case where user clicked select button and asked about mode
+    if (interestedInPlanMatch && selectedPlanId) {
+      // Store the plan and ask for mode choice (this is already done in the message)
+      // Just store it in context and return a response asking for mode
+      updateFlowContext(sessionId, {
+        lastChosenPlanId: selectedPlanId,
+        planModePrompted: true,
+        planMode: 'UNKNOWN' // Keep as UNKNOWN until user chooses
+      });
+      return {
+        content: [{
+          type: "text",
+          text: `You selected a plan. Would you like to apply this plan to all ${updatedContext.lineCount} lines, or mix and match different plans per line?\n\nPlease tell me "apply to all" or "mix and match".`
+        }]
+      };
+    }
+
+    // Handle direct "apply to all" command
+    if (scopeApply) {
+      updatedContext.planMode = 'APPLY_TO_ALL';
+      updatedContext.planSelectionMode = 'applyAll';
+      
+      // If there's a stored plan from previous selection, apply it
+      if (updatedContext.lastChosenPlanId) {
+        const planId = updatedContext.lastChosenPlanId;
+        
+        // Get plan details for response
+        const planItem = await findPlanByNameOrId(tenant, planId);
+        const planName = planItem ? (planItem.displayName || planItem.displayNameWeb || planItem.name || 'Plan') : 'Plan';
+        
+        // Apply plan to all lines
+        lines.forEach((line, idx) => {
+          applyPlanToLine(line.lineNumber || (idx + 1), planId);
+        });
+        
+        // Add plans to cart
+        await addPlansToCartBySelections(sessionId, tenant, buildPlanCartPayload(lines, selectedPlanByLine));
+        
+        // Auto-assign eSIM to all lines
+        const targetLineNumbers = Array.from({ length: updatedContext.lineCount }, (_, i) => i + 1);
+        const esimResult = autoAssignEsimForLines(sessionId, getFlowContext(sessionId), targetLineNumbers);
+        let esimNote = "";
+        if (esimResult?.assignedLines && esimResult.assignedLines.length > 0) {
+          const lineLabel = esimResult.assignedLines.length > 1 ? 'Lines' : 'Line';
+          esimNote = `✅ **eSIM set automatically** for ${lineLabel} ${esimResult.assignedLines.join(', ')}. We currently provide **eSIM only**.\n\n`;
+        }
+        
+        // Update flow context
+        updateFlowContext(sessionId, {
+          planMode: 'APPLY_TO_ALL',
+          planSelectionMode: 'applyAll',
+          selectedPlanByLine,
+          lines,
+          activeLineIndex: 0,
+          lastChosenPlanId: planId,
+          planModePrompted: true
+        });
+        
+        // Update intent tracking
+        updateLastIntent(sessionId, INTENT_TYPES.PLAN, 'add_to_cart');
+        addConversationHistory(sessionId, {
+          intent: INTENT_TYPES.PLAN,
+          action: 'add_to_cart',
+          data: {
+            itemType: 'plan',
+            itemId: planId,
+            lineNumbers: targetLineNumbers
+          }
+        });
+        
+        return { 
+          content: [{ 
+            type: "text", 
+            text: `${esimNote}✅ **${planName}** applied to all ${updatedContext.lineCount} lines.\n\nNext: add devices (optional) or review cart.`
+          }] 
+        };
+      }
+
+      // If no stored plan, ask which plan to apply
+      // Don't reload plans UI if already loaded
+      const openContext = ensurePlanUiOpen(updatedContext);
+      updateFlowContext(sessionId, openContext);
+      if (openContext.planUi.loadCount >= 1 && !openContext.planUi.isOpen) {
+        return { content: [{ type: "text", text: "Which plan should I apply to all lines? (Please type the plan name or click on a plan card.)" }] };
+      }
+      const plans = await getPlans(null, tenant);
+      return buildPlansStructuredResponse(sessionId, openContext, plans, "Pick a plan to apply to all lines.");
+    }
+
+    // Handle direct "mix and match" command
+    if (scopeMix) {
+      updatedContext.planMode = 'MIX_AND_MATCH';
+      updatedContext.planSelectionMode = 'sequential';
+      
+      // If there's a stored plan from previous selection, apply it to line 1
+      if (updatedContext.lastChosenPlanId) {
+        const planId = updatedContext.lastChosenPlanId;
+        applyPlanToLine(1, planId); // Apply to line 1
+        const nextIndex = nextUnfilledIndex(lines, selectedPlanByLine);
+        updatedContext.activeLineIndex = nextIndex !== null ? nextIndex : 1;
+        updateFlowContext(sessionId, {
+          planMode: 'MIX_AND_MATCH',
+          planSelectionMode: 'sequential',
+          selectedPlanByLine,
+          lines,
+          activeLineIndex: updatedContext.activeLineIndex,
+          lastChosenPlanId: planId,
+          planModePrompted: true
+        });
+        const nextLineNumber = lines[updatedContext.activeLineIndex]?.lineNumber || (updatedContext.activeLineIndex + 1);
+        // Don't call getPlans - just return text response
+        return {
+          content: [{
+            type: "text",
+            text: `✅ Plan added to Line 1. Now select a plan for Line ${nextLineNumber}.`
+          }]
+        };
+      }
+
+      // If no stored plan, start with line 1
+      // Don't reload plans UI if already loaded
+      const openContext = ensurePlanUiOpen(updatedContext);
+      openContext.activeLineIndex = 0;
+      updateFlowContext(sessionId, openContext);
+      if (openContext.planUi.loadCount >= 1 && !openContext.planUi.isOpen) {
+        return { content: [{ type: "text", text: "Select a plan for Line 1 (type the plan name or click on a plan card)." }] };
+      }
+      const plans = await getPlans(null, tenant);
+      return buildPlansStructuredResponse(sessionId, openContext, plans, "Select a plan for Line 1.");
+    }
+
+    // Handle plan selection when mode is already set
+    if (selectedPlanId && hasLines) {
+      updatedContext.lastChosenPlanId = selectedPlanId;
+      if (planMode === 'UNKNOWN') {
+        // Don't apply plan yet - just store it and ask user to choose mode
+        updateFlowContext(sessionId, {
+          lastChosenPlanId: selectedPlanId,
+          selectedPlanByLine,
+          lines,
+          planModePrompted: true
+        });
+        return {
+          content: [{
+            type: "text",
+            text: `You selected a plan. Would you like to apply this plan to all ${updatedContext.lineCount} lines, or mix and match different plans per line?\n\nPlease tell me "apply to all" or "mix and match".`
+          }]
+        };
+      }
+
+      if (planMode === 'APPLY_TO_ALL') {
+        // Get plan details for response
+        const planItem = await findPlanByNameOrId(tenant, selectedPlanId);
+        const planName = planItem ? (planItem.displayName || planItem.displayNameWeb || planItem.name || 'Plan') : 'Plan';
+        
+        // Apply plan to all lines
+        lines.forEach((line, idx) => {
+          applyPlanToLine(line.lineNumber || (idx + 1), selectedPlanId);
+        });
+        
+        // Add plans to cart
+        await addPlansToCartBySelections(sessionId, tenant, buildPlanCartPayload(lines, selectedPlanByLine));
+        
+        // Auto-assign eSIM to all lines
+        const targetLineNumbers = Array.from({ length: updatedContext.lineCount }, (_, i) => i + 1);
+        const esimResult = autoAssignEsimForLines(sessionId, getFlowContext(sessionId), targetLineNumbers);
+        let esimNote = "";
+        if (esimResult?.assignedLines && esimResult.assignedLines.length > 0) {
+          const lineLabel = esimResult.assignedLines.length > 1 ? 'Lines' : 'Line';
+          esimNote = `✅ **eSIM set automatically** for ${lineLabel} ${esimResult.assignedLines.join(', ')}. We currently provide **eSIM only**.\n\n`;
+        }
+        
+        // Update flow context
+        updateFlowContext(sessionId, {
+          selectedPlanByLine,
+          lines,
+          lastChosenPlanId: selectedPlanId
+        });
+        
+        // Update intent tracking
+        updateLastIntent(sessionId, INTENT_TYPES.PLAN, 'add_to_cart');
+        addConversationHistory(sessionId, {
+          intent: INTENT_TYPES.PLAN,
+          action: 'add_to_cart',
+          data: {
+            itemType: 'plan',
+            itemId: selectedPlanId,
+            lineNumbers: targetLineNumbers
+          }
+        });
+        
+        return { 
+          content: [{ 
+            type: "text", 
+            text: `${esimNote}✅ **${planName}** applied to all ${updatedContext.lineCount} lines.\n\nNext: add devices (optional) or review cart.`
+          }] 
+        };
+      }
+
+      if (planMode === 'MIX_AND_MATCH') {
+        applyPlanToLine(activeLineNumber, selectedPlanId);
+        const nextIndex = nextUnfilledIndex(lines, selectedPlanByLine);
+        if (nextIndex === null && allFilled(lines, selectedPlanByLine)) {
+          await addPlansToCartBySelections(sessionId, tenant, buildPlanCartPayload(lines, selectedPlanByLine));
+          updateFlowContext(sessionId, {
+            selectedPlanByLine,
+            lines,
+            activeLineIndex: 0,
+            lastChosenPlanId: selectedPlanId
+          });
+          return { content: [{ type: "text", text: "✅ All lines now have plans. Added to cart." }] };
+        }
+        updatedContext.activeLineIndex = nextIndex;
+        updateFlowContext(sessionId, {
+          selectedPlanByLine,
+          lines,
+          activeLineIndex: updatedContext.activeLineIndex,
+          lastChosenPlanId: selectedPlanId
+        });
+        const nextLineNumber = lines[updatedContext.activeLineIndex]?.lineNumber || (updatedContext.activeLineIndex + 1);
+        // Don't call getPlans - just return text response
+        return {
+          content: [{
+            type: "text",
+            text: `✅ Plan added to Line ${activeLineNumber}. Now select a plan for Line ${nextLineNumber}.`
+          }]
+        };
+      }
+    }
+  }
+
+  // Generate contextual response
+  let responseText = "";
+  let suggestions = "";
+  let nextSteps = "";
+
+  // If lineCount is set, show purchase flow status
+  if (finalLineCount && finalLineCount > 0) {
+    const existingCart = getCartMultiLine(sessionId);
+    const progress = getFlowProgress(sessionId);
+
+    // Check if we're resuming from device selection
+    const resumeStep = getResumeStep(sessionId);
+    const isDeviceResume = resumeStep === 'device_selection';
+
+    // If we're in a plan flow context, automatically fetch and show plans
+    if (isPlanFlow) {
+      // Clear the current question since line count was provided
+      clearCurrentQuestion(sessionId);
+
+      // Automatically fetch plans for the specified line count
+      let plans;
+      try {
+        plans = await getPlans(null, tenant);
+        const openContext = ensurePlanUiOpen(updatedContext);
+        updateFlowContext(sessionId, openContext);
+
+        if (!openContext.planUi.isOpen && openContext.planUi.loadCount >= 2) {
+          return {
+            content: [{
+              type: "text",
+              text: "Please type the plan name you want (e.g., Basic, Unlimited, Unlimited Plus)."
+            }]
+          };
+        }
+
+        return buildPlansStructuredResponse(
+          sessionId,
+          openContext,
+          plans,
+          `Great, you want ${finalLineCount} line${finalLineCount > 1 ? 's' : ''}.`
+        );
+      } catch (planError) {
+        // If plan fetch fails, fall through to regular response
+        logger.error("Failed to auto-fetch plans after line count", {
+          sessionId,
+          error: planError.message,
+          lineCount: finalLineCount
+        });
+        // Continue with regular response below
+      }
+    }
+
+    // If we're resuming from device selection, ask for device mode first (if multi-line)
+    if (isDeviceResume) {
+      // Clear the current question and resume step since line count was provided
+      clearCurrentQuestion(sessionId);
+      setResumeStep(sessionId, null); // Clear resume step after resuming
+
+      if (finalLineCount > 1 && (!context.deviceSelectionMode || context.deviceSelectionMode === 'initial')) {
+        const responseText = `Perfect! 👍 You've set up ${finalLineCount} lines.\n\nWould you like to apply the same device to all lines, or mix & match different devices per line?\n\nDevices are optional — you can skip device selection anytime.`;
+        const suggestionsText = `• **Apply to all:** One device for all ${finalLineCount} lines (I'll use \`select_device_mode\`)\n` +
+          `• **Mix & match:** Choose different devices per line (I'll use \`select_device_mode\`)\n\n` +
+          `Just tell me your preference.`;
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: formatThreeSectionResponse(responseText, suggestionsText, "")
+            }
+          ],
+          _meta: {
+            sessionId: sessionId,
+            intent: INTENT_TYPES.DEVICE,
+            lineCount: finalLineCount
+          }
+        };
+      }
+
+      // Automatically fetch devices for the specified line count
+      let devices;
+      try {
+        devices = await fetchDevices(20, null, tenant); // Fetch up to 20 devices
+
+        // Format devices as cards
+        const devicesCards = formatDevicesAsCards(devices, sessionId);
+
+        // Generate device display text
+        let deviceIntro = `Perfect! 👍 You've set up ${finalLineCount} line${finalLineCount > 1 ? 's' : ''}.\n\n`;
+        deviceIntro += `Now you can add devices to your cart. Here are the available devices:\n\n`;
+        deviceIntro += `**Select a device** for each line. Each line can have its own device, or you can choose the same device for multiple lines.\n\n`;
+        deviceIntro += `👉 **Click "Add to Cart"** on any device to add it to your cart. The device will be assigned to the appropriate line.\n\n`;
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: deviceIntro
+            },
+            ...devicesCards
+          ],
+          _meta: {
+            sessionId: sessionId,
+            intent: INTENT_TYPES.DEVICE,
+            lineCount: finalLineCount,
+            widgetType: 'devices',
+            hasLineSelected: true,
+            showWidgets: true,
+            resumedFrom: 'device_selection' // Flag indicating devices were auto-shown after line selection
+          }
+        };
+      } catch (deviceError) {
+        // If device fetch fails, fall through to regular response
+        logger.error("Failed to auto-fetch devices after line count", {
+          sessionId,
+          error: deviceError.message,
+          lineCount: finalLineCount
+        });
+        // Continue with regular response below
+      }
+    }
+
+    // Regular response when not in plan/device flow or fetch failed
+    responseText = `## ✅ Session Started\n\n`;
+    responseText += `**Lines Configured:** ${finalLineCount} line${finalLineCount > 1 ? 's' : ''}\n\n`;
+
+    if (existingCart && existingCart.lines && existingCart.lines.length > 0) {
+      const itemsInCart = existingCart.lines.filter(line =>
+        line.plan || line.device || line.protection || line.sim
+      ).length;
+
+      if (itemsInCart > 0) {
+        responseText += `**📦 Items Already in Cart:** ${itemsInCart} line${itemsInCart > 1 ? 's' : ''} with selections\n\n`;
+      }
+    }
+
+    const missingPlans = progress.missing?.plans || [];
+    // SIM removed - eSIM is automatically set when plan is added
+
+    suggestions = `**Current Status:**\n`;
+    suggestions += `• Plans: ${finalLineCount - missingPlans.length}/${finalLineCount} line${finalLineCount > 1 ? 's' : ''} (eSIM automatically set)\n\n`;
+
+    nextSteps = `**→ Next Steps:**\n`;
+    if (missingPlans.length > 0) {
+      nextSteps += `1. **Select Plans** - Required for ${missingPlans.length} line${missingPlans.length > 1 ? 's' : ''} (say "Show me plans")\n`;
+    }
+    nextSteps += `• **Add Devices** - Optional (say "Show me devices")\n`;
+    nextSteps += `• **Add Protection** - Optional, requires device\n`;
+    nextSteps += `• **Review Cart** - Check everything before checkout\n\n`;
+  }
+  // If userPrompt provided, show intent-based guidance
+  else if (userPrompt) {
+    if (intent === INTENT_TYPES.PLAN) {
+      responseText = `# 📱 Welcome to Reach Mobile!\n\n`;
+      responseText += `I can help you find the perfect mobile plan! To get started, I'll need to know how many lines you need.\n\n`;
+      responseText += `**How many lines would you like to set up?**\n\n`;
+      suggestions = "Please tell me how many lines you need (e.g., 'I need 2 lines' or '3 lines'), and then I'll show you the available plans.";
+      // Set current question
+      setCurrentQuestion(sessionId, QUESTION_TYPES.LINE_COUNT, "How many lines would you like to set up?", { lineCount: true });
+    }
+    else if (intent === INTENT_TYPES.COVERAGE) {
+      const zipCode = entities.zipCode;
+      if (zipCode) {
+        responseText = `# 📱 Welcome to Reach Mobile!\n\n`;
+        responseText += `I see you mentioned ZIP code ${zipCode}. Let me check the coverage in that area for you.\n\n`;
+        responseText += `**Your ZIP code:** ${zipCode}\n\n`;
+        suggestions = `I'll use the \`check_coverage\` tool with zipCode: "${zipCode}" to check coverage in your area.`;
+        // Clear question since ZIP was provided
+        clearCurrentQuestion(sessionId);
+      } else {
+        responseText = `# 📱 Welcome to Reach Mobile!\n\n`;
+        responseText += `I'd be happy to check network coverage for you! To check coverage, I need your ZIP code.\n\n`;
+        suggestions = "Please provide your ZIP code (e.g., 'My zipcode is 90210'), and I'll use the `check_coverage` tool to check coverage in your area.";
+        // Set current question
+        setCurrentQuestion(sessionId, QUESTION_TYPES.ZIP_CODE, "What's your ZIP code?", { zipCode: true });
+      }
+    }
+    else if (/imei|compatibility|compatible|validate.*device|check.*device.*compat|device.*compat|is.*device.*compat|will.*device.*work|does.*device.*work/i.test(userPrompt)) {
+      const imeiMatch = userPrompt.match(/\b\d{15}\b/);
+      if (imeiMatch) {
+        const imei = imeiMatch[0];
+        responseText = `# 📱 Device Compatibility Check\n\n`;
+        responseText += `I see you mentioned IMEI ${imei}. Let me validate the device compatibility for you.\n\n`;
+        responseText += `**IMEI:** ${imei}\n\n`;
+        suggestions = `I'll use the \`validate_device\` tool with imei: "${imei}" to check device compatibility.`;
+        // Clear question since IMEI was provided
+        clearCurrentQuestion(sessionId);
+      } else {
+        responseText = `# 📱 Device Compatibility Check\n\n`;
+        responseText += `I can help you check if your device is compatible with Reach Mobile's network! To do this, I need your device's IMEI number.\n\n`;
+        responseText += `**What is an IMEI?**\n`;
+        responseText += `IMEI (International Mobile Equipment Identity) is a unique 15-digit number that identifies your device.\n\n`;
+        responseText += `**How to find your IMEI:**\n`;
+        responseText += `• Dial *#06# on your phone\n`;
+        responseText += `• Go to Settings → About Phone → IMEI\n`;
+        responseText += `• Check the device box or receipt\n\n`;
+        suggestions = "Please provide your device's IMEI number (15 digits), and I'll use the `validate_device` tool to check compatibility.";
+        // Set current question
+        setCurrentQuestion(sessionId, QUESTION_TYPES.IMEI, "What's your device's IMEI number?", { imei: true });
+      }
+    }
+    else if (intent === INTENT_TYPES.DEVICE) {
+      const buyBrowsePatterns = [
+        /buy.*(?:device|mobile|phone|smartphone)/i,
+        /purchase.*(?:device|mobile|phone|smartphone)/i,
+        /want.*(?:device|mobile|phone|smartphone)/i,
+        /show.*(?:devices|phones|mobiles)/i,
+        /browse.*(?:devices|phones|mobiles)/i,
+        /see.*(?:devices|phones|mobiles)/i,
+        /get.*(?:device|mobile|phone|smartphone)/i,
+        /looking.*(?:for|to buy).*(?:device|mobile|phone|smartphone)/i,
+        /need.*(?:device|mobile|phone|smartphone)/i,
+        /shop.*(?:device|mobile|phone|smartphone)/i
+      ];
+      const wantsToBuyDevices = buyBrowsePatterns.some(pattern => pattern.test(userPrompt));
+      const wantsCompatibility = /compatible|compatibility|imei|check.*device|validate.*device/i.test(userPrompt);
+
+      if (wantsToBuyDevices) {
+        responseText = `# 📱 Welcome to Reach Mobile!\n\n`;
+        responseText += `I'd be happy to help you find the perfect device! I can show you our available phones and devices.\n\n`;
+        responseText += `**What I can do:**\n\n`;
+        responseText += `• Show you all available devices\n`;
+        responseText += `• Filter by brand (iPhone, Samsung, Google Pixel, etc.)\n`;
+        responseText += `• Help you add a device to your cart\n\n`;
+        responseText += `**Note:** You can browse and add devices anytime. Plans are required before checkout, but not for browsing.\n\n`;
+        suggestions = `I'll use the \`get_devices\` tool to show available devices for purchase.`;
+      } else {
+        responseText = `# 📱 Welcome to Reach Mobile!\n\n`;
+        responseText += `I can help you check if your device is compatible with our network! To do this, I need your device's IMEI number.\n\n`;
+        suggestions = "Please provide your device's IMEI number (15 digits), and I'll use the `validate_device` tool to check compatibility.";
+      }
+    }
+    else {
+      // General welcome
+      responseText = `# 👋 Welcome to Reach Mobile!\n\n`;
+      responseText += `I'm here to help you find the perfect mobile plan and services! Here's what I can help you with:\n\n`;
+      responseText += `- 📱 **Browse mobile plans** - Find the perfect plan for your needs\n`;
+      responseText += `- 📶 **Check network coverage** - See if we have coverage in your area\n`;
+      responseText += `- 🔍 **Validate device compatibility** - Check if your device works on our network\n`;
+      responseText += `- 📲 **Browse devices** - Explore available phones and devices\n\n`;
+      suggestions = "What would you like to do today?";
+    }
+
+    nextSteps = `**Getting Started:** Tell me how many lines you need, or ask about plans, coverage, or devices.`;
+  }
+  // No userPrompt and no lineCount - generic welcome
+  else {
+    responseText = `# 👋 Welcome to Reach Mobile!\n\n`;
+    responseText += `I'm here to help you set up your mobile service! To get started, I need to know:\n\n`;
+    responseText += `**How many lines would you like to set up?**\n\n`;
+    suggestions = "Tell me how many lines you need (e.g., 'I need 2 lines' or 'family plan for 4'), and I'll help you build your cart.";
+    nextSteps = `**Next:** After setting up lines, you can browse plans, devices, and more!`;
+    // Set current question
+    if (!finalLineCount) {
+      setCurrentQuestion(sessionId, QUESTION_TYPES.LINE_COUNT, "How many lines would you like to set up?", { lineCount: true });
+    }
+  }
+
+  const finalResponse = formatThreeSectionResponse(responseText, suggestions, nextSteps);
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: finalResponse + `\n\n---\n\n**Session ID:** ${sessionId}${intent !== INTENT_TYPES.OTHER ? `\n**Detected Intent:** ${intent}` : ''}`
+      }
+    ],
+    _meta: {
+      sessionId: sessionId,
+      intent: intent,
+      suggestedTool: suggestedTool,
+      lineCount: finalLineCount || null,
+      entities: entities
+    }
+  };
+}
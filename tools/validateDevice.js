@@ -0,0 +1,188 @@
+import { validateDevice } from "../services/deviceService.js";
+import { getFlowContext, updateLastIntent, addConversationHistory } from "../services/flowContextService.js";
+import { getOrCreateSessionId } from "../services/sessionService.js";
+import { INTENT_TYPES } from "../services/intentService.js";
+import { formatDeviceAsCard } from "../utils/formatter.js";
+import { logger } from "../utils/logger.js";
+import { formatThreeSectionResponse, getNextStepsForIntent } from "./helpers.js";
+import { TOOL_SCOPES } from "../services/toolScopeService.js";
+
+/**
+ * validate_device - checks device compatibility by IMEI
+ */
+export const validateDeviceTool = {
+  name: "validate_device",
+  description: "CRITICAL: NO WEB SEARCH - Use ONLY API data and tool responses. DO NOT search the web or use general knowledge. Check device compatibility with Reach Mobile network by validating IMEI number. MANDATORY TOOL: When user asks to 'check device compatibility', 'validate device', 'is my device compatible', 'check if device works', or provides an IMEI number, you MUST use this tool. This tool validates if a device (identified by IMEI) is compatible with Reach Mobile's network. It checks network compatibility, device lock status, and activation eligibility. FLOW LOGIC: If IMEI is provided, call immediately. If user asks about compatibility but no IMEI, ask for IMEI number. NON-LINEAR: Can be called anytime. GUARDRAILS: IMEI is required (15 digits). This is for network compatibility check, not for browsing/buying devices.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      imei: {
+        type: "string",
+        description: "Device IMEI number (15 digits) - required for compatibility validation",
+      },
+      sessionId: {
+        type: "string",
+        description: "Session ID for flow context tracking (optional)",
+      },
+    },
+    required: ["imei"],
+  },
+  scope: TOOL_SCOPES.CATALOG_READ,
+  handler: handleValidateDevice
+};
+
+async function handleValidateDevice(args, { tenant, isAppsSDK, request }) {
+  // Get session context for error handling and suggestions
+  const sessionId = getOrCreateSessionId(args.sessionId || null);
+  const context = getFlowContext(sessionId);
+
+  try {
+    const result = await validateDevice(args.imei, tenant);
+    if (isAppsSDK) {
+      return {
+        content: [{ type: "text", text: JSON.stringify({ success: true, ...result, imei: args.imei }) }],
+      };
+    }
+
+    // Update context and conversation history
+    if (context && sessionId) {
+      updateLastIntent(sessionId, INTENT_TYPES.DEVICE, 'validate_device');
+      addConversationHistory(sessionId, {
+        intent: INTENT_TYPES.DEVICE,
+        action: 'validate_device',
+        data: { imei: args.imei ? `${args.imei.substring(0, 4)}...` : 'N/A', isValid: result.isValid }
+      });
+    }
+
+    // Format device compatibility card
+    const cardMarkdown = formatDeviceAsCard({ ...result, imei: args.imei });
+
+    // Add suggestions to buy devices
+    let suggestions = "";
+    if (result.isValid) {
+      suggestions = "✅ **Your device is compatible!**\n\n";
+      suggestions += "**Looking for a new device?** Browse our selection of phones and devices:\n";
+      suggestions += "• Say **\"Show me devices\"** or **\"Browse devices\"** to see available options\n";
+      suggestions += "• You can also search by brand (e.g., \"Show me iPhones\" or \"Show me Samsung phones\")\n";
+      suggestions += "• Devices are optional - you can proceed with your current compatible device or upgrade to a new one";
+    } else {
+      suggestions = "❌ **Your device may not be fully compatible.**\n\n";
+      suggestions += "**Need a new device?** We have a great selection of compatible phones:\n";
+      suggestions += "• Say **\"Show me devices\"** or **\"Browse devices\"** to see available options\n";
+      suggestions += "• Search by brand: \"Show me iPhones\", \"Show me Samsung phones\", etc.\n";
+      suggestions += "• All devices in our catalog are guaranteed to work with Reach Mobile network";
+    }
+
+    // Get next steps based on context
+    const nextSteps = getNextStepsForIntent(context, INTENT_TYPES.DEVICE);
+
+    // Format response with three sections
+    const responseText = formatThreeSectionResponse(cardMarkdown, suggestions, nextSteps);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: responseText,
+        },
+      ],
+    };
+  } catch (deviceError) {
+    // Handle errors from device validation API
+    const statusCode = deviceError.statusCode || (deviceError.message.match(/\b(\d{3})\b/) ? parseInt(deviceError.message.match(/\b(\d{3})\b/)[1]) : null);
+    const errorType = deviceError.errorType || 'API_ERROR';
+    const errorMessage = deviceError.message || 'Unknown error';
+    const imei = args.imei ? `${args.imei.substring(0, 6)}...${args.imei.substring(args.imei.length - 4)}` : 'provided';
+
+    logger.error("Device validation error", {
+      imei: args.imei ? `${args.imei.substring(0, 4)}...` : 'N/A',
+      statusCode,
+      errorType,
+      errorMessage: errorMessage.substring(0, 200)
+    });
+
+    // Handle server errors (500, 502, 503, 504)
+    if (statusCode >= 500 || statusCode === 503 || errorMessage.includes('503') || errorMessage.includes('Service Unavailable')) {
+      let errorResponse = `## ⚠️ Issue While Checking Compatibility\n\n`;
+      errorResponse += `I tried to validate your device using the IMEI **${imei}**, but the device compatibility service is temporarily unavailable (503 error). This is a server-side issue, not a problem with your IMEI or device.\n\n`;
+      errorResponse += `**What this means:**\n\n`;
+      errorResponse += `• make sure you are using the correct IMEI\n`;
+      errorResponse += `• check spaces in the IMEI\n`;
+      errorResponse += `• Your request reached the system correctly\n`;
+      errorResponse += `• The validation service is currently down or not responding\n`;
+      errorResponse += `• No compatibility result could be fetched right now\n\n`;
+      errorResponse += `**What you can do:**\n\n`;
+      errorResponse += `⏳ **Try again in a few minutes** — This is usually a short-lived issue\n\n`;
+      errorResponse += `🔁 **Retry** — You can ask me to "check compatibility again" or "validate device again" with your IMEI\n\n`;
+      errorResponse += `✅ **Continue without validation** — You can still proceed to select plans and devices. Device validation is optional.\n\n`;
+      errorResponse += `Sorry about the hiccup — I've noted your IMEI and can recheck as soon as the service is back up.\n\n`;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: errorResponse,
+          },
+        ],
+      };
+    }
+
+    // Handle timeout errors
+    if (errorMessage.includes('timeout') || errorMessage.includes('timed out') || errorType === 'TIMEOUT_ERROR' || deviceError.name === 'TimeoutError') {
+      let errorResponse = `## ⏱️ Device Validation Timed Out\n\n`;
+      errorResponse += `I tried to validate your device using the IMEI **${imei}**, but the request took too long to complete.\n\n`;
+      errorResponse += `**What you can do:**\n\n`;
+      errorResponse += `🔁 **Try again** — You can ask me to "check compatibility again" or "validate device again"\n\n`;
+      errorResponse += `✅ **Continue without validation** — Device validation is optional. You can proceed to select plans and devices.\n\n`;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: errorResponse,
+          },
+        ],
+      };
+    }
+
+    // Handle authentication errors (401, 403)
+    if (statusCode === 401 || statusCode === 403 || errorMessage.includes('401') || errorMessage.includes('403') || errorMessage.includes('Unauthorized') || errorMessage.includes('Forbidden')) {
+      let errorResponse = `## 🔒 Authentication Issue\n\n`;
+      errorResponse += `I tried to validate your device, but there was an authentication issue with the device validation service.\n\n`;
+      errorResponse += `**What this means:**\n\n`;
+      errorResponse += `• The service requires proper authentication\n`;
+      errorResponse += `• This is a system-side issue, not a problem with your IMEI\n\n`;
+      errorResponse += `**What you can do:**\n\n`;
+      errorResponse += `🔁 **Try again** — The system will automatically retry with fresh authentication\n\n`;
+      errorResponse += `✅ **Continue without validation** — You can proceed to select plans and devices\n\n`;
+      errorResponse += `If this persists, please contact support.\n\n`;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: errorResponse,
+          },
+        ],
+      };
+    }
+
+    // Handle other errors
+    let errorResponse = `## ❌ Device Validation Failed\n\n`;
+    errorResponse += `I tried to validate your device using the IMEI **${imei}**, but encountered an error.\n\n`;
+    errorResponse += `**Error:** ${errorMessage.substring(0, 200)}\n\n`;
+    errorResponse += `**What you can do:**\n\n`;
+    errorResponse += `🔍 **Check your IMEI** — Make sure you provided the correct 15-digit IMEI number\n\n`;
+    errorResponse += `🔁 **Try again** — You can ask me to "check compatibility again"\n\n`;
+    errorResponse += `✅ **Continue without validation** — Device validation is optional. You can proceed to browse devices and select plans.\n\n`;
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: errorResponse,
+        },
+      ],
+    };
+  }
+}
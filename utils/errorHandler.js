@@ -13,6 +13,7 @@ export const PROBLEM_TYPES = {
   TIMEOUT: 'TIMEOUT',
   UNAVAILABLE: 'UNAVAILABLE',
   CART_MISMATCH: 'CART_MISMATCH',
+  CONFLICT: 'CONFLICT',
   OTHER: 'OTHER'
 };
 
@@ -42,6 +43,17 @@ export function mapErrorToProblem(error) {
   const errorMessage = error.message || String(error);
   const errorType = error.errorType || error.name;
   
+  // Rate limits (ours or the Reach API's 429) - retry once the limit refills
+  if (errorType === 'THROTTLED' || errorType === 'RATE_LIMIT_ERROR') {
+    const info = error.retryAfterSeconds ? { retryAfterSeconds: error.retryAfterSeconds, limit: error.limit || null } : null;
+    return createProblem(PROBLEM_TYPES.THROTTLED, errorMessage, true, info);
+  }
+
+  // Open circuit breaker (Reach keeps failing) - retry once the breaker lets a trial request through
+  if (errorType === 'CIRCUIT_OPEN') {
+    return createProblem(PROBLEM_TYPES.UNAVAILABLE, errorMessage, true, { retryAfterSeconds: error.retryAfterSeconds, endpoint: error.endpoint });
+  }
+
   // Timeout errors
   if (errorMessage.includes('timeout') || errorMessage.includes('timed out') || errorType === 'AbortError') {
     return createProblem(PROBLEM_TYPES.TIMEOUT, errorMessage, true);
@@ -103,6 +115,32 @@ export function createErrorResponse(error, toolName = 'unknown') {
   };
 }
 
+/**
+ * Create an MCP tool result carrying a Problem
+ * @param {Object} problem - Problem object (from createProblem)
+ * @param {string} toolName - Name of the tool that produced the problem
+ * @returns {Object} Tool result with isError, text content and structuredContent
+ */
+export function createProblemResult(problem, toolName = 'unknown') {
+  const payload = {
+    status: 'FAIL',
+    tool: toolName,
+    problem,
+    recovery: getRecoveryOptions(problem).options
+  };
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(payload, null, 2)
+      }
+    ],
+    structuredContent: payload,
+    isError: true
+  };
+}
+
 /**
  * Handle error recovery based on problem type
  * @param {Object} problem - Problem object
@@ -133,6 +171,11 @@ export function getRecoveryOptions(problem) {
       options.push('Ask user to confirm new totals');
       break;
       
+    case PROBLEM_TYPES.THROTTLED:
+      options.push('Wait retryAfterSeconds before calling again');
+      options.push('Do not repeat the same call in a loop');
+      break;
+      
     case PROBLEM_TYPES.TIMEOUT:
     case PROBLEM_TYPES.UNAVAILABLE:
       options.push('Retry once with safe parameters');
@@ -144,6 +187,11 @@ export function getRecoveryOptions(problem) {
       options.push('Refresh cart view');
       break;
       
+    case PROBLEM_TYPES.CONFLICT:
+      options.push('Check the status of the existing order');
+      options.push('Start a new order only if the user asks for one');
+      break;
+      
     default:
       options.push('Contact support if issue persists');
       options.push('Try again in a few moments');
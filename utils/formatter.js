@@ -818,21 +818,17 @@ export function formatGuidanceMessage(action, context, progress) {
  * Format multi-line cart review
  * @param {Object} cart - Multi-line cart object
  * @param {Object} context - Flow context
+ * @param {Object} pricing - Pricing breakdown from pricingService.priceCart
  * @returns {string} Formatted markdown
  */
-export function formatMultiLineCartReview(cart, context) {
+export function formatMultiLineCartReview(cart, context, pricing) {
   if (!cart || !cart.lines || cart.lines.length === 0) {
     return "## 🛒 Cart Review\n\nYour cart is empty. Add items to get started!";
   }
 
-  // Calculate detailed totals
-  const monthlyTotal = cart.lines.reduce((sum, line) => {
-    return sum + (line.plan?.price || 0);
-  }, 0);
-
-  const oneTimeTotal = cart.lines.reduce((sum, line) => {
-    return sum + (line.device?.price || 0) + (line.protection?.price || 0) + (line.sim?.price || 0);
-  }, 0);
+  const { totals } = pricing;
+  const monthlyTotal = totals.monthly;
+  const oneTimeTotal = totals.deviceUpfront + totals.shipping;
 
   const plansSelected = cart.lines.filter(l => l.plan).length;
   const devicesSelected = cart.lines.filter(l => l.device).length;
@@ -845,10 +841,13 @@ export function formatMultiLineCartReview(cart, context) {
   markdown += `### 📊 Order Summary\n\n`;
   markdown += `**Total Lines:** ${cart.lines.length}\n`;
   markdown += `**Monthly Recurring:** $${monthlyTotal.toFixed(2)}/month\n`;
+  if (totals.discounts > 0) {
+    markdown += `**Discounts:** -$${totals.discounts.toFixed(2)}/month\n`;
+  }
   if (oneTimeTotal > 0) {
     markdown += `**One-Time Charges:** $${oneTimeTotal.toFixed(2)}\n`;
   }
-  markdown += `**Grand Total:** $${cart.total.toFixed(2)}\n\n`;
+  markdown += `**Grand Total:** $${totals.dueToday.toFixed(2)}${totals.estimatedTax === null ? ' + tax (calculated at checkout)' : ''}\n\n`;
 
   markdown += `**Items Selected:**\n`;
   markdown += `• Plans: ${plansSelected}/${cart.lines.length} line${cart.lines.length > 1 ? 's' : ''}\n`;
@@ -868,7 +867,12 @@ export function formatMultiLineCartReview(cart, context) {
     if (line.plan) {
       markdown += `**📱 Mobile Plan:**\n`;
       markdown += `   • Name: ${line.plan.name}\n`;
-      markdown += `   • Price: $${line.plan.price}/month\n`;
+      const planPricing = pricing.lines.find(entry => entry.lineNumber === (line.lineNumber || (index + 1)))?.plan;
+      if (planPricing && planPricing.discount > 0) {
+        markdown += `   • Price: $${planPricing.price.toFixed(2)}/month (was $${planPricing.listPrice.toFixed(2)})\n`;
+      } else {
+        markdown += `   • Price: $${(planPricing?.price ?? line.plan.price)}/month\n`;
+      }
       if (line.plan.data) {
         markdown += `   • Data: ${line.plan.data} ${line.plan.dataUnit || 'GB'}\n`;
       }
@@ -912,7 +916,7 @@ export function formatMultiLineCartReview(cart, context) {
     if (line.protection) {
       markdown += `**🛡️ Device Protection:**\n`;
       markdown += `   • Plan: ${line.protection.name}\n`;
-      markdown += `   • Price: $${line.protection.price}\n`;
+      markdown += `   • Price: $${line.protection.price}/month\n`;
       if (line.protection.coverage) {
         markdown += `   • Coverage: ${line.protection.coverage}\n`;
       }
@@ -941,8 +945,9 @@ export function formatMultiLineCartReview(cart, context) {
     }
 
     // Line total
-    const lineMonthly = line.plan?.price || 0;
-    const lineOneTime = (line.device?.price || 0) + (line.protection?.price || 0) + (line.sim?.price || 0);
+    const linePricing = pricing.lines.find(entry => entry.lineNumber === (line.lineNumber || (index + 1))) || {};
+    const lineMonthly = linePricing.monthly || 0;
+    const lineOneTime = linePricing.deviceUpfront || 0;
     const lineTotal = lineMonthly + lineOneTime;
 
     markdown += `**💰 Line ${line.lineNumber || (index + 1)} Totals:**\n`;
@@ -978,9 +983,17 @@ export function formatMultiLineCartReview(cart, context) {
 
   // Payment summary
   markdown += `### 💳 Payment Summary\n\n`;
-  markdown += `**Due Today:** $${oneTimeTotal.toFixed(2)}\n`;
   markdown += `**Monthly Recurring:** $${monthlyTotal.toFixed(2)}/month\n`;
-  markdown += `**First Month Total:** $${(oneTimeTotal + monthlyTotal).toFixed(2)}\n\n`;
+  if (totals.deviceUpfront > 0) {
+    markdown += `**Devices (upfront):** $${totals.deviceUpfront.toFixed(2)}\n`;
+  }
+  markdown += totals.estimatedTax === null
+    ? `**Tax:** calculated at checkout\n`
+    : `**Estimated Tax:** $${totals.estimatedTax.toFixed(2)}\n`;
+  if (pricing.shipping) {
+    markdown += `**Shipping${pricing.shipping.name ? ` (${pricing.shipping.name})` : ''}:** $${totals.shipping.toFixed(2)}\n`;
+  }
+  markdown += `**Due Today (first month included${totals.estimatedTax === null ? ', before tax' : ''}):** $${totals.dueToday.toFixed(2)}\n\n`;
 
   // Next actions
   markdown += `### 🎯 Next Actions\n\n`;
@@ -997,6 +1010,34 @@ export function formatMultiLineCartReview(cart, context) {
   return markdown;
 }
 
+/**
+ * Format quote totals (quoteService.summarizeQuoteTotals) as a markdown list
+ * @param {Object} totals - { monthly, estimatedTax, deviceUpfront, shipping, dueToday }
+ * @returns {string} Markdown
+ */
+export function formatQuoteTotals(totals) {
+  const money = amount => `$${Number(amount || 0).toFixed(2)}`;
+  let markdown = `**Monthly total:** ${money(totals.monthly)}/mo\n`;
+  if (totals.deviceUpfront) markdown += `**Devices (upfront):** ${money(totals.deviceUpfront)}\n`;
+  if (totals.shipping) markdown += `**Shipping:** ${money(totals.shipping)}\n`;
+  if (totals.estimatedTax !== null && totals.estimatedTax !== undefined) markdown += `**Tax:** ${money(totals.estimatedTax)}\n`;
+  markdown += `**Total due today:** ${money(totals.dueToday)}`;
+  return markdown;
+}
+
+/**
+ * Format quote totals that changed (quoteService.diffTotals) as a markdown table
+ * @param {Array} diff - [{ label, expected, quoted, difference }]
+ * @param {Object} headings - Column headings for the expected and quoted amounts
+ * @returns {string} Markdown table
+ */
+export function formatPriceDiff(diff, { expected = 'Cart', quoted = 'Quote' } = {}) {
+  const money = amount => `$${Number(amount || 0).toFixed(2)}`;
+  const rows = diff.map(change =>
+    `| ${change.label} | ${money(change.expected)} | ${money(change.quoted)} | ${change.difference > 0 ? '+' : '-'}${money(Math.abs(change.difference))} |`);
+  return [`| | ${expected} | ${quoted} | Change |`, '|---|---|---|---|', ...rows].join('\n');
+}
+
 /**
  * Format button suggestions based on flow state
  * @param {Object} context - Flow context
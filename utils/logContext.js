@@ -0,0 +1,67 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { randomUUID } from "crypto";
+
+/**
+ * Log context
+ *
+ * Fields (correlationId, tool, sessionId, ...) added to every log line written while an
+ * HTTP request, tool call or background job runs. The context follows async calls through
+ * AsyncLocalStorage, so apiClient and purchaseService logs carry the ID of the request or
+ * tool call that caused them without passing it around.
+ */
+
+export const CORRELATION_HEADER = "x-correlation-id";
+
+const storage = new AsyncLocalStorage();
+// IDs accepted from clients: short, printable, no quotes or separators
+const CORRELATION_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Create a correlation ID
+ * @returns {string}
+ */
+export function createCorrelationId() {
+  return randomUUID();
+}
+
+/**
+ * Run a function with its own log context (replaces the current one)
+ * @param {Object} fields - Context fields (correlationId, ...)
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's result
+ */
+export function runWithLogContext(fields, fn) {
+  return storage.run({ ...fields }, fn);
+}
+
+/**
+ * Current log context
+ * @returns {Object|null} Context fields, or null outside a request, tool call or job
+ */
+export function getLogContext() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Add fields to the current log context (no-op outside one)
+ * @param {Object} fields - Fields to add (e.g. the sessionId once it is resolved)
+ */
+export function addLogContext(fields) {
+  const context = storage.getStore();
+  if (context) Object.assign(context, fields);
+}
+
+/**
+ * Express middleware giving each request a correlation ID
+ * The client's X-Correlation-Id (or X-Request-Id) is kept if valid; the ID is returned
+ * in the X-Correlation-Id response header.
+ * @param {express.Request} req - Request
+ * @param {express.Response} res - Response
+ * @param {Function} next - Next middleware
+ */
+export function correlationMiddleware(req, res, next) {
+  const provided = req.get(CORRELATION_HEADER) || req.get("x-request-id");
+  const correlationId = provided && CORRELATION_ID_PATTERN.test(provided) ? provided : createCorrelationId();
+  res.set(CORRELATION_HEADER, correlationId);
+  runWithLogContext({ correlationId }, next);
+}
@@ -1,12 +1,159 @@
+import fs from "fs";
+import path from "path";
+import { getLogContext } from "./logContext.js";
+
+/**
+ * Logger
+ *
+ * JSON lines on stderr (stdout belongs to the stdio MCP transport), optionally also
+ * appended to LOG_FILE:
+ *   - LOG_LEVEL: debug | info | warn | error (default: info) - lower levels are dropped
+ *   - the log context (correlationId, tool, sessionId, see logContext.js) is added to every line
+ *   - secrets (tokens, keys, passwords, payment and callback URLs) and PII (emails, phone
+ *     numbers, names, street addresses) are redacted by field name and by value;
+ *     LOG_REDACT=false turns it off
+ *   - LOG_FILE rotates at LOG_FILE_MAX_SIZE bytes (default 10 MB), keeping
+ *     LOG_FILE_MAX_FILES old files (default 5) as LOG_FILE.1 (newest) ... LOG_FILE.N
+ */
+
+const LEVELS = { DEBUG: 10, INFO: 20, WARN: 30, ERROR: 40 };
+const REDACTED = "[REDACTED]";
+const MAX_DEPTH = 8;
+
+// Fields holding secrets or PII, redacted whatever their value (booleans and null excepted).
+// Secrets are matched by whole name (accessToken, refresh_token, x-api-key, ...) so token
+// counts and diagnostics such as tokenExpiresAt stay readable
+const SECRET_FIELD_PATTERN = new RegExp([
+  "^(x[-_]?)?((access|refresh|id|auth|bearer|callback|context|session|csrf|sw[-_]?context)[-_]?)?token$",
+  "^(proxy[-_]?)?authorization$",
+  "^(set[-_]?)?cookie$",
+  "^(client[-_]?)?secret$",
+  "^[a-z_-]*secrete?[-_]?key$",
+  "^(private|signing)[-_]?key$",
+  "^(x[-_]?)?(x?api|(sw[-_]?)?access)[-_]?key$",
+  "^account[-_]?access[-_]?key[-_]?id$",
+  "^pass(word|wd)$",
+  "^credentials?$"
+].join("|"), "i");
+// Payment links and callback URLs carry the payment or callback token
+const URL_FIELD_PATTERN = /^(full_?)?(payment|redirect|return|callback|link)_?url(_?preview)?$/i;
+const PII_FIELD_PATTERN = /^(e-?mail|.*phone.*|(first|last|full|middle)_?name|street[12]?|address([-_]?line)?[12]?|shipping_?address|billing_?address|addresses|date_?of_?birth|dob|ssn)$/i;
+
+// Values redacted inside any string (messages, error texts, serialized bodies)
+const VALUE_PATTERNS = [
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi, `$1 ${REDACTED}`],
+  [/\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g, "[TOKEN]"],
+  [/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, "[EMAIL]"],
+  [/(\+\d{1,3}[\s.-]?)?\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g, "[PHONE]"],
+  [/\+\d{11,14}\b/g, "[PHONE]"],
+  [/(\/payments\/callback\/)[A-Za-z0-9_-]+/g, `$1${REDACTED}`]
+];
+// "field": "value" pairs for sensitive fields in serialized JSON
+const JSON_FIELD_PATTERN = /"([A-Za-z0-9_-]+)"(\s*:\s*)"((?:[^"\\]|\\.)*)"/g;
+
+let fileState = null;
+
+function getMinLevel() {
+  return LEVELS[(process.env.LOG_LEVEL || "info").toUpperCase()] ?? LEVELS.INFO;
+}
+
+function isSensitiveField(key) {
+  return SECRET_FIELD_PATTERN.test(key) || PII_FIELD_PATTERN.test(key) || URL_FIELD_PATTERN.test(key);
+}
+
+function redactString(value) {
+  let result = value.replace(JSON_FIELD_PATTERN, (match, key, separator) =>
+    isSensitiveField(key) ? `"${key}"${separator}"${REDACTED}"` : match);
+  VALUE_PATTERNS.forEach(([pattern, replacement]) => {
+    result = result.replace(pattern, replacement);
+  });
+  return result;
+}
+
+/**
+ * Redact secrets and PII from a log value
+ * @param {*} value - Value to log
+ * @param {number} depth - Nesting depth (objects deeper than MAX_DEPTH are elided)
+ * @param {WeakSet} seen - Objects already visited (circular references)
+ * @returns {*} Redacted copy
+ */
+export function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === "string") return redactString(value);
+  if (!value || typeof value !== "object") return value;
+  if (value instanceof Error) return redact({ name: value.name, message: value.message }, depth, seen);
+  if (value instanceof Date) return value;
+  if (seen.has(value)) return "[Circular]";
+  if (depth >= MAX_DEPTH) return "[Object]";
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+    // Booleans (hasToken, ...) carry no secret; numbers can (phone, account numbers)
+    if (isSensitiveField(key) && item !== null && typeof item !== "boolean") {
+      return [key, REDACTED];
+    }
+    return [key, redact(item, depth + 1, seen)];
+  }));
+}
+
+function rotateLogFile(filePath, maxFiles) {
+  for (let index = maxFiles - 1; index >= 1; index--) {
+    const source = `${filePath}.${index}`;
+    if (fs.existsSync(source)) fs.renameSync(source, `${filePath}.${index + 1}`);
+  }
+  if (maxFiles > 0) {
+    fs.renameSync(filePath, `${filePath}.1`);
+  } else {
+    fs.unlinkSync(filePath);
+  }
+}
+
+function writeToFile(line) {
+  const filePath = process.env.LOG_FILE;
+  if (!filePath) return;
+  try {
+    if (!fileState || fileState.path !== filePath) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fileState = { path: filePath, size: fs.existsSync(filePath) ? fs.statSync(filePath).size : 0 };
+    }
+    const maxSize = parseInt(process.env.LOG_FILE_MAX_SIZE || "10485760", 10);
+    const entry = `${line}\n`;
+    if (fileState.size > 0 && fileState.size + Buffer.byteLength(entry) > maxSize) {
+      rotateLogFile(filePath, parseInt(process.env.LOG_FILE_MAX_FILES || "5", 10));
+      fileState.size = 0;
+    }
+    fs.appendFileSync(filePath, entry);
+    fileState.size += Buffer.byteLength(entry);
+  } catch (error) {
+    // Never let logging break a request; report once per file
+    if (!fileState?.failed) {
+      console.error(JSON.stringify({ timestamp: new Date().toISOString(), level: "ERROR", message: "Log file write failed", file: filePath, error: error.message }));
+    }
+    fileState = { path: filePath, size: 0, failed: true };
+  }
+}
+
+/**
+ * Write a log line
+ * @param {string} level - DEBUG | INFO | WARN | ERROR
+ * @param {string} message - Message
+ * @param {Object} data - Structured fields
+ */
 export function log(level, message, data = {}) {
-  const timestamp = new Date().toISOString();
+  if ((LEVELS[level] ?? LEVELS.INFO) < getMinLevel()) return;
+
   const logEntry = {
-    timestamp,
+    timestamp: new Date().toISOString(),
     level,
     message,
+    ...getLogContext(),
     ...data,
   };
-  console.error(JSON.stringify(logEntry));
+  const line = JSON.stringify(process.env.LOG_REDACT === "false" ? logEntry : redact(logEntry));
+  console.error(line);
+  writeToFile(line);
 }
 
 export const logger = {
@@ -15,4 +162,3 @@ export const logger = {
   warn: (msg, data) => log("WARN", msg, data),
   debug: (msg, data) => log("DEBUG", msg, data),
 };
-
@@ -10,7 +10,8 @@ let isConnected = false;
 const COLLECTIONS = {
   FLOW_CONTEXT: 'flowContext',
   CARTS: 'carts',
-  STATE: 'state'
+  STATE: 'state',
+  PURCHASE_JOBS: 'purchaseJobs'
 };
 
 /**
@@ -85,6 +86,12 @@ async function createIndexes() {
     
     // Index for lastUpdated in flowContext for cleanup queries
     await db.collection(COLLECTIONS.FLOW_CONTEXT).createIndex({ lastUpdated: 1 });
+
+    // Index for purchase status jobs by jobId
+    await db.collection(COLLECTIONS.PURCHASE_JOBS).createIndex({ jobId: 1 }, { unique: true });
+
+    // Index for cart expiry (session store list-by-age)
+    await db.collection(COLLECTIONS.CARTS).createIndex({ expiresAt: 1 });
     
     logger.info('MongoDB indexes created');
   } catch (error) {
@@ -101,133 +108,125 @@ export function isMongoConnected() {
 }
 
 /**
- * Get database instance (for testing/debugging)
- * @returns {Db|null}
+ * Ping the database (isMongoConnected only reflects the last connect/disconnect)
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise<Object>} { ok, latencyMs, error }
  */
-export function getDb() {
-  return db;
-}
-
-/**
- * Save data to MongoDB
- * @param {string} collectionName - Collection name
- * @param {any} data - Data to save
- * @returns {Promise<void>}
- */
-async function saveToMongo(collectionName, data) {
-  if (!db) {
-    throw new Error('MongoDB not connected');
+export async function pingMongo(timeoutMs = 2000) {
+  if (!isMongoConnected()) {
+    return { ok: false, latencyMs: null, error: 'Not connected' };
   }
-
-  const collection = db.collection(collectionName);
-  
-  // If data is an object with individual documents (like flowContext), insert/update each
-  if (typeof data === 'object' && !Array.isArray(data) && data !== null) {
-    const operations = Object.entries(data).map(([key, value]) => ({
-      updateOne: {
-        filter: { sessionId: key },
-        update: { $set: { ...value, sessionId: key } },
-        upsert: true
-      }
-    }));
-
-    if (operations.length > 0) {
-      await collection.bulkWrite(operations);
-    }
-  } else {
-    // Single document save
-    await collection.deleteMany({});
-    await collection.insertOne(data);
+  const startedAt = Date.now();
+  let timeoutId;
+  try {
+    await Promise.race([
+      db.command({ ping: 1 }),
+      new Promise((_, reject) => {
+        timeoutId = setTimeout(() => reject(new Error(`Ping timed out after ${timeoutMs}ms`)), timeoutMs);
+      })
+    ]);
+    return { ok: true, latencyMs: Date.now() - startedAt, error: null };
+  } catch (error) {
+    return { ok: false, latencyMs: Date.now() - startedAt, error: error.message };
+  } finally {
+    clearTimeout(timeoutId);
   }
 }
 
 /**
- * Load data from MongoDB
- * @param {string} collectionName - Collection name
- * @returns {Promise<any|null>}
+ * Get database instance (for testing/debugging)
+ * @returns {Db|null}
  */
-async function loadFromMongo(collectionName) {
-  if (!db) {
-    return null;
-  }
-
-  const collection = db.collection(collectionName);
-  
-  // For flowContext and carts, we store multiple documents
-  if (collectionName === COLLECTIONS.FLOW_CONTEXT || collectionName === COLLECTIONS.CARTS) {
-    const documents = await collection.find({}).toArray();
-    const result = {};
-    documents.forEach(doc => {
-      const sessionId = doc.sessionId || doc._id.toString();
-      const { _id, sessionId: _, ...data } = doc;
-      result[sessionId] = data;
-    });
-    return Object.keys(result).length > 0 ? result : null;
-  } else {
-    // For state, get the single document
-    const doc = await collection.findOne({});
-    if (!doc) return null;
-    const { _id, ...data } = doc;
-    return data;
-  }
+export function getDb() {
+  return db;
 }
 
 /**
- * Save flowContext to MongoDB
- * @param {object} contexts - Flow contexts object
+ * Write changed documents of a session-store collection (see utils/sessionStore.js)
+ * Each document is replaced (upsert) or deleted on its own; other documents are untouched.
+ * @param {string} collectionName - Collection name
+ * @param {string} idField - Document ID field (e.g. sessionId)
+ * @param {Object} changes - Changes
+ * @param {Array<Array>} changes.upserts - [[id, document]]
+ * @param {Array<string>} changes.deletes - IDs to delete
  * @returns {Promise<void>}
  */
-export async function saveFlowContext(contexts) {
+export async function writeDocuments(collectionName, idField, { upserts = [], deletes = [] }) {
   if (!isConnected) return;
+  const operations = [
+    ...upserts.map(([id, document]) => ({
+      replaceOne: {
+        filter: { [idField]: id },
+        replacement: { ...document, [idField]: id },
+        upsert: true
+      }
+    })),
+    ...deletes.map(id => ({ deleteOne: { filter: { [idField]: id } } }))
+  ];
+  if (operations.length === 0) return;
   try {
-    await saveToMongo(COLLECTIONS.FLOW_CONTEXT, contexts);
+    await db.collection(collectionName).bulkWrite(operations, { ordered: false });
   } catch (error) {
-    logger.error('Error saving flowContext to MongoDB:', error);
+    logger.error(`Error writing ${collectionName} documents to MongoDB:`, error);
     throw error;
   }
 }
 
 /**
- * Load flowContext from MongoDB
+ * Load one document of a session-store collection
+ * @param {string} collectionName - Collection name
+ * @param {string} idField - Document ID field
+ * @param {string} id - Document ID
  * @returns {Promise<object|null>}
  */
-export async function loadFlowContext() {
+export async function loadDocument(collectionName, idField, id) {
   if (!isConnected) return null;
   try {
-    return await loadFromMongo(COLLECTIONS.FLOW_CONTEXT);
+    const doc = await db.collection(collectionName).findOne({ [idField]: id });
+    if (!doc) return null;
+    const { _id, ...data } = doc;
+    return data;
   } catch (error) {
-    logger.error('Error loading flowContext from MongoDB:', error);
+    logger.error(`Error loading ${collectionName} document from MongoDB:`, error);
     return null;
   }
 }
 
 /**
- * Save carts to MongoDB
- * @param {object} carts - Carts object
- * @returns {Promise<void>}
+ * Load every document of a session-store collection
+ * @param {string} collectionName - Collection name
+ * @param {string} idField - Document ID field
+ * @returns {Promise<object|null>} Documents keyed by ID, or null when there are none
  */
-export async function saveCarts(carts) {
-  if (!isConnected) return;
+export async function loadDocuments(collectionName, idField) {
+  if (!isConnected) return null;
   try {
-    await saveToMongo(COLLECTIONS.CARTS, carts);
+    const documents = await db.collection(collectionName).find({}).toArray();
+    const result = {};
+    documents.forEach(doc => {
+      const { _id, ...data } = doc;
+      result[data[idField] || _id.toString()] = data;
+    });
+    return Object.keys(result).length > 0 ? result : null;
   } catch (error) {
-    logger.error('Error saving carts to MongoDB:', error);
-    throw error;
+    logger.error(`Error loading ${collectionName} from MongoDB:`, error);
+    return null;
   }
 }
 
 /**
- * Load carts from MongoDB
- * @returns {Promise<object|null>}
+ * Load the single document of a collection (state)
+ * @param {string} collectionName - Collection name
+ * @returns {Promise<any|null>}
  */
-export async function loadCarts() {
-  if (!isConnected) return null;
-  try {
-    return await loadFromMongo(COLLECTIONS.CARTS);
-  } catch (error) {
-    logger.error('Error loading carts from MongoDB:', error);
+async function loadFromMongo(collectionName) {
+  if (!db) {
     return null;
   }
+  const doc = await db.collection(collectionName).findOne({});
+  if (!doc) return null;
+  const { _id, ...data } = doc;
+  return data;
 }
 
 /**
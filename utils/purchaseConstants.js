@@ -63,7 +63,13 @@ export const DEFAULT_CONFIG = {
   MAX_POLL_ATTEMPTS: parseInt(process.env.PURCHASE_MAX_POLL_ATTEMPTS || '40', 10), // Increased to 40 attempts (2 minutes total)
   POLL_INTERVAL: parseInt(process.env.PURCHASE_POLL_INTERVAL || '3000', 10), // 3 seconds between polls
   INITIAL_POLL_DELAY: parseInt(process.env.PURCHASE_INITIAL_POLL_DELAY || '5000', 10), // Increased initial delay to 5 seconds
+  PAYMENT_URL_WAIT: parseInt(process.env.PURCHASE_PAYMENT_URL_WAIT || '8000', 10), // purchase_plans waits at most 8 seconds for the payment URL; the status job and payment callback take over after that
   MAX_BACKOFF_DELAY: parseInt(process.env.PURCHASE_MAX_BACKOFF_DELAY || '10000', 10),
+  QUOTE_TTL: parseInt(process.env.PURCHASE_QUOTE_TTL || '900000', 10), // Quotes shown by get_quote can be confirmed for 15 minutes
+  STATUS_REFRESH_INTERVAL: parseInt(process.env.PURCHASE_STATUS_REFRESH_INTERVAL || '10000', 10), // check_purchase_status answers from recorded state in between
+  STATUS_JOB_MAX_AGE: parseInt(process.env.PURCHASE_STATUS_JOB_MAX_AGE || '1800000', 10), // Background status checks give up (POLLING_TIMEOUT) after 30 minutes
+  STATUS_JOB_MAX_DELAY: parseInt(process.env.PURCHASE_STATUS_JOB_MAX_DELAY || '60000', 10), // Backoff cap between background status checks
+  PAYMENT_CALLBACK_SECRET: process.env.PAYMENT_CALLBACK_SECRET || null, // Shared secret for trusted payment webhooks
   REDIRECT_URL: process.env.PAYMENT_REDIRECT_URL || process.env.APP_BASE_URL || 'https://www.google.com/',
   AGENT_ID: process.env.PURCHASE_AGENT_ID || process.env.ENVIRONMENT + '_AGENT' || 'AGENT1234'
 };
@@ -299,13 +299,74 @@ function stripDataAmountFromPlanName(planName) {
   return cleaned;
 }
 
+/**
+ * Build the device entry of a purchase line
+ * The purchase API identifies devices by SKU (Shopware productNumber); older carts
+ * only stored the catalog id, which is used as a fallback.
+ * NOTE: this shape is not part of the documented Reach purchase contract
+ * (PURCHASE_API_FIELD_MAPPING.md covers plan-only lines); it is only sent when the
+ * tenant enables purchaseDefaults.deviceLinesEnabled.
+ * @param {Object} device - Device item from the cart line
+ * @param {number} lineNumber - Line number (for error messages)
+ * @returns {Object} Device entry ({ sku, name, quantity })
+ */
+export function buildLineDevice(device, lineNumber) {
+  const sku = device.sku || device.productNumber || device.id;
+  if (!sku) {
+    throw new Error(`Line ${lineNumber} device is missing a SKU`);
+  }
+
+  return {
+    sku: sanitizeString(String(sku)),
+    name: sanitizeString(device.name || ''),
+    quantity: 1
+  };
+}
+
+/**
+ * Build the protection entry of a purchase line
+ * NOTE: unconfirmed against the Reach purchase contract, like buildLineDevice.
+ * @param {Object} protection - Protection item from the cart line
+ * @param {Object} device - Device entry the protection covers
+ * @param {number} lineNumber - Line number (for error messages)
+ * @returns {Object} Protection entry ({ id, name, deviceSku })
+ */
+export function buildLineProtection(protection, device, lineNumber) {
+  if (!device) {
+    throw new Error(`Line ${lineNumber} has protection but no device to protect`);
+  }
+  if (!protection.id) {
+    throw new Error(`Line ${lineNumber} protection is missing an ID`);
+  }
+
+  return {
+    id: sanitizeString(String(protection.id)),
+    name: sanitizeString(protection.name || ''),
+    deviceSku: device.sku
+  };
+}
+
+/**
+ * Check whether purchase lines include anything that has to be shipped
+ * (a physical SIM or a device)
+ * @param {Array} lines - Lines built by buildLines
+ * @returns {boolean} True if the order needs a shipment
+ */
+export function hasPhysicalGoods(lines) {
+  return lines.some(line => line.simType !== 'ESIM' || !!line.device);
+}
+
 /**
  * Build lines array for API request
+ * With includeDeviceLines, lines with a device carry a device entry (SKU) and, if
+ * selected, a protection entry; otherwise device and protection lines are refused.
  * @param {Array} cartLines - Cart lines from checkout data
  * @param {Object} shippingAddress - Shipping address for firstName/lastName
+ * @param {Object} options - Options
+ * @param {boolean} options.includeDeviceLines - Send device/protection entries (default: false)
  * @returns {Array} Lines array for API request
  */
-export function buildLines(cartLines, shippingAddress) {
+export function buildLines(cartLines, shippingAddress, options = {}) {
   if (!cartLines || !Array.isArray(cartLines) || cartLines.length === 0) {
     throw new Error('Cart lines are required');
   }
@@ -361,13 +422,26 @@ export function buildLines(cartLines, shippingAddress) {
       ? baseFirstName 
       : `${baseFirstName} ${index + 1}`.trim(); // Append line number for non-primary lines
     
-    return {
+    const requestLine = {
       firstName: firstName,
       lastName: sanitizeString(shippingAddress.lastName || ''),
       planId: planId,
       isPrimary: index === 0, // First line is primary
       simType: normalizeSimType(simType)
     };
+
+    // Device and protection add-ons (omitted for plan-only lines)
+    if ((line.device || line.protection) && !options.includeDeviceLines) {
+      throw new Error(`Line ${index + 1} has a device or protection, but device checkout is not enabled`);
+    }
+    if (line.device) {
+      requestLine.device = buildLineDevice(line.device, index + 1);
+    }
+    if (line.protection) {
+      requestLine.protection = buildLineProtection(line.protection, requestLine.device, index + 1);
+    }
+
+    return requestLine;
   });
 }
 
@@ -380,6 +454,7 @@ export function buildLines(cartLines, shippingAddress) {
  * @param {string} options.redirectUrl - Redirect URL for payment
  * @param {string} options.shipmentType - Shipment type (default: "usps_first_class_mail")
  * @param {string} options.agentUniqueId - Agent unique ID (default from env)
+ * @param {boolean} options.includeDeviceLines - Send device/protection entries on lines (default: false)
  * @returns {Object} Purchase API request object
  */
 export function transformCheckoutDataToPurchaseRequest(checkoutData, options = {}) {
@@ -412,7 +487,7 @@ export function transformCheckoutDataToPurchaseRequest(checkoutData, options = {
   const addresses = buildAddresses(shippingAddress, effectiveBillingAddress);
   
   // Build lines array
-  const lines = buildLines(cart.lines, shippingAddress);
+  const lines = buildLines(cart.lines, shippingAddress, { includeDeviceLines: options.includeDeviceLines });
   
   // Log address mapping for debugging
   logger.debug('Address transformation for API request', {
@@ -428,17 +503,18 @@ export function transformCheckoutDataToPurchaseRequest(checkoutData, options = {
   // Generate or reuse client account ID
   const clientAccountId = options.clientAccountId || generateClientAccountId();
   
-  // Determine shipment type based on SIM types
-  // API requires shipmentType to be null when all lines are ESIM (no physical shipping)
-  const allLinesAreESIM = lines.every(line => line.simType === 'ESIM');
-  const shipmentType = allLinesAreESIM 
-    ? null 
-    : (options.shipmentType || DEFAULT_CONFIG.SHIPMENT_TYPE);
+  // Determine shipment type based on SIM types and devices
+  // API requires shipmentType to be null when nothing ships (all lines ESIM, no devices)
+  const needsShipment = hasPhysicalGoods(lines);
+  const shipmentType = needsShipment
+    ? (options.shipmentType || DEFAULT_CONFIG.SHIPMENT_TYPE)
+    : null;
   
   logger.debug('Shipment type determination', {
-    allLinesAreESIM,
+    needsShipment,
     shipmentType,
-    lineSimTypes: lines.map(l => l.simType)
+    lineSimTypes: lines.map(l => l.simType),
+    deviceSkus: lines.filter(l => l.device).map(l => l.device.sku)
   });
   
   // Get agent unique ID from options or env or default
@@ -470,11 +546,18 @@ export function transformCheckoutDataToPurchaseRequest(checkoutData, options = {
     },
     redirectUrl: redirectUrl
   };
+
+  // Coupons applied with apply_offer are priced by the quote
+  const coupons = (cart.offers || []).map(offer => offer.coupon).filter(Boolean);
+  if (coupons.length > 0) {
+    request.coupons = coupons;
+  }
   
   // Log full request structure (sanitized for security)
   logger.debug('Transformed checkout data to purchase request', {
     clientAccountId,
     lineCount: lines.length,
+    coupons,
     hasCollectionAmount: !!options.collectionAmount,
     collectionAmount: options.collectionAmount || 0,
     addressesCount: addresses.length,
@@ -493,7 +576,9 @@ export function transformCheckoutDataToPurchaseRequest(checkoutData, options = {
     lines: lines.map(l => ({
       planId: l.planId,
       simType: l.simType,
-      isPrimary: l.isPrimary
+      isPrimary: l.isPrimary,
+      deviceSku: l.device?.sku || null,
+      protectionId: l.protection?.id || null
     }))
   });
   
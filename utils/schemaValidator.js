@@ -0,0 +1,181 @@
+/**
+ * Minimal JSON-Schema validator for tool arguments
+ *
+ * Supports the subset of JSON Schema used by tool inputSchemas:
+ * type (single or list), enum, required, properties, additionalProperties,
+ * items, minimum/maximum, minLength/maxLength, pattern, minItems/maxItems.
+ *
+ * Values are coerced where it is safe to do so (models often send "2" for 2):
+ * - numeric strings -> number/integer
+ * - "true"/"false" -> boolean
+ * - finite numbers -> string
+ */
+
+const NUMERIC_STRING = /^\s*-?\d+(\.\d+)?\s*$/;
+
+/**
+ * Get the JSON-Schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} JSON-Schema type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Try to coerce a value into the given type
+ * @returns {{ ok: boolean, value: * }} Coercion result
+ */
+function coerce(value, type) {
+  if (typeof value === 'string' && (type === 'number' || type === 'integer') && NUMERIC_STRING.test(value)) {
+    const num = Number(value);
+    if (Number.isFinite(num) && (type === 'number' || Number.isInteger(num))) {
+      return { ok: true, value: num };
+    }
+  }
+  if (typeof value === 'string' && type === 'boolean') {
+    const normalized = value.trim().toLowerCase();
+    if (normalized === 'true') return { ok: true, value: true };
+    if (normalized === 'false') return { ok: true, value: false };
+  }
+  if (typeof value === 'number' && type === 'string' && Number.isFinite(value)) {
+    return { ok: true, value: String(value) };
+  }
+  return { ok: false, value };
+}
+
+function validateNode(schema, value, path, errors) {
+  if (!schema || typeof schema !== 'object') return value;
+
+  let current = value;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(current, type))) {
+      const coerced = types.map(type => coerce(current, type)).find(result => result.ok);
+      if (coerced) {
+        current = coerced.value;
+      } else {
+        errors.push({ path, message: `must be of type ${types.join(' or ')}`, received: typeOf(current) });
+        return current;
+      }
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(current)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}`, received: current });
+    return current;
+  }
+
+  if (typeof current === 'number') {
+    if (typeof schema.minimum === 'number' && current < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}`, received: current });
+    }
+    if (typeof schema.maximum === 'number' && current > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}`, received: current });
+    }
+  }
+
+  if (typeof current === 'string') {
+    if (typeof schema.minLength === 'number' && current.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (typeof schema.maxLength === 'number' && current.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(current)) {
+      errors.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(current)) {
+    if (typeof schema.minItems === 'number' && current.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (typeof schema.maxItems === 'number' && current.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      current = current.map((item, index) => validateNode(schema.items, item, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (typeOf(current) === 'object' && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+    const result = { ...current };
+    (schema.required || []).forEach((key) => {
+      if (result[key] === undefined || result[key] === null) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+      // Optional arguments sent as null are treated as omitted
+      if (result[key] === undefined || result[key] === null) return;
+      result[key] = validateNode(propSchema, result[key], path ? `${path}.${key}` : key, errors);
+    });
+    if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+      Object.keys(result)
+        .filter(key => !Object.prototype.hasOwnProperty.call(schema.properties || {}, key))
+        .forEach((key) => {
+          const keyPath = path ? `${path}.${key}` : key;
+          if (schema.additionalProperties === false) {
+            errors.push({ path: keyPath, message: 'is not a known argument' });
+          } else if (result[key] !== undefined && result[key] !== null) {
+            result[key] = validateNode(schema.additionalProperties, result[key], keyPath, errors);
+          }
+        });
+    }
+    current = result;
+  }
+
+  return current;
+}
+
+// Arguments every tool accepts: the server binds each call to a session before dispatch,
+// and returnFormat selects JSON (Apps SDK) output instead of markdown
+const COMMON_PROPERTIES = {
+  sessionId: { type: 'string' },
+  returnFormat: { type: 'string', enum: ['markdown', 'json', 'apps-sdk'] }
+};
+
+/**
+ * Validate (and coerce) tool arguments against a tool's inputSchema
+ *
+ * Arguments the schema does not declare are rejected (a misspelt "linecount" would
+ * otherwise be dropped silently) unless the schema sets additionalProperties itself.
+ * @param {Object} schema - JSON Schema (tool inputSchema)
+ * @param {Object} args - Tool arguments from the request
+ * @returns {{ valid: boolean, value: Object, errors: Array<{path: string, message: string}> }}
+ */
+export function validateToolArguments(schema, args) {
+  const errors = [];
+  const input = args === undefined || args === null ? {} : args;
+  const toolSchema = schema && schema.additionalProperties === undefined
+    ? { ...schema, properties: { ...COMMON_PROPERTIES, ...schema.properties }, additionalProperties: false }
+    : schema;
+  const value = validateNode(toolSchema, input, '', errors);
+  return {
+    valid: errors.length === 0,
+    value,
+    errors
+  };
+}
+
+/**
+ * Format validation errors as a single human-readable message
+ * @param {Array<{path: string, message: string}>} errors - Validation errors
+ * @returns {string} Message
+ */
+export function formatValidationErrors(errors = []) {
+  return errors
+    .map(error => (error.path ? `${error.path} ${error.message}` : error.message))
+    .join('; ');
+}
@@ -0,0 +1,15 @@
+import crypto from "crypto";
+
+/**
+ * Compare a secret sent by a caller (header, bearer token) with the configured one in
+ * constant time, so response timing does not reveal how much of it matched
+ * @param {string} provided - Value sent by the caller
+ * @param {string} expected - Configured secret
+ * @returns {boolean} False when either is missing
+ */
+export function secretMatches(provided, expected) {
+  if (!provided || !expected) return false;
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
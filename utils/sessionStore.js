@@ -0,0 +1,215 @@
+import fs from 'fs';
+import path from 'path';
+import * as mongoStorage from './mongodbStorage.js';
+import { getStorageDir, isMongoEnabled, writeFileAtomic } from './storage.js';
+import { logger } from './logger.js';
+
+/**
+ * Session Store
+ *
+ * Per-document persistence for per-session data (flow contexts, carts) and other
+ * keyed documents (purchase status jobs). Services keep their in-memory Map and tell
+ * the store which document changed; only that document is written:
+ *   - JSON: one file per document (<DATA_DIR>/<collection>/<id>.json), written
+ *     atomically (temp file + rename) after STORAGE_WRITE_DEBOUNCE_MS, so a burst of
+ *     changes to one session is a single write
+ *   - MongoDB: one replaceOne/deleteOne per changed document, in the same debounced flush
+ *     (JSON files are written as well, as a backup)
+ * A legacy whole-map file (<DATA_DIR>/<collection>.json) is split into documents on
+ * first load and renamed to <collection>.json.migrated.
+ */
+
+const DEFAULT_DEBOUNCE_MS = parseInt(process.env.STORAGE_WRITE_DEBOUNCE_MS || '100', 10);
+
+// Every store, so shutdown (and tests) can flush pending writes
+const stores = new Set();
+
+function documentFileName(id) {
+  return `${encodeURIComponent(id)}.json`;
+}
+
+function readJSONFile(filePath) {
+  try {
+    const data = fs.readFileSync(filePath, 'utf8');
+    return data.trim() === '' ? null : JSON.parse(data);
+  } catch (error) {
+    logger.error('Error reading session store document', { filePath, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Create a store for one collection
+ * @param {string} collection - Collection name (JSON directory / MongoDB collection)
+ * @param {Object} options - Options
+ * @param {string} options.idField - Field holding the document ID (default: sessionId)
+ * @param {string} options.timestampField - Field listByAge orders by (default: lastUpdated)
+ * @param {number} options.debounceMs - Delay before changed documents are written
+ * @returns {Object} { collection, loadAll, get, put, delete, listByAge, flush }
+ */
+export function createSessionStore(collection, { idField = 'sessionId', timestampField = 'lastUpdated', debounceMs = DEFAULT_DEBOUNCE_MS } = {}) {
+  const dirty = new Map();       // id -> latest document (serialized at flush time)
+  const deleted = new Set();     // ids to delete at flush time
+  const timestamps = new Map();  // id -> timestampField value, for listByAge
+  let timer = null;
+  let mongoWrite = Promise.resolve();
+
+  const directory = () => path.join(getStorageDir(), collection);
+
+  function track(id, document) {
+    timestamps.set(id, Number(document?.[timestampField]) || 0);
+  }
+
+  function scheduleFlush() {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      flush().catch(error => logger.error(`Error flushing ${collection} store`, { error: error.message }));
+    }, debounceMs);
+    // Pending writes are flushed on shutdown; they must not keep the process alive
+    timer.unref?.();
+  }
+
+  function migrateLegacyFile() {
+    const legacyPath = path.join(getStorageDir(), `${collection}.json`);
+    if (!fs.existsSync(legacyPath)) return {};
+    const legacy = readJSONFile(legacyPath) || {};
+    Object.entries(legacy).forEach(([id, document]) => dirty.set(id, document));
+    fs.renameSync(legacyPath, `${legacyPath}.migrated`);
+    logger.info(`Migrating ${collection}.json to per-document storage`, { documents: dirty.size });
+    return legacy;
+  }
+
+  function loadAllFromJSON() {
+    const documents = migrateLegacyFile();
+    if (fs.existsSync(directory())) {
+      fs.readdirSync(directory())
+        .filter(file => file.endsWith('.json'))
+        .forEach((file) => {
+          const document = readJSONFile(path.join(directory(), file));
+          if (document) documents[decodeURIComponent(path.basename(file, '.json'))] = document;
+        });
+    }
+    return documents;
+  }
+
+  /**
+   * Load every document (service initialization)
+   * @returns {Promise<Object>} Documents keyed by ID
+   */
+  async function loadAll() {
+    let documents = null;
+    if (isMongoEnabled()) {
+      documents = await mongoStorage.loadDocuments(collection, idField);
+    }
+    if (!documents) {
+      documents = loadAllFromJSON();
+    }
+    timestamps.clear();
+    Object.entries(documents).forEach(([id, document]) => track(id, document));
+    if (dirty.size > 0) await flush();
+    return documents;
+  }
+
+  /**
+   * Get one document (pending changes included)
+   * @param {string} id - Document ID
+   * @returns {Promise<Object|null>}
+   */
+  async function get(id) {
+    if (deleted.has(id)) return null;
+    if (dirty.has(id)) return dirty.get(id);
+    if (isMongoEnabled()) {
+      const document = await mongoStorage.loadDocument(collection, idField, id);
+      if (document) return document;
+    }
+    const filePath = path.join(directory(), documentFileName(id));
+    return fs.existsSync(filePath) ? readJSONFile(filePath) : null;
+  }
+
+  /**
+   * Mark a document as changed; it is written on the next flush
+   * @param {string} id - Document ID
+   * @param {Object} document - Current document
+   */
+  function put(id, document) {
+    deleted.delete(id);
+    dirty.set(id, document);
+    track(id, document);
+    scheduleFlush();
+  }
+
+  /**
+   * Delete a document on the next flush
+   * @param {string} id - Document ID
+   */
+  function remove(id) {
+    dirty.delete(id);
+    deleted.add(id);
+    timestamps.delete(id);
+    scheduleFlush();
+  }
+
+  /**
+   * List document IDs by age, oldest first
+   * @param {Object} options - Options
+   * @param {number} options.olderThan - Only documents whose timestamp is before this (ms)
+   * @param {number} options.limit - Maximum number of IDs
+   * @returns {Array<Object>} [{ id, timestamp }]
+   */
+  function listByAge({ olderThan = Infinity, limit = Infinity } = {}) {
+    return [...timestamps.entries()]
+      .filter(([, timestamp]) => timestamp < olderThan)
+      .sort((a, b) => a[1] - b[1])
+      .slice(0, limit)
+      .map(([id, timestamp]) => ({ id, timestamp }));
+  }
+
+  /**
+   * Write pending changes now
+   * JSON files are written before this returns; the promise resolves when MongoDB is done.
+   * @returns {Promise<void>}
+   */
+  function flush() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (dirty.size === 0 && deleted.size === 0) return mongoWrite;
+
+    const upserts = [...dirty.entries()].map(([id, document]) => [id, JSON.parse(JSON.stringify(document))]);
+    const deletes = [...deleted];
+    dirty.clear();
+    deleted.clear();
+
+    try {
+      fs.mkdirSync(directory(), { recursive: true });
+      upserts.forEach(([id, document]) => {
+        writeFileAtomic(path.join(directory(), documentFileName(id)), JSON.stringify(document, null, 2));
+      });
+      deletes.forEach((id) => fs.rmSync(path.join(directory(), documentFileName(id)), { force: true }));
+    } catch (error) {
+      logger.error(`Error writing ${collection} documents to JSON`, { error: error.message });
+    }
+
+    if (isMongoEnabled()) {
+      // Writes to one collection are chained so a document's changes land in order
+      mongoWrite = mongoWrite
+        .then(() => mongoStorage.writeDocuments(collection, idField, { upserts, deletes }))
+        .catch(error => logger.error(`Error writing ${collection} documents to MongoDB`, { error: error.message }));
+    }
+    return mongoWrite;
+  }
+
+  const store = { collection, loadAll, get, put, delete: remove, listByAge, flush };
+  stores.add(store);
+  return store;
+}
+
+/**
+ * Flush pending writes of every store (shutdown, tests)
+ * @returns {Promise<void>}
+ */
+export async function flushSessionStores() {
+  await Promise.all([...stores].map(store => store.flush()));
+}
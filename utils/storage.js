@@ -2,12 +2,13 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import * as mongoStorage from './mongodbStorage.js';
+import { logger } from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Storage directory
-const STORAGE_DIR = path.join(__dirname, '..', 'data');
+// Storage directory (DATA_DIR overrides, e.g. a temp dir for test runs)
+const STORAGE_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
 
 // Ensure storage directory exists
 if (!fs.existsSync(STORAGE_DIR)) {
@@ -50,6 +51,7 @@ export async function init() {
 
 /**
  * Save data to storage (MongoDB or JSON file)
+ * For single documents such as 'state'; per-session data goes through utils/sessionStore.js
  * Synchronous for backward compatibility - uses JSON if MongoDB not initialized
  * @param {string} key - Storage key
  * @param {any} value - Value to save (will be JSON stringified)
@@ -62,12 +64,6 @@ export function save(key, value) {
       Promise.resolve().then(async () => {
         try {
           switch (key) {
-            case 'flowContext':
-              await mongoStorage.saveFlowContext(value);
-              break;
-            case 'carts':
-              await mongoStorage.saveCarts(value);
-              break;
             case 'state':
               await mongoStorage.saveState(value);
               break;
@@ -94,13 +90,39 @@ export function save(key, value) {
  */
 function saveToJSON(key, value) {
   try {
-    const filePath = path.join(STORAGE_DIR, `${key}.json`);
-    fs.writeFileSync(filePath, JSON.stringify(value, null, 2), 'utf8');
+    writeFileAtomic(path.join(STORAGE_DIR, `${key}.json`), JSON.stringify(value, null, 2));
   } catch (error) {
     logger.error(`Error saving ${key} to JSON`, { error: error.message });
   }
 }
 
+/**
+ * Write a file atomically: a reader (or a crash) never sees a half-written file
+ * @param {string} filePath - Target path
+ * @param {string} content - File content
+ */
+export function writeFileAtomic(filePath, content) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, content, 'utf8');
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Storage directory for JSON files (DATA_DIR or ./data)
+ * @returns {string}
+ */
+export function getStorageDir() {
+  return STORAGE_DIR;
+}
+
+/**
+ * Whether MongoDB is the storage backend (connected via init())
+ * @returns {boolean}
+ */
+export function isMongoEnabled() {
+  return useMongoDB && mongoInitialized;
+}
+
 /**
  * Load data from storage (MongoDB or JSON file)
  * Synchronous for backward compatibility - loads from JSON if MongoDB not initialized
@@ -151,10 +173,6 @@ export async function loadAsync(key) {
 
   try {
     switch (key) {
-      case 'flowContext':
-        return await mongoStorage.loadFlowContext();
-      case 'carts':
-        return await mongoStorage.loadCarts();
       case 'state':
         return await mongoStorage.loadState();
       default:
@@ -180,12 +198,6 @@ export async function saveAsync(key, value) {
 
   try {
     switch (key) {
-      case 'flowContext':
-        await mongoStorage.saveFlowContext(value);
-        break;
-      case 'carts':
-        await mongoStorage.saveCarts(value);
-        break;
       case 'state':
         await mongoStorage.saveState(value);
         break;